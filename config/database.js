@@ -1,5 +1,23 @@
 const mongoose = require('mongoose');
 
+/**
+ * Bring indexes whose definition changed up to date. Mongoose builds the indexes a schema
+ * declares but never drops or alters the ones a database already has.
+ */
+const migrateIndexes = async () => {
+  const Sale = require('../models/Sale');
+  const logger = require('../utils/logger');
+
+  // Invoice numbers restart in every store ({ storeId, invoiceNumber } is unique), so the old
+  // globally unique index would reject the second store's first invoice
+  const indexes = await Sale.collection.indexes().catch(() => []); // No collection yet on a new database
+  if (indexes.some(index => index.name === 'invoiceNumber_1' && index.unique)) {
+    await Sale.collection.dropIndex('invoiceNumber_1');
+    await Sale.createIndexes();
+    logger.info('Replaced the global unique index on sales.invoiceNumber with a per-store one');
+  }
+};
+
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI, {
@@ -9,6 +27,8 @@ const connectDB = async () => {
 
     const logger = require('../utils/logger');
     logger.info({ host: conn.connection.host }, 'MongoDB connected');
+
+    await migrateIndexes().catch(error => logger.error({ err: error }, 'Index migration failed'));
   } catch (error) {
     const logger = require('../utils/logger');
     logger.fatal({ err: error }, 'Database connection error');
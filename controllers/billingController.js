@@ -1,6 +1,11 @@
 const mongoose = require('mongoose');
 const Sale = require('../models/Sale');
+const CreditNote = require('../models/CreditNote');
+const HeldBill = require('../models/HeldBill');
+const Quotation = require('../models/Quotation');
+const CustomerLedgerEntry = require('../models/CustomerLedgerEntry');
 const InventoryItem = require('../models/InventoryItem');
+const StockBatch = require('../models/StockBatch');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const PDFDocument = require('pdfkit');
@@ -8,71 +13,193 @@ const fs = require('fs');
 const path = require('path');
 const { InvoiceNotificationService } = require('../utils/invoiceNotificationService');
 const Store = require('../models/Store');
-const { Parser } = require('json2csv');
+const { Transform: CsvTransform } = require('json2csv');
 const ExcelJS = require('exceljs');
 const { logAudit } = require('../utils/auditLogService');
 const logger = require('../utils/logger');
+const { nextNumber } = require('../utils/numberSeriesService');
+const { storeScopedFilter } = require('../utils/storeScope');
+const { postEntry, getCreditTenderAmount } = require('../utils/ledgerService');
+const {
+  getLoyaltyRules,
+  calculateEarnedPoints,
+  calculateRedemption,
+  postTransaction: postLoyaltyTransaction,
+  reverseEarnedPoints,
+  expirePoints
+} = require('../utils/loyaltyService');
+const {
+  evaluatePromotions,
+  loadPromotions,
+  recordUsage: recordPromotionUsage,
+  releaseUsage: releasePromotionUsage
+} = require('../utils/promotionEngine');
+const {
+  getBillingControls,
+  assessApproval,
+  verifyApprover
+} = require('../utils/billingApprovalService');
+const {
+  resolvePaper,
+  buildReceiptLines,
+  getReceiptPageSize,
+  generateReceiptPDFContent,
+  renderEscPos
+} = require('../utils/receiptRenderer');
+const { getSaleUpiQr } = require('../utils/upiService');
+const { getEInvoiceQr } = require('../utils/eInvoiceService');
+const { findOpenShift, getCashTenderAmount } = require('../utils/cashShiftService');
+const { loadKitComponents, explodeKit } = require('../utils/kitService');
+const { createBatchPicker, batchDeductions, batchRestocks } = require('../utils/batchService');
+const { normalizeSerials, checkSerialsForSale, recordSerialEvent } = require('../utils/serialNumberService');
+const {
+  isValidQuantity,
+  addQuantities,
+  quantityIncrement,
+  formatQuantity
+} = require('../utils/quantityService');
+const {
+  roundCurrency,
+  isInterStateSupply,
+  calculateLineTax,
+  buildTaxBreakup,
+  allocateDiscount
+} = require('../utils/gstService');
 
 /**
- * Generate next invoice number
- * Format: INV-YYYY-XXXXXX (e.g., INV-2025-000001)
+ * Load a store and map the fields used by the PDF generators
  */
-const generateInvoiceNumber = async () => {
-  const currentYear = new Date().getFullYear();
-  const prefix = `INV-${currentYear}-`;
-  
-  // Find the last invoice number for the current year
-  const lastSale = await Sale.findOne({
-    invoiceNumber: { $regex: `^${prefix}` }
-  }).sort({ invoiceNumber: -1 });
-  
-  let nextNumber = 1;
-  if (lastSale) {
-    const lastNumber = parseInt(lastSale.invoiceNumber.replace(prefix, ''));
-    nextNumber = lastNumber + 1;
-  }
-  
-  // Pad with zeros to make it 6 digits
-  const invoiceNumber = `${prefix}${nextNumber.toString().padStart(6, '0')}`;
-  return invoiceNumber;
+const getStoreDetailsForPDF = async (storeId) => {
+  const storeDoc = await Store.findById(storeId);
+  if (!storeDoc) return null;
+
+  const store = {
+    name: storeDoc.name,
+    description: storeDoc.description,
+    storeType: storeDoc.storeType,
+    address: storeDoc.location?.address + ', ' + storeDoc.location?.city + ', ' + storeDoc.location?.state + ' - ' + storeDoc.location?.pincode + ', ' + storeDoc.location?.country,
+    phone: storeDoc.contactInfo?.phone,
+    email: storeDoc.contactInfo?.email,
+    website: storeDoc.contactInfo?.website,
+    gstin: storeDoc.taxInfo?.gstin,
+    operatingHours: storeDoc.operatingHours
+  };
+  logger.debug({ store }, 'PDF Store details');
+  return store;
+};
+
+/**
+ * Work out the place of supply for GST: explicit customer state, else the customer's
+ * default address, else the store state (a local sale)
+ */
+const resolvePlaceOfSupply = async ({ storeId, customer = null, customerState = '', session = null }) => {
+  const storeQuery = Store.findById(storeId).select('location.state');
+  const storeDoc = session ? await storeQuery.session(session) : await storeQuery;
+  const storeState = storeDoc?.location?.state || '';
+  const addresses = customer?.profile?.addresses || [];
+  const defaultAddress = addresses.find(address => address.isDefault) || addresses[0];
+  const placeOfSupply = customerState || defaultAddress?.state || storeState;
+
+  return {
+    placeOfSupply,
+    isInterState: isInterStateSupply(storeState, placeOfSupply)
+  };
 };
 
 /**
  * Calculate pricing details for sale items
+ * Promotions are applied to the lines first. The bill discount (including redeemed loyalty
+ * points) is then allocated across what is left of the lines by value, and GST is computed
+ * per line on the discounted amount (CGST + SGST for intra-state, IGST for inter-state).
  */
-const calculatePricing = (items, discount = 0, extraDiscount = 0) => {
+const calculatePricing = (items, {
+  discount = 0,
+  extraDiscount = 0,
+  loyaltyDiscount = 0,
+  isInterState = false,
+  promotions = [],
+  at = new Date()
+} = {}) => {
   let subtotal = 0;
   let mrpTotal = 0;
-  
-  const calculatedItems = items.map(item => {
-    const totalPrice = item.unitPrice * item.quantity;
-    const totalMrp = item.mrp * item.quantity;
-    
+
+  const lineAmounts = items.map(item => {
+    const totalPrice = roundCurrency(item.unitPrice * item.quantity);
     subtotal += totalPrice;
-    mrpTotal += totalMrp;
-    
+    mrpTotal += item.mrp * item.quantity;
+    return totalPrice;
+  });
+
+  const promotionResult = evaluatePromotions(
+    items.map((item, idx) => ({ ...item, totalPrice: lineAmounts[idx] })),
+    promotions,
+    { at }
+  );
+  const afterPromotions = lineAmounts.map((amount, idx) => roundCurrency(amount - promotionResult.lines[idx].amount));
+
+  const billDiscount = discount + extraDiscount + loyaltyDiscount;
+  const totalDiscount = roundCurrency(promotionResult.totalDiscount + billDiscount);
+  const discountShares = allocateDiscount(afterPromotions, billDiscount);
+
+  const calculatedItems = items.map((item, idx) => {
+    const tax = calculateLineTax({
+      amount: Math.max(0, afterPromotions[idx] - discountShares[idx]),
+      taxRate: item.taxRate,
+      priceIncludesTax: item.priceIncludesTax,
+      isInterState
+    });
+
     return {
       ...item,
-      totalPrice
+      totalPrice: lineAmounts[idx],
+      promotionDiscount: promotionResult.lines[idx].amount,
+      promotions: promotionResult.lines[idx].promotions,
+      discountAmount: roundCurrency(promotionResult.lines[idx].amount + discountShares[idx]),
+      taxableValue: tax.taxableValue,
+      cgstAmount: tax.cgstAmount,
+      sgstAmount: tax.sgstAmount,
+      igstAmount: tax.igstAmount,
+      taxAmount: tax.taxAmount
     };
   });
-  
-  const totalDiscount = discount + extraDiscount;
-  const finalAmount = Math.max(0, subtotal - totalDiscount);
-  const savings = mrpTotal - finalAmount;
-  
+
+  const taxBreakup = buildTaxBreakup(calculatedItems, isInterState);
+  const sumOf = (field) => roundCurrency(taxBreakup.reduce((sum, row) => sum + row[field], 0));
+  const taxableAmount = sumOf('taxableValue');
+  const cgstAmount = sumOf('cgstAmount');
+  const sgstAmount = sumOf('sgstAmount');
+  const igstAmount = sumOf('igstAmount');
+  const totalTax = roundCurrency(cgstAmount + sgstAmount + igstAmount);
+
+  const finalAmount = roundCurrency(taxableAmount + totalTax);
+  const savings = roundCurrency(mrpTotal - finalAmount);
+
   return {
     items: calculatedItems,
-    subtotal,
-    mrpTotal,
+    subtotal: roundCurrency(subtotal),
+    mrpTotal: roundCurrency(mrpTotal),
     discount,
     extraDiscount,
+    loyaltyDiscount,
+    promotionDiscount: promotionResult.totalDiscount,
+    appliedPromotions: promotionResult.applied,
     totalDiscount,
+    isInterState,
+    taxableAmount,
+    cgstAmount,
+    sgstAmount,
+    igstAmount,
+    totalTax,
+    taxBreakup,
     finalAmount,
     savings
   };
 };
 
+// Attempts at a sale or return whose transaction lost a write conflict to another bill or a
+// shift close
+const MAX_SALE_ATTEMPTS = 3;
+
 /**
  * Record a new sale transaction
  * POST /api/billing/sale
@@ -90,6 +217,7 @@ const recordSale = async (req, res) => {
     }    const {
       items,
       paymentMode = 'cash',
+      payments,
       customerId,
       customerName,
       customerPhone,
@@ -98,19 +226,21 @@ const recordSale = async (req, res) => {
       extraDiscount = 0,
       paymentReference = '',
       storeId,
-      gst,
-      cgst,
-      gstRate,
-      cgstRate,
+      customerState,
+      buyer,
+      heldBillId,
+      quotationId,
+      redeemPoints = 0,
+      couponCodes = [],
+      couponCode,
+      approval = {},
       notes,
       // Notification options - WhatsApp disabled for now
       sendWhatsApp = false, // Will be ignored - WhatsApp disabled
       sendEmail = false
     } = req.body;
 
-    // Handle both gst/cgst and gstRate/cgstRate naming conventions
-    const gstValue = gst || gstRate || 0;
-    const cgstValue = cgst || cgstRate || 0;    // Determine storeId with multiple fallback options
+    // Determine storeId with multiple fallback options
     let assignedStoreId = storeId || req.user.storeId;
     
     // If still no storeId, try to get the first available store for this user's role
@@ -159,6 +289,55 @@ const recordSale = async (req, res) => {
         });
       }
 
+      // When completing a parked cart, its own reservations count as available stock
+      let heldBill = null;
+      const ownReserved = new Map();
+      if (heldBillId) {
+        heldBill = await HeldBill.findOne({
+          _id: heldBillId,
+          storeId: assignedStoreId,
+          status: 'held'
+        }).session(session);
+
+        if (!heldBill) {
+          await session.abortTransaction();
+          return res.status(409).json({
+            success: false,
+            message: 'Held bill not found or already resumed'
+          });
+        }
+
+        heldBill.items.forEach(item => {
+          if (item.reservedQty > 0) ownReserved.set(item.itemId.toString(), item.reservedQty);
+        });
+      }
+
+      let quotation = null;
+      if (quotationId) {
+        quotation = await Quotation.findOne({
+          _id: quotationId,
+          storeId: assignedStoreId,
+          status: 'open'
+        }).session(session);
+
+        if (!quotation) {
+          await session.abortTransaction();
+          return res.status(409).json({
+            success: false,
+            message: 'Quotation not found or already converted'
+          });
+        }
+      }
+
+      // Kits are billed from their components' stock
+      const kitComponents = await loadKitComponents(inventoryItems, session);
+      const componentDemand = new Map();
+      const reservedInBill = new Map(ownReserved);
+
+      // Batch-tracked stock is picked first-expiry-first-out
+      const pickBatches = createBatchPicker(session);
+      const batchUpdates = [];
+
       // Check stock availability and prepare sale items
       const saleItems = [];
       const stockUpdates = [];
@@ -176,39 +355,237 @@ const recordSale = async (req, res) => {
           });
         }
 
-        if (inventoryItem.stockQty < requestedItem.quantity) {
+        // Loose items take decimals up to the item's precision; counted items stay whole
+        if (!isValidQuantity(requestedItem.quantity, inventoryItem.quantityPrecision)) {
           await session.abortTransaction();
           return res.status(400).json({
             success: false,
-            message: `Insufficient stock for ${inventoryItem.name}. Available: ${inventoryItem.stockQty}, Requested: ${requestedItem.quantity}`
+            message: inventoryItem.quantityPrecision > 0
+              ? `${inventoryItem.name} is sold in ${inventoryItem.unit} with at most ${inventoryItem.quantityPrecision} decimals`
+              : `${inventoryItem.name} is sold in whole ${inventoryItem.unit}`
+          });
+        }
+
+        // Stock parked in other held bills is not available for this sale
+        const reservedForThisBill = ownReserved.get(requestedItem.itemId) || 0;
+        let lineBatches = null;
+        let lineSerials = null;
+        if (inventoryItem.isKit) {
+          // Components are checked once all lines are known, as one may also be billed on its own
+          explodeKit(inventoryItem.kitComponents, requestedItem.quantity).forEach(({ itemId, quantity }) => {
+            const componentId = itemId.toString();
+            componentDemand.set(componentId, addQuantities(componentDemand.get(componentId) || 0, quantity));
           });
+        } else {
+          const availableQty = addQuantities(inventoryItem.stockQty, -(inventoryItem.reservedQty || 0), reservedForThisBill);
+          if (availableQty < requestedItem.quantity) {
+            await session.abortTransaction();
+            return res.status(400).json({
+              success: false,
+              message: `Insufficient stock for ${inventoryItem.name}. Available: ${formatQuantity(availableQty, inventoryItem.unit)}, Requested: ${formatQuantity(requestedItem.quantity, inventoryItem.unit)}`
+            });
+          }
+
+          if (inventoryItem.trackBatches) {
+            const { allocations, shortfall } = await pickBatches(inventoryItem, requestedItem.quantity);
+            if (shortfall > 0) {
+              await session.abortTransaction();
+              return res.status(400).json({
+                success: false,
+                message: `Only ${formatQuantity(addQuantities(requestedItem.quantity, -shortfall), inventoryItem.unit)} of ${inventoryItem.name} is within its expiry date`
+              });
+            }
+            lineBatches = allocations;
+            batchUpdates.push(...batchDeductions(allocations));
+          }
+
+          // Serial-tracked units are picked one by one (IMEI / serial scanned at the counter)
+          if (inventoryItem.trackSerials) {
+            const { serials, error } = await checkSerialsForSale(
+              inventoryItem, requestedItem.serials || [], requestedItem.quantity, session
+            );
+            if (error) {
+              await session.abortTransaction();
+              return res.status(400).json({
+                success: false,
+                message: error
+              });
+            }
+            lineSerials = serials;
+          }
         }
 
+        // A line may be charged at a different price than the shelf price (needs approval below)
+        const priceOverridden = requestedItem.overridePrice !== undefined
+          && requestedItem.overridePrice !== null
+          && roundCurrency(Number(requestedItem.overridePrice)) !== inventoryItem.sellPrice;
+        const unitPrice = priceOverridden ? roundCurrency(Number(requestedItem.overridePrice)) : inventoryItem.sellPrice;
+
         // Prepare sale item
         saleItems.push({
           itemId: inventoryItem._id,
           itemName: inventoryItem.name,
           brand: inventoryItem.brand,
           quantity: requestedItem.quantity,
-          unitPrice: inventoryItem.sellPrice,
-          totalPrice: inventoryItem.sellPrice * requestedItem.quantity,
+          unit: inventoryItem.unit || 'pcs',
+          unitPrice,
+          listPrice: priceOverridden ? inventoryItem.sellPrice : null,
+          priceOverridden,
+          overrideReason: priceOverridden ? (requestedItem.overrideReason || '') : '',
+          totalPrice: roundCurrency(unitPrice * requestedItem.quantity),
           mrp: inventoryItem.mrpPrice,
-          sku: inventoryItem.sku || ''
+          sku: inventoryItem.sku || '',
+          category: inventoryItem.category || null,
+          hsnCode: inventoryItem.hsnCode || '',
+          taxRate: inventoryItem.taxRate || 0,
+          priceIncludesTax: inventoryItem.priceIncludesTax !== false,
+          ...(lineBatches?.length && { batches: lineBatches }),
+          ...(lineSerials && { serialNumbers: lineSerials }),
+          ...(inventoryItem.isKit && {
+            components: inventoryItem.kitComponents.map(({ itemId, quantity }) => ({
+              itemId,
+              itemName: kitComponents.get(itemId.toString())?.name || '',
+              quantity
+            }))
+          })
+        });
+
+        // Prepare stock update (rounded so decimal quantities do not drift)
+        if (!inventoryItem.isKit) {
+          stockUpdates.push({
+            updateOne: {
+              filter: { _id: inventoryItem._id },
+              update: quantityIncrement(reservedForThisBill > 0
+                ? { stockQty: -requestedItem.quantity, reservedQty: -reservedForThisBill }
+                : { stockQty: -requestedItem.quantity })
+            }
+          });
+        }
+        ownReserved.delete(requestedItem.itemId);
+      }
+
+      // Deduct kit components, making sure units billed directly on another line are covered too
+      for (const [componentId, kitQuantity] of componentDemand) {
+        const component = kitComponents.get(componentId);
+        const directLine = items.find(item => item.itemId === componentId);
+        const requiredQty = addQuantities(kitQuantity, directLine ? directLine.quantity : 0);
+        const availableQty = component && !component.isDeleted
+          ? addQuantities(component.stockQty, -(component.reservedQty || 0), reservedInBill.get(componentId) || 0)
+          : 0;
+        if (availableQty < requiredQty) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            success: false,
+            message: `Insufficient stock for kit component ${component?.name || componentId}. Available: ${formatQuantity(availableQty, component?.unit)}, Requested: ${formatQuantity(requiredQty, component?.unit)}`
+          });
+        }
+
+        // Kit lines carry no serials, so a component that became serial-tracked cannot go out in a kit
+        if (component.trackSerials) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            success: false,
+            message: `Kit component ${component.name} is serial-tracked; bill it on its own line`
+          });
+        }
+
+        stockUpdates.push({
+          updateOne: {
+            filter: { _id: componentId },
+            update: quantityIncrement({ stockQty: -kitQuantity })
+          }
         });
+      }
 
-        // Prepare stock update
+      // Components come out of their batches too, recorded on each kit line so a return or
+      // cancellation puts the units back into the lots they came from
+      for (const saleItem of saleItems.filter(item => item.components)) {
+        for (const kitComponent of saleItem.components) {
+          const component = kitComponents.get(kitComponent.itemId.toString());
+          if (!component.trackBatches) continue;
+
+          const [{ quantity }] = explodeKit([kitComponent], saleItem.quantity);
+          const { allocations, shortfall } = await pickBatches(component, quantity);
+          if (shortfall > 0) {
+            await session.abortTransaction();
+            return res.status(400).json({
+              success: false,
+              message: `Only ${formatQuantity(addQuantities(quantity, -shortfall), component.unit)} of kit component ${component.name} is within its expiry date`
+            });
+          }
+          kitComponent.batches = allocations;
+          batchUpdates.push(...batchDeductions(allocations));
+        }
+      }
+
+      // Release reservations for items that were dropped from the parked cart
+      ownReserved.forEach((reservedQty, itemId) => {
         stockUpdates.push({
           updateOne: {
-            filter: { _id: inventoryItem._id },
-            update: {
-              $inc: { stockQty: -requestedItem.quantity }
-            }
+            filter: { _id: itemId },
+            update: quantityIncrement({ reservedQty: -reservedQty })
           }
         });
+      });
+
+      // Price overrides and discounts beyond the cashier's cap need a manager's PIN
+      const hasOverrides = saleItems.some(item => item.priceOverridden);
+      const listSubtotal = roundCurrency(saleItems.reduce(
+        (total, item) => total + (item.priceOverridden ? item.listPrice : item.unitPrice) * item.quantity, 0
+      ));
+      const overrideReduction = saleItems
+        .filter(item => item.priceOverridden)
+        .reduce((total, item) => total + Math.max(0, (item.listPrice - item.unitPrice) * item.quantity), 0);
+      const manualDiscount = roundCurrency(Number(discount) + Number(extraDiscount) + overrideReduction);
+
+      const billingControls = await getBillingControls(assignedStoreId, session);
+      const approvalCheck = assessApproval({
+        controls: billingControls,
+        role: req.user.role,
+        manualDiscount,
+        subtotal: listSubtotal,
+        hasOverrides
+      });
+
+      let approver = null;
+      if (approvalCheck.required) {
+        try {
+          approver = await verifyApprover({
+            approverId: approval.approverId || req.user.id,
+            pin: approval.pin,
+            storeId: assignedStoreId,
+            controls: billingControls,
+            manualDiscount,
+            subtotal: listSubtotal,
+            hasOverrides,
+            session
+          });
+        } catch (approvalError) {
+          if (!approvalError.statusCode) throw approvalError;
+          await session.abortTransaction();
+
+          await logAudit({
+            userId: req.user.id,
+            action: 'approval_denied',
+            targetType: 'bill',
+            details: {
+              approverId: approval.approverId || req.user.id,
+              reasons: approvalCheck.reasons,
+              manualDiscount,
+              error: approvalError.message
+            }
+          });
+
+          return res.status(approvalError.statusCode).json({
+            success: false,
+            message: approvalError.message,
+            approvalRequired: true,
+            reasons: approvalCheck.reasons
+          });
+        }
       }
 
-      // Calculate pricing
-      const pricing = calculatePricing(saleItems, discount, extraDiscount);      // Fetch customer information if customerId provided
+      // Fetch customer information if customerId provided
       let customer = null;
       let finalCustomerName = customerName || 'Walk-in Customer';
       let finalCustomerPhone = customerPhone || '';
@@ -230,8 +607,111 @@ const recordSale = async (req, res) => {
         finalCustomerEmail = customerEmail || customer.email || '';
       }
 
-      // Generate invoice number
-      const invoiceNumber = await generateInvoiceNumber();
+      const { placeOfSupply, isInterState } = await resolvePlaceOfSupply({
+        storeId: assignedStoreId,
+        customer,
+        customerState: customerState || buyer?.state,
+        session
+      });
+
+      // Loyalty rules only matter for registered customers
+      const loyaltyRules = customer ? await getLoyaltyRules(assignedStoreId, session) : null;
+      const pointsToRedeem = parseInt(redeemPoints) || 0;
+
+      // Automatic promotions plus any unlocked by the coupons entered
+      let promotions;
+      try {
+        promotions = await loadPromotions(assignedStoreId, {
+          couponCodes: couponCode ? [...couponCodes, couponCode] : couponCodes,
+          customerId: customer ? customer._id : null,
+          session
+        });
+      } catch (promotionError) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: promotionError.message
+        });
+      }
+
+      // Calculate pricing
+      let pricing = calculatePricing(saleItems, { discount, extraDiscount, isInterState, promotions });
+
+      // Redeemed points are taken off the bill as a discount, before GST
+      if (pointsToRedeem > 0) {
+        if (!customer || !loyaltyRules.enabled) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            success: false,
+            message: customer
+              ? 'Loyalty points are not enabled for this store'
+              : 'Redeeming loyalty points requires a registered customer (customerId)'
+          });
+        }
+
+        await expirePoints(customer._id, { session });
+        const pointsBalance = (await User.findById(customer._id).select('profile.loyaltyPoints').session(session))
+          ?.profile?.loyaltyPoints || 0;
+
+        let redemption;
+        try {
+          if (pointsToRedeem > pointsBalance) {
+            throw new Error(`Insufficient loyalty points. Available: ${pointsBalance}, Requested: ${pointsToRedeem}`);
+          }
+          redemption = calculateRedemption(pointsToRedeem, pricing.finalAmount, loyaltyRules);
+        } catch (redemptionError) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            success: false,
+            message: redemptionError.message
+          });
+        }
+
+        pricing = calculatePricing(saleItems, {
+          discount,
+          extraDiscount,
+          loyaltyDiscount: redemption.discount,
+          isInterState,
+          promotions
+        });
+      }
+
+      const pointsEarned = loyaltyRules?.enabled
+        ? calculateEarnedPoints(pricing.items, loyaltyRules).points
+        : 0;
+
+      // Split the bill across tenders (a single paymentMode becomes one tender)
+      let tenders;
+      try {
+        tenders = Sale.normalizePayments({
+          payments,
+          paymentMode,
+          paymentReference,
+          totalAmount: pricing.finalAmount
+        });
+      } catch (paymentError) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: paymentError.message
+        });
+      }
+
+      // Anything put on the customer's account needs a customer to post it to
+      const creditAmount = getCreditTenderAmount({ ...tenders, totalAmount: pricing.finalAmount });
+      if (creditAmount > 0 && !customer) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'Credit sales require a registered customer (customerId)'
+        });
+      }
+
+      // Take the next number from the store's invoice series (rolled back with the transaction)
+      const invoiceNumber = await Sale.generateInvoiceNumber(assignedStoreId, { session });
+
+      // Link the bill to the cashier's open drawer so the shift's cash can be reconciled
+      const shift = await findOpenShift(assignedStoreId, req.user.id, session);
 
       // Create sale record
       const sale = new Sale({
@@ -240,31 +720,147 @@ const recordSale = async (req, res) => {
         customerName: finalCustomerName,
         customerPhone: finalCustomerPhone,
         customerEmail: finalCustomerEmail,
+        ...(buyer && { buyer }),
         items: pricing.items,
-        paymentMode,
+        paymentMode: tenders.paymentMode,
         paymentReference,
+        payments: tenders.payments,
+        // UPI collected without a transaction reference is confirmed later
+        paymentStatus: tenders.payments.some(payment => payment.mode === 'upi' && !payment.reference) ? 'pending' : 'paid',
         subtotal: pricing.subtotal,
         mrpTotal: pricing.mrpTotal,
         discount: pricing.discount,
         extraDiscount: pricing.extraDiscount,
+        promotionDiscount: pricing.promotionDiscount,
+        appliedPromotions: pricing.appliedPromotions,
+        ...(approver && {
+          approval: {
+            approvedBy: approver._id,
+            approvedAt: new Date(),
+            reasons: approvalCheck.reasons,
+            note: approval.note || ''
+          }
+        }),
+        loyaltyPointsRedeemed: pricing.loyaltyDiscount > 0 ? pointsToRedeem : 0,
+        loyaltyDiscount: pricing.loyaltyDiscount,
+        loyaltyPointsEarned: pointsEarned,
         totalDiscount: pricing.totalDiscount,        totalAmount: pricing.finalAmount, // Model expects totalAmount, not finalAmount
         finalAmount: pricing.finalAmount,
         savings: pricing.savings,
-        gst: gstValue,
-        cgst: cgstValue,
-        totalTax: 0, // Will be calculated if needed        saleDate: new Date(),
+        placeOfSupply,
+        isInterState,
+        taxableAmount: pricing.taxableAmount,
+        cgstAmount: pricing.cgstAmount,
+        sgstAmount: pricing.sgstAmount,
+        igstAmount: pricing.igstAmount,
+        totalTax: pricing.totalTax,
+        taxBreakup: pricing.taxBreakup,
         handledBy: req.user.id, // Model expects handledBy, not soldBy
+        shiftId: shift ? shift._id : null,
         storeId: assignedStoreId,
-        notes: notes || ''
+        notes: notes || '',
+        quotationId: quotation ? quotation._id : null
       });
 
       // Save sale
       await sale.save({ session });
 
+      // Count the bill against promotion usage limits (rolled back with the transaction)
+      const exhaustedPromotions = await recordPromotionUsage(pricing.appliedPromotions, { session });
+      if (exhaustedPromotions.length > 0) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          message: `Promotion usage limit reached: ${exhaustedPromotions.join(', ')}. Please retry the bill.`
+        });
+      }
+
       // Update inventory stock levels
       if (stockUpdates.length > 0) {
         await InventoryItem.bulkWrite(stockUpdates, { session });
       }
+      if (batchUpdates.length > 0) {
+        await StockBatch.bulkWrite(batchUpdates, { session });
+      }
+
+      // Move the picked serial numbers onto the bill
+      for (const saleItem of sale.items.filter(item => item.serialNumbers?.length)) {
+        const moved = await recordSerialEvent({
+          itemId: saleItem.itemId,
+          serials: saleItem.serialNumbers,
+          event: 'sold',
+          sale,
+          userId: req.user.id,
+          session
+        });
+        if (moved !== saleItem.serialNumbers.length) {
+          await session.abortTransaction();
+          return res.status(409).json({
+            success: false,
+            message: `Serial numbers of ${saleItem.itemName} were sold on another bill. Please retry the bill.`
+          });
+        }
+      }
+
+      if (heldBill) {
+        heldBill.status = 'resumed';
+        heldBill.resumedBy = req.user.id;
+        heldBill.resumedAt = new Date();
+        heldBill.saleId = sale._id;
+        heldBill.invoiceNumber = sale.invoiceNumber;
+        await heldBill.save({ session });
+      }
+
+      if (quotation) {
+        quotation.status = 'converted';
+        quotation.convertedBy = req.user.id;
+        quotation.convertedAt = new Date();
+        quotation.saleId = sale._id;
+        quotation.invoiceNumber = sale.invoiceNumber;
+        await quotation.save({ session });
+      }
+
+      // Post the credit portion to the customer's ledger
+      if (creditAmount > 0) {
+        await postEntry({
+          customerId: customer._id,
+          storeId: assignedStoreId,
+          type: 'debit',
+          source: 'sale',
+          amount: creditAmount,
+          saleId: sale._id,
+          invoiceNumber: sale.invoiceNumber,
+          recordedBy: req.user.id,
+          session
+        });
+      }
+
+      if (sale.loyaltyPointsRedeemed > 0) {
+        await postLoyaltyTransaction({
+          customerId: customer._id,
+          storeId: assignedStoreId,
+          type: 'redeem',
+          points: sale.loyaltyPointsRedeemed,
+          saleId: sale._id,
+          invoiceNumber: sale.invoiceNumber,
+          recordedBy: req.user.id,
+          session
+        });
+      }
+
+      if (pointsEarned > 0) {
+        await postLoyaltyTransaction({
+          customerId: customer._id,
+          storeId: assignedStoreId,
+          type: 'earn',
+          points: pointsEarned,
+          rules: loyaltyRules,
+          saleId: sale._id,
+          invoiceNumber: sale.invoiceNumber,
+          recordedBy: req.user.id,
+          session
+        });
+      }
 
       // Commit transaction
       await session.commitTransaction();      // Populate sale with related data for response
@@ -318,6 +914,12 @@ const recordSale = async (req, res) => {
           totalAmount: sale.totalAmount,
           itemsCount: sale.items.length,
           savings: sale.savings,
+          promotions: sale.appliedPromotions,
+          loyalty: {
+            pointsRedeemed: sale.loyaltyPointsRedeemed,
+            discount: sale.loyaltyDiscount,
+            pointsEarned: sale.loyaltyPointsEarned
+          },
           customer: customer ? {
             id: customer._id,
             name: finalCustomerName,
@@ -358,16 +960,47 @@ const recordSale = async (req, res) => {
         targetType: 'bill',
         targetId: sale._id,
         details: { createdBy: req.user.id, sale }
-      });
+      }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit bill'));
+
+      if (approver) {
+        await logAudit({
+          userId: approver._id,
+          action: 'approve_override',
+          targetType: 'bill',
+          targetId: sale._id,
+          details: {
+            invoiceNumber: sale.invoiceNumber,
+            approvedBy: approver._id,
+            approverName: `${approver.firstName} ${approver.lastName}`,
+            requestedBy: req.user.id,
+            reasons: approvalCheck.reasons,
+            manualDiscount,
+            overrides: sale.items
+              .filter(item => item.priceOverridden)
+              .map(item => ({
+                itemId: item.itemId,
+                listPrice: item.listPrice,
+                unitPrice: item.unitPrice,
+                reason: item.overrideReason
+              }))
+          }
+        }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit approval override'));
+      }
 
     } catch (error) {
-      await session.abortTransaction();
+      if (session.inTransaction()) await session.abortTransaction();
       throw error;
     } finally {
       session.endSession();
     }
 
   } catch (error) {
+    // Bills of a store billed at the same moment contend for its invoice counter (and open
+    // shift); the losing transaction was rolled back whole, so the sale is simply run again
+    if (error.hasErrorLabel?.('TransientTransactionError') && !res.headersSent
+      && (req.saleAttempts = (req.saleAttempts || 1) + 1) <= MAX_SALE_ATTEMPTS) {
+      return recordSale(req, res);
+    }
     logger.error({ err: error }, 'Error recording sale');
     res.status(500).json({
       success: false,
@@ -429,10 +1062,10 @@ const getSalesStats = async (req, res) => {
         break;
     }
 
-    // Build additional filters
-    let additionalFilters = {};
+    // Build additional filters (cancelled invoices never count towards sales)
+    let additionalFilters = { status: { $ne: 'cancelled' } };
     if (storeId) additionalFilters.storeId = storeId;
-    if (paymentMode) additionalFilters.paymentMode = paymentMode;
+    if (paymentMode) Object.assign(additionalFilters, Sale.paymentModeFilter(paymentMode));
 
     const matchFilter = { ...dateFilter, ...additionalFilters };
 
@@ -447,33 +1080,18 @@ const getSalesStats = async (req, res) => {
           totalItems: { $sum: { $size: '$items' } },
           totalDiscount: { $sum: '$totalDiscount' },
           totalSavings: { $sum: '$savings' },
-          averageOrderValue: { $avg: '$finalAmount' },
-          
-          // Payment mode breakdown
-          cashSales: {
-            $sum: {
-              $cond: [{ $eq: ['$paymentMode', 'cash'] }, '$finalAmount', 0]
-            }
-          },
-          upiSales: {
-            $sum: {
-              $cond: [{ $eq: ['$paymentMode', 'upi'] }, '$finalAmount', 0]
-            }
-          },
-          cardSales: {
-            $sum: {
-              $cond: [{ $eq: ['$paymentMode', 'card'] }, '$finalAmount', 0]
-            }
-          },
-          creditSales: {
-            $sum: {
-              $cond: [{ $eq: ['$paymentMode', 'credit'] }, '$finalAmount', 0]
-            }
-          }
+          averageOrderValue: { $avg: '$finalAmount' }
         }
       }
     ]);
 
+    // Payment mode breakdown, computed from the individual tenders of each bill
+    const paymentBreakdown = await Sale.aggregate([
+      { $match: matchFilter },
+      ...Sale.paymentBreakdownStages()
+    ]);
+    const tenderTotal = (mode) => paymentBreakdown.find(entry => entry._id === mode)?.amount || 0;
+
     // Get top selling items
     const topItems = await Sale.aggregate([
       { $match: matchFilter },
@@ -564,17 +1182,19 @@ const getSalesStats = async (req, res) => {
       },
       { $sort: { totalSpent: -1 } },
       { $limit: 10 }
-    ]);    const stats = salesStats[0] || {
-      totalSales: 0,
-      totalRevenue: 0,
-      totalItems: 0,
-      totalDiscount: 0,
-      totalSavings: 0,
-      averageOrderValue: 0,
-      cashSales: 0,
-      upiSales: 0,
-      cardSales: 0,
-      creditSales: 0
+    ]);    const stats = {
+      ...(salesStats[0] || {
+        totalSales: 0,
+        totalRevenue: 0,
+        totalItems: 0,
+        totalDiscount: 0,
+        totalSavings: 0,
+        averageOrderValue: 0
+      }),
+      cashSales: tenderTotal('cash'),
+      upiSales: tenderTotal('upi'),
+      cardSales: tenderTotal('card'),
+      creditSales: tenderTotal('credit')
     };
 
     const customerAnalytics = customerStats[0] || {
@@ -589,6 +1209,7 @@ const getSalesStats = async (req, res) => {
       data: {
         period,
         stats,
+        paymentBreakdown,
         customerAnalytics,
         topItems,
         topCustomers,
@@ -607,50 +1228,56 @@ const getSalesStats = async (req, res) => {
   }
 };
 
+/**
+ * Sale filter for the invoice list query, shared with the bill export
+ * Filters: search, paymentMode (any tender), paymentStatus, status, customerId,
+ * handledBy (staff), startDate/endDate on saleDate
+ */
+const buildInvoiceFilter = ({ search, paymentMode, paymentStatus, status, customerId, handledBy, startDate, endDate }) => {
+  const filter = {};
+  const conditions = [];
+
+  if (search) {
+    conditions.push({
+      $or: [
+        { invoiceNumber: { $regex: search, $options: 'i' } },
+        { customerName: { $regex: search, $options: 'i' } },
+        { customerPhone: { $regex: search, $options: 'i' } }
+      ]
+    });
+  }
+  if (paymentMode) conditions.push(Sale.paymentModeFilter(paymentMode));
+  if (conditions.length > 0) filter.$and = conditions;
+
+  if (paymentStatus) filter.paymentStatus = paymentStatus;
+  if (status) filter.status = status;
+  if (customerId) filter.customerId = customerId;
+  if (handledBy) filter.handledBy = handledBy;
+
+  if (startDate || endDate) {
+    filter.saleDate = {};
+    if (startDate) filter.saleDate.$gte = new Date(startDate);
+    if (endDate) filter.saleDate.$lte = new Date(endDate);
+  }
+
+  return filter;
+};
+
 /**
  * Get paginated list of invoices/sales
  * GET /api/billing/invoices
+ * Scoped like the bill export: admins may pass storeId, everyone else sees their own store
  */
 const getInvoices = async (req, res) => {
   try {
     const {
       page = 1,
       limit = 20,
-      search = '',
-      paymentMode,
-      startDate,
-      endDate,
-      customerId,
       sortBy = 'saleDate',
       sortOrder = 'desc'
     } = req.query;
 
-    // Build search filter
-    let searchFilter = {};
-    
-    if (search) {
-      searchFilter = {
-        $or: [
-          { invoiceNumber: { $regex: search, $options: 'i' } },
-          { customerName: { $regex: search, $options: 'i' } },
-          { customerPhone: { $regex: search, $options: 'i' } }
-        ]
-      };
-    }
-
-    // Build additional filters
-    let additionalFilters = {};
-    if (paymentMode) additionalFilters.paymentMode = paymentMode;
-    if (customerId) additionalFilters.customerId = customerId;
-    
-    if (startDate && endDate) {
-      additionalFilters.saleDate = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
-    }
-
-    const filters = { ...searchFilter, ...additionalFilters };
+    const filters = storeScopedFilter(req, buildInvoiceFilter(req.query));
 
     // Build sort object
     const sort = {};
@@ -704,7 +1331,7 @@ const getInvoiceForPrint = async (req, res) => {
   try {
     const { invoiceNumber } = req.params;
 
-    const sale = await Sale.findOne({ invoiceNumber })
+    const sale = await Sale.findOne(storeScopedFilter(req, { invoiceNumber }))
       .populate('customerId', 'firstName lastName email phone address role createdAt')
       .populate('handledBy', 'firstName lastName name email role')
       .populate('items.itemId', 'name brand sku');
@@ -716,9 +1343,15 @@ const getInvoiceForPrint = async (req, res) => {
       });
     }
 
+    // Pending UPI bills carry a QR the customer can scan to pay
+    const upiQr = await getSaleUpiQr(sale, { format: 'dataUrl' });
+
     res.json({
       success: true,
-      data: { sale }
+      data: {
+        sale,
+        upi: upiQr ? { payload: upiQr.payload, amount: upiQr.amount, qrDataUrl: upiQr.image } : null
+      }
     });
 
   } catch (error) {
@@ -739,7 +1372,7 @@ const getInvoicePDF = async (req, res) => {
   try {
     const { invoiceNumber } = req.params;
 
-    const sale = await Sale.findOne({ invoiceNumber })
+    const sale = await Sale.findOne(storeScopedFilter(req, { invoiceNumber }))
       .populate('customerId', 'firstName lastName name email phone address role createdAt')
       .populate('handledBy', 'firstName lastName name email role')
       .populate('items.itemId', 'name brand sku');
@@ -751,23 +1384,10 @@ const getInvoicePDF = async (req, res) => {
       });
     }
 
-    // Fetch the store document using sale.storeId
-    const storeDoc = await Store.findById(sale.storeId);
-    let store = null;
-    if (storeDoc) {
-      // Map all relevant fields for the PDF
-      store = {
-        name: storeDoc.name,
-        description: storeDoc.description,
-        storeType: storeDoc.storeType,
-        address: storeDoc.location?.address + ', ' + storeDoc.location?.city + ', ' + storeDoc.location?.state + ' - ' + storeDoc.location?.pincode + ', ' + storeDoc.location?.country,
-        phone: storeDoc.contactInfo?.phone,
-        email: storeDoc.contactInfo?.email,
-        website: storeDoc.contactInfo?.website,
-        operatingHours: storeDoc.operatingHours
-      };
-      logger.debug({ store }, 'PDF Store details'); // Debug print
-    }
+    // Fetch the store details using sale.storeId
+    const store = await getStoreDetailsForPDF(sale.storeId);
+    const upiQr = await getSaleUpiQr(sale);
+    const eInvoice = await getEInvoiceQr(sale);
 
     // Create PDF document
     const doc = new PDFDocument({ margin: 50 });
@@ -776,7 +1396,7 @@ const getInvoicePDF = async (req, res) => {
     doc.pipe(res);
 
     // Use the improved PDF content generator
-    generateInvoicePDFContent(doc, sale, store);
+    generateInvoicePDFContent(doc, sale, store, { upiQr, eInvoice });
     doc.end();
 
   } catch (error) {
@@ -790,45 +1410,131 @@ const getInvoicePDF = async (req, res) => {
 };
 
 /**
- * Get customer purchase history
- * GET /api/billing/customer/:customerId/history
+ * Thermal receipt for 58mm/80mm counter printers, as a narrow PDF or ESC/POS bytes
+ * ESC/POS options: cut (default true), drawer (kick the cash drawer), encoding=base64 to get
+ * the bytes inside JSON for apps that print over Bluetooth
  */
-const getCustomerHistory = async (req, res) => {
+const getInvoiceReceipt = async (req, res) => {
   try {
-    const { customerId } = req.params;
-    const {
-      page = 1,
-      limit = 10,
-      startDate,
-      endDate,
-      sortBy = 'saleDate',
-      sortOrder = 'desc'
-    } = req.query;
+    const { invoiceNumber } = req.params;
+    const { paper = '80', format = 'pdf', cut = 'true', drawer = 'false', encoding } = req.query;
 
-    // Verify customer exists
-    const customer = await User.findById(customerId);
-    if (!customer) {
-      return res.status(404).json({
+    const paperWidth = resolvePaper(paper);
+    if (!paperWidth || !['pdf', 'escpos'].includes(format)) {
+      return res.status(400).json({
         success: false,
-        message: 'Customer not found'
+        message: 'Receipts support paper=58 or 80 and format=pdf or escpos'
       });
     }
 
-    // Build date filter
-    let dateFilter = { customerId };
-    if (startDate && endDate) {
-      dateFilter.saleDate = {
-        $gte: new Date(startDate),
-        $lte: new Date(endDate)
-      };
+    const sale = await Sale.findOne(storeScopedFilter(req, { invoiceNumber }))
+      .populate('handledBy', 'firstName lastName');
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const store = await getStoreDetailsForPDF(sale.storeId);
+    const upiQr = await getSaleUpiQr(sale);
+    const lines = buildReceiptLines(sale, store, { paper: paperWidth, upiQr });
 
-    // Get paginated purchase history
-    const options = {
+    if (format === 'escpos') {
+      const bytes = renderEscPos(lines, { cut: cut !== 'false', openDrawer: drawer === 'true' });
+
+      if (encoding === 'base64') {
+        return res.json({
+          success: true,
+          data: {
+            invoiceNumber: sale.invoiceNumber,
+            paper: paperWidth,
+            escpos: bytes.toString('base64')
+          }
+        });
+      }
+
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="receipt-${invoiceNumber}.bin"`);
+      return res.send(bytes);
+    }
+
+    const doc = new PDFDocument({ size: getReceiptPageSize(lines, paperWidth), margin: 0 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="receipt-${invoiceNumber}.pdf"`);
+    doc.pipe(res);
+    generateReceiptPDFContent(doc, lines, paperWidth);
+    doc.end();
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error generating receipt');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate receipt',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get an invoice in the format the client asks for
+ * GET /api/billing/invoices/:invoiceNumber?format=json|pdf|escpos&paper=a4|58|80
+ * json (the default) returns the invoice details; pdf the A4 invoice, or the thermal receipt
+ * with paper=58 or 80; escpos the receipt as printer bytes (80mm unless paper says otherwise)
+ */
+const getInvoice = (req, res) => {
+  const { format = 'json', paper = 'a4' } = req.query;
+
+  if (format === 'json') {
+    return getInvoiceForPrint(req, res);
+  }
+  if (format === 'pdf' && paper === 'a4') {
+    return getInvoicePDF(req, res);
+  }
+  return getInvoiceReceipt(req, res);
+};
+
+/**
+ * Get customer purchase history
+ * GET /api/billing/customer/:customerId/history
+ */
+const getCustomerHistory = async (req, res) => {
+  try {
+    const { customerId } = req.params;
+    const {
+      page = 1,
+      limit = 10,
+      startDate,
+      endDate,
+      sortBy = 'saleDate',
+      sortOrder = 'desc'
+    } = req.query;
+
+    // Verify customer exists
+    const customer = await User.findById(customerId);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    // Build date filter
+    let dateFilter = { customerId };
+    if (startDate && endDate) {
+      dateFilter.saleDate = {
+        $gte: new Date(startDate),
+        $lte: new Date(endDate)
+      };
+    }
+
+    // Build sort object
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    // Get paginated purchase history
+    const options = {
       page: parseInt(page),
       limit: parseInt(limit),
       sort,
@@ -954,7 +1660,7 @@ const sendInvoiceNotifications = async (req, res) => {
     } = req.body;
 
     // Find the sale/invoice
-    const sale = await Sale.findOne({ invoiceNumber })
+    const sale = await Sale.findOne(storeScopedFilter(req, { invoiceNumber }))
       .populate('customerId', 'firstName lastName email phone')
       .populate('items.itemId', 'name brand');
 
@@ -1072,56 +1778,869 @@ const sendInvoiceNotifications = async (req, res) => {
 };
 
 /**
- * Export bills/invoices as CSV, XLSX, or PDF
- * @route GET /billing/export?format=csv|xlsx|pdf
- * @access Admin/Owner only
+ * Return some or all items of an invoice and issue a credit note
+ * POST /api/billing/invoices/:invoiceNumber/returns
  */
-const exportBills = async (req, res) => {
-  const { format = 'csv' } = req.query;
-  const bills = await Sale.find({}).lean();
-  if (!bills || bills.length === 0) {
-    return res.status(404).json({ success: false, message: 'No bills found' });
+const createSalesReturn = async (req, res) => {
+  try {
+    const { invoiceNumber } = req.params;
+    const { items, reason = '', refundMode = 'cash' } = req.body;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const sale = await Sale.findOne(storeScopedFilter(req, { invoiceNumber })).session(session);
+
+      if (!sale) {
+        await session.abortTransaction();
+        return res.status(404).json({
+          success: false,
+          message: 'Invoice not found'
+        });
+      }
+
+      if (['cancelled', 'full_refund'].includes(sale.status)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Items cannot be returned for an invoice with status '${sale.status}'`
+        });
+      }
+
+      if (refundMode === 'credit' && !sale.customerId) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: 'Refunds to the customer account need an invoice with a registered customer'
+        });
+      }
+
+      // Bill-level discounts are shared proportionally across the returned lines
+      const amountRatio = sale.subtotal > 0 ? sale.totalAmount / sale.subtotal : 1;
+
+      const creditNoteItems = [];
+      const stockUpdates = [];
+      const batchUpdates = [];
+      const serialReturns = [];
+
+      for (const requestedItem of items) {
+        const saleItem = sale.items.find(
+          item => item.itemId.toString() === requestedItem.itemId
+        );
+
+        if (!saleItem) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            success: false,
+            message: `Item ${requestedItem.itemId} is not part of invoice ${invoiceNumber}`
+          });
+        }
+
+        const returnableQuantity = addQuantities(saleItem.quantity, -(saleItem.returnedQuantity || 0));
+        if (requestedItem.quantity > returnableQuantity) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            success: false,
+            message: `Cannot return ${formatQuantity(requestedItem.quantity, saleItem.unit)} of ${saleItem.itemName}. Returnable: ${formatQuantity(returnableQuantity, saleItem.unit)}`
+          });
+        }
+
+        // Serial-tracked units come back by serial number, which must be from this line
+        if (saleItem.serialNumbers?.length) {
+          const serials = normalizeSerials(requestedItem.serials || []);
+          const returnableSerials = saleItem.serialNumbers
+            .filter(serial => !(saleItem.returnedSerialNumbers || []).includes(serial));
+          if (serials.length !== requestedItem.quantity
+            || new Set(serials).size !== serials.length
+            || serials.some(serial => !returnableSerials.includes(serial))) {
+            await session.abortTransaction();
+            return res.status(400).json({
+              success: false,
+              message: `Give the ${requestedItem.quantity} serial number(s) of ${saleItem.itemName} being returned. Returnable: ${returnableSerials.join(', ')}`
+            });
+          }
+          saleItem.returnedSerialNumbers = [...(saleItem.returnedSerialNumbers || []), ...serials];
+          serialReturns.push({ itemId: saleItem.itemId, serials });
+        }
+
+        saleItem.returnedQuantity = addQuantities(saleItem.returnedQuantity || 0, requestedItem.quantity);
+
+        // Reverse the line's GST in proportion to the quantity returned
+        const lineShare = requestedItem.quantity / saleItem.quantity;
+
+        creditNoteItems.push({
+          itemId: saleItem.itemId,
+          itemName: saleItem.itemName,
+          sku: saleItem.sku,
+          quantity: requestedItem.quantity,
+          unit: saleItem.unit || 'pcs',
+          unitPrice: saleItem.unitPrice,
+          totalPrice: roundCurrency(saleItem.unitPrice * requestedItem.quantity),
+          hsnCode: saleItem.hsnCode || '',
+          taxRate: saleItem.taxRate || 0,
+          taxableValue: roundCurrency((saleItem.taxableValue || 0) * lineShare),
+          cgstAmount: roundCurrency((saleItem.cgstAmount || 0) * lineShare),
+          sgstAmount: roundCurrency((saleItem.sgstAmount || 0) * lineShare),
+          igstAmount: roundCurrency((saleItem.igstAmount || 0) * lineShare)
+        });
+
+        // Put the returned quantity back on the shelf (a kit's components, as snapshotted at sale)
+        const restocked = saleItem.components?.length
+          ? explodeKit(saleItem.components, requestedItem.quantity)
+          : [{ itemId: saleItem.itemId, quantity: requestedItem.quantity }];
+        restocked.forEach(({ itemId, quantity }) => stockUpdates.push({
+          updateOne: {
+            filter: { _id: itemId },
+            update: quantityIncrement({ stockQty: quantity })
+          }
+        }));
+        batchUpdates.push(...batchRestocks(saleItem, requestedItem.quantity));
+      }
+
+      const isFullReturn = sale.items.every(item => item.returnedQuantity >= item.quantity);
+      const subtotal = creditNoteItems.reduce((total, item) => total + item.totalPrice, 0);
+
+      // The last return settles the remaining balance so rounding never leaves a few paise behind
+      const refundAmount = isFullReturn
+        ? Math.max(0, sale.totalAmount - (sale.refundAmount || 0))
+        : Math.round(subtotal * amountRatio * 100) / 100;
+
+      const shift = await findOpenShift(sale.storeId, req.user.id, session);
+
+      const creditNote = new CreditNote({
+        creditNoteNumber: await nextNumber(sale.storeId, 'creditNote', { session }),
+        saleId: sale._id,
+        invoiceNumber: sale.invoiceNumber,
+        storeId: sale.storeId,
+        customerId: sale.customerId,
+        customerName: sale.customerName,
+        customerPhone: sale.customerPhone,
+        customerEmail: sale.customerEmail,
+        items: creditNoteItems,
+        subtotal,
+        isInterState: sale.isInterState,
+        taxableAmount: roundCurrency(creditNoteItems.reduce((total, item) => total + item.taxableValue, 0)),
+        totalTax: roundCurrency(creditNoteItems.reduce(
+          (total, item) => total + item.cgstAmount + item.sgstAmount + item.igstAmount, 0
+        )),
+        totalAmount: refundAmount,
+        refundMode,
+        reason,
+        issuedBy: req.user.id,
+        shiftId: shift ? shift._id : null
+      });
+
+      sale.markModified('items');
+      sale.isRefunded = true;
+      sale.refundAmount = Math.round(((sale.refundAmount || 0) + refundAmount) * 100) / 100;
+      sale.refundDate = new Date();
+      sale.refundReason = reason;
+      sale.refundedBy = req.user.id;
+      sale.status = isFullReturn ? 'full_refund' : 'partial_refund';
+
+      // Take back the points earned on the returned share of the bill
+      let loyaltyPointsReversed = 0;
+      const unreversedPoints = (sale.loyaltyPointsEarned || 0) - (sale.loyaltyPointsReversed || 0);
+      if (sale.customerId && unreversedPoints > 0) {
+        const pointsToReverse = isFullReturn
+          ? unreversedPoints
+          : Math.min(unreversedPoints, Math.round(sale.loyaltyPointsEarned * refundAmount / (sale.totalAmount || 1)));
+        loyaltyPointsReversed = await reverseEarnedPoints({
+          customerId: sale.customerId,
+          storeId: sale.storeId,
+          points: pointsToReverse,
+          saleId: sale._id,
+          invoiceNumber: sale.invoiceNumber,
+          creditNoteNumber: creditNote.creditNoteNumber,
+          recordedBy: req.user.id,
+          session
+        });
+        // Points already spent cannot be recovered; count them as settled all the same
+        sale.loyaltyPointsReversed = (sale.loyaltyPointsReversed || 0) + pointsToReverse;
+      }
+
+      await creditNote.save({ session });
+      await sale.save({ session });
+
+      // A credit refund reduces what the customer owes (or becomes store credit)
+      if (refundMode === 'credit' && refundAmount > 0) {
+        await postEntry({
+          customerId: sale.customerId,
+          storeId: sale.storeId,
+          type: 'credit',
+          source: 'return',
+          amount: refundAmount,
+          saleId: sale._id,
+          invoiceNumber: sale.invoiceNumber,
+          creditNoteNumber: creditNote.creditNoteNumber,
+          notes: reason,
+          recordedBy: req.user.id,
+          session
+        });
+      }
+
+      if (stockUpdates.length > 0) {
+        await InventoryItem.bulkWrite(stockUpdates, { session });
+      }
+      if (batchUpdates.length > 0) {
+        await StockBatch.bulkWrite(batchUpdates, { session });
+      }
+      for (const { itemId, serials } of serialReturns) {
+        await recordSerialEvent({
+          itemId,
+          serials,
+          event: 'returned',
+          sale,
+          userId: req.user.id,
+          creditNoteNumber: creditNote.creditNoteNumber,
+          session
+        });
+      }
+
+      await session.commitTransaction();
+
+      // The return is committed; a failed audit write must not report it as failed
+      await logAudit({
+        userId: req.user.id,
+        action: 'return',
+        targetType: 'bill',
+        targetId: sale._id,
+        details: { creditNoteNumber: creditNote.creditNoteNumber, items: creditNoteItems, refundAmount, reason }
+      }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit sales return'));
+
+      res.status(201).json({
+        success: true,
+        message: 'Return recorded successfully',
+        data: {
+          creditNote,
+          creditNoteNumber: creditNote.creditNoteNumber,
+          refundAmount,
+          invoiceNumber: sale.invoiceNumber,
+          status: sale.status,
+          totalRefunded: sale.refundAmount,
+          loyaltyPointsReversed
+        }
+      });
+
+    } catch (error) {
+      if (session.inTransaction()) await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+  } catch (error) {
+    // A return racing the close of the cashier's shift was rolled back whole; run it again
+    if (error.hasErrorLabel?.('TransientTransactionError') && !res.headersSent
+      && (req.returnAttempts = (req.returnAttempts || 1) + 1) <= MAX_SALE_ATTEMPTS) {
+      return createSalesReturn(req, res);
+    }
+    logger.error({ err: error }, 'Error recording sales return');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record return',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
   }
-  // Prepare data
-  const exportFields = ['invoiceNumber', 'customerName', 'customerPhone', 'totalAmount', 'paymentMode', 'createdAt', 'status'];
-  const data = bills.map(b => ({
-    invoiceNumber: b.invoiceNumber,
-    customerName: b.customerName || (b.customer && b.customer.name) || '',
-    customerPhone: b.customerPhone || (b.customer && b.customer.phoneNumber) || '',
-    totalAmount: b.totalAmount,
-    paymentMode: b.paymentMode,
-    createdAt: b.createdAt,
-    status: b.status || ''
-  }));
-
-  if (format === 'csv') {
-    const parser = new Parser({ fields: exportFields });
-    const csv = parser.parse(data);
-    res.header('Content-Type', 'text/csv');
-    res.attachment('bills.csv');
-    return res.send(csv);
-  } else if (format === 'xlsx') {
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Bills');
-    worksheet.columns = exportFields.map(f => ({ header: f, key: f }));
-    worksheet.addRows(data);
-    res.header('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.attachment('bills.xlsx');
-    await workbook.xlsx.write(res);
-    res.end();
-  } else if (format === 'pdf') {
-    const doc = new PDFDocument({ margin: 30, size: 'A4' });
-    res.header('Content-Type', 'application/pdf');
-    res.attachment('bills.pdf');
+};
+
+/**
+ * List credit notes issued against an invoice
+ * GET /api/billing/invoices/:invoiceNumber/returns
+ */
+const getInvoiceReturns = async (req, res) => {
+  try {
+    const { invoiceNumber } = req.params;
+
+    const creditNotes = await CreditNote.find(storeScopedFilter(req, { invoiceNumber }))
+      .populate('issuedBy', 'firstName lastName email')
+      .sort({ issuedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { creditNotes }
+    });
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error fetching invoice returns');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch returns',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Generate and download credit note PDF
+ * GET /api/billing/credit-notes/:creditNoteNumber/pdf
+ */
+const getCreditNotePDF = async (req, res) => {
+  try {
+    const { creditNoteNumber } = req.params;
+
+    const creditNote = await CreditNote.findOne(storeScopedFilter(req, { creditNoteNumber }));
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    const store = await getStoreDetailsForPDF(creditNote.storeId);
+    const issuedOn = new Date(creditNote.issuedAt).toLocaleDateString('en-IN');
+
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="credit-note-${creditNoteNumber}.pdf"`);
     doc.pipe(res);
-    doc.fontSize(18).text('Bills/Invoices List', { align: 'center' });
-    doc.moveDown();
-    data.forEach((row, idx) => {
-      doc.fontSize(12).text(`${idx + 1}. ${row.invoiceNumber} | ${row.customerName} | ${row.customerPhone} | ₹${row.totalAmount} | ${row.paymentMode} | ${row.status}`);
+
+    generateInvoicePDFContent(doc, {
+      customerName: creditNote.customerName,
+      customerPhone: creditNote.customerPhone,
+      customerEmail: creditNote.customerEmail,
+      items: creditNote.items,
+      subtotal: creditNote.subtotal,
+      totalDiscount: Math.max(0, creditNote.subtotal - creditNote.totalAmount),
+      taxableAmount: creditNote.taxableAmount,
+      taxBreakup: buildTaxBreakup(creditNote.items.map(item => ({
+        taxRate: item.taxRate,
+        taxableValue: item.taxableValue,
+        cgstAmount: item.cgstAmount,
+        sgstAmount: item.sgstAmount,
+        igstAmount: item.igstAmount,
+        taxAmount: item.cgstAmount + item.sgstAmount + item.igstAmount
+      })), creditNote.isInterState),
+      totalAmount: creditNote.totalAmount
+    }, store, {
+      title: 'CREDIT NOTE',
+      detailRows: [
+        ['Credit note no:', creditNote.creditNoteNumber],
+        ['Issue date:', issuedOn],
+        ['Against invoice:', creditNote.invoiceNumber],
+        ['Refund mode:', creditNote.refundMode.toUpperCase()]
+      ],
+      terms: creditNote.reason ? `Reason for return: ${creditNote.reason}` : 'Items returned against the referenced invoice.'
     });
     doc.end();
-  } else {
-    return res.status(400).json({ success: false, message: 'Invalid format. Use csv, xlsx, or pdf.' });
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error generating credit note PDF');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate credit note PDF',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Cancel (void) an invoice and put its stock back
+ * POST /api/billing/invoices/:invoiceNumber/cancel
+ */
+const cancelInvoice = async (req, res) => {
+  try {
+    const { invoiceNumber } = req.params;
+    const { reason } = req.body;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const sale = await Sale.findOne(storeScopedFilter(req, { invoiceNumber })).session(session);
+
+      if (!sale) {
+        await session.abortTransaction();
+        return res.status(404).json({
+          success: false,
+          message: 'Invoice not found'
+        });
+      }
+
+      if (['cancelled', 'full_refund'].includes(sale.status)) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: `Invoice with status '${sale.status}' cannot be cancelled`
+        });
+      }
+
+      // A registered e-invoice has to be cancelled on the IRP first
+      if (sale.eInvoice?.status === 'generated') {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          message: 'Cancel the e-invoice (IRN) of this invoice before cancelling it'
+        });
+      }
+
+      // Reverse the stock deduction made by recordSale (returned units are already back in stock)
+      const unreturned = sale.items
+        .map(item => ({ item, quantity: addQuantities(item.quantity, -(item.returnedQuantity || 0)) }))
+        .filter(({ quantity }) => quantity > 0);
+      const stockUpdates = unreturned
+        .flatMap(({ item, quantity }) => (item.components?.length
+          ? explodeKit(item.components, quantity)
+          : [{ itemId: item.itemId, quantity }]))
+        .map(item => ({
+          updateOne: {
+            filter: { _id: item.itemId },
+            update: quantityIncrement({ stockQty: item.quantity })
+          }
+        }));
+      const batchUpdates = unreturned.flatMap(({ item, quantity }) => batchRestocks(item, quantity));
+      const serialRestocks = sale.items
+        .filter(item => item.serialNumbers?.length)
+        .map(item => ({
+          itemId: item.itemId,
+          serials: item.serialNumbers.filter(serial => !(item.returnedSerialNumbers || []).includes(serial))
+        }))
+        .filter(({ serials }) => serials.length > 0);
+
+      sale.status = 'cancelled';
+      sale.cancelledBy = req.user.id;
+      sale.cancelledAt = new Date();
+      sale.cancellationReason = reason;
+
+      // Hand back the cash not already refunded on credit notes, out of the canceller's drawer
+      const [cashRefunded] = await CreditNote.aggregate([
+        { $match: { saleId: sale._id, refundMode: 'cash' } },
+        { $group: { _id: null, amount: { $sum: '$totalAmount' } } }
+      ]).session(session);
+      const shift = await findOpenShift(sale.storeId, req.user.id, session);
+      sale.cancelCashRefund = Math.max(0, roundCurrency(getCashTenderAmount(sale) - (cashRefunded?.amount || 0)));
+      sale.cancelShiftId = shift?._id || null;
+
+      // Undo the bill's loyalty movements: take back earned points, give back redeemed ones
+      let loyaltyPointsReversed = 0;
+      let loyaltyPointsRestored = 0;
+      if (sale.customerId) {
+        const unreversedPoints = (sale.loyaltyPointsEarned || 0) - (sale.loyaltyPointsReversed || 0);
+        if (unreversedPoints > 0) {
+          loyaltyPointsReversed = await reverseEarnedPoints({
+            customerId: sale.customerId,
+            storeId: sale.storeId,
+            points: unreversedPoints,
+            saleId: sale._id,
+            invoiceNumber: sale.invoiceNumber,
+            notes: reason,
+            recordedBy: req.user.id,
+            session
+          });
+          sale.loyaltyPointsReversed = sale.loyaltyPointsEarned;
+        }
+
+        if (sale.loyaltyPointsRedeemed > 0) {
+          await postLoyaltyTransaction({
+            customerId: sale.customerId,
+            storeId: sale.storeId,
+            type: 'restore',
+            points: sale.loyaltyPointsRedeemed,
+            rules: await getLoyaltyRules(sale.storeId, session),
+            saleId: sale._id,
+            invoiceNumber: sale.invoiceNumber,
+            notes: reason,
+            recordedBy: req.user.id,
+            session
+          });
+          loyaltyPointsRestored = sale.loyaltyPointsRedeemed;
+        }
+      }
+
+      await sale.save({ session });
+
+      if (stockUpdates.length > 0) {
+        await InventoryItem.bulkWrite(stockUpdates, { session });
+      }
+      if (batchUpdates.length > 0) {
+        await StockBatch.bulkWrite(batchUpdates, { session });
+      }
+      for (const { itemId, serials } of serialRestocks) {
+        await recordSerialEvent({ itemId, serials, event: 'sale_cancelled', sale, userId: req.user.id, session });
+      }
+
+      // A cancelled bill no longer counts against promotion usage limits
+      if (sale.appliedPromotions?.length > 0) {
+        await releasePromotionUsage(sale.appliedPromotions, { session });
+      }
+
+      // Take back whatever is still on the customer's account for this bill
+      let ledgerReversal = 0;
+      const creditAmount = getCreditTenderAmount(sale);
+      if (creditAmount > 0 && sale.customerId) {
+        const [returned] = await CustomerLedgerEntry.aggregate([
+          { $match: { saleId: sale._id, type: 'credit', source: 'return' } },
+          { $group: { _id: null, amount: { $sum: '$amount' } } }
+        ]).session(session);
+        ledgerReversal = roundCurrency(creditAmount - (returned?.amount || 0));
+
+        if (ledgerReversal > 0) {
+          await postEntry({
+            customerId: sale.customerId,
+            storeId: sale.storeId,
+            type: 'credit',
+            source: 'cancellation',
+            amount: ledgerReversal,
+            saleId: sale._id,
+            invoiceNumber: sale.invoiceNumber,
+            notes: reason,
+            recordedBy: req.user.id,
+            session
+          });
+        }
+      }
+
+      await session.commitTransaction();
+
+      // The cancellation is committed; a failed audit write must not report it as failed
+      await logAudit({
+        userId: req.user.id,
+        action: 'cancel',
+        targetType: 'bill',
+        targetId: sale._id,
+        details: { invoiceNumber: sale.invoiceNumber, reason }
+      }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit invoice cancellation'));
+
+      res.json({
+        success: true,
+        message: 'Invoice cancelled successfully',
+        data: {
+          invoiceNumber: sale.invoiceNumber,
+          status: sale.status,
+          cancelledAt: sale.cancelledAt,
+          cancellationReason: sale.cancellationReason,
+          itemsRestocked: stockUpdates.length,
+          cashRefund: sale.cancelCashRefund,
+          ledgerReversal,
+          loyaltyPointsReversed,
+          loyaltyPointsRestored
+        }
+      });
+
+    } catch (error) {
+      if (session.inTransaction()) await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error cancelling invoice');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Confirm the UPI payment of a pending bill with its transaction reference (UTR)
+ * POST /api/billing/invoices/:invoiceNumber/confirm-payment
+ */
+const confirmPayment = async (req, res) => {
+  try {
+    const { invoiceNumber } = req.params;
+    const paymentReference = String(req.body.paymentReference || '').trim();
+
+    const sale = await Sale.findOne(storeScopedFilter(req, { invoiceNumber }));
+
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (sale.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment cannot be confirmed for a cancelled invoice'
+      });
+    }
+
+    if (sale.paymentStatus !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Payment for this invoice is already confirmed'
+      });
+    }
+
+    // A UTR can only settle one bill
+    const duplicate = await Sale.findOne({
+      storeId: sale.storeId,
+      _id: { $ne: sale._id },
+      $or: [{ paymentReference }, { 'payments.reference': paymentReference }]
+    }).select('invoiceNumber');
+
+    if (duplicate) {
+      return res.status(409).json({
+        success: false,
+        message: `Payment reference is already recorded on invoice ${duplicate.invoiceNumber}`
+      });
+    }
+
+    sale.payments.forEach(payment => {
+      if (payment.mode === 'upi' && !payment.reference) payment.reference = paymentReference;
+    });
+    sale.paymentReference = paymentReference;
+    sale.paymentStatus = 'paid';
+    sale.paymentConfirmedAt = new Date();
+    sale.paymentConfirmedBy = req.user.id;
+    await sale.save();
+
+    res.json({
+      success: true,
+      message: 'Payment confirmed',
+      data: {
+        invoiceNumber: sale.invoiceNumber,
+        paymentStatus: sale.paymentStatus,
+        paymentReference: sale.paymentReference,
+        paymentConfirmedAt: sale.paymentConfirmedAt
+      }
+    });
+
+    await logAudit({
+      userId: req.user.id,
+      action: 'confirm_payment',
+      targetType: 'bill',
+      targetId: sale._id,
+      details: { invoiceNumber: sale.invoiceNumber, paymentReference }
+    }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit payment confirmation'));
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error confirming payment');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// Columns of the bill export, one row per bill
+const BILL_EXPORT_COLUMNS = [
+  { key: 'invoiceNumber', header: 'Invoice Number', width: 18 },
+  { key: 'saleDate', header: 'Date', width: 20 },
+  { key: 'store', header: 'Store', width: 20 },
+  { key: 'customerName', header: 'Customer', width: 24 },
+  { key: 'customerPhone', header: 'Phone', width: 14 },
+  { key: 'buyerGstin', header: 'Buyer GSTIN', width: 18 },
+  { key: 'placeOfSupply', header: 'Place of Supply', width: 16 },
+  { key: 'itemCount', header: 'Items', width: 8 },
+  { key: 'subtotal', header: 'Subtotal', width: 12 },
+  { key: 'discount', header: 'Discount', width: 12 },
+  { key: 'promotionDiscount', header: 'Offers', width: 12 },
+  { key: 'loyaltyDiscount', header: 'Loyalty', width: 12 },
+  { key: 'taxableAmount', header: 'Taxable Value', width: 14 },
+  { key: 'cgstAmount', header: 'CGST', width: 10 },
+  { key: 'sgstAmount', header: 'SGST', width: 10 },
+  { key: 'igstAmount', header: 'IGST', width: 10 },
+  { key: 'totalTax', header: 'Total Tax', width: 12 },
+  { key: 'totalAmount', header: 'Total', width: 12 },
+  { key: 'paymentMode', header: 'Payment Mode', width: 12 },
+  { key: 'paymentStatus', header: 'Payment Status', width: 14 },
+  { key: 'paymentReference', header: 'Payment Reference', width: 20 },
+  { key: 'refundAmount', header: 'Refunded', width: 12 },
+  { key: 'status', header: 'Status', width: 14 },
+  { key: 'handledBy', header: 'Billed By', width: 20 }
+];
+
+// Columns of the line-item export (?level=items), one row per bill line
+const ITEM_EXPORT_COLUMNS = [
+  { key: 'invoiceNumber', header: 'Invoice Number', width: 18 },
+  { key: 'saleDate', header: 'Date', width: 20 },
+  { key: 'store', header: 'Store', width: 20 },
+  { key: 'customerName', header: 'Customer', width: 24 },
+  { key: 'status', header: 'Status', width: 14 },
+  { key: 'sku', header: 'SKU', width: 14 },
+  { key: 'itemName', header: 'Item', width: 30 },
+  { key: 'category', header: 'Category', width: 16 },
+  { key: 'hsnCode', header: 'HSN', width: 10 },
+  { key: 'quantity', header: 'Quantity', width: 10 },
+  { key: 'unit', header: 'Unit', width: 8 },
+  { key: 'returnedQuantity', header: 'Returned', width: 10 },
+  { key: 'unitPrice', header: 'Unit Price', width: 12 },
+  { key: 'totalPrice', header: 'Amount', width: 12 },
+  { key: 'discountAmount', header: 'Discount', width: 12 },
+  { key: 'taxRate', header: 'GST %', width: 8 },
+  { key: 'taxableValue', header: 'Taxable Value', width: 14 },
+  { key: 'cgstAmount', header: 'CGST', width: 10 },
+  { key: 'sgstAmount', header: 'SGST', width: 10 },
+  { key: 'igstAmount', header: 'IGST', width: 10 },
+  { key: 'lineTotal', header: 'Line Total', width: 12 },
+  { key: 'handledBy', header: 'Billed By', width: 20 }
+];
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+const EXPORT_LEVELS = ['bills', 'items'];
+
+/**
+ * Flatten a sale into export rows: one per bill, or one per line with level=items
+ */
+const toExportRows = (sale, level, { stores, staff }) => {
+  const common = {
+    invoiceNumber: sale.invoiceNumber,
+    saleDate: sale.saleDate,
+    store: stores.get(String(sale.storeId)) || '',
+    customerName: sale.customerName || '',
+    status: sale.status || '',
+    handledBy: staff.get(String(sale.handledBy)) || ''
+  };
+
+  if (level === 'items') {
+    return (sale.items || []).map(item => ({
+      ...common,
+      sku: item.sku || '',
+      itemName: item.itemName,
+      category: item.category || '',
+      hsnCode: item.hsnCode || '',
+      quantity: item.quantity,
+      unit: item.unit || 'pcs',
+      returnedQuantity: item.returnedQuantity || 0,
+      unitPrice: item.unitPrice,
+      totalPrice: item.totalPrice,
+      discountAmount: item.discountAmount || 0,
+      taxRate: item.taxRate || 0,
+      taxableValue: item.taxableValue || 0,
+      cgstAmount: item.cgstAmount || 0,
+      sgstAmount: item.sgstAmount || 0,
+      igstAmount: item.igstAmount || 0,
+      lineTotal: roundCurrency((item.taxableValue || 0) + (item.taxAmount || 0))
+    }));
+  }
+
+  return [{
+    ...common,
+    customerPhone: sale.customerPhone || '',
+    buyerGstin: sale.buyer?.gstin || '',
+    placeOfSupply: sale.placeOfSupply || '',
+    itemCount: (sale.items || []).length,
+    subtotal: sale.subtotal,
+    discount: roundCurrency((sale.discount || 0) + (sale.extraDiscount || 0)),
+    promotionDiscount: sale.promotionDiscount || 0,
+    loyaltyDiscount: sale.loyaltyDiscount || 0,
+    taxableAmount: sale.taxableAmount || 0,
+    cgstAmount: sale.cgstAmount || 0,
+    sgstAmount: sale.sgstAmount || 0,
+    igstAmount: sale.igstAmount || 0,
+    totalTax: sale.totalTax || 0,
+    totalAmount: sale.totalAmount,
+    paymentMode: sale.paymentMode,
+    paymentStatus: sale.paymentStatus || 'paid',
+    paymentReference: sale.paymentReference || '',
+    refundAmount: sale.refundAmount || 0
+  }];
+};
+
+/**
+ * Export bills/invoices as CSV, XLSX, or PDF
+ * @route GET /billing/export?format=csv|xlsx|pdf&level=bills|items
+ * Takes the invoice list filters (startDate, endDate, status, paymentMode, paymentStatus,
+ * handledBy, customerId, search) plus storeId for admins; everyone else gets their own store.
+ * Bills are read through a cursor and written as they arrive, so large ranges are not held
+ * in memory.
+ * @access Manager/Admin/Owner
+ */
+const exportBills = async (req, res) => {
+  const { format = 'csv', level = 'bills' } = req.query;
+
+  try {
+    if (!EXPORT_FORMATS.includes(format) || !EXPORT_LEVELS.includes(level)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid format or level. Use format=csv|xlsx|pdf and level=bills|items.'
+      });
+    }
+
+    const filter = storeScopedFilter(req, buildInvoiceFilter(req.query));
+    if (!(await Sale.exists(filter))) {
+      return res.status(404).json({ success: false, message: 'No bills found' });
+    }
+
+    // Store and staff names are looked up once instead of populating every bill
+    const [storeIds, staffIds] = await Promise.all([
+      Sale.distinct('storeId', filter),
+      Sale.distinct('handledBy', filter)
+    ]);
+    const [stores, staff] = await Promise.all([
+      Store.find({ _id: { $in: storeIds } }).select('name').lean(),
+      User.find({ _id: { $in: staffIds } }).select('firstName lastName name').lean()
+    ]);
+    const names = {
+      stores: new Map(stores.map(store => [String(store._id), store.name])),
+      staff: new Map(staff.map(user => [
+        String(user._id),
+        [user.firstName, user.lastName].filter(Boolean).join(' ') || user.name || ''
+      ]))
+    };
+
+    const columns = level === 'items' ? ITEM_EXPORT_COLUMNS : BILL_EXPORT_COLUMNS;
+    const fileName = level === 'items' ? 'bill-items' : 'bills';
+    const cursor = Sale.find(filter)
+      .select('-payments -appliedPromotions -taxBreakup -approval -eInvoice.signedInvoice -eInvoice.signedQrCode')
+      .sort({ saleDate: 1 })
+      .lean()
+      .cursor({ batchSize: 500 });
+
+    if (format === 'csv') {
+      const csv = new CsvTransform(
+        { fields: columns.map(column => ({ label: column.header, value: column.key })) },
+        { objectMode: true }
+      );
+      res.header('Content-Type', 'text/csv');
+      res.attachment(`${fileName}.csv`);
+      csv.pipe(res);
+      for await (const sale of cursor) {
+        for (const row of toExportRows(sale, level, names)) {
+          // Respect backpressure so a slow client does not buffer the whole export
+          if (!csv.write(row)) await new Promise(resolve => csv.once('drain', resolve));
+        }
+      }
+      csv.end();
+    } else if (format === 'xlsx') {
+      res.header('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.attachment(`${fileName}.xlsx`);
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      const worksheet = workbook.addWorksheet(level === 'items' ? 'Bill Items' : 'Bills');
+      worksheet.columns = columns;
+      worksheet.getRow(1).font = { bold: true };
+      for await (const sale of cursor) {
+        toExportRows(sale, level, names).forEach(row => worksheet.addRow(row).commit());
+      }
+      worksheet.commit();
+      await workbook.commit();
+    } else {
+      const doc = new PDFDocument({ margin: 30, size: 'A4' });
+      res.header('Content-Type', 'application/pdf');
+      res.attachment(`${fileName}.pdf`);
+      doc.pipe(res);
+      doc.fontSize(18).text(level === 'items' ? 'Bill Items' : 'Bills/Invoices List', { align: 'center' });
+      doc.moveDown();
+      let idx = 0;
+      for await (const sale of cursor) {
+        toExportRows(sale, level, names).forEach(row => {
+          idx += 1;
+          const line = level === 'items'
+            ? `${idx}. ${row.invoiceNumber} | ${row.itemName} | ${formatQuantity(row.quantity, row.unit)} x ₹${row.unitPrice} | ₹${row.lineTotal} | ${row.status}`
+            : `${idx}. ${row.invoiceNumber} | ${row.customerName} | ${row.customerPhone} | ₹${row.totalAmount} | ${row.paymentMode} | ${row.status}`;
+          doc.fontSize(10).text(line);
+        });
+      }
+      doc.end();
+    }
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error exporting bills');
+    // Once streaming has started the only way to signal failure is to cut the download
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export bills',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
   }
 };
 
@@ -1129,6 +2648,9 @@ const exportBills = async (req, res) => {
  * Generate PDF buffer for invoice (helper function)
  */
 const generateInvoicePDFBuffer = async (sale) => {
+  const upiQr = await getSaleUpiQr(sale);
+  const eInvoice = await getEInvoiceQr(sale);
+
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({ margin: 50 });
@@ -1141,7 +2663,7 @@ const generateInvoicePDFBuffer = async (sale) => {
       });
 
       // Generate PDF content (reuse existing PDF generation logic)
-      generateInvoicePDFContent(doc, sale);
+      generateInvoicePDFContent(doc, sale, null, { upiQr, eInvoice });
       doc.end();
 
     } catch (error) {
@@ -1155,8 +2677,14 @@ const generateInvoicePDFBuffer = async (sale) => {
  * @param {PDFDocument} doc
  * @param {Object} sale
  * @param {Object} store - Store info (name, address, phone, email)
+ * @param {Object} [options] - Overrides for documents that reuse the invoice layout
+ * @param {String} [options.title] - Document heading (default: INVOICE)
+ * @param {Array} [options.detailRows] - [label, value] pairs printed next to "Bill to"
+ * @param {String} [options.terms] - Terms and conditions text
+ * @param {Object} [options.upiQr] - getSaleUpiQr() result; printed beside the totals
+ * @param {Object} [options.eInvoice] - getEInvoiceQr() result; IRN and signed QR under "Bill to"
  */
-const generateInvoicePDFContent = (doc, sale, store) => {
+const generateInvoicePDFContent = (doc, sale, store, options = {}) => {
   // --- Color palette (sample-inspired) ---
   const colors = {
     primary: '#F15A29', // Orange highlight
@@ -1185,7 +2713,7 @@ const generateInvoicePDFContent = (doc, sale, store) => {
   doc.restore();
 
   // --- Business Info (top left, dynamic from store) ---
-  doc.font('Helvetica-Bold').fontSize(22).fillColor(colors.text).text('INVOICE', margin, y);
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(colors.text).text(options.title || 'INVOICE', margin, y);
   y += 32;
   doc.font('Helvetica').fontSize(10).fillColor(colors.text).text(store?.name || 'Business name', margin, y);
   y += 14;
@@ -1199,6 +2727,11 @@ const generateInvoicePDFContent = (doc, sale, store) => {
     doc.text(store.website, margin, y, {link: store.website, underline: true, color: colors.primary});
     y += 14;
   }
+  if (store?.gstin) {
+    doc.font('Helvetica-Bold').text(`GSTIN: ${store.gstin}`, margin, y);
+    doc.font('Helvetica');
+    y += 14;
+  }
   if (store?.description) {
     doc.font('Helvetica-Oblique').fontSize(9).fillColor(colors.textLight).text(store.description, margin, y, {width: 250});
     y += 14;
@@ -1231,14 +2764,32 @@ const generateInvoicePDFContent = (doc, sale, store) => {
   doc.text(sale.customerAddress || 'Buyer address', leftX, rowY + 28);
   doc.text(sale.customerPhone || 'Buyer phone number', leftX, rowY + 42);
   doc.text(sale.customerEmail || 'Buyer email', leftX, rowY + 56);
+  if (sale.buyer?.gstin) {
+    doc.font('Helvetica-Bold').text(`GSTIN: ${sale.buyer.gstin}`, leftX, rowY + 70);
+  }
 
-  doc.font('Helvetica-Bold').fontSize(10).fillColor(colors.text).text('Invoice number:', rightX, rowY + 0);
-  doc.font('Helvetica').fontSize(10).fillColor(colors.text).text(sale.invoiceNumber, rightX + 110, rowY + 0);
-  doc.font('Helvetica-Bold').text('Invoice date:', rightX, rowY + 14);
-  doc.font('Helvetica').text(sale.createdAt ? new Date(sale.createdAt).toLocaleDateString('en-IN') : 'MM/DD/YYYY', rightX + 110, rowY + 14);
-  doc.font('Helvetica-Bold').text('Payment due:', rightX, rowY + 28);
-  doc.font('Helvetica').text(sale.dueDate ? new Date(sale.dueDate).toLocaleDateString('en-IN') : (sale.createdAt ? new Date(sale.createdAt).toLocaleDateString('en-IN') : 'MM/DD/YYYY'), rightX + 110, rowY + 28);
-  y += 80;
+  const detailRows = options.detailRows || [
+    ['Invoice number:', sale.invoiceNumber],
+    ['Invoice date:', sale.createdAt ? new Date(sale.createdAt).toLocaleDateString('en-IN') : 'MM/DD/YYYY'],
+    ['Payment due:', sale.dueDate ? new Date(sale.dueDate).toLocaleDateString('en-IN') : (sale.createdAt ? new Date(sale.createdAt).toLocaleDateString('en-IN') : 'MM/DD/YYYY')]
+  ];
+  detailRows.forEach(([label, value], idx) => {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(colors.text).text(label, rightX, rowY + idx * 14);
+    doc.font('Helvetica').fontSize(10).fillColor(colors.text).text(value || '', rightX + 110, rowY + idx * 14);
+  });
+  y += Math.max(sale.buyer?.gstin ? 94 : 80, detailRows.length * 14 + 10);
+
+  // --- E-invoice (IRN and signed QR from the IRP) ---
+  if (options.eInvoice) {
+    const { irn, ackNo, ackDate, image } = options.eInvoice;
+    doc.image(image, margin, y, { fit: [90, 90] });
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(colors.text).text('e-Invoice', margin + 100, y + 8);
+    doc.font('Helvetica').fontSize(8).fillColor(colors.text)
+      .text(`IRN: ${irn}`, margin + 100, y + 26, { width: contentWidth - 100 })
+      .text(`Ack No: ${ackNo}`, margin + 100, y + 50)
+      .text(`Ack Date: ${ackDate ? new Date(ackDate).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }) : ''}`, margin + 100, y + 62);
+    y += 100;
+  }
 
   // --- Table Header ---
   doc.roundedRect(margin, y, contentWidth, 22, 4).fill(colors.tableHeader);
@@ -1254,9 +2805,9 @@ const generateInvoicePDFContent = (doc, sale, store) => {
     const rowColor = idx % 2 === 0 ? colors.white : colors.tableRowAlt;
     doc.rect(margin, y, contentWidth, 20).fill(rowColor);
     doc.font('Helvetica').fontSize(10).fillColor(colors.text)
-      .text(item.itemName, margin + 8, y + 6, {width: 180, ellipsis: true})
-      .text(item.quantity.toString(), margin + 200, y + 6)
-      .text(`₹${item.unitPrice.toFixed(2)}`, margin + 300, y + 6)
+      .text(item.hsnCode ? `${item.itemName} (HSN ${item.hsnCode})` : item.itemName, margin + 8, y + 6, {width: 180, ellipsis: true})
+      .text(formatQuantity(item.quantity, item.unit), margin + 200, y + 6)
+      .text(item.unit && item.unit !== 'pcs' ? `₹${item.unitPrice.toFixed(2)}/${item.unit}` : `₹${item.unitPrice.toFixed(2)}`, margin + 300, y + 6)
       .text(`₹${item.totalPrice.toFixed(2)}`, margin + 420, y + 6);
     y += 20;
   });
@@ -1265,21 +2816,63 @@ const generateInvoicePDFContent = (doc, sale, store) => {
   doc.moveTo(margin, y).lineTo(margin + contentWidth, y).strokeColor(colors.gray).lineWidth(1).stroke();
   y += 8;
 
+  // --- UPI QR (left of the totals) ---
+  const totalsTop = y;
+  if (options.upiQr) {
+    doc.image(options.upiQr.image, margin, y, { fit: [110, 110] });
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(colors.text)
+      .text(`Scan to pay ₹${options.upiQr.amount.toFixed(2)} via UPI`, margin, y + 114, { width: 200 });
+    doc.font('Helvetica').fontSize(8).fillColor(colors.textLight)
+      .text(`Ref: ${sale.invoiceNumber}`, margin, y + 126, { width: 200 });
+  }
+
   // --- Totals Section ---
   let totalsX = margin + 300;
   doc.font('Helvetica').fontSize(10).fillColor(colors.text)
     .text('Subtotal', totalsX, y);
   doc.text(`₹${sale.subtotal ? sale.subtotal.toFixed(2) : '0.00'}`, totalsX + 100, y, {align: 'right'});
   y += 14;
-  doc.text(`Tax ${sale.gstRate ? sale.gstRate + '%' : '0.00%'}`, totalsX, y);
-  doc.text(`₹${sale.gst ? sale.gst.toFixed(2) : '0.00'}`, totalsX + 100, y, {align: 'right'});
-  y += 14;
   doc.text('Fees', totalsX, y);
   doc.text('₹0.00', totalsX + 100, y, {align: 'right'});
   y += 14;
+  const discountTotal = (sale.discount || 0) + (sale.extraDiscount || 0);
   doc.text('Discounts', totalsX, y);
-  doc.text(`₹${sale.totalDiscount ? sale.totalDiscount.toFixed(2) : '0.00'}`, totalsX + 100, y, {align: 'right'});
-  y += 18;
+  doc.text(`₹${discountTotal.toFixed(2)}`, totalsX + 100, y, {align: 'right'});
+  y += 14;
+  if (sale.promotionDiscount > 0) {
+    doc.text('Offers', totalsX, y);
+    doc.text(`₹${sale.promotionDiscount.toFixed(2)}`, totalsX + 100, y, {align: 'right'});
+    y += 14;
+  }
+  if (sale.loyaltyDiscount > 0) {
+    doc.text(`Loyalty (${sale.loyaltyPointsRedeemed} pts)`, totalsX, y);
+    doc.text(`₹${sale.loyaltyDiscount.toFixed(2)}`, totalsX + 100, y, {align: 'right'});
+    y += 14;
+  }
+
+  // GST breakup: one CGST/SGST pair (or IGST) line per rate
+  const taxRows = (sale.taxBreakup || []).filter(row => row.taxAmount > 0);
+  if (taxRows.length > 0) {
+    doc.text('Taxable value', totalsX, y);
+    doc.text(`₹${(sale.taxableAmount || 0).toFixed(2)}`, totalsX + 100, y, {align: 'right'});
+    y += 14;
+    taxRows.forEach(row => {
+      const components = row.igstAmount > 0
+        ? [['IGST', row.igstRate, row.igstAmount]]
+        : [['CGST', row.cgstRate, row.cgstAmount], ['SGST', row.sgstRate, row.sgstAmount]];
+      components.forEach(([label, rate, amount]) => {
+        doc.text(`${label} ${rate}% on ₹${row.taxableValue.toFixed(2)}`, totalsX, y);
+        doc.text(`₹${amount.toFixed(2)}`, totalsX + 100, y, {align: 'right'});
+        y += 14;
+      });
+    });
+  } else {
+    doc.text('Tax', totalsX, y);
+    doc.text('₹0.00', totalsX + 100, y, {align: 'right'});
+    y += 14;
+  }
+  y += 4;
+  if (options.upiQr) y = Math.max(y, totalsTop + 110);
   // --- TOTAL Row ---
   doc.roundedRect(totalsX, y, 140, 24, 4).fill(colors.totalBg);
   doc.font('Helvetica-Bold').fontSize(12).fillColor(colors.totalText).text('TOTAL', totalsX + 10, y + 6);
@@ -1288,7 +2881,7 @@ const generateInvoicePDFContent = (doc, sale, store) => {
 
   // --- Terms and Conditions ---
   doc.font('Helvetica-Bold').fontSize(11).fillColor(colors.text).text('Terms and conditions', margin, y);
-  doc.font('Helvetica').fontSize(9).fillColor(colors.textLight).text('Goods once sold will not be taken back or exchanged. Please retain this invoice for warranty/returns. For support, contact hello@smartshop.com', margin, y + 16, {width: contentWidth - 20});
+  doc.font('Helvetica').fontSize(9).fillColor(colors.textLight).text(options.terms || 'Goods once sold will not be taken back or exchanged. Please retain this invoice for warranty/returns. For support, contact hello@smartshop.com', margin, y + 16, {width: contentWidth - 20});
 };
 
 module.exports = {
@@ -1296,9 +2889,19 @@ module.exports = {
   getSalesStats,
   getInvoices,
   getInvoiceForPrint,
+  getInvoice,
   getInvoicePDF,
   getCustomerHistory,
   getAvailableStores,
   sendInvoiceNotifications,
-  exportBills
+  createSalesReturn,
+  getInvoiceReturns,
+  getCreditNotePDF,
+  cancelInvoice,
+  confirmPayment,
+  exportBills,
+  calculatePricing,
+  resolvePlaceOfSupply,
+  generateInvoicePDFContent,
+  getStoreDetailsForPDF
 };
@@ -0,0 +1,557 @@
+const PDFDocument = require('pdfkit');
+const CashShift = require('../models/CashShift');
+const { logAudit } = require('../utils/auditLogService');
+const logger = require('../utils/logger');
+const { resolveStoreId, storeScopedFilter } = require('../utils/storeScope');
+const { nextNumber } = require('../utils/numberSeriesService');
+const { roundCurrency } = require('../utils/gstService');
+const { countDenominations, findOpenShift, summarizeShift } = require('../utils/cashShiftService');
+const { getStoreDetailsForPDF } = require('./billingController');
+
+const USER_FIELDS = 'firstName lastName email';
+
+/**
+ * Cashiers work their own drawer; managers and above can act on any shift of their store
+ */
+const canManageShift = (req, shift) => req.user.role !== 'staff'
+  || String(shift.openedBy?._id || shift.openedBy) === String(req.user.id);
+
+const findShiftForStore = (req) => CashShift.findOne(storeScopedFilter(req, { _id: req.params.id }));
+
+const formatUser = (user) => (user?.firstName ? `${user.firstName} ${user.lastName || ''}`.trim() : '');
+
+/**
+ * Live totals of an open shift (X report) or the totals frozen at close (Z report)
+ */
+const buildShiftReport = async (shift) => {
+  if (shift.status === 'closed') {
+    return {
+      type: 'Z',
+      summary: shift.summary,
+      expectedCash: shift.expectedCash,
+      countedCash: shift.countedCash,
+      overShort: shift.overShort
+    };
+  }
+
+  const { summary, expectedCash } = await summarizeShift(shift);
+  return {
+    type: 'X',
+    summary,
+    expectedCash,
+    countedCash: null,
+    overShort: null
+  };
+};
+
+/**
+ * Draw an X (mid-shift) or Z (end of shift) report
+ * @param {PDFDocument} doc
+ * @param {Object} shift - CashShift with openedBy/closedBy populated
+ * @param {Object} store - Store details from getStoreDetailsForPDF
+ * @param {Object} report - Result of buildShiftReport
+ */
+const generateShiftReportContent = (doc, shift, store, report) => {
+  const margin = 50;
+  const labelWidth = 300;
+  const valueX = margin + labelWidth;
+  const money = (value) => `₹${(Number(value) || 0).toFixed(2)}`;
+
+  const row = (label, value, { bold = false } = {}) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(10).fillColor('#222222')
+      .text(label, margin, y, { width: labelWidth })
+      .text(value, valueX, y, { width: 145, align: 'right' });
+    doc.moveDown(0.3);
+  };
+
+  const section = (title) => {
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#222222').text(title, margin);
+    doc.moveTo(margin, doc.y + 2).lineTo(margin + 445, doc.y + 2).strokeColor('#cccccc').lineWidth(1).stroke();
+    doc.moveDown(0.5);
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).fillColor('#222222')
+    .text(store?.name || 'Store', margin, margin, { align: 'center' });
+  if (store?.address) {
+    doc.font('Helvetica').fontSize(9).fillColor('#555555').text(store.address, { align: 'center' });
+  }
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(14).fillColor('#222222')
+    .text(report.type === 'Z' ? 'Z REPORT (SHIFT CLOSE)' : 'X REPORT (SHIFT IN PROGRESS)', { align: 'center' });
+
+  section('Shift');
+  row('Shift no', shift.shiftNumber);
+  if (shift.register) row('Register', shift.register);
+  row('Cashier', formatUser(shift.openedBy));
+  row('Opened', new Date(shift.openedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }));
+  if (shift.closedAt) {
+    row('Closed', new Date(shift.closedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }));
+    row('Closed by', formatUser(shift.closedBy));
+  }
+  row('Printed', new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }));
+
+  const { summary } = report;
+  section('Sales');
+  row('Bills', String(summary.bills));
+  if (summary.cancelledBills > 0) row('Cancelled bills', String(summary.cancelledBills));
+  summary.tenders.forEach(tender => {
+    row(`${tender.mode.toUpperCase()} (${tender.bills} bills)`, money(tender.amount));
+  });
+  row('Total sales', money(summary.salesTotal), { bold: true });
+
+  section('Cash drawer');
+  row('Opening float', money(shift.openingFloat));
+  row('Cash sales', money(summary.cashSales));
+  if (summary.cashPaymentsReceived > 0) row('Dues collected in cash', money(summary.cashPaymentsReceived));
+  row('Cash refunds', `-${money(summary.cashRefunds)}`);
+  row('Cash in', money(summary.cashIn));
+  row('Cash out', `-${money(summary.cashOut)}`);
+  row('Expected cash', money(report.expectedCash), { bold: true });
+
+  if (shift.movements.length > 0) {
+    section('Cash movements');
+    shift.movements.forEach(movement => {
+      const time = new Date(movement.recordedAt).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata' });
+      const label = `${time}  ${movement.type === 'cash_in' ? 'IN ' : 'OUT'}  ${movement.reason || ''}`;
+      row(label, `${movement.type === 'cash_out' ? '-' : ''}${money(movement.amount)}`);
+    });
+  }
+
+  if (report.type === 'Z') {
+    section('Cash count');
+    shift.denominations
+      .filter(denomination => denomination.count > 0)
+      .forEach(denomination => {
+        row(`₹${denomination.value} x ${denomination.count}`, money(denomination.value * denomination.count));
+      });
+    row('Counted cash', money(report.countedCash), { bold: true });
+    row('Expected cash', money(report.expectedCash));
+
+    const overShort = report.overShort || 0;
+    const label = overShort === 0 ? 'Balanced' : (overShort > 0 ? 'Over' : 'Short');
+    doc.moveDown(0.4);
+    row(`Over / short: ${label}`, `${overShort > 0 ? '+' : ''}${money(overShort)}`, { bold: true });
+
+    if (shift.notes) {
+      doc.moveDown(0.6);
+      doc.font('Helvetica').fontSize(9).fillColor('#555555').text(`Notes: ${shift.notes}`, margin);
+    }
+
+    doc.moveDown(3);
+    const signatureY = doc.y;
+    doc.font('Helvetica').fontSize(9).fillColor('#555555')
+      .text('Cashier signature ____________________', margin, signatureY)
+      .text('Manager signature ____________________', margin + 250, signatureY);
+  }
+};
+
+/**
+ * Open a cash shift with the float put in the drawer
+ * POST /api/billing/shifts/open
+ * Body: { openingFloat, register, storeId }
+ */
+const openShift = async (req, res) => {
+  try {
+    const { openingFloat, register = '' } = req.body;
+
+    const storeId = resolveStoreId(req);
+    if (!storeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Store ID is required to open a shift'
+      });
+    }
+
+    const existing = await findOpenShift(storeId, req.user.id);
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `Shift ${existing.shiftNumber} is still open; close it before opening a new one`,
+        data: { shiftId: existing._id, shiftNumber: existing.shiftNumber }
+      });
+    }
+
+    let shift;
+    try {
+      shift = await CashShift.create({
+        shiftNumber: await nextNumber(storeId, 'shift'),
+        storeId,
+        register,
+        openedBy: req.user.id,
+        openingFloat: roundCurrency(parseFloat(openingFloat))
+      });
+    } catch (createError) {
+      // Two open requests raced past the check above; the partial unique index keeps one
+      if (createError.code !== 11000) throw createError;
+      return res.status(409).json({
+        success: false,
+        message: 'A shift is already open for this cashier'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift opened',
+      data: { shift }
+    });
+
+    await logAudit({
+      userId: req.user.id,
+      action: 'open_shift',
+      targetType: 'cash_shift',
+      targetId: shift._id,
+      details: { shiftNumber: shift.shiftNumber, openingFloat: shift.openingFloat, register }
+    }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit shift opening'));
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error opening shift');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open shift',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * The caller's open shift with its running totals
+ * GET /api/billing/shifts/current
+ */
+const getCurrentShift = async (req, res) => {
+  try {
+    const storeId = resolveStoreId(req);
+    if (!storeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Store ID is required to look up a shift'
+      });
+    }
+
+    const shift = await findOpenShift(storeId, req.user.id);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open shift; open one before taking cash'
+      });
+    }
+
+    const { summary, expectedCash } = await summarizeShift(shift);
+
+    res.json({
+      success: true,
+      data: { shift, summary, expectedCash }
+    });
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error fetching current shift');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch current shift',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Record a cash drop or payout (cash_out) or a float top-up (cash_in)
+ * POST /api/billing/shifts/:id/movements
+ * Body: { type: cash_in|cash_out, amount, reason }
+ */
+const recordCashMovement = async (req, res) => {
+  try {
+    const { type, amount, reason = '' } = req.body;
+
+    const shift = await findShiftForStore(req);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (!canManageShift(req, shift)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only record cash movements on your own shift'
+      });
+    }
+
+    const movement = {
+      type,
+      amount: roundCurrency(parseFloat(amount)),
+      reason,
+      recordedBy: req.user.id,
+      recordedAt: new Date()
+    };
+
+    // Only while the drawer is open; the Z report totals are final once it is closed
+    const updated = await CashShift.findOneAndUpdate(
+      { _id: shift._id, status: 'open' },
+      { $push: { movements: movement } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash movements can only be recorded on an open shift'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: type === 'cash_in' ? 'Cash in recorded' : 'Cash out recorded',
+      data: {
+        movement: updated.movements[updated.movements.length - 1],
+        shiftId: updated._id
+      }
+    });
+
+    await logAudit({
+      userId: req.user.id,
+      action: 'cash_movement',
+      targetType: 'cash_shift',
+      targetId: updated._id,
+      details: { shiftNumber: updated.shiftNumber, type, amount: movement.amount, reason }
+    }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit cash movement'));
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error recording cash movement');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record cash movement',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Close a shift with the counted cash and work out the over/short against expected cash
+ * POST /api/billing/shifts/:id/close
+ * Body: { denominations: [{ value, count }], notes }
+ */
+const closeShift = async (req, res) => {
+  try {
+    const { denominations, notes = '' } = req.body;
+
+    const shift = await findShiftForStore(req);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (!canManageShift(req, shift)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only close your own shift'
+      });
+    }
+
+    // Flip the status first so no further bills link to the shift while it is being counted.
+    // A bill linking right now has written the shift in its transaction (see findOpenShift),
+    // so the flip waits for it to commit and the summary below includes it
+    const closing = await CashShift.findOneAndUpdate(
+      { _id: shift._id, status: 'open' },
+      { $set: { status: 'closed', closedAt: new Date(), closedBy: req.user.id } },
+      { new: true }
+    );
+    if (!closing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Shift is already closed'
+      });
+    }
+
+    const counted = denominations
+      .map(({ value, count }) => ({ value: Number(value), count: parseInt(count) }))
+      .filter(denomination => denomination.count > 0)
+      .sort((a, b) => b.value - a.value);
+    const countedCash = countDenominations(counted);
+
+    let summary;
+    let expectedCash;
+    try {
+      ({ summary, expectedCash } = await summarizeShift(closing));
+    } catch (summaryError) {
+      // Reopen the drawer so the close can be retried
+      await CashShift.updateOne(
+        { _id: closing._id },
+        { $set: { status: 'open', closedAt: null, closedBy: null } }
+      );
+      throw summaryError;
+    }
+
+    closing.denominations = counted;
+    closing.countedCash = countedCash;
+    closing.expectedCash = expectedCash;
+    closing.overShort = roundCurrency(countedCash - expectedCash);
+    closing.summary = summary;
+    closing.notes = notes;
+    await closing.save();
+
+    res.json({
+      success: true,
+      message: closing.overShort === 0
+        ? 'Shift closed; cash is balanced'
+        : `Shift closed; cash is ${closing.overShort > 0 ? 'over' : 'short'} by ₹${Math.abs(closing.overShort).toFixed(2)}`,
+      data: {
+        shift: closing,
+        expectedCash,
+        countedCash,
+        overShort: closing.overShort
+      }
+    });
+
+    await logAudit({
+      userId: req.user.id,
+      action: 'close_shift',
+      targetType: 'cash_shift',
+      targetId: closing._id,
+      details: {
+        shiftNumber: closing.shiftNumber,
+        cashier: closing.openedBy,
+        expectedCash,
+        countedCash,
+        overShort: closing.overShort
+      }
+    }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit shift closing'));
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error closing shift');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close shift',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * X report of an open shift or Z report of a closed one
+ * GET /api/billing/shifts/:id/report?format=pdf|json
+ */
+const getShiftReport = async (req, res) => {
+  try {
+    const { format = 'pdf' } = req.query;
+
+    const shift = await findShiftForStore(req)
+      .populate('openedBy', USER_FIELDS)
+      .populate('closedBy', USER_FIELDS);
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+
+    if (!canManageShift(req, shift)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only view reports of your own shifts'
+      });
+    }
+
+    const report = await buildShiftReport(shift);
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: { shift, ...report }
+      });
+    }
+
+    const store = await getStoreDetailsForPDF(shift.storeId);
+
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${report.type.toLowerCase()}-report-${shift.shiftNumber}.pdf"`);
+    doc.pipe(res);
+    generateShiftReportContent(doc, shift, store, report);
+    doc.end();
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error generating shift report');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate shift report',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List shifts of the store; staff only see their own
+ * GET /api/billing/shifts?status=open|closed&openedBy=&startDate=&endDate=
+ */
+const getShifts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, openedBy, startDate, endDate } = req.query;
+
+    const storeId = resolveStoreId(req);
+    if (!storeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Store ID is required to list shifts'
+      });
+    }
+
+    const filters = { storeId };
+    if (status) filters.status = status;
+    if (req.user.role === 'staff') {
+      filters.openedBy = req.user.id;
+    } else if (openedBy) {
+      filters.openedBy = openedBy;
+    }
+    if (startDate || endDate) {
+      filters.openedAt = {};
+      if (startDate) filters.openedAt.$gte = new Date(startDate);
+      if (endDate) filters.openedAt.$lte = new Date(endDate);
+    }
+
+    const result = await CashShift.paginate(filters, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { openedAt: -1 },
+      select: '-movements -denominations',
+      populate: [
+        { path: 'openedBy', select: USER_FIELDS },
+        { path: 'closedBy', select: USER_FIELDS }
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        shifts: result.docs,
+        pagination: {
+          currentPage: result.page,
+          totalPages: result.totalPages,
+          totalDocs: result.totalDocs,
+          limit: result.limit,
+          hasNextPage: result.hasNextPage,
+          hasPrevPage: result.hasPrevPage
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error fetching shifts');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shifts',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  openShift,
+  getCurrentShift,
+  recordCashMovement,
+  closeShift,
+  getShiftReport,
+  getShifts
+};
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { User, CustomerLedgerEntry } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const { postEntry, computeAgeing } = require('../utils/ledgerService');
+const { resolveStoreId } = require('../utils/storeScope');
+const { logAudit } = require('../utils/auditLogService');
+const { findOpenShift } = require('../utils/cashShiftService');
+
+// @desc    Record a payment received against a customer's credit balance
+// @route   POST /api/v1/customers/:id/payments
+// @access  Private (Staff and above)
+const recordCustomerPayment = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { amount, paymentMode = 'cash', reference = '', notes = '' } = req.body;
+
+  const storeId = resolveStoreId(req);
+  if (!storeId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Store ID is required to record a payment'
+    });
+  }
+
+  const customer = await User.findOne({ _id: id, role: 'customer' }).select('firstName lastName creditBalance');
+  if (!customer) {
+    return res.status(404).json({
+      success: false,
+      error: 'Customer not found'
+    });
+  }
+
+  const session = await mongoose.startSession();
+  let entry;
+  try {
+    // Retried as a whole if it conflicts with the cashier closing their shift
+    await session.withTransaction(async () => {
+      const shift = await findOpenShift(storeId, req.user.id, session);
+      entry = await postEntry({
+        customerId: customer._id,
+        storeId,
+        type: 'credit',
+        source: 'payment',
+        amount: parseFloat(amount),
+        paymentMode,
+        reference,
+        notes,
+        shiftId: shift ? shift._id : null,
+        recordedBy: req.user.id,
+        session
+      });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  await logAudit({
+    userId: req.user.id,
+    action: 'payment',
+    targetType: 'customer',
+    targetId: customer._id,
+    details: { amount: entry.amount, paymentMode, reference, balanceAfter: entry.balanceAfter }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Payment recorded',
+    data: {
+      entry,
+      creditBalance: entry.balanceAfter
+    }
+  });
+});
+
+// @desc    Customer ledger (khata) statement with running balance and ageing
+// @route   GET /api/v1/customers/:id/ledger
+// @access  Private (Staff and above)
+const getCustomerLedger = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 50, from, to } = req.query;
+
+  const customer = await User.findOne({ _id: id, role: 'customer' })
+    .select('firstName lastName email phoneNumber creditBalance lastTransactionAt')
+    .lean();
+  if (!customer) {
+    return res.status(404).json({
+      success: false,
+      error: 'Customer not found'
+    });
+  }
+
+  const filter = { customerId: customer._id };
+  if (from || to) {
+    filter.entryDate = {};
+    if (from) filter.entryDate.$gte = new Date(from);
+    if (to) filter.entryDate.$lte = new Date(to);
+  }
+
+  const result = await CustomerLedgerEntry.paginate(filter, {
+    page: Math.max(1, parseInt(page)),
+    limit: Math.max(1, Math.min(200, parseInt(limit))),
+    sort: { entryDate: -1, _id: -1 },
+    populate: [{ path: 'recordedBy', select: 'firstName lastName' }],
+    lean: true
+  });
+
+  // Ageing always looks at the full history, not just the requested page
+  const allEntries = await CustomerLedgerEntry.find({ customerId: customer._id })
+    .select('type amount entryDate')
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    message: 'Customer ledger retrieved',
+    data: {
+      customer: {
+        ...customer,
+        fullName: `${customer.firstName} ${customer.lastName}`
+      },
+      creditBalance: customer.creditBalance || 0,
+      ageing: computeAgeing(allEntries),
+      entries: result.docs,
+      pagination: {
+        currentPage: result.page,
+        totalPages: result.totalPages,
+        totalDocs: result.totalDocs,
+        limit: result.limit,
+        hasNextPage: result.hasNextPage,
+        hasPrevPage: result.hasPrevPage
+      }
+    }
+  });
+});
+
+module.exports = {
+  recordCustomerPayment,
+  getCustomerLedger
+};
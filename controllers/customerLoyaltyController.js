@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { User, LoyaltyTransaction } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const { expirePoints } = require('../utils/loyaltyService');
+
+// Lots expiring within this many days are reported as "expiring soon"
+const EXPIRING_SOON_DAYS = 30;
+
+// @desc    Customer loyalty points balance, expiring lots and transaction history
+// @route   GET /api/v1/customers/:id/loyalty
+// @access  Private (Staff and above)
+const getCustomerLoyalty = catchAsync(async (req, res) => {
+  const { id } = req.params;
+  const { page = 1, limit = 50, type } = req.query;
+
+  const exists = await User.exists({ _id: id, role: 'customer' });
+  if (!exists) {
+    return res.status(404).json({
+      success: false,
+      error: 'Customer not found'
+    });
+  }
+
+  // Settle lots that are past their expiry so the balance is current
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => expirePoints(id, { session }));
+  } finally {
+    session.endSession();
+  }
+
+  const customer = await User.findById(id)
+    .select('firstName lastName phoneNumber profile.loyaltyPoints')
+    .lean();
+
+  const soon = new Date(Date.now() + EXPIRING_SOON_DAYS * 24 * 60 * 60 * 1000);
+  const expiringLots = await LoyaltyTransaction.find({
+    customerId: id,
+    remainingPoints: { $gt: 0 },
+    expiresAt: { $ne: null, $lte: soon }
+  })
+    .select('remainingPoints expiresAt invoiceNumber')
+    .sort({ expiresAt: 1 })
+    .lean();
+
+  const filter = { customerId: id };
+  if (type) filter.type = type;
+
+  const result = await LoyaltyTransaction.paginate(filter, {
+    page: Math.max(1, parseInt(page)),
+    limit: Math.max(1, Math.min(200, parseInt(limit))),
+    sort: { createdAt: -1, _id: -1 },
+    populate: [{ path: 'recordedBy', select: 'firstName lastName' }],
+    lean: true
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Customer loyalty retrieved',
+    data: {
+      customer: {
+        _id: customer._id,
+        fullName: `${customer.firstName} ${customer.lastName}`,
+        phoneNumber: customer.phoneNumber
+      },
+      pointsBalance: customer.profile?.loyaltyPoints || 0,
+      expiringSoon: {
+        withinDays: EXPIRING_SOON_DAYS,
+        points: expiringLots.reduce((sum, lot) => sum + lot.remainingPoints, 0),
+        lots: expiringLots
+      },
+      transactions: result.docs,
+      pagination: {
+        currentPage: result.page,
+        totalPages: result.totalPages,
+        totalDocs: result.totalDocs,
+        limit: result.limit,
+        hasNextPage: result.hasNextPage,
+        hasPrevPage: result.hasPrevPage
+      }
+    }
+  });
+});
+
+module.exports = {
+  getCustomerLoyalty
+};
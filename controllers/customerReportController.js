@@ -1,4 +1,5 @@
-const { Sale, User } = require('../models');
+const { Sale, User, CustomerLedgerEntry } = require('../models');
+const { AGEING_BUCKETS, computeAgeing } = require('../utils/ledgerService');
 const { catchAsync } = require('../middleware/errorHandler');
 const mongoose = require('mongoose');
 
@@ -49,8 +50,38 @@ const getTopSpenders = catchAsync(async (req, res) => {
 const getOutstandingCredit = catchAsync(async (req, res) => {
   const customers = await User.find({ role: 'customer', creditBalance: { $gt: 0 } })
     .select('firstName lastName email phoneNumber creditBalance lastTransactionAt')
+    .sort({ creditBalance: -1 })
     .lean();
-  res.status(200).json({ success: true, data: customers });
+
+  // Age each balance FIFO from the ledger
+  const entries = await CustomerLedgerEntry.find({ customerId: { $in: customers.map(c => c._id) } })
+    .select('customerId type amount entryDate')
+    .lean();
+  const entriesByCustomer = entries.reduce((acc, entry) => {
+    const key = entry.customerId.toString();
+    (acc[key] = acc[key] || []).push(entry);
+    return acc;
+  }, {});
+
+  const totals = Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+  totals.total = 0;
+  const data = customers.map(customer => {
+    const ageing = computeAgeing(entriesByCustomer[customer._id.toString()] || []);
+    Object.keys(totals).forEach(key => { totals[key] += ageing[key]; });
+    return { ...customer, ageing };
+  });
+  Object.keys(totals).forEach(key => { totals[key] = Math.round(totals[key] * 100) / 100; });
+
+  res.status(200).json({
+    success: true,
+    data,
+    summary: {
+      customers: data.length,
+      totalOutstanding: Math.round(data.reduce((sum, c) => sum + c.creditBalance, 0) * 100) / 100,
+      ageing: totals,
+      buckets: AGEING_BUCKETS.map(({ key, label }) => ({ key, label }))
+    }
+  });
 });
 
 // GET /reports/customers/inactive
@@ -0,0 +1,345 @@
+const Sale = require('../models/Sale');
+const Store = require('../models/Store');
+const User = require('../models/User');
+const { logAudit } = require('../utils/auditLogService');
+const logger = require('../utils/logger');
+const { storeScopedFilter } = require('../utils/storeScope');
+const { buildIrpPayload, validateIrpPayload } = require('../utils/eInvoiceService');
+const { getIrpClient, IrpError, CANCEL_REASONS } = require('../utils/irpClient');
+
+// The IRP only allows cancelling an IRN within 24 hours of its acknowledgement
+const IRN_CANCEL_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const BUYER_FIELDS = ['gstin', 'legalName', 'tradeName', 'address', 'city', 'pincode', 'state'];
+
+/**
+ * Buyer details for the e-invoice: request overrides, else what the bill recorded, else the
+ * customer's default address
+ */
+const resolveBuyer = async (sale, overrides = {}) => {
+  const recorded = sale.buyer?.toObject ? sale.buyer.toObject() : (sale.buyer || {});
+  const buyer = {};
+  BUYER_FIELDS.forEach(field => {
+    buyer[field] = overrides[field] || recorded[field] || '';
+  });
+
+  if (sale.customerId && (!buyer.address || !buyer.city || !buyer.pincode || !buyer.state)) {
+    const customer = await User.findById(sale.customerId).select('profile.addresses').lean();
+    const addresses = customer?.profile?.addresses || [];
+    const address = addresses.find(entry => entry.type === 'billing')
+      || addresses.find(entry => entry.isDefault)
+      || addresses[0];
+    if (address) {
+      buyer.address = buyer.address || address.address || '';
+      buyer.city = buyer.city || address.city || '';
+      buyer.pincode = buyer.pincode || address.zipCode || '';
+      buyer.state = buyer.state || address.state || '';
+    }
+  }
+
+  buyer.gstin = buyer.gstin.toUpperCase();
+  buyer.legalName = buyer.legalName || sale.customerName;
+  return buyer;
+};
+
+const findSale = (req) => Sale.findOne(storeScopedFilter(req, { invoiceNumber: req.params.invoiceNumber }));
+
+/**
+ * Export the IRP e-invoice JSON (schema 1.1) of an invoice with its validation result
+ * GET /api/billing/invoices/:invoiceNumber/e-invoice
+ * ?download=true returns the JSON file for the offline upload tool (only when it is valid)
+ */
+const getEInvoicePayload = async (req, res) => {
+  try {
+    const sale = await findSale(req);
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    const store = await Store.findById(sale.storeId).lean();
+    if (!store) {
+      return res.status(404).json({
+        success: false,
+        message: 'Store not found'
+      });
+    }
+
+    const buyer = await resolveBuyer(sale);
+    const payload = buildIrpPayload({ ...sale.toObject(), buyer }, store);
+    const validation = validateIrpPayload(payload);
+
+    if (req.query.download === 'true') {
+      if (!validation.valid) {
+        return res.status(422).json({
+          success: false,
+          message: 'E-invoice data is incomplete',
+          errors: validation.errors
+        });
+      }
+      // The offline tool takes a list of invoices
+      res.setHeader('Content-Type', 'application/json');
+      res.setHeader('Content-Disposition', `attachment; filename="einvoice-${sale.invoiceNumber}.json"`);
+      return res.send(JSON.stringify([payload], null, 2));
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payload,
+        valid: validation.valid,
+        errors: validation.errors,
+        eInvoice: sale.eInvoice
+      }
+    });
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error exporting e-invoice');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export e-invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Register an invoice on the IRP and store the IRN and signed QR on the sale
+ * POST /api/billing/invoices/:invoiceNumber/e-invoice
+ * Body: { buyer: { gstin, legalName, tradeName, address, city, pincode, state } } (all optional)
+ */
+const generateEInvoice = async (req, res) => {
+  try {
+    const sale = await findSale(req);
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (sale.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'E-invoices cannot be generated for a cancelled invoice'
+      });
+    }
+
+    if (sale.eInvoice?.status === 'generated') {
+      return res.status(409).json({
+        success: false,
+        message: 'An e-invoice is already registered for this invoice',
+        data: { irn: sale.eInvoice.irn }
+      });
+    }
+
+    if (sale.eInvoice?.status === 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        message: 'The e-invoice of this invoice was cancelled; its number cannot be registered again'
+      });
+    }
+
+    const store = await Store.findById(sale.storeId).lean();
+    if (!store?.taxInfo?.eInvoicingEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'E-invoicing is not enabled for this store'
+      });
+    }
+
+    const buyer = await resolveBuyer(sale, req.body.buyer);
+    if (!buyer.gstin) {
+      return res.status(400).json({
+        success: false,
+        message: 'A buyer GSTIN is required; e-invoices are only issued for B2B bills'
+      });
+    }
+
+    const payload = buildIrpPayload({ ...sale.toObject(), buyer }, store);
+    const validation = validateIrpPayload(payload);
+    if (!validation.valid) {
+      return res.status(422).json({
+        success: false,
+        message: 'E-invoice data is incomplete',
+        errors: validation.errors
+      });
+    }
+
+    const client = getIrpClient();
+    sale.buyer = buyer;
+
+    let registration;
+    try {
+      registration = await client.generateIrn(payload);
+    } catch (irpError) {
+      if (!(irpError instanceof IrpError)) throw irpError;
+
+      sale.eInvoice.status = 'failed';
+      sale.eInvoice.error = irpError.code ? `${irpError.code}: ${irpError.message}` : irpError.message;
+      await sale.save();
+
+      return res.status(502).json({
+        success: false,
+        message: 'The IRP rejected the e-invoice',
+        error: irpError.message,
+        code: irpError.code
+      });
+    }
+
+    sale.eInvoice = {
+      status: client.sandbox ? 'sandbox' : 'generated',
+      irn: registration.irn,
+      ackNo: String(registration.ackNo),
+      // AckDt comes back as IST wall-clock time
+      ackDate: new Date(`${registration.ackDate.replace(' ', 'T')}+05:30`),
+      signedInvoice: registration.signedInvoice,
+      signedQrCode: registration.signedQrCode,
+      provider: client.name,
+      generatedAt: new Date(),
+      generatedBy: req.user.id,
+      error: ''
+    };
+    await sale.save();
+
+    res.status(201).json({
+      success: true,
+      message: client.sandbox ? 'Test e-invoice generated; it is not registered with the IRP' : 'E-invoice generated',
+      data: {
+        invoiceNumber: sale.invoiceNumber,
+        irn: sale.eInvoice.irn,
+        ackNo: sale.eInvoice.ackNo,
+        ackDate: sale.eInvoice.ackDate,
+        signedQrCode: sale.eInvoice.signedQrCode,
+        sandbox: Boolean(client.sandbox)
+      }
+    });
+
+    await logAudit({
+      userId: req.user.id,
+      action: 'generate_einvoice',
+      targetType: 'bill',
+      targetId: sale._id,
+      details: { invoiceNumber: sale.invoiceNumber, irn: sale.eInvoice.irn, provider: client.name }
+    }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit e-invoice generation'));
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error generating e-invoice');
+    if (error instanceof IrpError) {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate e-invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Cancel the IRN of an invoice (within 24 hours of registration)
+ * POST /api/billing/invoices/:invoiceNumber/e-invoice/cancel
+ * Body: { reason: duplicate|data_entry_mistake|order_cancelled|other, remarks }
+ */
+const cancelEInvoice = async (req, res) => {
+  try {
+    const { reason, remarks = '' } = req.body;
+
+    const sale = await findSale(req);
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    // Nothing was registered with the portal for a stub e-invoice; drop it
+    if (sale.eInvoice?.status === 'sandbox') {
+      const { irn } = sale.eInvoice;
+      sale.eInvoice = { status: 'none' };
+      await sale.save();
+
+      return res.json({
+        success: true,
+        message: 'Test e-invoice discarded',
+        data: { invoiceNumber: sale.invoiceNumber, irn, cancelledAt: null }
+      });
+    }
+
+    if (sale.eInvoice?.status !== 'generated') {
+      return res.status(400).json({
+        success: false,
+        message: 'This invoice has no registered e-invoice'
+      });
+    }
+
+    if (Date.now() - new Date(sale.eInvoice.ackDate).getTime() > IRN_CANCEL_WINDOW_MS) {
+      return res.status(400).json({
+        success: false,
+        message: 'An IRN can only be cancelled within 24 hours; issue a credit note instead'
+      });
+    }
+
+    const client = getIrpClient();
+    try {
+      await client.cancelIrn({ irn: sale.eInvoice.irn, reasonCode: CANCEL_REASONS[reason], remarks });
+    } catch (irpError) {
+      if (!(irpError instanceof IrpError)) throw irpError;
+      return res.status(502).json({
+        success: false,
+        message: 'The IRP rejected the cancellation',
+        error: irpError.message,
+        code: irpError.code
+      });
+    }
+
+    sale.eInvoice.status = 'cancelled';
+    sale.eInvoice.cancelledAt = new Date();
+    await sale.save();
+
+    res.json({
+      success: true,
+      message: 'E-invoice cancelled',
+      data: {
+        invoiceNumber: sale.invoiceNumber,
+        irn: sale.eInvoice.irn,
+        cancelledAt: sale.eInvoice.cancelledAt
+      }
+    });
+
+    await logAudit({
+      userId: req.user.id,
+      action: 'cancel_einvoice',
+      targetType: 'bill',
+      targetId: sale._id,
+      details: { invoiceNumber: sale.invoiceNumber, irn: sale.eInvoice.irn, reason, remarks }
+    }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit e-invoice cancellation'));
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error cancelling e-invoice');
+    if (error instanceof IrpError) {
+      return res.status(503).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel e-invoice',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  getEInvoicePayload,
+  generateEInvoice,
+  cancelEInvoice
+};
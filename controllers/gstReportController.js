@@ -0,0 +1,138 @@
+const ExcelJS = require('exceljs');
+const { Sale, CreditNote, Store } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const { resolveStoreId } = require('../utils/storeScope');
+const {
+  getReturnPeriod,
+  buildGstr1,
+  buildGstr3b,
+  writeGstr1Workbook,
+  writeGstr3bWorkbook
+} = require('../utils/gstReturnService');
+
+const SALE_FIELDS = 'invoiceNumber saleDate buyer placeOfSupply isInterState totalAmount items.itemName items.hsnCode items.quantity items.unit items.taxRate items.taxableValue items.cgstAmount items.sgstAmount items.igstAmount';
+
+/**
+ * Load a store's sales and credit notes of a return month
+ */
+const loadReturnData = async (storeId, month) => {
+  const period = getReturnPeriod(month);
+
+  const [store, sales, creditNotes] = await Promise.all([
+    Store.findById(storeId).select('name location taxInfo').lean(),
+    Sale.find({
+      storeId,
+      status: { $ne: 'cancelled' },
+      saleDate: { $gte: period.start, $lt: period.end }
+    }).select(SALE_FIELDS).sort({ saleDate: 1 }).lean(),
+    CreditNote.find({
+      storeId,
+      issuedAt: { $gte: period.start, $lt: period.end }
+    }).sort({ issuedAt: 1 }).lean()
+  ]);
+
+  // Credit notes follow the section of their invoice, which may be from an earlier month
+  const saleIds = [...new Set(creditNotes.map(note => String(note.saleId)))];
+  const creditNoteSales = new Map(
+    (await Sale.find({ _id: { $in: saleIds } }).select(SALE_FIELDS).lean())
+      .map(sale => [String(sale._id), sale])
+  );
+
+  return { store, sales, creditNotes, creditNoteSales, fp: period.fp };
+};
+
+/**
+ * Send a return as portal JSON (in the API envelope, or as a file) or as an XLSX workbook
+ */
+const sendReturn = async (res, { name, month, format, download, data, warnings, writeWorkbook }) => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    writeWorkbook(workbook, data, warnings);
+    res.header('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.attachment(`${name}-${month}.xlsx`);
+    await workbook.xlsx.write(res);
+    return res.end();
+  }
+
+  if (download === 'true') {
+    res.header('Content-Type', 'application/json');
+    res.attachment(`${name}-${month}.json`);
+    return res.send(JSON.stringify(data, null, 2));
+  }
+
+  res.status(200).json({
+    success: true,
+    data,
+    warnings
+  });
+};
+
+// @desc    GSTR-1 of a month: B2B, B2CL, B2CS, credit notes, HSN summary and nil-rated supplies
+// @route   GET /api/v1/reports/gst/gstr1?month=YYYY-MM&format=json|xlsx
+// @access  Private (Manager and above)
+const getGstr1 = catchAsync(async (req, res) => {
+  const { month, format = 'json', download } = req.query;
+
+  const storeId = resolveStoreId(req);
+  if (!storeId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Store ID is required; GST returns are filed per store GSTIN'
+    });
+  }
+
+  const returnData = await loadReturnData(storeId, month);
+  if (!returnData.store) {
+    return res.status(404).json({
+      success: false,
+      error: 'Store not found'
+    });
+  }
+
+  const { gstr1, warnings } = buildGstr1(returnData);
+  await sendReturn(res, {
+    name: 'gstr1',
+    month,
+    format,
+    download,
+    data: gstr1,
+    warnings,
+    writeWorkbook: writeGstr1Workbook
+  });
+});
+
+// @desc    GSTR-3B summary of a month
+// @route   GET /api/v1/reports/gst/gstr3b?month=YYYY-MM&format=json|xlsx
+// @access  Private (Manager and above)
+const getGstr3b = catchAsync(async (req, res) => {
+  const { month, format = 'json', download } = req.query;
+
+  const storeId = resolveStoreId(req);
+  if (!storeId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Store ID is required; GST returns are filed per store GSTIN'
+    });
+  }
+
+  const returnData = await loadReturnData(storeId, month);
+  if (!returnData.store) {
+    return res.status(404).json({
+      success: false,
+      error: 'Store not found'
+    });
+  }
+
+  const { gstr3b, warnings } = buildGstr3b(returnData);
+  await sendReturn(res, {
+    name: 'gstr3b',
+    month,
+    format,
+    download,
+    data: gstr3b,
+    warnings,
+    writeWorkbook: writeGstr3bWorkbook
+  });
+});
+
+module.exports = { getGstr1, getGstr3b };
@@ -0,0 +1,465 @@
+const mongoose = require('mongoose');
+const HeldBill = require('../models/HeldBill');
+const InventoryItem = require('../models/InventoryItem');
+const { calculatePricing } = require('./billingController');
+const { logAudit } = require('../utils/auditLogService');
+const logger = require('../utils/logger');
+const { resolveStoreId } = require('../utils/storeScope');
+const { isValidQuantity, quantityIncrement } = require('../utils/quantityService');
+
+// How long a parked cart may hold stock back from other bills
+const RESERVATION_HOURS = Number(process.env.HELD_BILL_RESERVATION_HOURS) || 4;
+
+const findHeldBillForStore = (req, session = null) => {
+  const query = HeldBill.findOne({ _id: req.params.id, storeId: resolveStoreId(req) });
+  return session ? query.session(session) : query;
+};
+
+/**
+ * Give back stock soft-reserved by a held bill
+ */
+const releaseReservations = async (heldBill, session) => {
+  const releases = heldBill.items
+    .filter(item => item.reservedQty > 0)
+    .map(item => ({
+      updateOne: {
+        filter: { _id: item.itemId },
+        update: quantityIncrement({ reservedQty: -item.reservedQty })
+      }
+    }));
+
+  if (releases.length > 0) {
+    await InventoryItem.bulkWrite(releases, { session });
+  }
+};
+
+/**
+ * Release the stock of parked carts whose reservation has run out. Runs when carts are held
+ * or listed (there is no background worker on serverless deployments). Each cart is claimed
+ * by clearing its expiry, so concurrent callers never release the same reservation twice.
+ * @param {String} storeId
+ * @returns {Promise<Number>} carts released
+ */
+const releaseExpiredReservations = async (storeId) => {
+  const expired = await HeldBill.find({
+    storeId,
+    status: 'held',
+    reservationExpiresAt: { $lte: new Date() }
+  }).select('_id').lean();
+
+  let released = 0;
+  for (const { _id } of expired) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const heldBill = await HeldBill.findOneAndUpdate(
+          { _id, status: 'held', reservationExpiresAt: { $lte: new Date() } },
+          { $set: { reservationExpiresAt: null, 'items.$[].reservedQty': 0 } },
+          { session } // Returns the cart as it was, with the quantities to give back
+        );
+        if (heldBill) {
+          await releaseReservations(heldBill, session);
+          released += 1;
+        }
+      });
+    } finally {
+      session.endSession();
+    }
+  }
+  return released;
+};
+
+/**
+ * Park the current cart
+ * POST /api/billing/held-bills
+ */
+const holdBill = async (req, res) => {
+  try {
+    const {
+      items,
+      label = '',
+      customerId,
+      customerName = '',
+      customerPhone = '',
+      customerEmail = '',
+      customerState = '',
+      discount = 0,
+      extraDiscount = 0,
+      notes = '',
+      reserveStock = false,
+      deviceId = ''
+    } = req.body;
+
+    const storeId = resolveStoreId(req);
+    if (!storeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Store ID is required to hold a bill'
+      });
+    }
+
+    // Stock held by forgotten carts is available to this one
+    await releaseExpiredReservations(storeId);
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const inventoryItems = await InventoryItem.find({
+        _id: { $in: items.map(item => item.itemId) },
+        storeId,
+        isDeleted: { $ne: true }
+      }).session(session);
+
+      const heldItems = [];
+      const pricingLines = [];
+      for (const requestedItem of items) {
+        const inventoryItem = inventoryItems.find(
+          item => item._id.toString() === requestedItem.itemId
+        );
+
+        if (!inventoryItem) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            success: false,
+            message: `Item not found in this store: ${requestedItem.itemId}`
+          });
+        }
+
+        if (!isValidQuantity(requestedItem.quantity, inventoryItem.quantityPrecision)) {
+          await session.abortTransaction();
+          return res.status(400).json({
+            success: false,
+            message: `Quantity of ${inventoryItem.name} allows at most ${inventoryItem.quantityPrecision} decimals (${inventoryItem.unit})`
+          });
+        }
+
+        // Kits hold no stock of their own, so they are checked against components at billing
+        const reserveItem = reserveStock && !inventoryItem.isKit;
+        if (reserveItem) {
+          // Only reserve what is not already sold or reserved by another parked cart
+          const reservation = await InventoryItem.updateOne(
+            {
+              _id: inventoryItem._id,
+              $expr: {
+                $gte: [
+                  { $subtract: ['$stockQty', { $ifNull: ['$reservedQty', 0] }] },
+                  requestedItem.quantity
+                ]
+              }
+            },
+            quantityIncrement({ reservedQty: requestedItem.quantity }),
+            { session }
+          );
+
+          if (reservation.modifiedCount === 0) {
+            await session.abortTransaction();
+            return res.status(400).json({
+              success: false,
+              message: `Insufficient stock to reserve ${inventoryItem.name}. Available: ${inventoryItem.availableQty}, Requested: ${requestedItem.quantity}`
+            });
+          }
+        }
+
+        heldItems.push({
+          itemId: inventoryItem._id,
+          quantity: requestedItem.quantity,
+          unit: inventoryItem.unit || 'pcs',
+          itemName: inventoryItem.name,
+          unitPrice: inventoryItem.sellPrice,
+          reservedQty: reserveItem ? requestedItem.quantity : 0
+        });
+        pricingLines.push({
+          quantity: requestedItem.quantity,
+          unitPrice: inventoryItem.sellPrice,
+          mrp: inventoryItem.mrpPrice,
+          taxRate: inventoryItem.taxRate,
+          priceIncludesTax: inventoryItem.priceIncludesTax
+        });
+      }
+
+      // Indicative total for the parked-bills list; the final bill is priced again on resume
+      const pricing = calculatePricing(pricingLines, { discount, extraDiscount });
+
+      const heldBill = new HeldBill({
+        storeId,
+        label,
+        items: heldItems,
+        customerId: customerId || null,
+        customerName,
+        customerPhone,
+        customerEmail,
+        customerState,
+        discount,
+        extraDiscount,
+        notes,
+        estimatedTotal: pricing.finalAmount,
+        reserveStock,
+        reservationExpiresAt: heldItems.some(item => item.reservedQty > 0)
+          ? new Date(Date.now() + RESERVATION_HOURS * 60 * 60 * 1000)
+          : null,
+        heldBy: req.user.id,
+        deviceId
+      });
+
+      await heldBill.save({ session });
+      await session.commitTransaction();
+
+      await logAudit({
+        userId: req.user.id,
+        action: 'hold',
+        targetType: 'bill',
+        targetId: heldBill._id,
+        details: { label, items: heldItems.length, reserveStock }
+      }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit held bill'));
+
+      res.status(201).json({
+        success: true,
+        message: 'Bill held successfully',
+        data: heldBill
+      });
+
+    } catch (error) {
+      if (session.inTransaction()) await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error holding bill');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to hold bill',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List parked bills for the store
+ * GET /api/billing/held-bills
+ */
+const getHeldBills = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'held', search = '' } = req.query;
+
+    const storeId = resolveStoreId(req);
+    if (!storeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Store ID is required to list held bills'
+      });
+    }
+
+    await releaseExpiredReservations(storeId);
+
+    const filters = { storeId, status };
+    if (search) {
+      filters.$or = [
+        { label: { $regex: search, $options: 'i' } },
+        { customerName: { $regex: search, $options: 'i' } },
+        { customerPhone: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const result = await HeldBill.paginate(filters, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      populate: [{ path: 'heldBy', select: 'firstName lastName email' }]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        heldBills: result.docs,
+        pagination: {
+          currentPage: result.page,
+          totalPages: result.totalPages,
+          totalDocs: result.totalDocs,
+          limit: result.limit,
+          hasNextPage: result.hasNextPage,
+          hasPrevPage: result.hasPrevPage
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error fetching held bills');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch held bills',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Fetch a parked cart so it can be reopened on any device
+ * GET /api/billing/held-bills/:id
+ */
+const getHeldBill = async (req, res) => {
+  try {
+    const heldBill = await findHeldBillForStore(req)
+      .populate('heldBy', 'firstName lastName email')
+      .populate('items.itemId', 'name brand sku sellPrice mrpPrice stockQty reservedQty imageUrl');
+
+    if (!heldBill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Held bill not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: heldBill
+    });
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error fetching held bill');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch held bill',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Throw away a parked cart and release its reservations
+ * DELETE /api/billing/held-bills/:id
+ */
+const discardHeldBill = async (req, res) => {
+  try {
+    const { reason = '' } = req.body || {};
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const heldBill = await findHeldBillForStore(req, session);
+
+      if (!heldBill) {
+        await session.abortTransaction();
+        return res.status(404).json({
+          success: false,
+          message: 'Held bill not found'
+        });
+      }
+
+      if (heldBill.status !== 'held') {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          message: `Held bill is already ${heldBill.status}`
+        });
+      }
+
+      await releaseReservations(heldBill, session);
+
+      heldBill.status = 'discarded';
+      heldBill.discardedBy = req.user.id;
+      heldBill.discardedAt = new Date();
+      heldBill.discardReason = reason;
+      await heldBill.save({ session });
+
+      await session.commitTransaction();
+
+      await logAudit({
+        userId: req.user.id,
+        action: 'discard',
+        targetType: 'bill',
+        targetId: heldBill._id,
+        details: { label: heldBill.label, reason }
+      }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit discarded held bill'));
+
+      res.json({
+        success: true,
+        message: 'Held bill discarded',
+        data: heldBill
+      });
+
+    } catch (error) {
+      if (session.inTransaction()) await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error discarding held bill');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to discard held bill',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Load a parked cart into req.body so the regular sale validation and recordSale can run on it.
+ * Fields sent with the resume request (payment details, edited items, notifications) win
+ * over the values stored on the held bill.
+ */
+const loadHeldBillForSale = async (req, res, next) => {
+  try {
+    const heldBill = await findHeldBillForStore(req);
+
+    if (!heldBill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Held bill not found'
+      });
+    }
+
+    if (heldBill.status !== 'held') {
+      return res.status(409).json({
+        success: false,
+        message: `Held bill is already ${heldBill.status}`
+      });
+    }
+
+    const cart = {
+      items: heldBill.items.map(item => ({
+        itemId: item.itemId.toString(),
+        quantity: item.quantity
+      })),
+      discount: heldBill.discount,
+      extraDiscount: heldBill.extraDiscount,
+      storeId: heldBill.storeId.toString()
+    };
+    if (heldBill.customerId) cart.customerId = heldBill.customerId.toString();
+    if (heldBill.customerName) cart.customerName = heldBill.customerName;
+    if (heldBill.customerPhone) cart.customerPhone = heldBill.customerPhone;
+    if (heldBill.customerEmail) cart.customerEmail = heldBill.customerEmail;
+    if (heldBill.customerState) cart.customerState = heldBill.customerState;
+    if (heldBill.notes) cart.notes = heldBill.notes;
+
+    req.body = {
+      ...cart,
+      ...(req.body || {}),
+      storeId: cart.storeId,
+      heldBillId: heldBill._id.toString()
+    };
+
+    next();
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error loading held bill');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume held bill',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  holdBill,
+  getHeldBills,
+  getHeldBill,
+  discardHeldBill,
+  loadHeldBillForSale
+};
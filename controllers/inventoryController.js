@@ -1,4 +1,6 @@
 const InventoryItem = require('../models/InventoryItem');
+const Product = require('../models/Product');
+const SerialNumber = require('../models/SerialNumber');
 const { 
   handleImageUpload: handleImageUploadUtil,
   deleteFromCloudinary,
@@ -16,6 +18,48 @@ const { Parser } = require('json2csv');
 const ExcelJS = require('exceljs');
 const PDFDocument = require('pdfkit');
 const { logAudit } = require('../utils/auditLogService');
+const { resolveKitComponents, availableKitQty, loadKitComponents } = require('../utils/kitService');
+const { resolveStoreId } = require('../utils/storeScope');
+const {
+  getDefaultPrecision,
+  roundQuantity,
+  isValidQuantity,
+  addQuantities
+} = require('../utils/quantityService');
+
+// Additional barcodes arrive as an array, or as a JSON string in multipart forms
+const parseAdditionalBarcodes = (value) => {
+  const entries = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(entries)) {
+    throw new Error('additionalBarcodes must be an array');
+  }
+  return entries.map(entry => ({
+    code: String(entry.code ?? '').trim(),
+    packQty: entry.packQty !== undefined && entry.packQty !== '' ? Number(entry.packQty) : 1,
+    label: entry.label ? String(entry.label).trim() : ''
+  }));
+};
+
+/**
+ * Check that the codes an item scans by are distinct and not used by another item of the store
+ * @param {String} storeId
+ * @param {Array} codes - barcode and additional barcodes
+ * @param {String} [itemId] - the item being edited
+ * @returns {Promise<Object|null>} { status, error } when a code cannot be used
+ */
+const checkItemBarcodes = async (storeId, codes, itemId = null) => {
+  if (new Set(codes).size !== codes.length) {
+    return { status: 400, error: 'An item cannot list the same barcode twice' };
+  }
+  const conflicts = await InventoryItem.findBarcodeConflicts(storeId, codes, itemId);
+  if (conflicts.length > 0) {
+    return {
+      status: 409,
+      error: `Barcode already used in this store: ${conflicts.map(({ code, name }) => `${code} (${name})`).join(', ')}`
+    };
+  }
+  return null;
+};
 
 // @desc    Create new inventory item
 // @route   POST /api/v1/inventory/items
@@ -26,7 +70,8 @@ const createItem = async (req, res) => {
       name, description, brand, type, totalUnits, purchasePrice,
       sellPrice, mrpPrice, purchaseDate, stockQty, storeId,
       sku, barcode, minStockLevel, maxStockLevel, category,
-      tags, supplier, notes
+      tags, supplier, notes, hsnCode, taxRate, priceIncludesTax,
+      unit = 'pcs', quantityPrecision, isKit, kitComponents, additionalBarcodes
     } = req.body;
 
     // Additional business rule validations beyond express-validator
@@ -48,15 +93,81 @@ const createItem = async (req, res) => {
       });
     }
 
+    // A kit's stock is made up from its components, which must already be stocked items
+    const kit = isKit === true || isKit === 'true';
+    let components;
+    if (kit) {
+      if (unit !== 'pcs' || (quantityPrecision !== undefined && quantityPrecision !== '' && parseInt(quantityPrecision) !== 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Kits are sold in whole pieces'
+        });
+      }
+
+      let resolved;
+      try {
+        resolved = await resolveKitComponents(
+          storeId,
+          typeof kitComponents === 'string' ? JSON.parse(kitComponents) : kitComponents
+        );
+      } catch (parseError) {
+        resolved = { error: 'kitComponents must be a JSON array of { itemId, quantity }' };
+      }
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          error: resolved.error
+        });
+      }
+      components = resolved.components;
+    }
+
+    // Scanning a code must find exactly one item in the store
+    let extraBarcodes = [];
+    if (additionalBarcodes !== undefined && additionalBarcodes !== '') {
+      try {
+        extraBarcodes = parseAdditionalBarcodes(additionalBarcodes);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'additionalBarcodes must be a JSON array of { code, packQty, label }'
+        });
+      }
+    }
+    const barcodeProblem = await checkItemBarcodes(storeId, [
+      ...(barcode ? [barcode.trim()] : []),
+      ...extraBarcodes.map(entry => entry.code)
+    ]);
+    if (barcodeProblem) {
+      return res.status(barcodeProblem.status).json({
+        success: false,
+        error: barcodeProblem.error
+      });
+    }
+
+    // Loose items (kg, l, m) take decimal quantities up to the item's precision
+    const precision = quantityPrecision !== undefined && quantityPrecision !== ''
+      ? parseInt(quantityPrecision)
+      : getDefaultPrecision(unit);
+    if (!isValidQuantity(totalUnits || 0, precision) || !isValidQuantity(stockQty || 0, precision)) {
+      return res.status(400).json({
+        success: false,
+        error: precision > 0
+          ? `Quantities in ${unit} allow at most ${precision} decimals`
+          : `Quantities in ${unit} must be whole numbers`
+      });
+    }
+
     // Sanitize and validate numeric inputs
     const sanitizedData = {
-      totalUnits: Math.max(0, parseInt(totalUnits) || 0),
-      stockQty: Math.max(0, parseInt(stockQty) || 0),
+      totalUnits: kit ? 0 : Math.max(0, roundQuantity(parseFloat(totalUnits) || 0, precision)),
+      stockQty: kit ? 0 : Math.max(0, roundQuantity(parseFloat(stockQty) || 0, precision)),
       purchasePrice: Math.max(0, parseFloat(purchasePrice) || 0),
       sellPrice: Math.max(0, parseFloat(sellPrice) || 0),
       mrpPrice: Math.max(0, parseFloat(mrpPrice) || 0),
-      minStockLevel: minStockLevel ? Math.max(0, parseInt(minStockLevel)) : undefined,
-      maxStockLevel: maxStockLevel ? Math.max(0, parseInt(maxStockLevel)) : undefined
+      taxRate: taxRate !== undefined && taxRate !== '' ? parseFloat(taxRate) : undefined,
+      minStockLevel: minStockLevel ? Math.max(0, parseFloat(minStockLevel)) : undefined,
+      maxStockLevel: maxStockLevel ? Math.max(0, parseFloat(maxStockLevel)) : undefined
     };
 
     // Additional business validations
@@ -91,6 +202,9 @@ const createItem = async (req, res) => {
       description: description.trim(),
       brand: brand.trim(),
       type,
+      unit,
+      quantityPrecision: precision,
+      ...(kit && { isKit: true, kitComponents: components }),
       totalUnits: sanitizedData.totalUnits,
       purchasePrice: sanitizedData.purchasePrice,
       sellPrice: sanitizedData.sellPrice,
@@ -108,6 +222,10 @@ const createItem = async (req, res) => {
       // Optional fields with sanitization
       ...(sku && { sku: sku.trim().toUpperCase() }),
       ...(barcode && { barcode: barcode.trim() }),
+      ...(extraBarcodes.length > 0 && { additionalBarcodes: extraBarcodes }),
+      ...(hsnCode && { hsnCode: hsnCode.toString().trim() }),
+      ...(sanitizedData.taxRate !== undefined && { taxRate: sanitizedData.taxRate }),
+      ...(priceIncludesTax !== undefined && { priceIncludesTax: priceIncludesTax === true || priceIncludesTax === 'true' }),
       ...(sanitizedData.minStockLevel && { minStockLevel: sanitizedData.minStockLevel }),
       ...(sanitizedData.maxStockLevel && { maxStockLevel: sanitizedData.maxStockLevel }),
       ...(category && { category }),
@@ -171,6 +289,49 @@ const createItem = async (req, res) => {
   }
 };
 
+// Page of the item list with each product's variants folded into one group (standalone
+// items form a group of their own); groups are ordered by their first variant in sort order
+const findItemGroups = async (matchQuery, sortOptions, skip, limit) => {
+  const [sortField, direction] = Object.entries(sortOptions)[0];
+  const [result] = await InventoryItem.aggregate([
+    { $match: matchQuery },
+    { $sort: { ...sortOptions, _id: 1 } },
+    {
+      $group: {
+        _id: { $ifNull: ['$productId', '$_id'] },
+        item: { $first: '$$ROOT' },
+        variantCount: { $sum: 1 },
+        stockQty: { $sum: '$stockQty' },
+        stockValue: { $sum: { $multiply: ['$stockQty', '$purchasePrice'] } },
+        minSellPrice: { $min: '$sellPrice' },
+        maxSellPrice: { $max: '$sellPrice' },
+        lowStockVariants: { $sum: { $cond: [{ $lte: ['$stockQty', '$minStockLevel'] }, 1, 0] } },
+        variants: {
+          $push: {
+            _id: '$_id',
+            name: '$name',
+            sku: '$sku',
+            barcode: '$barcode',
+            variantAttributes: '$variantAttributes',
+            stockQty: '$stockQty',
+            sellPrice: '$sellPrice',
+            mrpPrice: '$mrpPrice',
+            status: '$status'
+          }
+        }
+      }
+    },
+    { $sort: { [sortField === 'stockQty' ? 'stockQty' : `item.${sortField}`]: direction, _id: 1 } },
+    {
+      $facet: {
+        groups: [{ $skip: skip }, { $limit: limit }],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+  return { groups: result.groups, total: result.total[0]?.count || 0 };
+};
+
 // @desc    Get all inventory items with filters
 // @route   GET /api/v1/inventory/items
 // @access  Private
@@ -193,7 +354,8 @@ const getItems = async (req, res) => {
       description,
       sortBy = 'createdAt',
       sortOrder = 'desc',
-      includeDeleted = false
+      includeDeleted = false,
+      groupVariants = 'true'
     } = req.query;
 
     // Build query
@@ -272,21 +434,8 @@ const getItems = async (req, res) => {
     const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
     const skip = (pageNum - 1) * limitNum;
 
-    // Execute query
-    const [items, total] = await Promise.all([
-      InventoryItem.find(query)
-        .populate('storeId', 'name location')
-        .populate('createdBy', 'firstName lastName')
-        .populate('category', 'name description')
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(limitNum)
-        .lean(),
-      InventoryItem.countDocuments(query)
-    ]);
-
     // Add virtual fields manually for lean queries
-    const enrichedItems = items.map(item => ({
+    const enrichItem = (item) => ({
       ...item,
       profitMargin: item.purchasePrice === 0 ? 0 : 
         ((item.sellPrice - item.purchasePrice) / item.purchasePrice * 100).toFixed(2),
@@ -296,7 +445,64 @@ const getItems = async (req, res) => {
       isLowStock: item.stockQty <= item.minStockLevel,
       isOutOfStock: item.stockQty === 0,
       needsReorder: item.stockQty <= (item.reorderPoint || item.minStockLevel + 5)
-    }));
+    });
+
+    // Aggregations do not cast, so ids and dates in the filter are cast up front
+    const matchQuery = InventoryItem.find(query).cast();
+
+    let enrichedItems;
+    let total;
+    if (groupVariants === 'false') {
+      let items;
+      [items, total] = await Promise.all([
+        InventoryItem.find(query)
+          .populate('storeId', 'name location')
+          .populate('createdBy', 'firstName lastName')
+          .populate('category', 'name description')
+          .sort(sortOptions)
+          .skip(skip)
+          .limit(limitNum)
+          .lean(),
+        InventoryItem.countDocuments(query)
+      ]);
+      enrichedItems = items.map(enrichItem);
+    } else {
+      // Variants of a product are listed as one row with their stock and prices rolled up
+      let groups;
+      ({ groups, total } = await findItemGroups(matchQuery, sortOptions, skip, limitNum));
+      const representatives = await InventoryItem.populate(groups.map(group => group.item), [
+        { path: 'storeId', select: 'name location' },
+        { path: 'createdBy', select: 'firstName lastName' },
+        { path: 'category', select: 'name description' }
+      ]);
+      const products = await Product.find({
+        _id: { $in: groups.filter(group => group.item.productId).map(group => group._id) }
+      }).select('name attributes').lean();
+
+      enrichedItems = groups.map((group, index) => {
+        const item = representatives[index];
+        const product = item.productId && products.find(p => p._id.equals(group._id));
+        if (!product) {
+          return enrichItem(item);
+        }
+        const stockQty = roundQuantity(group.stockQty);
+        return {
+          ...enrichItem({ ...item, stockQty }),
+          _id: product._id,
+          name: product.name,
+          sku: undefined,
+          barcode: undefined,
+          variantAttributes: undefined,
+          isVariantGroup: true,
+          attributes: product.attributes,
+          variantCount: group.variantCount,
+          sellPriceRange: { min: group.minSellPrice, max: group.maxSellPrice },
+          totalValue: group.stockValue.toFixed(2),
+          isLowStock: group.lowStockVariants > 0,
+          variants: group.variants
+        };
+      });
+    }
 
     // Pagination info
     const pagination = {
@@ -310,7 +516,7 @@ const getItems = async (req, res) => {
 
     // Summary statistics
     const summary = await InventoryItem.aggregate([
-      { $match: query },
+      { $match: matchQuery },
       {
         $group: {
           _id: null,
@@ -342,7 +548,7 @@ const getItems = async (req, res) => {
       },      filters: {
         search, type, brand, storeId, status, category,
         minPrice, maxPrice, lowStock, outOfStock,
-        availableOnly, newArrivals, description
+        availableOnly, newArrivals, description, groupVariants
       }
     };
 
@@ -434,6 +640,9 @@ const updateItem = async (req, res) => {
     delete updateData.isDeleted;
     delete updateData.deletedAt;
     delete updateData.deletedBy;
+    // Variant membership is managed through the product endpoints
+    delete updateData.productId;
+    delete updateData.variantAttributes;
 
     // Add audit information
     updateData.lastUpdatedBy = req.user.id;
@@ -518,12 +727,111 @@ const updateItem = async (req, res) => {
       }
     }
 
+    // Batch tracking starts with the first batch received, and batches then carry the stock
+    delete updateData.trackBatches;
+    if (existingItem.trackBatches) {
+      delete updateData.stockQty;
+      delete updateData.totalUnits;
+    }
+
+    // Likewise serial tracking, after which stock follows the registered serials
+    delete updateData.trackSerials;
+    if (existingItem.trackSerials) {
+      delete updateData.stockQty;
+      delete updateData.totalUnits;
+    }
+
+    // Whether an item is a kit is fixed at creation; a kit's components can be changed
+    delete updateData.isKit;
+    if (updateData.kitComponents !== undefined) {
+      if (!existingItem.isKit) {
+        return res.status(400).json({
+          success: false,
+          error: 'Only kits have components'
+        });
+      }
+      let resolved;
+      try {
+        resolved = await resolveKitComponents(
+          existingItem.storeId,
+          typeof updateData.kitComponents === 'string' ? JSON.parse(updateData.kitComponents) : updateData.kitComponents,
+          existingItem._id
+        );
+      } catch (parseError) {
+        resolved = { error: 'kitComponents must be a JSON array of { itemId, quantity }' };
+      }
+      if (resolved.error) {
+        return res.status(400).json({
+          success: false,
+          error: resolved.error
+        });
+      }
+      updateData.kitComponents = resolved.components;
+    }
+    if (updateData.additionalBarcodes !== undefined) {
+      try {
+        updateData.additionalBarcodes = updateData.additionalBarcodes === ''
+          ? []
+          : parseAdditionalBarcodes(updateData.additionalBarcodes);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: 'additionalBarcodes must be a JSON array of { code, packQty, label }'
+        });
+      }
+    }
+    if (updateData.barcode !== undefined || updateData.additionalBarcodes !== undefined) {
+      const barcode = updateData.barcode !== undefined ? String(updateData.barcode).trim() : existingItem.barcode;
+      const extraBarcodes = updateData.additionalBarcodes ?? existingItem.additionalBarcodes ?? [];
+      const barcodeProblem = await checkItemBarcodes(
+        existingItem.storeId,
+        [...(barcode ? [barcode] : []), ...extraBarcodes.map(entry => entry.code)],
+        existingItem._id
+      );
+      if (barcodeProblem) {
+        return res.status(barcodeProblem.status).json({
+          success: false,
+          error: barcodeProblem.error
+        });
+      }
+    }
+
+    if (existingItem.isKit) {
+      // A kit's stock follows its components and it is always sold in whole pieces
+      delete updateData.stockQty;
+      delete updateData.totalUnits;
+      delete updateData.unit;
+      delete updateData.quantityPrecision;
+    }
+
+    // A new unit brings its default precision unless one is given
+    if (updateData.quantityPrecision !== undefined && updateData.quantityPrecision !== '') {
+      updateData.quantityPrecision = parseInt(updateData.quantityPrecision);
+    } else if (updateData.unit && updateData.unit !== existingItem.unit) {
+      updateData.quantityPrecision = getDefaultPrecision(updateData.unit);
+    } else {
+      delete updateData.quantityPrecision;
+    }
+    const precision = updateData.quantityPrecision ?? existingItem.quantityPrecision;
+    const quantityFields = ['totalUnits', 'stockQty'];
+    const invalidQuantity = quantityFields.find(field => (
+      updateData[field] !== undefined
+        ? !isValidQuantity(updateData[field], precision)
+        : updateData.quantityPrecision !== undefined && !isValidQuantity(existingItem[field], precision)
+    ));
+    if (invalidQuantity) {
+      return res.status(400).json({
+        success: false,
+        error: `${invalidQuantity} allows at most ${precision} decimals for this item`
+      });
+    }
+
     // Enhanced type conversions with validation
     if (updateData.totalUnits) {
-      updateData.totalUnits = Math.max(0, parseInt(updateData.totalUnits) || 0);
+      updateData.totalUnits = Math.max(0, roundQuantity(parseFloat(updateData.totalUnits) || 0, precision));
     }
     if (updateData.stockQty) {
-      updateData.stockQty = Math.max(0, parseInt(updateData.stockQty) || 0);
+      updateData.stockQty = Math.max(0, roundQuantity(parseFloat(updateData.stockQty) || 0, precision));
     }
     if (updateData.purchasePrice) {
       updateData.purchasePrice = Math.max(0, parseFloat(updateData.purchasePrice) || 0);
@@ -535,10 +843,16 @@ const updateItem = async (req, res) => {
       updateData.mrpPrice = Math.max(0, parseFloat(updateData.mrpPrice) || 0);
     }
     if (updateData.minStockLevel) {
-      updateData.minStockLevel = Math.max(0, parseInt(updateData.minStockLevel) || 0);
+      updateData.minStockLevel = Math.max(0, parseFloat(updateData.minStockLevel) || 0);
     }
     if (updateData.maxStockLevel) {
-      updateData.maxStockLevel = Math.max(0, parseInt(updateData.maxStockLevel) || 0);
+      updateData.maxStockLevel = Math.max(0, parseFloat(updateData.maxStockLevel) || 0);
+    }
+    if (updateData.taxRate !== undefined && updateData.taxRate !== '') {
+      updateData.taxRate = parseFloat(updateData.taxRate);
+    }
+    if (updateData.priceIncludesTax !== undefined) {
+      updateData.priceIncludesTax = updateData.priceIncludesTax === true || updateData.priceIncludesTax === 'true';
     }
 
     // Business rule validations
@@ -570,6 +884,7 @@ const updateItem = async (req, res) => {
     if (updateData.brand) updateData.brand = updateData.brand.trim();
     if (updateData.sku) updateData.sku = updateData.sku.trim().toUpperCase();
     if (updateData.barcode) updateData.barcode = updateData.barcode.trim();
+    if (updateData.hsnCode !== undefined) updateData.hsnCode = updateData.hsnCode.toString().trim();
     if (updateData.notes) updateData.notes = updateData.notes.trim().substring(0, 500);
 
     // Update the item
@@ -752,8 +1067,8 @@ const updateStock = async (req, res) => {
     const { quantity, operation = 'set', reason } = req.body;
 
     // Enhanced input validation
-    const sanitizedQuantity = parseInt(quantity);
-    if (!quantity || sanitizedQuantity < 0 || isNaN(sanitizedQuantity)) {
+    const sanitizedQuantity = parseFloat(quantity);
+    if (quantity === undefined || quantity === null || quantity === '' || sanitizedQuantity < 0 || isNaN(sanitizedQuantity)) {
       return res.status(400).json({
         success: false,
         error: 'Valid non-negative quantity is required'
@@ -787,6 +1102,36 @@ const updateStock = async (req, res) => {
       }
     }
 
+    if (item.isKit) {
+      return res.status(400).json({
+        success: false,
+        error: `${item.name} is a kit; update the stock of its components instead`
+      });
+    }
+
+    if (item.trackBatches) {
+      return res.status(400).json({
+        success: false,
+        error: `${item.name} is stocked in batches; receive or adjust stock through its batches`
+      });
+    }
+
+    if (item.trackSerials) {
+      return res.status(400).json({
+        success: false,
+        error: `${item.name} is serial-tracked; add stock by registering the serial numbers received`
+      });
+    }
+
+    if (!isValidQuantity(sanitizedQuantity, item.quantityPrecision)) {
+      return res.status(400).json({
+        success: false,
+        error: item.quantityPrecision > 0
+          ? `${item.name} is stocked in ${item.unit} with at most ${item.quantityPrecision} decimals`
+          : `${item.name} is stocked in whole ${item.unit}`
+      });
+    }
+
     // Validate the operation won't result in negative stock
     let newStockQty;
     switch (operation) {
@@ -794,10 +1139,10 @@ const updateStock = async (req, res) => {
         newStockQty = sanitizedQuantity;
         break;
       case 'add':
-        newStockQty = item.stockQty + sanitizedQuantity;
+        newStockQty = addQuantities(item.stockQty, sanitizedQuantity);
         break;
       case 'subtract':
-        newStockQty = item.stockQty - sanitizedQuantity;
+        newStockQty = addQuantities(item.stockQty, -sanitizedQuantity);
         if (newStockQty < 0) {
           return res.status(400).json({
             success: false,
@@ -890,7 +1235,8 @@ const getSelectableItems = async (req, res) => {
     const query = {
       isDeleted: false,
       isActive: true,
-      stockQty: { $gt: 0 }, // Only items with stock > 0
+      // Only items with stock > 0; kits are listed with stock worked out from their components below
+      $and: [{ $or: [{ stockQty: { $gt: 0 } }, { isKit: true }] }],
       status: { $ne: 'discontinued' }
     };
 
@@ -942,12 +1288,18 @@ const getSelectableItems = async (req, res) => {
 
     // Execute query with selected fields
     const items = await InventoryItem.find(query)
-      .select('name brand sellPrice mrpPrice stockQty imageUrl orderCount totalSold type status sku')
+      .select('name brand sellPrice mrpPrice stockQty unit quantityPrecision imageUrl orderCount totalSold type status sku productId variantAttributes isKit kitComponents')
       .sort(sortOptions)
       .skip(skip)
       .limit(limitNum)
       .lean();
 
+    // A kit is available as many times as its components make up complete sets
+    const kitComponents = await loadKitComponents(items);
+    items.forEach(item => {
+      if (item.isKit) item.stockQty = availableKitQty(item, kitComponents);
+    });
+
     // Get total count for pagination
     const totalItems = await InventoryItem.countDocuments(query);
     const totalPages = Math.ceil(totalItems / limitNum);
@@ -962,12 +1314,17 @@ const getSelectableItems = async (req, res) => {
       sellPrice: item.sellPrice,
       mrpPrice: item.mrpPrice,
       stockQty: item.stockQty,
+      unit: item.unit || 'pcs',
+      quantityPrecision: item.quantityPrecision ?? 0,
       imageUrl: item.imageUrl || getDefaultImageUrl(item.type),
       orderCount: item.orderCount || 0,
       totalSold: item.totalSold || 0,
       type: item.type,
       status: item.status,
       sku: item.sku,
+      productId: item.productId || null,
+      variantAttributes: item.variantAttributes || null,
+      isKit: item.isKit || false,
       // Add computed fields
       discount: item.mrpPrice > item.sellPrice ? 
         Math.round(((item.mrpPrice - item.sellPrice) / item.mrpPrice) * 100) : 0,
@@ -1035,7 +1392,7 @@ const getItemMetadata = async (req, res) => {
 
     // Find the item with minimal fields needed for billing
     const item = await InventoryItem.findOne(query)
-      .select('name brand sellPrice mrpPrice stockQty imageUrl orderCount totalSold type status sku barcode minStockLevel')
+      .select('name brand sellPrice mrpPrice stockQty unit quantityPrecision imageUrl orderCount totalSold type status sku barcode minStockLevel productId variantAttributes isKit kitComponents')
       .lean();
 
     if (!item) {
@@ -1045,6 +1402,10 @@ const getItemMetadata = async (req, res) => {
       });
     }
 
+    if (item.isKit) {
+      item.stockQty = availableKitQty(item, await loadKitComponents([item]));
+    }
+
     // Enhance with computed fields for billing UI
     const enrichedItem = {
       _id: item._id,
@@ -1053,6 +1414,8 @@ const getItemMetadata = async (req, res) => {
       sellPrice: item.sellPrice,
       mrpPrice: item.mrpPrice,
       stockQty: item.stockQty,
+      unit: item.unit || 'pcs',
+      quantityPrecision: item.quantityPrecision ?? 0,
       imageUrl: item.imageUrl || getDefaultImageUrl(item.type),
       orderCount: item.orderCount || 0,
       totalSold: item.totalSold || 0,
@@ -1060,6 +1423,10 @@ const getItemMetadata = async (req, res) => {
       status: item.status,
       sku: item.sku,
       barcode: item.barcode,
+      productId: item.productId || null,
+      variantAttributes: item.variantAttributes || null,
+      isKit: item.isKit || false,
+      kitComponents: item.kitComponents || null,
       // Computed fields for billing UI
       discount: item.mrpPrice > item.sellPrice ? 
         Math.round(((item.mrpPrice - item.sellPrice) / item.mrpPrice) * 100) : 0,
@@ -1089,6 +1456,104 @@ const getItemMetadata = async (req, res) => {
   }
 };
 
+// What a scanned line needs for billing: price, tax, unit and stock
+const BARCODE_ITEM_FIELDS = 'name brand sku barcode sellPrice mrpPrice taxRate priceIncludesTax hsnCode unit quantityPrecision stockQty reservedQty status isActive productId variantAttributes isKit kitComponents trackSerials';
+
+// @desc    Find the item a scanned code belongs to, with what billing needs to add it to the cart
+// @route   GET /api/v1/inventory/barcode/:code
+// @access  Private (Staff and above)
+const getItemByBarcode = async (req, res) => {
+  try {
+    const code = req.params.code.trim();
+    const storeId = resolveStoreId(req);
+    if (!storeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Store ID is required to look up a barcode'
+      });
+    }
+
+    let item = await InventoryItem.findByBarcode(storeId, code)
+      .select(`${BARCODE_ITEM_FIELDS} additionalBarcodes`)
+      .lean();
+
+    // What was scanned: the item's barcode, an alias, an outer pack, or a unit's serial / IMEI
+    let scan;
+    if (item) {
+      const entry = (item.additionalBarcodes || []).find(additional => additional.code === code);
+      scan = entry
+        ? { code, kind: entry.packQty !== 1 ? 'pack' : 'alias', label: entry.label || '', quantity: entry.packQty }
+        : { code, kind: 'barcode', quantity: 1 };
+    } else {
+      const unit = await SerialNumber.findOne({ storeId, serial: code.toUpperCase(), status: 'in_stock' })
+        .select('itemId serial')
+        .lean();
+      if (unit) {
+        item = await InventoryItem.findOne({ _id: unit.itemId, isDeleted: false })
+          .select(BARCODE_ITEM_FIELDS)
+          .lean();
+        scan = { code, kind: 'serial', quantity: 1, serials: [unit.serial] };
+      }
+    }
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: `No item in this store has barcode ${code}`
+      });
+    }
+
+    // Stock parked in held bills is not available to scan into a new bill
+    const availableQty = item.isKit
+      ? availableKitQty(item, await loadKitComponents([item]))
+      : Math.max(0, addQuantities(item.stockQty, -(item.reservedQty || 0)));
+
+    res.status(200).json({
+      success: true,
+      message: 'Item found',
+      data: {
+        scan,
+        // Ready to send as a recordSale line
+        line: {
+          itemId: item._id,
+          quantity: scan.quantity,
+          ...(scan.serials && { serials: scan.serials })
+        },
+        item: {
+          _id: item._id,
+          name: item.name,
+          brand: item.brand,
+          sku: item.sku,
+          barcode: item.barcode,
+          sellPrice: item.sellPrice,
+          mrpPrice: item.mrpPrice,
+          taxRate: item.taxRate || 0,
+          priceIncludesTax: item.priceIncludesTax !== false,
+          hsnCode: item.hsnCode || '',
+          unit: item.unit || 'pcs',
+          quantityPrecision: item.quantityPrecision ?? 0,
+          productId: item.productId || null,
+          variantAttributes: item.variantAttributes || null,
+          isKit: item.isKit || false,
+          trackSerials: item.trackSerials || false,
+          status: item.status,
+          availableQty,
+          isAvailable: item.isActive !== false && item.status !== 'discontinued' && availableQty >= scan.quantity
+        }
+      }
+    });
+
+  } catch (error) {
+    const logger = require('../utils/logger');
+    logger.error({ err: error }, 'Error looking up barcode');
+    res.status(500).json({
+      success: false,
+      error: 'Failed to look up barcode',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Export inventory items as CSV, XLSX, or PDF
  * @route GET /inventory/export?format=csv|xlsx|pdf
@@ -1101,13 +1566,14 @@ const exportInventory = async (req, res) => {
     return res.status(404).json({ success: false, message: 'No inventory items found' });
   }
   // Prepare data
-  const exportFields = ['name', 'brand', 'sku', 'barcode', 'stockQty', 'minStockLevel', 'maxStockLevel', 'sellPrice', 'mrpPrice', 'purchasePrice', 'category', 'status', 'createdAt'];
+  const exportFields = ['name', 'brand', 'sku', 'barcode', 'stockQty', 'unit', 'minStockLevel', 'maxStockLevel', 'sellPrice', 'mrpPrice', 'purchasePrice', 'category', 'status', 'createdAt'];
   const data = items.map(i => ({
     name: i.name,
     brand: i.brand,
     sku: i.sku,
     barcode: i.barcode,
     stockQty: i.stockQty,
+    unit: i.unit || 'pcs',
     minStockLevel: i.minStockLevel,
     maxStockLevel: i.maxStockLevel,
     sellPrice: i.sellPrice,
@@ -1141,7 +1607,7 @@ const exportInventory = async (req, res) => {
     doc.fontSize(18).text('Inventory List', { align: 'center' });
     doc.moveDown();
     data.forEach((row, idx) => {
-      doc.fontSize(12).text(`${idx + 1}. ${row.name} | ${row.brand} | ${row.sku} | ${row.stockQty} | ₹${row.sellPrice} | ${row.status}`);
+      doc.fontSize(12).text(`${idx + 1}. ${row.name} | ${row.brand} | ${row.sku} | ${row.stockQty} ${row.unit} | ₹${row.sellPrice} | ${row.status}`);
     });
     doc.end();
   } else {
@@ -1160,5 +1626,6 @@ module.exports = {
   updateStock,
   getSelectableItems,
   getItemMetadata,
+  getItemByBarcode,
   exportInventory
 };
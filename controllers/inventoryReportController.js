@@ -1,17 +1,45 @@
-const { InventoryItem, Sale } = require('../models');
+const { InventoryItem, Sale, StockBatch } = require('../models');
 const { catchAsync } = require('../middleware/errorHandler');
 const mongoose = require('mongoose');
+const { storeScopedFilter } = require('../utils/storeScope');
+const { startOfToday } = require('../utils/batchService');
+const { roundCurrency } = require('../utils/gstService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // GET /reports/inventory/valuation
 const getInventoryValuation = catchAsync(async (req, res) => {
-  // Aggregate by category and brand
+  // Aggregate by category and brand, with a product's variants rolled up into one line
   const agg = await InventoryItem.aggregate([
     { $match: { isActive: true } },
     {
       $group: {
-        _id: { category: '$category', brand: '$brand' },
-        totalValue: { $sum: { $multiply: ['$purchasePrice', '$stockQty'] } },
-        items: { $push: { name: '$name', value: { $multiply: ['$purchasePrice', '$stockQty'] }, stockQty: '$stockQty', purchasePrice: '$purchasePrice', brand: '$brand', category: '$category' } }
+        _id: { category: '$category', brand: '$brand', item: { $ifNull: ['$productId', '$_id'] } },
+        productId: { $first: '$productId' },
+        name: { $first: '$name' },
+        value: { $sum: { $multiply: ['$purchasePrice', '$stockQty'] } },
+        stockQty: { $sum: '$stockQty' },
+        purchasePrice: { $avg: '$purchasePrice' },
+        variantCount: { $sum: 1 }
+      }
+    },
+    { $lookup: { from: 'products', localField: 'productId', foreignField: '_id', as: 'product' } },
+    {
+      $group: {
+        _id: { category: '$_id.category', brand: '$_id.brand' },
+        totalValue: { $sum: '$value' },
+        items: {
+          $push: {
+            name: { $ifNull: [{ $arrayElemAt: ['$product.name', 0] }, '$name'] },
+            productId: '$productId',
+            variantCount: '$variantCount',
+            value: '$value',
+            stockQty: '$stockQty',
+            purchasePrice: '$purchasePrice',
+            brand: '$_id.brand',
+            category: '$_id.category'
+          }
+        }
       }
     }
   ]);
@@ -22,8 +50,8 @@ const getInventoryValuation = catchAsync(async (req, res) => {
 // GET /reports/inventory/low-stock
 const getLowStock = catchAsync(async (req, res) => {
   const { threshold = 5 } = req.query;
-  const items = await InventoryItem.find({ isActive: true, stockQty: { $lt: Number(threshold) } })
-    .select('name stockQty brand category purchasePrice')
+  const items = await InventoryItem.find({ isActive: true, isKit: { $ne: true }, stockQty: { $lt: Number(threshold) } })
+    .select('name stockQty brand category purchasePrice productId variantAttributes')
     .lean();
   res.status(200).json({ success: true, data: items });
 });
@@ -42,23 +70,42 @@ const getDeadStock = catchAsync(async (req, res) => {
     isActive: true,
     _id: { $nin: soldItemIds },
     stockQty: { $gt: 0 }
-  }).select('name stockQty brand category purchasePrice').lean();
+  }).select('name stockQty brand category purchasePrice productId variantAttributes').lean();
   res.status(200).json({ success: true, data: deadItems });
 });
 
 // GET /reports/inventory/expiry
 const getExpiringStock = catchAsync(async (req, res) => {
-  const { days = 30 } = req.query;
-  const now = new Date();
-  const expiryDate = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
-  const items = await InventoryItem.find({
-    isActive: true,
-    expiryDate: { $lte: expiryDate, $gte: now },
-    stockQty: { $gt: 0 }
-  })
-    .select('name stockQty brand category purchasePrice expiryDate')
+  const { days = 30, includeExpired = 'false' } = req.query;
+  const today = startOfToday();
+  // Through the end of the last day of the window
+  const until = new Date(today.getTime() + (Number(days) + 1) * DAY_MS);
+
+  const batches = await StockBatch.find(storeScopedFilter(req, {
+    quantity: { $gt: 0 },
+    expiryDate: includeExpired === 'true' ? { $ne: null, $lt: until } : { $gte: today, $lt: until }
+  }))
+    .populate('itemId', 'name sku brand category purchasePrice unit')
+    .sort({ expiryDate: 1 })
     .lean();
-  res.status(200).json({ success: true, data: items });
+
+  const data = batches.map(batch => {
+    const unitCost = batch.purchasePrice ?? batch.itemId?.purchasePrice ?? 0;
+    return {
+      batchId: batch._id,
+      batchNumber: batch.batchNumber,
+      item: batch.itemId,
+      manufactureDate: batch.manufactureDate,
+      expiryDate: batch.expiryDate,
+      daysToExpiry: Math.floor((batch.expiryDate - today) / DAY_MS),
+      isExpired: batch.expiryDate < today,
+      quantity: batch.quantity,
+      unitCost,
+      value: roundCurrency(batch.quantity * unitCost)
+    };
+  });
+  const totalValue = roundCurrency(data.reduce((sum, batch) => sum + batch.value, 0));
+  res.status(200).json({ success: true, data, totalValue });
 });
 
 module.exports = {
@@ -0,0 +1,72 @@
+const PDFDocument = require('pdfkit');
+const { InventoryItem } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const { storeScopedFilter } = require('../utils/storeScope');
+const { LABEL_LAYOUTS, labelsPerPage, renderLabels } = require('../utils/labelRenderer');
+
+const MAX_LABELS = 2000;
+
+// @desc    Print barcode / shelf labels for selected items or a whole category as a PDF
+// @route   POST /api/v1/inventory/labels
+// @access  Private (Staff and above)
+const printLabels = catchAsync(async (req, res) => {
+  const { items = [], category, layout = 'a4_65' } = req.body;
+  const copies = Number(req.body.copies || 1);
+  const skip = Number(req.body.skip || 0);
+
+  if (!LABEL_LAYOUTS[layout]) {
+    return res.status(400).json({
+      success: false,
+      error: `Layout must be one of: ${Object.keys(LABEL_LAYOUTS).join(', ')}`
+    });
+  }
+  if (skip >= labelsPerPage(layout)) {
+    return res.status(400).json({
+      success: false,
+      error: `A ${layout} sheet has ${labelsPerPage(layout)} labels; skip fewer positions`
+    });
+  }
+
+  const filter = storeScopedFilter(req, { isDeleted: false });
+  if (category) {
+    filter.category = category;
+  } else {
+    filter._id = { $in: items.map(entry => entry.itemId) };
+  }
+
+  const found = await InventoryItem.find(filter)
+    .select('name sku barcode unit mrpPrice sellPrice')
+    .sort({ name: 1 })
+    .lean();
+  if (found.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: 'No inventory items found to label'
+    });
+  }
+
+  // Selected items print in the order given, each with its own number of copies
+  const labels = category
+    ? found.flatMap(item => Array(copies).fill(item))
+    : items.flatMap(entry => {
+      const item = found.find(candidate => candidate._id.toString() === String(entry.itemId));
+      return item ? Array(Number(entry.copies || copies)).fill(item) : [];
+    });
+  if (labels.length > MAX_LABELS) {
+    return res.status(400).json({
+      success: false,
+      error: `At most ${MAX_LABELS} labels can be printed at once; ${labels.length} requested`
+    });
+  }
+
+  const doc = new PDFDocument({ autoFirstPage: false, margin: 0 });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="labels-${layout}.pdf"`);
+  doc.pipe(res);
+  renderLabels(doc, labels, layout, { skip });
+  doc.end();
+});
+
+module.exports = {
+  printLabels
+};
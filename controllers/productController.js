@@ -0,0 +1,385 @@
+const mongoose = require('mongoose');
+const { Product, InventoryItem } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const { resolveStoreId, storeScopedFilter } = require('../utils/storeScope');
+const { logAudit } = require('../utils/auditLogService');
+const { getDefaultPrecision, roundQuantity, isValidQuantity, addQuantities } = require('../utils/quantityService');
+const { roundCurrency } = require('../utils/gstService');
+
+// Product fields every variant keeps a copy of, so billing, GST and reports read them off the item
+const SHARED_FIELDS = ['description', 'brand', 'type', 'category', 'hsnCode', 'taxRate', 'priceIncludesTax'];
+
+const VARIANT_FIELDS = 'name sku barcode variantAttributes stockQty reservedQty purchasePrice sellPrice mrpPrice minStockLevel status unit quantityPrecision isActive';
+
+const pickShared = (source) => Object.fromEntries(
+  SHARED_FIELDS.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+/**
+ * Match requested attribute values to the product's attributes (case-insensitive),
+ * returning them in the product's own spelling
+ */
+const resolveVariantAttributes = (product, requested) => {
+  const entries = Object.entries(requested || {});
+  if (entries.length !== product.attributes.length) {
+    return { error: `A variant needs exactly one value for each of: ${product.attributes.map(a => a.name).join(', ')}` };
+  }
+
+  const values = {};
+  for (const attribute of product.attributes) {
+    const entry = entries.find(([name]) => name.trim().toLowerCase() === attribute.name);
+    if (!entry) {
+      return { error: `Variant is missing a value for ${attribute.name}` };
+    }
+    const value = attribute.values.find(allowed => allowed.toLowerCase() === String(entry[1]).trim().toLowerCase());
+    if (!value) {
+      return { error: `${entry[1]} is not a ${attribute.name} of ${product.name}` };
+    }
+    values[attribute.name] = value;
+  }
+  return { values };
+};
+
+const combinationKey = (values) => Object.keys(values).sort()
+  .map(name => `${name}=${String(values[name]).toLowerCase()}`)
+  .join('|');
+
+const describeCombination = (product, values) => product.attributes.map(a => values[a.name]).join(', ');
+
+// Variant SKUs extend the product's code with the attribute values, e.g. NIK-CLO-3F9A2C-M-RED
+const variantSku = (product, values) => [
+  product.brand.substring(0, 3),
+  product.type.substring(0, 3),
+  product._id.toString().slice(-6),
+  ...product.attributes.map(a => values[a.name].replace(/[^a-zA-Z0-9]+/g, '').substring(0, 6))
+].join('-').toUpperCase();
+
+/**
+ * Check a requested variant and turn it into InventoryItem data. Returns { data } or { error }.
+ */
+const buildVariant = (product, input, values, userId) => {
+  const precision = getDefaultPrecision(product.unit);
+  const stockQty = input.stockQty !== undefined ? parseFloat(input.stockQty) : 0;
+  if (!isValidQuantity(stockQty, precision)) {
+    return {
+      error: precision > 0
+        ? `Quantities in ${product.unit} allow at most ${precision} decimals`
+        : `Quantities in ${product.unit} must be whole numbers`
+    };
+  }
+
+  const sellPrice = parseFloat(input.sellPrice);
+  const mrpPrice = parseFloat(input.mrpPrice);
+  if (sellPrice > mrpPrice) {
+    return { error: `Selling price cannot be greater than MRP (${describeCombination(product, values)})` };
+  }
+
+  return {
+    data: {
+      ...pickShared(product),
+      productId: product._id,
+      variantAttributes: values,
+      name: `${product.name} (${describeCombination(product, values)})`,
+      unit: product.unit,
+      quantityPrecision: precision,
+      totalUnits: roundQuantity(stockQty, precision),
+      stockQty: roundQuantity(stockQty, precision),
+      purchasePrice: parseFloat(input.purchasePrice),
+      sellPrice,
+      mrpPrice,
+      purchaseDate: input.purchaseDate ? new Date(input.purchaseDate) : new Date(),
+      sku: input.sku ? input.sku.trim().toUpperCase() : variantSku(product, values),
+      ...(input.barcode && { barcode: input.barcode.toString().trim() }),
+      ...(input.minStockLevel !== undefined && { minStockLevel: parseFloat(input.minStockLevel) }),
+      ...(input.maxStockLevel !== undefined && { maxStockLevel: parseFloat(input.maxStockLevel) }),
+      storeId: product.storeId,
+      createdBy: userId
+    }
+  };
+};
+
+// Stock and price roll-up of a product's variants
+const summarizeVariants = (variants) => ({
+  variantCount: variants.length,
+  stockQty: addQuantities(...variants.map(variant => variant.stockQty)),
+  stockValue: roundCurrency(variants.reduce((total, v) => total + v.stockQty * v.purchasePrice, 0)),
+  sellPriceRange: variants.length
+    ? {
+      min: Math.min(...variants.map(variant => variant.sellPrice)),
+      max: Math.max(...variants.map(variant => variant.sellPrice))
+    }
+    : null,
+  outOfStockVariants: variants.filter(variant => variant.stockQty === 0).length
+});
+
+const findProductForStore = (req) => Product.findOne(
+  storeScopedFilter(req, { _id: req.params.id, isDeleted: false })
+);
+
+// @desc    Create a product with its variants
+// @route   POST /api/v1/inventory/products
+// @access  Private (Owner)
+const createProduct = catchAsync(async (req, res) => {
+  const storeId = resolveStoreId(req);
+  if (!storeId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Store ID is required to create a product'
+    });
+  }
+
+  const { name, unit, attributes, variants = [] } = req.body;
+  const product = new Product({
+    ...pickShared(req.body),
+    name,
+    unit,
+    attributes,
+    storeId,
+    createdBy: req.user.id
+  });
+  await product.validate();
+
+  const seen = new Set();
+  const variantData = [];
+  for (const input of variants) {
+    const { values, error } = resolveVariantAttributes(product, input.attributes);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const key = combinationKey(values);
+    if (seen.has(key)) {
+      return res.status(400).json({
+        success: false,
+        error: `Variant ${describeCombination(product, values)} is listed more than once`
+      });
+    }
+    seen.add(key);
+
+    const variant = buildVariant(product, input, values, req.user.id);
+    if (variant.error) {
+      return res.status(400).json({ success: false, error: variant.error });
+    }
+    variantData.push(variant.data);
+  }
+
+  // Each variant scans by its own barcode
+  const barcodes = variantData.filter(variant => variant.barcode).map(variant => variant.barcode);
+  if (new Set(barcodes).size !== barcodes.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'Variants cannot share a barcode'
+    });
+  }
+  const conflicts = await InventoryItem.findBarcodeConflicts(storeId, barcodes);
+  if (conflicts.length > 0) {
+    return res.status(409).json({
+      success: false,
+      error: `Barcode already used in this store: ${conflicts.map(({ code, name }) => `${code} (${name})`).join(', ')}`
+    });
+  }
+
+  let createdVariants = [];
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await product.save({ session });
+      createdVariants = await InventoryItem.create(variantData, { session, ordered: true });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  await logAudit({
+    userId: req.user.id,
+    action: 'create',
+    targetType: 'product',
+    targetId: product._id,
+    details: {
+      name: product.name,
+      variants: createdVariants.map(variant => ({ itemId: variant._id, sku: variant.sku }))
+    }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Product created successfully',
+    data: {
+      ...product.toObject(),
+      variants: createdVariants,
+      ...summarizeVariants(createdVariants)
+    }
+  });
+});
+
+// @desc    Get a product with its variants and their stock roll-up
+// @route   GET /api/v1/inventory/products/:id
+// @access  Private
+const getProduct = catchAsync(async (req, res) => {
+  const product = await findProductForStore(req)
+    .populate('category', 'name')
+    .populate('createdBy', 'firstName lastName')
+    .lean();
+
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      error: 'Product not found'
+    });
+  }
+
+  const variants = await InventoryItem.find({ productId: product._id, isDeleted: false })
+    .select(VARIANT_FIELDS)
+    .sort({ createdAt: 1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    message: 'Product retrieved successfully',
+    data: {
+      ...product,
+      variants,
+      ...summarizeVariants(variants)
+    }
+  });
+});
+
+// @desc    Add a variant to an existing product
+// @route   POST /api/v1/inventory/products/:id/variants
+// @access  Private (Owner)
+const addVariant = catchAsync(async (req, res) => {
+  const product = await findProductForStore(req);
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      error: 'Product not found'
+    });
+  }
+
+  const { values, error } = resolveVariantAttributes(product, req.body.attributes);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  const siblings = await InventoryItem.find({ productId: product._id, isDeleted: false })
+    .select('variantAttributes')
+    .lean();
+  const key = combinationKey(values);
+  if (siblings.some(sibling => combinationKey(sibling.variantAttributes || {}) === key)) {
+    return res.status(409).json({
+      success: false,
+      error: `${product.name} already has a ${describeCombination(product, values)} variant`
+    });
+  }
+
+  const variant = buildVariant(product, req.body, values, req.user.id);
+  if (variant.error) {
+    return res.status(400).json({ success: false, error: variant.error });
+  }
+
+  if (variant.data.barcode) {
+    const [conflict] = await InventoryItem.findBarcodeConflicts(product.storeId, [variant.data.barcode]);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: `Barcode ${conflict.code} is already used by ${conflict.name}`
+      });
+    }
+  }
+
+  const item = await InventoryItem.create(variant.data);
+
+  await logAudit({
+    userId: req.user.id,
+    action: 'add_variant',
+    targetType: 'product',
+    targetId: product._id,
+    details: { itemId: item._id, sku: item.sku, attributes: values }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Variant added successfully',
+    data: item
+  });
+});
+
+// @desc    Update a product's shared details and copy them to its variants
+// @route   PUT /api/v1/inventory/products/:id
+// @access  Private (Owner)
+const updateProduct = catchAsync(async (req, res) => {
+  const product = await findProductForStore(req);
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      error: 'Product not found'
+    });
+  }
+
+  // Values can be added to an attribute; renaming or dropping attributes would orphan variants
+  if (req.body.attributes !== undefined) {
+    const current = product.attributes.map(a => a.name).sort().join('|');
+    const requested = req.body.attributes.map(a => String(a.name).trim().toLowerCase()).sort().join('|');
+    if (current !== requested) {
+      return res.status(400).json({
+        success: false,
+        error: `Variant attributes cannot be changed once set (${product.attributes.map(a => a.name).join(', ')})`
+      });
+    }
+    for (const attribute of product.attributes) {
+      const requestedValues = req.body.attributes
+        .find(a => String(a.name).trim().toLowerCase() === attribute.name).values;
+      const dropped = attribute.values.filter(value => !requestedValues.some(v => v.toLowerCase() === value.toLowerCase()));
+      if (dropped.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Values cannot be removed from ${attribute.name}: ${dropped.join(', ')}`
+        });
+      }
+    }
+    product.attributes = req.body.attributes;
+  }
+
+  const shared = pickShared(req.body);
+  Object.assign(product, shared);
+  if (req.body.name !== undefined) product.name = req.body.name;
+  await product.save();
+
+  const variants = await InventoryItem.find({ productId: product._id, isDeleted: false })
+    .select('variantAttributes')
+    .lean();
+  if (variants.length > 0 && (Object.keys(shared).length > 0 || req.body.name !== undefined)) {
+    await InventoryItem.bulkWrite(variants.map(variant => ({
+      updateOne: {
+        filter: { _id: variant._id },
+        update: {
+          $set: {
+            ...pickShared(product),
+            name: `${product.name} (${describeCombination(product, variant.variantAttributes || {})})`
+          }
+        }
+      }
+    })));
+  }
+
+  await logAudit({
+    userId: req.user.id,
+    action: 'update',
+    targetType: 'product',
+    targetId: product._id,
+    details: { changes: req.body, variantsUpdated: variants.length }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Product updated successfully',
+    data: product
+  });
+});
+
+module.exports = {
+  createProduct,
+  getProduct,
+  addVariant,
+  updateProduct
+};
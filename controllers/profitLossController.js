@@ -5,7 +5,7 @@ const mongoose = require('mongoose');
 // GET /reports/profit-loss
 const getProfitLossReport = catchAsync(async (req, res) => {
   let { month, category, store } = req.query;
-  const match = {};
+  const match = { status: { $ne: 'cancelled' } };
   const expenseMatch = { isDeleted: false };
 
   // Date filtering
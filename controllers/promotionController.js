@@ -0,0 +1,192 @@
+const { Promotion } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const { resolveStoreId } = require('../utils/storeScope');
+const { isPromotionActive } = require('../utils/promotionEngine');
+const { logAudit } = require('../utils/auditLogService');
+
+// Fields a client may set on a promotion
+const EDITABLE_FIELDS = [
+  'name', 'description', 'type', 'value', 'buyQuantity', 'getQuantity', 'maxDiscount',
+  'categories', 'brands', 'items', 'minBillAmount', 'startsAt', 'endsAt', 'daysOfWeek',
+  'dailyStartTime', 'dailyEndTime', 'couponCode', 'usageLimit', 'perCustomerLimit',
+  'priority', 'stackable', 'isActive'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+const withStatus = (promotion) => ({
+  ...promotion,
+  isCurrentlyActive: isPromotionActive(promotion),
+  remainingUses: promotion.usageLimit ? Math.max(0, promotion.usageLimit - promotion.usageCount) : null
+});
+
+// @desc    Create a promotion or coupon
+// @route   POST /api/v1/promotions
+// @access  Private (Manager and above)
+const createPromotion = catchAsync(async (req, res) => {
+  const storeId = resolveStoreId(req);
+  if (!storeId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Store ID is required to create a promotion'
+    });
+  }
+
+  const promotion = await Promotion.create({
+    ...pickEditable(req.body),
+    storeId,
+    createdBy: req.user.id
+  });
+
+  await logAudit({
+    userId: req.user.id,
+    action: 'create',
+    targetType: 'promotion',
+    targetId: promotion._id,
+    details: { name: promotion.name, type: promotion.type, couponCode: promotion.couponCode }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Promotion created successfully',
+    data: promotion
+  });
+});
+
+// @desc    List promotions of a store
+// @route   GET /api/v1/promotions
+// @access  Private (Staff and above)
+const getPromotions = catchAsync(async (req, res) => {
+  const { page = 1, limit = 50, isActive, couponOnly, search } = req.query;
+
+  const storeId = resolveStoreId(req);
+  const filter = storeId ? { storeId } : {};
+  if (isActive !== undefined) filter.isActive = isActive === 'true';
+  if (couponOnly === 'true') filter.couponCode = { $type: 'string' };
+  if (search) {
+    const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    filter.$or = [{ name: pattern }, { couponCode: pattern }];
+  }
+
+  const result = await Promotion.paginate(filter, {
+    page: Math.max(1, parseInt(page)),
+    limit: Math.max(1, Math.min(100, parseInt(limit))),
+    sort: { priority: -1, createdAt: -1 },
+    lean: true
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotions retrieved',
+    data: {
+      promotions: result.docs.map(withStatus),
+      pagination: {
+        currentPage: result.page,
+        totalPages: result.totalPages,
+        totalDocs: result.totalDocs,
+        limit: result.limit,
+        hasNextPage: result.hasNextPage,
+        hasPrevPage: result.hasPrevPage
+      }
+    }
+  });
+});
+
+// @desc    Get a promotion
+// @route   GET /api/v1/promotions/:id
+// @access  Private (Staff and above)
+const getPromotion = catchAsync(async (req, res) => {
+  const storeId = resolveStoreId(req);
+  const promotion = await Promotion.findOne({ _id: req.params.id, ...(storeId && { storeId }) })
+    .populate('categories', 'name')
+    .populate('items', 'name sku')
+    .lean();
+
+  if (!promotion) {
+    return res.status(404).json({
+      success: false,
+      error: 'Promotion not found'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: withStatus(promotion)
+  });
+});
+
+// @desc    Update a promotion
+// @route   PUT /api/v1/promotions/:id
+// @access  Private (Manager and above)
+const updatePromotion = catchAsync(async (req, res) => {
+  const storeId = resolveStoreId(req);
+  const promotion = await Promotion.findOne({ _id: req.params.id, ...(storeId && { storeId }) });
+
+  if (!promotion) {
+    return res.status(404).json({
+      success: false,
+      error: 'Promotion not found'
+    });
+  }
+
+  const updates = pickEditable(req.body);
+  promotion.set({ ...updates, updatedBy: req.user.id });
+  await promotion.save();
+
+  await logAudit({
+    userId: req.user.id,
+    action: 'update',
+    targetType: 'promotion',
+    targetId: promotion._id,
+    details: { updates }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotion updated successfully',
+    data: promotion
+  });
+});
+
+// @desc    Deactivate a promotion (kept for the bills that used it)
+// @route   DELETE /api/v1/promotions/:id
+// @access  Private (Manager and above)
+const deactivatePromotion = catchAsync(async (req, res) => {
+  const storeId = resolveStoreId(req);
+  const promotion = await Promotion.findOneAndUpdate(
+    { _id: req.params.id, ...(storeId && { storeId }) },
+    { isActive: false, updatedBy: req.user.id },
+    { new: true }
+  );
+
+  if (!promotion) {
+    return res.status(404).json({
+      success: false,
+      error: 'Promotion not found'
+    });
+  }
+
+  await logAudit({
+    userId: req.user.id,
+    action: 'delete',
+    targetType: 'promotion',
+    targetId: promotion._id,
+    details: { name: promotion.name }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: 'Promotion deactivated successfully',
+    data: promotion
+  });
+});
+
+module.exports = {
+  createPromotion,
+  getPromotions,
+  getPromotion,
+  updatePromotion,
+  deactivatePromotion
+};
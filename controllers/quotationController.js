@@ -0,0 +1,407 @@
+const PDFDocument = require('pdfkit');
+const Quotation = require('../models/Quotation');
+const InventoryItem = require('../models/InventoryItem');
+const User = require('../models/User');
+const {
+  calculatePricing,
+  resolvePlaceOfSupply,
+  generateInvoicePDFContent,
+  getStoreDetailsForPDF
+} = require('./billingController');
+const { logAudit } = require('../utils/auditLogService');
+const logger = require('../utils/logger');
+const { resolveStoreId, storeScopedFilter } = require('../utils/storeScope');
+const { nextNumber } = require('../utils/numberSeriesService');
+const { isValidQuantity } = require('../utils/quantityService');
+
+const DEFAULT_VALIDITY_DAYS = 15;
+
+const findQuotationForStore = (req) => (
+  Quotation.findOne(storeScopedFilter(req, { quotationNumber: req.params.quotationNumber }))
+);
+
+/**
+ * Create a priced quotation (estimate)
+ * POST /api/billing/quotations
+ */
+const createQuotation = async (req, res) => {
+  try {
+    const {
+      items,
+      customerId,
+      customerName,
+      customerPhone,
+      customerEmail,
+      customerState,
+      discount = 0,
+      extraDiscount = 0,
+      validUntil,
+      validityDays = DEFAULT_VALIDITY_DAYS,
+      notes = ''
+    } = req.body;
+
+    const storeId = resolveStoreId(req);
+    if (!storeId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Store ID is required to create a quotation'
+      });
+    }
+
+    const inventoryItems = await InventoryItem.find({
+      _id: { $in: items.map(item => item.itemId) },
+      storeId,
+      isDeleted: { $ne: true }
+    });
+
+    const quoteItems = [];
+    for (const requestedItem of items) {
+      const inventoryItem = inventoryItems.find(
+        item => item._id.toString() === requestedItem.itemId
+      );
+
+      if (!inventoryItem) {
+        return res.status(400).json({
+          success: false,
+          message: `Item not found in this store: ${requestedItem.itemId}`
+        });
+      }
+
+      if (!isValidQuantity(requestedItem.quantity, inventoryItem.quantityPrecision)) {
+        return res.status(400).json({
+          success: false,
+          message: `Quantity of ${inventoryItem.name} allows at most ${inventoryItem.quantityPrecision} decimals (${inventoryItem.unit})`
+        });
+      }
+
+      quoteItems.push({
+        itemId: inventoryItem._id,
+        itemName: inventoryItem.name,
+        brand: inventoryItem.brand,
+        sku: inventoryItem.sku || '',
+        quantity: requestedItem.quantity,
+        unit: inventoryItem.unit || 'pcs',
+        unitPrice: inventoryItem.sellPrice,
+        mrp: inventoryItem.mrpPrice,
+        hsnCode: inventoryItem.hsnCode || '',
+        taxRate: inventoryItem.taxRate || 0,
+        priceIncludesTax: inventoryItem.priceIncludesTax !== false
+      });
+    }
+
+    let customer = null;
+    if (customerId) {
+      customer = await User.findById(customerId);
+      if (!customer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Customer not found'
+        });
+      }
+    }
+
+    const { placeOfSupply, isInterState } = await resolvePlaceOfSupply({ storeId, customer, customerState });
+    const pricing = calculatePricing(quoteItems, { discount, extraDiscount, isInterState });
+
+    const expiresOn = validUntil
+      ? new Date(validUntil)
+      : new Date(Date.now() + validityDays * 24 * 60 * 60 * 1000);
+
+    const quotation = await Quotation.create({
+      quotationNumber: await nextNumber(storeId, 'quotation'),
+      storeId,
+      customerId: customer ? customer._id : null,
+      customerName: customerName || (customer ? `${customer.firstName} ${customer.lastName}` : 'Walk-in Customer'),
+      customerPhone: customerPhone || customer?.phone || '',
+      customerEmail: customerEmail || customer?.email || '',
+      customerState: customerState || '',
+      items: pricing.items,
+      subtotal: pricing.subtotal,
+      mrpTotal: pricing.mrpTotal,
+      discount: pricing.discount,
+      extraDiscount: pricing.extraDiscount,
+      placeOfSupply,
+      isInterState,
+      taxableAmount: pricing.taxableAmount,
+      cgstAmount: pricing.cgstAmount,
+      sgstAmount: pricing.sgstAmount,
+      igstAmount: pricing.igstAmount,
+      totalTax: pricing.totalTax,
+      taxBreakup: pricing.taxBreakup,
+      totalAmount: pricing.finalAmount,
+      validUntil: expiresOn,
+      notes,
+      createdBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Quotation created successfully',
+      data: quotation
+    });
+
+    await logAudit({
+      userId: req.user.id,
+      action: 'create',
+      targetType: 'quotation',
+      targetId: quotation._id,
+      details: { quotationNumber: quotation.quotationNumber, totalAmount: quotation.totalAmount }
+    }).catch(auditError => logger.error({ err: auditError }, 'Failed to audit quotation'));
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error creating quotation');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create quotation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * List quotations
+ * GET /api/billing/quotations
+ */
+const getQuotations = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, search = '', customerId } = req.query;
+
+    const filters = {};
+    const storeId = resolveStoreId(req);
+    if (storeId) filters.storeId = storeId;
+    if (customerId) filters.customerId = customerId;
+
+    // 'expired' is derived from validUntil rather than stored
+    if (status === 'expired') {
+      filters.status = 'open';
+      filters.validUntil = { $lt: new Date() };
+    } else if (status === 'open') {
+      filters.status = 'open';
+      filters.validUntil = { $gte: new Date() };
+    } else if (status) {
+      filters.status = status;
+    }
+
+    if (search) {
+      filters.$or = [
+        { quotationNumber: { $regex: search, $options: 'i' } },
+        { customerName: { $regex: search, $options: 'i' } },
+        { customerPhone: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const result = await Quotation.paginate(filters, {
+      page: parseInt(page),
+      limit: parseInt(limit),
+      sort: { createdAt: -1 },
+      populate: [{ path: 'createdBy', select: 'firstName lastName email' }]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        quotations: result.docs,
+        pagination: {
+          currentPage: result.page,
+          totalPages: result.totalPages,
+          totalDocs: result.totalDocs,
+          limit: result.limit,
+          hasNextPage: result.hasNextPage,
+          hasPrevPage: result.hasPrevPage
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error fetching quotations');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quotations',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Get a single quotation
+ * GET /api/billing/quotations/:quotationNumber
+ */
+const getQuotation = async (req, res) => {
+  try {
+    const quotation = await findQuotationForStore(req)
+      .populate('createdBy', 'firstName lastName email')
+      .populate('convertedBy', 'firstName lastName email');
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: quotation
+    });
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error fetching quotation');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quotation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Download a quotation as an estimate PDF
+ * GET /api/billing/quotations/:quotationNumber/pdf
+ */
+const getQuotationPDF = async (req, res) => {
+  try {
+    const quotation = await findQuotationForStore(req);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    const store = await getStoreDetailsForPDF(quotation.storeId);
+    const validUntil = new Date(quotation.validUntil).toLocaleDateString('en-IN');
+
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="estimate-${quotation.quotationNumber}.pdf"`);
+    doc.pipe(res);
+
+    generateInvoicePDFContent(doc, quotation, store, {
+      title: 'ESTIMATE',
+      detailRows: [
+        ['Quotation no:', quotation.quotationNumber],
+        ['Quotation date:', new Date(quotation.createdAt).toLocaleDateString('en-IN')],
+        ['Valid until:', validUntil]
+      ],
+      terms: `This is an estimate and not a tax invoice. Prices are valid until ${validUntil} and subject to stock availability at the time of purchase.`
+    });
+    doc.end();
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error generating quotation PDF');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate quotation PDF',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+/**
+ * Load a quotation into req.body so the regular sale validation and recordSale can run on it.
+ * The sale is billed at current prices: if any price or tax rate changed since the quote was
+ * issued the request is rejected unless the caller passes acceptPriceChanges=true.
+ * Stock is re-checked by recordSale itself.
+ */
+const loadQuotationForSale = async (req, res, next) => {
+  try {
+    const quotation = await findQuotationForStore(req);
+
+    if (!quotation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Quotation not found'
+      });
+    }
+
+    if (quotation.status !== 'open') {
+      return res.status(409).json({
+        success: false,
+        message: `Quotation was already converted to invoice ${quotation.invoiceNumber}`
+      });
+    }
+
+    if (quotation.isExpired) {
+      return res.status(400).json({
+        success: false,
+        message: `Quotation expired on ${new Date(quotation.validUntil).toLocaleDateString('en-IN')}`
+      });
+    }
+
+    const inventoryItems = await InventoryItem.find({
+      _id: { $in: quotation.items.map(item => item.itemId) }
+    }).select('name sellPrice taxRate priceIncludesTax');
+
+    const priceChanges = [];
+    quotation.items.forEach(quotedItem => {
+      const inventoryItem = inventoryItems.find(item => item._id.equals(quotedItem.itemId));
+      if (!inventoryItem) return; // recordSale reports missing items
+
+      if (inventoryItem.sellPrice !== quotedItem.unitPrice ||
+          (inventoryItem.taxRate || 0) !== quotedItem.taxRate ||
+          (inventoryItem.priceIncludesTax !== false) !== quotedItem.priceIncludesTax) {
+        priceChanges.push({
+          itemId: quotedItem.itemId,
+          itemName: quotedItem.itemName,
+          quotedPrice: quotedItem.unitPrice,
+          currentPrice: inventoryItem.sellPrice,
+          quotedTaxRate: quotedItem.taxRate,
+          currentTaxRate: inventoryItem.taxRate || 0
+        });
+      }
+    });
+
+    const acceptPriceChanges = req.body?.acceptPriceChanges === true || req.body?.acceptPriceChanges === 'true';
+    if (priceChanges.length > 0 && !acceptPriceChanges) {
+      return res.status(409).json({
+        success: false,
+        message: 'Prices changed since the quotation was issued. Resend with acceptPriceChanges=true to bill at current prices.',
+        data: { priceChanges }
+      });
+    }
+
+    const cart = {
+      items: quotation.items.map(item => ({
+        itemId: item.itemId.toString(),
+        quantity: item.quantity
+      })),
+      discount: quotation.discount,
+      extraDiscount: quotation.extraDiscount,
+      customerName: quotation.customerName
+    };
+    if (quotation.customerId) cart.customerId = quotation.customerId.toString();
+    if (quotation.customerPhone) cart.customerPhone = quotation.customerPhone;
+    if (quotation.customerEmail) cart.customerEmail = quotation.customerEmail;
+    if (quotation.customerState) cart.customerState = quotation.customerState;
+    if (quotation.notes) cart.notes = quotation.notes;
+
+    const overrides = { ...(req.body || {}) };
+    delete overrides.acceptPriceChanges;
+    req.body = {
+      ...cart,
+      ...overrides,
+      items: cart.items,
+      storeId: quotation.storeId.toString(),
+      quotationId: quotation._id.toString()
+    };
+
+    next();
+
+  } catch (error) {
+    logger.error({ err: error }, 'Error loading quotation');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to convert quotation',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = {
+  createQuotation,
+  getQuotations,
+  getQuotation,
+  getQuotationPDF,
+  loadQuotationForSale
+};
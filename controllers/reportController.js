@@ -7,7 +7,7 @@ const Expense = require('../models/Expense');
 // GET /reports/sales
 const getSalesReport = catchAsync(async (req, res) => {
   let { from, to, day, month, paymentMethod } = req.query;
-  const match = {};
+  const match = { status: { $ne: 'cancelled' } };
 
   // Date filtering
   if (day) {
@@ -28,7 +28,7 @@ const getSalesReport = catchAsync(async (req, res) => {
   }
 
   // Payment method filter
-  if (paymentMethod) match.paymentMode = paymentMethod;
+  if (paymentMethod) Object.assign(match, Sale.paymentModeFilter(paymentMethod));
 
   // Aggregate sales
   const salesAgg = await Sale.aggregate([
@@ -58,6 +58,7 @@ const getSalesReport = catchAsync(async (req, res) => {
           { $sort: { quantity: -1, revenue: -1 } },
           { $limit: 10 }
         ],
+        paymentBreakdown: Sale.paymentBreakdownStages(),
         topStaff: [
           {
             $group: {
@@ -95,6 +96,7 @@ const getSalesReport = catchAsync(async (req, res) => {
   const totals = salesAgg[0].totals[0] || { totalRevenue: 0, avgBill: 0, count: 0 };
   const topItems = salesAgg[0].topItems || [];
   const topStaff = salesAgg[0].topStaff || [];
+  const paymentBreakdown = salesAgg[0].paymentBreakdown || [];
 
   res.status(200).json({
     success: true,
@@ -103,7 +105,8 @@ const getSalesReport = catchAsync(async (req, res) => {
       averageBillValue: totals.avgBill,
       totalBills: totals.count,
       topItems,
-      topStaff
+      topStaff,
+      paymentBreakdown
     }
   });
 });
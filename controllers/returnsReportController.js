@@ -6,8 +6,8 @@ const mongoose = require('mongoose');
 const getReturnsReport = catchAsync(async (req, res) => {
   let { staff, customer, from, to } = req.query;
   const match = { isRefunded: true };
-  if (staff) match.createdBy = mongoose.Types.ObjectId(staff);
-  if (customer) match.customerId = mongoose.Types.ObjectId(customer);
+  if (staff) match.refundedBy = new mongoose.Types.ObjectId(staff);
+  if (customer) match.customerId = new mongoose.Types.ObjectId(customer);
   if (from || to) {
     match.refundDate = {};
     if (from) match.refundDate.$gte = new Date(from);
@@ -25,8 +25,9 @@ const getReturnsReport = catchAsync(async (req, res) => {
     }
   ]);
   const refunds = await Sale.find(match)
-    .select('invoiceNumber refundAmount refundReason refundDate createdBy customerId')
-    .populate('createdBy', 'firstName lastName email')
+    .select('invoiceNumber status totalAmount refundAmount refundReason refundDate refundedBy handledBy customerId')
+    .populate('refundedBy', 'firstName lastName email')
+    .populate('handledBy', 'firstName lastName email')
     .populate('customerId', 'firstName lastName email phoneNumber')
     .lean();
   res.status(200).json({
@@ -12,7 +12,7 @@ const getSalesCalendar = catchAsync(async (req, res) => {
   const end = new Date(year, mon, 0, 23, 59, 59, 999);
 
   const sales = await Sale.aggregate([
-    { $match: { createdAt: { $gte: start, $lte: end } } },
+    { $match: { createdAt: { $gte: start, $lte: end }, status: { $ne: 'cancelled' } } },
     {
       $group: {
         _id: {
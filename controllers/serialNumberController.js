@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const { InventoryItem, SerialNumber } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const { storeScopedFilter } = require('../utils/storeScope');
+const { logAudit } = require('../utils/auditLogService');
+const { quantityIncrement } = require('../utils/quantityService');
+const { normalizeSerials } = require('../utils/serialNumberService');
+
+// @desc    Register the serial numbers / IMEIs of units received, adding them to stock
+// @route   POST /api/v1/inventory/items/:id/serials
+// @access  Private (Staff and above)
+const registerSerials = catchAsync(async (req, res) => {
+  const serials = normalizeSerials(req.body.serials);
+  // Units already counted in stock (e.g. when an item switches to serial tracking)
+  const alreadyInStock = req.body.alreadyInStock === true || req.body.alreadyInStock === 'true';
+
+  const item = await InventoryItem.findOne(storeScopedFilter(req, { _id: req.params.id, isDeleted: false }));
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      error: 'Inventory item not found'
+    });
+  }
+
+  if (item.isKit || item.quantityPrecision > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `${item.name} is not sold in whole units, so it cannot be serial-tracked`
+    });
+  }
+
+  if (new Set(serials).size !== serials.length) {
+    return res.status(400).json({
+      success: false,
+      error: 'Serial numbers must not repeat'
+    });
+  }
+
+  const registered = await SerialNumber.find({ itemId: item._id, serial: { $in: serials } })
+    .select('serial')
+    .lean();
+  if (registered.length > 0) {
+    return res.status(409).json({
+      success: false,
+      error: `Already registered for ${item.name}: ${registered.map(unit => unit.serial).join(', ')}`
+    });
+  }
+
+  if (alreadyInStock) {
+    const inStock = await SerialNumber.countDocuments({ itemId: item._id, status: 'in_stock' });
+    if (inStock + serials.length > item.stockQty) {
+      return res.status(400).json({
+        success: false,
+        error: `${item.name} has ${item.stockQty} in stock and ${inStock} serial(s) registered; ${serials.length} more cannot be on the shelf already`
+      });
+    }
+  }
+
+  let units;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      units = await SerialNumber.insertMany(serials.map(serial => ({
+        storeId: item.storeId,
+        itemId: item._id,
+        serial,
+        history: [{ event: 'received', by: req.user.id }]
+      })), { session });
+
+      // From the first registration on, every unit billed must be picked by serial
+      await InventoryItem.updateOne(
+        { _id: item._id },
+        alreadyInStock
+          ? { $set: { trackSerials: true } }
+          : [...quantityIncrement({ stockQty: serials.length, totalUnits: serials.length }), { $set: { trackSerials: true } }],
+        { session }
+      );
+    });
+  } finally {
+    session.endSession();
+  }
+
+  await logAudit({
+    userId: req.user.id,
+    action: 'register_serials',
+    targetType: 'inventory',
+    targetId: item._id,
+    details: { serials, alreadyInStock }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Registered ${serials.length} serial number(s) for ${item.name}`,
+    data: units
+  });
+});
+
+// @desc    List an item's serial numbers
+// @route   GET /api/v1/inventory/items/:id/serials
+// @access  Private
+const getItemSerials = catchAsync(async (req, res) => {
+  const { status } = req.query;
+
+  const item = await InventoryItem.findOne(storeScopedFilter(req, { _id: req.params.id, isDeleted: false }))
+    .select('name sku stockQty trackSerials')
+    .lean();
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      error: 'Inventory item not found'
+    });
+  }
+
+  const filter = { itemId: item._id };
+  if (status) filter.status = status;
+
+  const serials = await SerialNumber.find(filter)
+    .select('serial status saleId createdAt')
+    .populate('saleId', 'invoiceNumber customerName')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.status(200).json({
+    success: true,
+    message: 'Serial numbers retrieved successfully',
+    data: {
+      item,
+      serials,
+      inStock: serials.filter(unit => unit.status === 'in_stock').length
+    }
+  });
+});
+
+// @desc    Trace a serial number / IMEI: the item, where the unit is now and everything that happened to it
+// @route   GET /api/v1/inventory/serials/:serial
+// @access  Private
+const lookupSerial = catchAsync(async (req, res) => {
+  const [serial] = normalizeSerials([req.params.serial]);
+
+  const units = await SerialNumber.find(storeScopedFilter(req, { serial }))
+    .populate('itemId', 'name sku brand type')
+    .populate('history.by', 'firstName lastName')
+    .populate('history.saleId', 'invoiceNumber saleDate status')
+    .lean();
+  if (units.length === 0) {
+    return res.status(404).json({
+      success: false,
+      error: `Serial number ${serial} not found`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    message: 'Serial number history retrieved successfully',
+    // Serials are unique per item, so different products may share one
+    data: units
+  });
+});
+
+module.exports = {
+  registerSerials,
+  getItemSerials,
+  lookupSerial
+};
@@ -0,0 +1,234 @@
+const mongoose = require('mongoose');
+const { InventoryItem, StockBatch } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const { storeScopedFilter } = require('../utils/storeScope');
+const { logAudit } = require('../utils/auditLogService');
+const { isValidQuantity, addQuantities, quantityIncrement, formatQuantity } = require('../utils/quantityService');
+const { startOfToday } = require('../utils/batchService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const findItemForStore = (req, id) => InventoryItem.findOne(
+  storeScopedFilter(req, { _id: id, isDeleted: false })
+);
+
+const sameDay = (a, b) => (!a && !b) || (a && b && new Date(a).toDateString() === new Date(b).toDateString());
+
+// Remaining shelf life in whole days (negative once expired)
+const withExpiryStatus = (batch, today = startOfToday()) => ({
+  ...batch,
+  daysToExpiry: batch.expiryDate ? Math.floor((new Date(batch.expiryDate) - today) / DAY_MS) : null,
+  isExpired: Boolean(batch.expiryDate && batch.expiryDate < today)
+});
+
+// @desc    Receive stock of an item into a batch (a new lot, or more of an existing one)
+// @route   POST /api/v1/inventory/items/:id/batches
+// @access  Private (Staff and above)
+const receiveBatch = catchAsync(async (req, res) => {
+  const { batchNumber, manufactureDate, expiryDate, purchasePrice, notes = '' } = req.body;
+  const quantity = Number(req.body.quantity);
+
+  const item = await findItemForStore(req, req.params.id);
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      error: 'Inventory item not found'
+    });
+  }
+
+  if (item.isKit) {
+    return res.status(400).json({
+      success: false,
+      error: `${item.name} is a kit; receive stock for its components instead`
+    });
+  }
+
+  if (!isValidQuantity(quantity, item.quantityPrecision)) {
+    return res.status(400).json({
+      success: false,
+      error: item.quantityPrecision > 0
+        ? `${item.name} is stocked in ${item.unit} with at most ${item.quantityPrecision} decimals`
+        : `${item.name} is stocked in whole ${item.unit}`
+    });
+  }
+
+  // More of a lot already on record must carry the same dates
+  const normalizedNumber = batchNumber.trim().toUpperCase();
+  const existing = await StockBatch.findOne({ itemId: item._id, batchNumber: normalizedNumber });
+  if (existing && (
+    (expiryDate !== undefined && !sameDay(existing.expiryDate, expiryDate))
+    || (manufactureDate !== undefined && !sameDay(existing.manufactureDate, manufactureDate))
+  )) {
+    return res.status(409).json({
+      success: false,
+      error: `Batch ${normalizedNumber} is already recorded with different dates`
+    });
+  }
+
+  let batch;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      if (existing) {
+        batch = await StockBatch.findOneAndUpdate(
+          { _id: existing._id },
+          quantityIncrement({ quantity, receivedQty: quantity }),
+          { new: true, session }
+        );
+      } else {
+        [batch] = await StockBatch.create([{
+          storeId: item.storeId,
+          itemId: item._id,
+          batchNumber: normalizedNumber,
+          manufactureDate: manufactureDate || null,
+          expiryDate: expiryDate || null,
+          receivedQty: quantity,
+          quantity,
+          purchasePrice: purchasePrice !== undefined ? Number(purchasePrice) : null,
+          receivedBy: req.user.id,
+          notes
+        }], { session });
+      }
+
+      // From the first receipt on, sales of the item pick from its batches
+      await InventoryItem.updateOne(
+        { _id: item._id },
+        [...quantityIncrement({ stockQty: quantity, totalUnits: quantity }), { $set: { trackBatches: true } }],
+        { session }
+      );
+    });
+  } finally {
+    session.endSession();
+  }
+
+  await logAudit({
+    userId: req.user.id,
+    action: 'receive_batch',
+    targetType: 'inventory',
+    targetId: item._id,
+    details: { batchId: batch._id, batchNumber: batch.batchNumber, quantity, expiryDate: batch.expiryDate }
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Received ${formatQuantity(quantity, item.unit)} of ${item.name} into batch ${batch.batchNumber}`,
+    data: withExpiryStatus(batch.toObject())
+  });
+});
+
+// @desc    List an item's batches in picking (first expiry first) order
+// @route   GET /api/v1/inventory/items/:id/batches
+// @access  Private
+const getItemBatches = catchAsync(async (req, res) => {
+  const { includeEmpty = 'false' } = req.query;
+
+  const item = await findItemForStore(req, req.params.id)
+    .select('name sku unit stockQty trackBatches')
+    .lean();
+  if (!item) {
+    return res.status(404).json({
+      success: false,
+      error: 'Inventory item not found'
+    });
+  }
+
+  const filter = { itemId: item._id };
+  if (includeEmpty !== 'true') filter.quantity = { $gt: 0 };
+
+  const batches = await StockBatch.find(filter)
+    .populate('receivedBy', 'firstName lastName')
+    .sort({ expiryDate: 1, receivedAt: 1 })
+    .lean();
+
+  // Undated lots sort first in MongoDB but are picked last
+  const ordered = [
+    ...batches.filter(batch => batch.expiryDate),
+    ...batches.filter(batch => !batch.expiryDate)
+  ];
+  const batchedQty = addQuantities(...ordered.map(batch => batch.quantity));
+
+  res.status(200).json({
+    success: true,
+    message: 'Batches retrieved successfully',
+    data: {
+      item,
+      batches: ordered.map(batch => withExpiryStatus(batch)),
+      batchedQty,
+      // Stock from before batch tracking started, sold ahead of any batch
+      unbatchedQty: Math.max(0, addQuantities(item.stockQty, -batchedQty))
+    }
+  });
+});
+
+// @desc    Correct a batch's quantity after a count, or write off damaged or expired units
+// @route   PATCH /api/v1/inventory/batches/:id
+// @access  Private (Manager and above)
+const adjustBatch = catchAsync(async (req, res) => {
+  const { reason } = req.body;
+  const quantity = Number(req.body.quantity);
+
+  const batch = await StockBatch.findOne(storeScopedFilter(req, { _id: req.params.id }));
+  if (!batch) {
+    return res.status(404).json({
+      success: false,
+      error: 'Batch not found'
+    });
+  }
+
+  const item = await InventoryItem.findById(batch.itemId).select('name unit quantityPrecision stockQty');
+  if (!isValidQuantity(quantity, item.quantityPrecision)) {
+    return res.status(400).json({
+      success: false,
+      error: `${item.name} is stocked in ${item.unit} with at most ${item.quantityPrecision} decimals`
+    });
+  }
+
+  const change = addQuantities(quantity, -batch.quantity);
+  if (change === 0) {
+    return res.status(200).json({
+      success: true,
+      message: 'Batch quantity unchanged',
+      data: batch
+    });
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      batch.quantity = quantity;
+      batch.adjustments.push({ quantity: change, reason, adjustedBy: req.user.id });
+      await batch.save({ session });
+
+      await InventoryItem.updateOne(
+        { _id: batch.itemId },
+        [
+          ...quantityIncrement({ stockQty: change }),
+          { $set: { stockQty: { $max: ['$stockQty', 0] } } }
+        ],
+        { session }
+      );
+    });
+  } finally {
+    session.endSession();
+  }
+
+  await logAudit({
+    userId: req.user.id,
+    action: 'adjust_batch',
+    targetType: 'inventory',
+    targetId: batch.itemId,
+    details: { batchId: batch._id, batchNumber: batch.batchNumber, change, reason }
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Batch ${batch.batchNumber} adjusted by ${formatQuantity(change, item.unit)}`,
+    data: batch
+  });
+});
+
+module.exports = {
+  receiveBatch,
+  getItemBatches,
+  adjustBatch
+};
@@ -1,4 +1,6 @@
-const { body, validationResult, query } = require('express-validator');
+const { body, param, validationResult, query } = require('express-validator');
+const { GST_RATES, isValidGstin } = require('../utils/gstService');
+const { UNITS_OF_MEASURE, MAX_QUANTITY_PRECISION } = require('../utils/quantityService');
 
 // Helper function to handle validation results
 const handleValidationErrors = (req, res, next) => {
@@ -42,15 +44,30 @@ const validateInventoryItem = [
     .isIn(['electronics', 'clothing', 'books', 'home', 'sports', 'beauty', 'toys', 'automotive', 'food', 'other'])
     .withMessage('Invalid item type'),
     
+  body('unit')
+    .optional()
+    .isIn(UNITS_OF_MEASURE)
+    .withMessage(`Unit must be one of: ${UNITS_OF_MEASURE.join(', ')}`),
+    
+  body('quantityPrecision')
+    .optional()
+    .isInt({ min: 0, max: MAX_QUANTITY_PRECISION })
+    .withMessage(`Quantity precision must be between 0 and ${MAX_QUANTITY_PRECISION} decimals`),
+    
+  body('isKit')
+    .optional()
+    .isBoolean()
+    .withMessage('isKit must be true or false'),
+    
   body('totalUnits')
-    .isInt({ min: 0 })
-    .withMessage('Total units must be a non-negative integer'),
+    .isFloat({ min: 0 })
+    .withMessage('Total units must be a non-negative number'),
     
   body('stockQty')
-    .isInt({ min: 0 })
-    .withMessage('Stock quantity must be a non-negative integer')
+    .isFloat({ min: 0 })
+    .withMessage('Stock quantity must be a non-negative number')
     .custom((value, { req }) => {
-      if (parseInt(value) > parseInt(req.body.totalUnits)) {
+      if (parseFloat(value) > parseFloat(req.body.totalUnits)) {
         throw new Error('Stock quantity cannot be greater than total units');
       }
       return true;
@@ -100,17 +117,34 @@ const validateInventoryItem = [
     .isLength({ min: 8, max: 14 })
     .withMessage('Barcode must be 8-14 digits'),
     
+  body('hsnCode')
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(/^(\d{4}|\d{6}|\d{8})$/)
+    .withMessage('HSN/SAC code must be 4, 6 or 8 digits'),
+    
+  body('taxRate')
+    .optional()
+    .isFloat()
+    .custom((value) => GST_RATES.includes(parseFloat(value)))
+    .withMessage(`GST rate must be one of: ${GST_RATES.join(', ')}`),
+    
+  body('priceIncludesTax')
+    .optional()
+    .isBoolean()
+    .withMessage('priceIncludesTax must be true or false'),
+    
   body('minStockLevel')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Minimum stock level must be a non-negative integer'),
+    .isFloat({ min: 0 })
+    .withMessage('Minimum stock level must be a non-negative number'),
     
   body('maxStockLevel')
     .optional()
-    .isInt({ min: 0 })
-    .withMessage('Maximum stock level must be a non-negative integer')
+    .isFloat({ min: 0 })
+    .withMessage('Maximum stock level must be a non-negative number')
     .custom((value, { req }) => {
-      if (value && req.body.minStockLevel && parseInt(value) < parseInt(req.body.minStockLevel)) {
+      if (value && req.body.minStockLevel && parseFloat(value) < parseFloat(req.body.minStockLevel)) {
         throw new Error('Maximum stock level must be greater than minimum stock level');
       }
       return true;
@@ -148,8 +182,8 @@ const validateInventoryItem = [
 // Stock update validation
 const validateStockUpdate = [
   body('quantity')
-    .isInt({ min: 0 })
-    .withMessage('Quantity must be a non-negative integer'),
+    .isFloat({ min: 0 })
+    .withMessage('Quantity must be a non-negative number'),
     
   body('operation')
     .optional()
@@ -346,6 +380,11 @@ const validateInventoryQuery = [
     .isIn(['name', 'sellPrice', 'mrpPrice', 'purchaseDate'])
     .withMessage('Invalid sort field. Supported fields: name, sellPrice, mrpPrice, purchaseDate'),
     
+  query('groupVariants')
+    .optional()
+    .isBoolean()
+    .withMessage('groupVariants must be true or false'),
+    
   query('sortOrder')
     .optional()
     .isIn(['asc', 'desc'])
@@ -406,6 +445,30 @@ const validateStore = [
     .isEmail()
     .normalizeEmail()
     .withMessage('Please provide a valid email address'),
+
+  body('taxInfo.gstin')
+    .optional({ checkFalsy: true })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGstin)
+    .withMessage('Please provide a valid GSTIN'),
+
+  body('taxInfo.legalName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Legal name cannot exceed 100 characters'),
+
+  body('taxInfo.tradeName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Trade name cannot exceed 100 characters'),
+
+  body('taxInfo.eInvoicingEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('eInvoicingEnabled must be a boolean'),
     
   body('manager')
     .optional()
@@ -566,6 +629,369 @@ const validatePhoneCheck = [
   handleValidationErrors
 ];
 
+const validateCustomerPayment = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid customer ID'),
+
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Payment amount must be greater than zero'),
+
+  body('paymentMode')
+    .optional()
+    .isIn(['cash', 'upi', 'card'])
+    .withMessage('Payment mode must be one of: cash, upi, card'),
+
+  body('reference')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Reference must be a string with maximum 100 characters'),
+
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be a string with maximum 500 characters'),
+
+  body('storeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid store ID'),
+
+  handleValidationErrors
+];
+
+// Promotion validation (create and update)
+const validatePromotion = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Promotion name must be between 2 and 100 characters'),
+
+  body('type')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isIn(['percent_off', 'flat_off', 'buy_x_get_y'])
+    .withMessage('Type must be one of: percent_off, flat_off, buy_x_get_y'),
+
+  body('value')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isFloat({ gt: 0 })
+    .withMessage('Value must be greater than zero')
+    .custom((value, { req }) => {
+      if (req.body.type !== 'flat_off' && parseFloat(value) > 100) {
+        throw new Error('Percentage value cannot exceed 100');
+      }
+      return true;
+    }),
+
+  body(['buyQuantity', 'getQuantity', 'usageLimit', 'perCustomerLimit'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Quantities and limits must be positive whole numbers'),
+
+  body(['maxDiscount', 'minBillAmount'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Amounts must be non-negative numbers'),
+
+  body(['categories', 'items', 'brands', 'daysOfWeek'])
+    .optional()
+    .isArray()
+    .withMessage('Categories, items, brands and daysOfWeek must be arrays'),
+
+  body(['categories.*', 'items.*'])
+    .isMongoId()
+    .withMessage('Invalid category or item ID'),
+
+  body('daysOfWeek.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Days of week must be between 0 (Sunday) and 6 (Saturday)'),
+
+  body(['startsAt', 'endsAt'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+
+  body(['dailyStartTime', 'dailyEndTime'])
+    .optional({ nullable: true })
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Daily times must be in HH:mm format'),
+
+  body('couponCode')
+    .optional({ nullable: true })
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Coupon code must be 3-30 letters, numbers, dashes or underscores'),
+
+  body(['stackable', 'isActive'])
+    .optional()
+    .isBoolean()
+    .withMessage('stackable and isActive must be boolean values'),
+
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be a whole number'),
+
+  body('storeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid store ID'),
+
+  handleValidationErrors
+];
+
+// Stock received into a batch (lot) with its dates
+const validateStockBatch = [
+  body('batchNumber')
+    .trim()
+    .matches(/^[A-Za-z0-9\-_/]{1,50}$/)
+    .withMessage('Batch number must be 1-50 letters, numbers, dashes, underscores or slashes'),
+
+  body('quantity')
+    .isFloat({ gt: 0 })
+    .withMessage('Quantity must be greater than zero'),
+
+  body(['manufactureDate', 'expiryDate'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Manufacture and expiry dates must be valid dates'),
+
+  body('manufactureDate')
+    .optional({ nullable: true })
+    .custom((value) => new Date(value) <= new Date())
+    .withMessage('Manufacture date cannot be in the future'),
+
+  body('expiryDate')
+    .optional({ nullable: true })
+    .custom((value, { req }) => !req.body.manufactureDate || new Date(value) >= new Date(req.body.manufactureDate))
+    .withMessage('Expiry date cannot be before the manufacture date'),
+
+  body('purchasePrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Purchase price must be a non-negative number'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// New count of a batch after a stocktake or write-off
+const validateBatchAdjustment = [
+  body('quantity')
+    .isFloat({ min: 0 })
+    .withMessage('Quantity must be a non-negative number'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Reason must be between 3 and 200 characters'),
+
+  handleValidationErrors
+];
+
+// Serial numbers / IMEIs of units received for a serial-tracked item
+const validateSerialRegistration = [
+  body('serials')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Serials must be a list of 1-500 serial numbers or IMEIs'),
+
+  body('serials.*')
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9\-_/]{1,50}$/)
+    .withMessage('Each serial number must be 1-50 letters, numbers, dashes, underscores or slashes'),
+
+  body('alreadyInStock')
+    .optional()
+    .isBoolean()
+    .withMessage('alreadyInStock must be a boolean'),
+
+  handleValidationErrors
+];
+
+// Items (with copies each) or a whole category to print labels for
+const validateLabelPrint = [
+  body('items')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Items must be a list of 1-500 items'),
+
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Each item must have a valid itemId'),
+
+  body('items.*.copies')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Copies must be between 1 and 100'),
+
+  body('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+
+  body('category')
+    .custom((value, { req }) => Boolean(value) !== Boolean(req.body.items))
+    .withMessage('Give either items or a category to print labels for'),
+
+  body('layout')
+    .optional()
+    .isIn(['a4_65', 'a4_24', 'roll_50x25', 'roll_38x25'])
+    .withMessage('Layout must be one of: a4_65, a4_24, roll_50x25, roll_38x25'),
+
+  body('copies')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Copies must be between 1 and 100'),
+
+  body('skip')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Skip must be a non-negative number of label positions'),
+
+  handleValidationErrors
+];
+
+// Price and stock of a product variant; prefix is 'variants.*.' when variants come with the product
+const variantRules = (prefix = '') => [
+  body(`${prefix}attributes`)
+    .isObject()
+    .withMessage('Variant attributes must be an object such as { "size": "M", "colour": "Red" }'),
+
+  body(`${prefix}sku`)
+    .optional()
+    .trim()
+    .matches(/^[A-Z0-9\-_]+$/)
+    .withMessage('SKU can only contain uppercase letters, numbers, hyphens, and underscores'),
+
+  body(`${prefix}barcode`)
+    .optional()
+    .isNumeric()
+    .isLength({ min: 8, max: 14 })
+    .withMessage('Barcode must be 8-14 digits'),
+
+  body([`${prefix}purchasePrice`, `${prefix}sellPrice`, `${prefix}mrpPrice`])
+    .isFloat({ min: 0 })
+    .withMessage('Purchase, selling and MRP prices must be non-negative numbers'),
+
+  body([`${prefix}stockQty`, `${prefix}minStockLevel`, `${prefix}maxStockLevel`])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Stock quantities must be non-negative numbers'),
+
+  body(`${prefix}purchaseDate`)
+    .optional()
+    .isISO8601()
+    .withMessage('Purchase date must be a valid date')
+];
+
+// Parent product with size/colour style variant attributes
+const validateProduct = [
+  body('name')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .trim()
+    .isLength({ min: 2, max: 180 })
+    .withMessage('Name must be between 2 and 180 characters')
+    .matches(/^[a-zA-Z0-9\s\-_.,&()]+$/)
+    .withMessage('Name contains invalid characters'),
+
+  body('description')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Description must be between 10 and 1000 characters'),
+
+  body('brand')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Brand must be between 1 and 100 characters')
+    .matches(/^[a-zA-Z0-9\s\-_&.]+$/)
+    .withMessage('Brand contains invalid characters'),
+
+  body('type')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isIn(['electronics', 'clothing', 'books', 'home', 'sports', 'beauty', 'toys', 'automotive', 'food', 'other'])
+    .withMessage('Invalid product type'),
+
+  body('unit')
+    .optional()
+    .isIn(UNITS_OF_MEASURE)
+    .withMessage(`Unit must be one of: ${UNITS_OF_MEASURE.join(', ')}`),
+
+  body('category')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+
+  body('hsnCode')
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(/^(\d{4}|\d{6}|\d{8})$/)
+    .withMessage('HSN/SAC code must be 4, 6 or 8 digits'),
+
+  body('taxRate')
+    .optional()
+    .isFloat()
+    .custom((value) => GST_RATES.includes(parseFloat(value)))
+    .withMessage(`GST rate must be one of: ${GST_RATES.join(', ')}`)
+    .toFloat(),
+
+  body('priceIncludesTax')
+    .optional()
+    .isBoolean()
+    .withMessage('priceIncludesTax must be true or false')
+    .toBoolean(),
+
+  body('storeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid store ID'),
+
+  body('attributes')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isArray({ min: 1, max: 3 })
+    .withMessage('A product needs one to three variant attributes'),
+
+  body('attributes.*.name')
+    .trim()
+    .matches(/^[a-zA-Z][a-zA-Z0-9 _-]{0,29}$/)
+    .withMessage('Attribute names must start with a letter and be at most 30 characters'),
+
+  body('attributes.*.values')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Each attribute needs between 1 and 50 values'),
+
+  body('attributes.*.values.*')
+    .trim()
+    .matches(/^[a-zA-Z0-9\s\-_.&]{1,30}$/)
+    .withMessage('Attribute values must be 1-30 letters, numbers, spaces, dashes or dots'),
+
+  body('variants')
+    .if((value, { req }) => req.method === 'POST')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('A product needs between 1 and 100 variants'),
+
+  ...variantRules('variants.*.'),
+
+  handleValidationErrors
+];
+
+// A single variant added to an existing product
+const validateProductVariant = [
+  ...variantRules(),
+  handleValidationErrors
+];
+
 // Enhanced query builder helper function
 const buildInventoryQuery = (queryParams, userRole, userStoreId) => {
   const {
@@ -649,8 +1075,8 @@ const buildInventoryQuery = (queryParams, userRole, userStoreId) => {
   // Stock quantity range
   if (minStock || maxStock) {
     query.stockQty = {};
-    if (minStock) query.stockQty.$gte = parseInt(minStock);
-    if (maxStock) query.stockQty.$lte = parseInt(maxStock);
+    if (minStock) query.stockQty.$gte = parseFloat(minStock);
+    if (maxStock) query.stockQty.$lte = parseFloat(maxStock);
   }
 
   // New arrivals filter
@@ -802,6 +1228,14 @@ module.exports = {
   validateCustomerCreation,
   validateQuickCustomerCreation,
   validatePhoneCheck,
+  validateCustomerPayment,
+  validatePromotion,
+  validateProduct,
+  validateProductVariant,
+  validateStockBatch,
+  validateBatchAdjustment,
+  validateSerialRegistration,
+  validateLabelPrint,
   buildInventoryQuery,
   buildSortOptions,
   buildPaginationOptions,
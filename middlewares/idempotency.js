@@ -0,0 +1,91 @@
+// Middleware to honour the Idempotency-Key header on endpoints that create records
+// Usage: router.post('/record-sale', idempotency('sale'), ..., handler)
+//
+// - No header: the request runs as usual.
+// - First request with a key: runs, and a 2xx response is stored for the retention window.
+//   Any other outcome releases the key so the client can retry once the problem is fixed.
+// - Repeat with the same payload: the stored response is replayed (Idempotent-Replayed: true).
+// - Repeat while the first is still running: 409. Repeat with a different payload: 422.
+
+const logger = require('../utils/logger');
+const {
+  hashPayload,
+  beginRequest,
+  completeRequest,
+  releaseRequest
+} = require('../utils/idempotencyService');
+
+const MAX_KEY_LENGTH = 255;
+
+const idempotency = (scope) => async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const { state, record } = await beginRequest({
+      scope,
+      ownerId: req.user?._id || req.user?.id,
+      key,
+      requestHash: hashPayload({ path: req.originalUrl, body: req.body })
+    });
+
+    if (state === 'replay') {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    if (state === 'mismatch') {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key was already used with a different request payload'
+      });
+    }
+
+    if (state === 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed. Retry shortly.'
+      });
+    }
+
+    // Capture the handler's response to store it against the key
+    let settled = false;
+    const settle = (promise) => {
+      settled = true;
+      promise.catch(err => logger.error({ err, key }, 'Failed to update idempotency key'));
+    };
+
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (!settled) {
+        settle(res.statusCode >= 200 && res.statusCode < 300
+          ? completeRequest(record._id, res.statusCode, body)
+          : releaseRequest(record._id));
+      }
+      return originalJson(body);
+    };
+
+    // Connection dropped or a non-JSON response: do not leave the key stuck in 'processing'
+    res.on('close', () => {
+      if (!settled) settle(releaseRequest(record._id));
+    });
+
+    next();
+  } catch (error) {
+    logger.error({ err: error }, 'Idempotency check failed');
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process Idempotency-Key',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+module.exports = { idempotency };
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// Cash put into (float top-up) or taken out of (drop to the safe, petty payout) the drawer
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['cash_in', 'cash_out'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const denominationSchema = new mongoose.Schema({
+  value: {
+    type: Number,
+    required: true,
+    min: 0.01 // Face value in rupees (coins below ₹1 are counted as fractions)
+  },
+  count: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Till totals frozen when the shift is closed (the Z report is printed from these)
+const shiftSummarySchema = new mongoose.Schema({
+  bills: { type: Number, default: 0 },
+  salesTotal: { type: Number, default: 0 },
+  tenders: [{
+    _id: false,
+    mode: String,
+    amount: Number,
+    bills: Number
+  }],
+  cashSales: { type: Number, default: 0 },
+  cashRefunds: { type: Number, default: 0 },
+  cashPaymentsReceived: { type: Number, default: 0 }, // Khata dues collected in cash
+  cashIn: { type: Number, default: 0 },
+  cashOut: { type: Number, default: 0 },
+  cancelledBills: { type: Number, default: 0 }
+}, { _id: false });
+
+const cashShiftSchema = new mongoose.Schema({
+  shiftNumber: {
+    type: String,
+    required: true // Unique per store, see index below
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  // Counter or terminal label, for stores running more than one drawer
+  register: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: ''
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+
+  // Cashier accountable for the drawer; sales they record while the shift is open link to it
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  movements: [cashMovementSchema],
+
+  // Bills, refunds and payments linked to the drawer; bumped inside the transaction that links
+  // each one, so a close racing the transaction conflicts with it instead of missing it
+  linkedEntries: {
+    type: Number,
+    default: 0
+  },
+
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  closedAt: {
+    type: Date,
+    default: null
+  },
+  denominations: [denominationSchema],
+  countedCash: {
+    type: Number,
+    default: null
+  },
+  expectedCash: {
+    type: Number,
+    default: null
+  },
+  overShort: {
+    type: Number,
+    default: null // Counted minus expected: positive is over, negative is short
+  },
+  summary: {
+    type: shiftSummarySchema,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+cashShiftSchema.index({ storeId: 1, shiftNumber: 1 }, { unique: true });
+cashShiftSchema.index({ storeId: 1, openedAt: -1 });
+// A cashier can only have one drawer open per store
+cashShiftSchema.index(
+  { storeId: 1, openedBy: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+cashShiftSchema.plugin(mongoosePaginate);
+
+const CashShift = mongoose.model('CashShift', cashShiftSchema);
+
+module.exports = CashShift;
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// Running sequence for a document number series (invoices, credit notes, quotations, cash shifts).
+// One document per store, series and period; incremented atomically with $inc.
+const counterSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  series: {
+    type: String,
+    enum: ['invoice', 'creditNote', 'quotation', 'shift'],
+    required: true
+  },
+  period: {
+    type: String,
+    required: true // Financial year code (e.g. '2526') or 'all' when the series never resets
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { timestamps: true });
+
+counterSchema.index({ storeId: 1, series: 1, period: 1 }, { unique: true });
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
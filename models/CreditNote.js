@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const { isValidQuantity, MAX_QUANTITY_PRECISION } = require('../utils/quantityService');
+
+const creditNoteItemSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  itemName: {
+    type: String,
+    required: true
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be greater than zero'],
+    validate: {
+      validator: (value) => isValidQuantity(value),
+      message: `Quantity cannot have more than ${MAX_QUANTITY_PRECISION} decimals`
+    }
+  },
+  unit: {
+    type: String,
+    default: 'pcs'
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  // GST reversed for this line (prorated from the original sale line)
+  hsnCode: {
+    type: String,
+    default: ''
+  },
+  taxRate: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: true // Unique per store, see index below
+  },
+
+  // Original invoice
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: true,
+    index: true
+  },
+  invoiceNumber: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+
+  // Customer information (copied from the sale)
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  customerName: {
+    type: String,
+    default: ''
+  },
+  customerPhone: {
+    type: String,
+    default: ''
+  },
+  customerEmail: {
+    type: String,
+    default: ''
+  },
+
+  // Returned items
+  items: [creditNoteItemSchema],
+
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  isInterState: {
+    type: Boolean,
+    default: false
+  },
+  taxableAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalTax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  refundMode: {
+    type: String,
+    enum: ['cash', 'upi', 'card', 'credit'],
+    default: 'cash'
+  },
+  reason: {
+    type: String,
+    default: ''
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Cash shift the refund was paid out of
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashShift',
+    default: null
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ storeId: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ storeId: 1, issuedAt: -1 });
+creditNoteSchema.index({ shiftId: 1 }, { partialFilterExpression: { shiftId: { $type: 'objectId' } } });
+
+creditNoteSchema.plugin(mongoosePaginate);
+
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+
+module.exports = CreditNote;
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// One line of a customer's credit ledger (khata).
+// Debits increase what the customer owes, credits reduce it.
+const customerLedgerEntrySchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+
+  type: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['sale', 'payment', 'return', 'cancellation', 'adjustment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Ledger amount must be positive']
+  },
+  balanceAfter: {
+    type: Number,
+    required: true // Customer balance right after this entry
+  },
+
+  // References
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null
+  },
+  invoiceNumber: {
+    type: String,
+    default: ''
+  },
+  creditNoteNumber: {
+    type: String,
+    default: ''
+  },
+
+  // Payments received against the balance
+  paymentMode: {
+    type: String,
+    enum: ['cash', 'upi', 'card'],
+    default: null
+  },
+  reference: {
+    type: String,
+    default: ''
+  },
+  // Cash shift that took in a cash payment
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashShift',
+    default: null
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  entryDate: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+customerLedgerEntrySchema.index({ customerId: 1, entryDate: -1 });
+customerLedgerEntrySchema.index({ storeId: 1, entryDate: -1 });
+customerLedgerEntrySchema.index({ saleId: 1 });
+customerLedgerEntrySchema.index({ shiftId: 1 }, { partialFilterExpression: { shiftId: { $type: 'objectId' } } });
+
+customerLedgerEntrySchema.plugin(mongoosePaginate);
+
+const CustomerLedgerEntry = mongoose.model('CustomerLedgerEntry', customerLedgerEntrySchema);
+
+module.exports = CustomerLedgerEntry;
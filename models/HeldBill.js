@@ -0,0 +1,176 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const { isValidQuantity, MAX_QUANTITY_PRECISION } = require('../utils/quantityService');
+
+const heldBillItemSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be greater than zero'],
+    validate: {
+      validator: (value) => isValidQuantity(value),
+      message: `Quantity cannot have more than ${MAX_QUANTITY_PRECISION} decimals`
+    }
+  },
+  unit: {
+    type: String,
+    default: 'pcs'
+  },
+  // Snapshot for display in the parked-bills list; recordSale re-reads live prices
+  itemName: {
+    type: String,
+    default: ''
+  },
+  unitPrice: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  reservedQty: {
+    type: Number,
+    default: 0,
+    min: 0 // Quantity soft-reserved on the inventory item for this cart
+  }
+}, { _id: false });
+
+const heldBillSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+
+  // Short label the cashier uses to find the cart again (e.g. "Blue shirt, counter 2")
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+
+  // Cart in the same shape recordSale expects
+  items: {
+    type: [heldBillItemSchema],
+    validate: {
+      validator: (items) => items.length > 0,
+      message: 'A held bill needs at least one item'
+    }
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  customerName: {
+    type: String,
+    default: ''
+  },
+  customerPhone: {
+    type: String,
+    default: ''
+  },
+  customerEmail: {
+    type: String,
+    default: ''
+  },
+  customerState: {
+    type: String,
+    default: ''
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  extraDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+  estimatedTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  reserveStock: {
+    type: Boolean,
+    default: false
+  },
+  // Reserved stock goes back on sale after this; the cart itself stays parked
+  reservationExpiresAt: {
+    type: Date,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ['held', 'resumed', 'discarded'],
+    default: 'held'
+  },
+
+  heldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    default: ''
+  },
+
+  // Set when the cart is turned into a sale
+  resumedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resumedAt: {
+    type: Date,
+    default: null
+  },
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null
+  },
+  invoiceNumber: {
+    type: String,
+    default: ''
+  },
+
+  // Set when the cart is thrown away
+  discardedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  discardedAt: {
+    type: Date,
+    default: null
+  },
+  discardReason: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+heldBillSchema.index({ storeId: 1, status: 1, createdAt: -1 });
+heldBillSchema.index({ storeId: 1, status: 1, reservationExpiresAt: 1 });
+
+heldBillSchema.plugin(mongoosePaginate);
+
+const HeldBill = mongoose.model('HeldBill', heldBillSchema);
+
+module.exports = HeldBill;
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Remembers the outcome of a request sent with an Idempotency-Key so retries can be replayed
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  scope: {
+    type: String,
+    required: true // Operation the key belongs to, e.g. 'sale' or 'sync-bill'
+  },
+  ownerId: {
+    type: String,
+    required: true // User (or store, for device sync) that sent the key
+  },
+  requestHash: {
+    type: String,
+    required: true // SHA-256 of the payload; a reused key with another payload is rejected
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+idempotencyKeySchema.index({ scope: 1, ownerId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const { GST_RATES } = require('../utils/gstService');
+const {
+  UNITS_OF_MEASURE,
+  MAX_QUANTITY_PRECISION,
+  getDefaultPrecision,
+  isValidQuantity,
+  addQuantities
+} = require('../utils/quantityService');
+
+// Decimals allowed for this item's quantities; update queries (no document) get the maximum
+const quantityPrecisionOf = (context) => (
+  Number.isInteger(context?.quantityPrecision) ? context.quantityPrecision : MAX_QUANTITY_PRECISION
+);
 
 const inventoryItemSchema = new mongoose.Schema({
   // Basic Information
@@ -35,14 +48,39 @@ const inventoryItemSchema = new mongoose.Schema({
     index: true
   },
   
+  // Unit of measure; prices are per unit (per kg, per metre) and quantities may be decimal
+  unit: {
+    type: String,
+    enum: {
+      values: UNITS_OF_MEASURE,
+      message: `Unit must be one of: ${UNITS_OF_MEASURE.join(', ')}`
+    },
+    default: 'pcs'
+  },
+  
+  quantityPrecision: {
+    type: Number,
+    min: [0, 'Quantity precision cannot be negative'],
+    max: [MAX_QUANTITY_PRECISION, `Quantity precision cannot exceed ${MAX_QUANTITY_PRECISION} decimals`],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Quantity precision must be a whole number'
+    },
+    default: function() {
+      return getDefaultPrecision(this.unit);
+    }
+  },
+  
   // Inventory Quantities
   totalUnits: {
     type: Number,
     required: [true, 'Total units is required'],
     min: [0, 'Total units cannot be negative'],
     validate: {
-      validator: Number.isInteger,
-      message: 'Total units must be a whole number'
+      validator: function(value) {
+        return isValidQuantity(value, quantityPrecisionOf(this));
+      },
+      message: 'Total units has more decimals than the item allows'
     }
   },
   
@@ -51,8 +89,64 @@ const inventoryItemSchema = new mongoose.Schema({
     required: [true, 'Stock quantity is required'],
     min: [0, 'Stock quantity cannot be negative'],
     validate: {
-      validator: Number.isInteger,
-      message: 'Stock quantity must be a whole number'
+      validator: function(value) {
+        return isValidQuantity(value, quantityPrecisionOf(this));
+      },
+      message: 'Stock quantity has more decimals than the item allows'
+    }
+  },
+  
+  reservedQty: {
+    type: Number,
+    default: 0,
+    min: [0, 'Reserved quantity cannot be negative'] // Soft-reserved by parked (held) bills
+  },
+  
+  // Stock received into dated batches (see models/StockBatch) and sold first-expiry-first-out
+  trackBatches: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Each unit has a registered serial number or IMEI (see models/SerialNumber) chosen at billing
+  trackSerials: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Kits (hampers, combo packs) hold no stock of their own: selling one deducts its components
+  isKit: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  
+  kitComponents: {
+    type: [{
+      _id: false,
+      itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InventoryItem',
+        required: [true, 'Component item is required']
+      },
+      quantity: {
+        type: Number,
+        required: [true, 'Component quantity is required'],
+        min: [0.001, 'Component quantity must be greater than zero'],
+        validate: {
+          validator: (value) => isValidQuantity(value),
+          message: 'Component quantity allows at most 3 decimals'
+        }
+      }
+    }],
+    default: undefined,
+    validate: {
+      validator: function(components) {
+        if (!components) return true;
+        const ids = components.map(component => component.itemId.toString());
+        return new Set(ids).size === ids.length && !ids.includes(this._id?.toString());
+      },
+      message: 'Kit components must be distinct items other than the kit itself'
     }
   },
   
@@ -93,6 +187,28 @@ const inventoryItemSchema = new mongoose.Schema({
     }
   },
   
+  // Tax Information
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: '',
+    match: [/^(\d{4}|\d{6}|\d{8})?$/, 'HSN/SAC code must be 4, 6 or 8 digits']
+  },
+  
+  taxRate: {
+    type: Number,
+    default: 0,
+    enum: {
+      values: GST_RATES,
+      message: `GST rate must be one of: ${GST_RATES.join(', ')}`
+    }
+  },
+  
+  priceIncludesTax: {
+    type: Boolean,
+    default: true // sellPrice is GST-inclusive; false means GST is added on top
+  },
+  
   // Purchase Information
   purchaseDate: {
     type: Date,
@@ -200,6 +316,45 @@ const inventoryItemSchema = new mongoose.Schema({
       message: 'Barcode must be 8-14 digits'
     }
   },
+
+  // More codes that scan to this item: an old or alternate barcode, or the code on an outer
+  // pack, which bills packQty units per scan
+  additionalBarcodes: {
+    type: [{
+      _id: false,
+      code: {
+        type: String,
+        required: true,
+        trim: true,
+        match: [/^\d{8,14}$/, 'Barcode must be 8-14 digits']
+      },
+      packQty: {
+        type: Number,
+        default: 1,
+        validate: {
+          validator: function(value) {
+            return value > 0 && isValidQuantity(value, quantityPrecisionOf(this.parent?.() || this));
+          },
+          message: 'Pack quantity must be a positive quantity in the item\'s unit'
+        }
+      },
+      label: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Barcode label cannot exceed 50 characters'],
+        default: ''
+      }
+    }],
+    default: [],
+    validate: {
+      validator: function(codes) {
+        const all = codes.map(entry => entry.code);
+        if (this.barcode) all.push(this.barcode);
+        return new Set(all).size === all.length;
+      },
+      message: 'An item cannot list the same barcode twice'
+    }
+  },
   
   // Inventory Management
   minStockLevel: {
@@ -247,6 +402,21 @@ const inventoryItemSchema = new mongoose.Schema({
     ref: 'User'
   },
   
+  // Variant of a parent product (see models/Product); null for standalone items
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    default: null,
+    index: true
+  },
+  
+  // This variant's value for each of the product's attributes, e.g. { size: 'M', colour: 'Red' }
+  variantAttributes: {
+    type: Map,
+    of: String,
+    default: undefined
+  },
+  
   // Category and Tags
   category: {
     type: mongoose.Schema.Types.ObjectId,
@@ -377,6 +547,15 @@ inventoryItemSchema.index({ purchaseDate: -1 });
 inventoryItemSchema.index({ stockQty: 1 });
 inventoryItemSchema.index({ orderCount: -1 }); // For sorting by most sold
 inventoryItemSchema.index({ stockQty: 1, isActive: 1, isDeleted: 1 }); // For selectable items query
+// Scan-to-bill lookups; a code belongs to one live item per store
+inventoryItemSchema.index(
+  { storeId: 1, barcode: 1 },
+  { unique: true, partialFilterExpression: { barcode: { $type: 'string' }, isDeleted: false } }
+);
+inventoryItemSchema.index(
+  { storeId: 1, 'additionalBarcodes.code': 1 },
+  { unique: true, partialFilterExpression: { 'additionalBarcodes.code': { $type: 'string' }, isDeleted: false } }
+);
 
 // Virtual fields
 inventoryItemSchema.virtual('profitMargin').get(function() {
@@ -397,6 +576,10 @@ inventoryItemSchema.virtual('potentialRevenue').get(function() {
   return (this.stockQty * this.sellPrice).toFixed(2);
 });
 
+inventoryItemSchema.virtual('availableQty').get(function() {
+  return Math.max(0, addQuantities(this.stockQty, -(this.reservedQty || 0)));
+});
+
 inventoryItemSchema.virtual('isLowStock').get(function() {
   return this.stockQty <= this.minStockLevel;
 });
@@ -433,8 +616,13 @@ inventoryItemSchema.pre('save', function(next) {
     this.imageMetadata.uploadedAt = new Date();
   }
   
-  // Update status based on stock quantity
-  if (this.stockQty === 0) {
+  // Update status based on stock quantity (a kit's stock follows its components)
+  if (this.isKit) {
+    if (!this.kitComponents || this.kitComponents.length === 0) {
+      return next(new Error('A kit needs at least one component'));
+    }
+    if (this.status !== 'discontinued') this.status = 'in_stock';
+  } else if (this.stockQty === 0) {
     this.status = 'out_of_stock';
   } else if (this.stockQty <= this.minStockLevel) {
     this.status = 'low_stock';
@@ -479,6 +667,7 @@ inventoryItemSchema.statics.findByStore = function(storeId) {
 inventoryItemSchema.statics.findLowStock = function(storeId = null) {
   const query = { 
     isDeleted: false, 
+    isKit: { $ne: true }, // Kits have no stock of their own; their components are listed
     $expr: { $lte: ['$stockQty', '$minStockLevel'] } 
   };
   
@@ -490,7 +679,7 @@ inventoryItemSchema.statics.findLowStock = function(storeId = null) {
 };
 
 inventoryItemSchema.statics.findOutOfStock = function(storeId = null) {
-  const query = { stockQty: 0, isDeleted: false };
+  const query = { stockQty: 0, isDeleted: false, isKit: { $ne: true } };
   
   if (storeId) {
     query.storeId = storeId;
@@ -499,6 +688,33 @@ inventoryItemSchema.statics.findOutOfStock = function(storeId = null) {
   return this.find(query);
 };
 
+// Live item of a store that a scanned code belongs to, as its barcode or an additional one
+inventoryItemSchema.statics.findByBarcode = function(storeId, code) {
+  return this.findOne({
+    storeId,
+    isDeleted: false,
+    $or: [{ barcode: code }, { 'additionalBarcodes.code': code }]
+  });
+};
+
+// Codes already taken by other live items of the store, as [{ code, itemId, name }]
+inventoryItemSchema.statics.findBarcodeConflicts = async function(storeId, codes, excludeId = null) {
+  if (codes.length === 0) return [];
+  const query = {
+    storeId,
+    isDeleted: false,
+    $or: [{ barcode: { $in: codes } }, { 'additionalBarcodes.code': { $in: codes } }]
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const items = await this.find(query).select('name barcode additionalBarcodes.code').lean();
+  return codes.flatMap(code => {
+    const owner = items.find(item => item.barcode === code
+      || (item.additionalBarcodes || []).some(entry => entry.code === code));
+    return owner ? [{ code, itemId: owner._id, name: owner.name }] : [];
+  });
+};
+
 inventoryItemSchema.statics.getInventoryValue = async function(storeId = null) {
   const matchStage = { isDeleted: false };
   if (storeId) {
@@ -544,13 +760,13 @@ inventoryItemSchema.methods.restore = function() {
 inventoryItemSchema.methods.updateStock = function(quantity, operation = 'set') {
   switch (operation) {
     case 'add':
-      this.stockQty += quantity;
-      this.totalUnits += quantity;
+      this.stockQty = addQuantities(this.stockQty, quantity);
+      this.totalUnits = addQuantities(this.totalUnits, quantity);
       this.lastRestockedDate = new Date();
       break;
     case 'subtract':
-      this.stockQty = Math.max(0, this.stockQty - quantity);
-      this.totalSold += quantity;
+      this.stockQty = Math.max(0, addQuantities(this.stockQty, -quantity));
+      this.totalSold = addQuantities(this.totalSold || 0, quantity);
       if (this.stockQty === 0) {
         this.lastSoldDate = new Date();
       }
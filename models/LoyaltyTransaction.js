@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// One movement of a customer's loyalty points.
+// 'earn' and 'restore' add points and act as lots that expire; the other types take points away,
+// consuming the lots that expire first.
+const loyaltyTransactionSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    default: null // Not set for expiry sweeps that span stores
+  },
+
+  type: {
+    type: String,
+    enum: ['earn', 'redeem', 'reversal', 'restore', 'expiry'],
+    required: true
+  },
+  points: {
+    type: Number,
+    required: true,
+    min: [1, 'Points must be positive']
+  },
+  balanceAfter: {
+    type: Number,
+    required: true // Customer points balance right after this transaction
+  },
+
+  // Lot tracking for points added to the balance
+  remainingPoints: {
+    type: Number,
+    default: 0,
+    min: 0 // Points of this lot not yet redeemed, reversed or expired
+  },
+  expiresAt: {
+    type: Date,
+    default: null // null => never expires
+  },
+
+  // References
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null
+  },
+  invoiceNumber: {
+    type: String,
+    default: ''
+  },
+  creditNoteNumber: {
+    type: String,
+    default: ''
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null // null for system expiry
+  }
+}, {
+  timestamps: true
+});
+
+loyaltyTransactionSchema.index({ customerId: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ customerId: 1, remainingPoints: 1, expiresAt: 1 });
+loyaltyTransactionSchema.index({ saleId: 1 });
+
+loyaltyTransactionSchema.plugin(mongoosePaginate);
+
+const LoyaltyTransaction = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
+
+module.exports = LoyaltyTransaction;
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const { GST_RATES } = require('../utils/gstService');
+const { UNITS_OF_MEASURE } = require('../utils/quantityService');
+
+// A variant dimension and the values it can take (e.g. size: S, M, L)
+const variantAttributeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Attribute name is required'],
+    trim: true,
+    lowercase: true,
+    maxLength: [30, 'Attribute name cannot exceed 30 characters']
+  },
+  values: {
+    type: [{
+      type: String,
+      trim: true,
+      maxLength: [30, 'Attribute value cannot exceed 30 characters']
+    }],
+    validate: {
+      validator: (values) => values.length > 0 && new Set(values.map(value => value.toLowerCase())).size === values.length,
+      message: 'Attribute values must be a non-empty list without duplicates'
+    }
+  }
+}, { _id: false });
+
+// Parent of sellable variants. Each variant is an InventoryItem (productId + variantAttributes)
+// with its own SKU, barcode, stock and price, so billing and stock keep working per variant.
+const productSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Product name is required'],
+    trim: true,
+    maxLength: [200, 'Product name cannot exceed 200 characters']
+  },
+
+  description: {
+    type: String,
+    required: [true, 'Product description is required'],
+    trim: true,
+    maxLength: [1000, 'Description cannot exceed 1000 characters']
+  },
+
+  brand: {
+    type: String,
+    required: [true, 'Brand is required'],
+    trim: true,
+    maxLength: [100, 'Brand name cannot exceed 100 characters']
+  },
+
+  type: {
+    type: String,
+    required: [true, 'Product type is required'],
+    enum: {
+      values: ['electronics', 'clothing', 'books', 'home', 'sports', 'beauty', 'toys', 'automotive', 'food', 'other'],
+      message: 'Invalid product type'
+    }
+  },
+
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+
+  // Shared by all variants; changes are copied down to them
+  hsnCode: {
+    type: String,
+    trim: true,
+    default: '',
+    match: [/^(\d{4}|\d{6}|\d{8})?$/, 'HSN/SAC code must be 4, 6 or 8 digits']
+  },
+
+  taxRate: {
+    type: Number,
+    default: 0,
+    enum: {
+      values: GST_RATES,
+      message: `GST rate must be one of: ${GST_RATES.join(', ')}`
+    }
+  },
+
+  priceIncludesTax: {
+    type: Boolean,
+    default: true
+  },
+
+  // Fixed once variants exist, since their stock is counted in it
+  unit: {
+    type: String,
+    enum: {
+      values: UNITS_OF_MEASURE,
+      message: `Unit must be one of: ${UNITS_OF_MEASURE.join(', ')}`
+    },
+    default: 'pcs'
+  },
+
+  attributes: {
+    type: [variantAttributeSchema],
+    validate: {
+      validator: (attributes) => attributes.length > 0 && attributes.length <= 3
+        && new Set(attributes.map(attribute => attribute.name)).size === attributes.length,
+      message: 'A product needs one to three distinct variant attributes'
+    }
+  },
+
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: [true, 'Store ID is required']
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  isDeleted: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+productSchema.index({ storeId: 1, isDeleted: 1 });
+productSchema.index({ name: 'text', brand: 'text' });
+
+const Product = mongoose.model('Product', productSchema);
+
+module.exports = Product;
@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+
+// A store promotion evaluated automatically at billing by utils/promotionEngine.
+// With a couponCode it only applies when the cashier enters that code.
+const promotionSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+
+  // percent_off: `value` % off matching lines
+  // flat_off: ₹`value` off the matching lines of the bill
+  // buy_x_get_y: for every `buyQuantity` units of an item, `getQuantity` more at `value` % off
+  type: {
+    type: String,
+    enum: ['percent_off', 'flat_off', 'buy_x_get_y'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  buyQuantity: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: null // Cap on the discount this promotion gives per bill
+  },
+
+  // Which lines qualify; all empty => every line
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  brands: [{
+    type: String,
+    trim: true
+  }],
+  items: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem'
+  }],
+
+  // Bill-value threshold (bill subtotal before any discount)
+  minBillAmount: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+
+  // Time window
+  startsAt: {
+    type: Date,
+    default: null
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  daysOfWeek: [{
+    type: Number,
+    min: 0,
+    max: 6 // 0 = Sunday; empty => every day
+  }],
+  dailyStartTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be HH:mm'],
+    default: null // e.g. '16:00' for a happy hour
+  },
+  dailyEndTime: {
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be HH:mm'],
+    default: null
+  },
+
+  // Coupons
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    default: null
+  },
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null // Total bills the promotion can be used on
+  },
+  perCustomerLimit: {
+    type: Number,
+    min: 1,
+    default: null // Bills per registered customer
+  },
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Evaluation order; a non-stackable promotion skips lines another promotion already discounted
+  priority: {
+    type: Number,
+    default: 0
+  },
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ storeId: 1, isActive: 1, priority: -1 });
+promotionSchema.index(
+  { storeId: 1, couponCode: 1 },
+  { unique: true, partialFilterExpression: { couponCode: { $type: 'string' } } }
+);
+
+promotionSchema.plugin(mongoosePaginate);
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+
+module.exports = Promotion;
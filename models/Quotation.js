@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const mongoosePaginate = require('mongoose-paginate-v2');
+const { isValidQuantity, MAX_QUANTITY_PRECISION } = require('../utils/quantityService');
+
+const quotationItemSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  itemName: {
+    type: String,
+    required: true
+  },
+  brand: {
+    type: String,
+    default: ''
+  },
+  sku: {
+    type: String,
+    default: ''
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0.001, 'Quantity must be greater than zero'],
+    validate: {
+      validator: (value) => isValidQuantity(value),
+      message: `Quantity cannot have more than ${MAX_QUANTITY_PRECISION} decimals`
+    }
+  },
+  unit: {
+    type: String,
+    default: 'pcs'
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0 // Quoted price; compared with the live price on conversion
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  mrp: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // GST details at the time of quoting
+  hsnCode: {
+    type: String,
+    default: ''
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  priceIncludesTax: {
+    type: Boolean,
+    default: true
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxableValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const taxBreakupSchema = new mongoose.Schema({
+  taxRate: { type: Number, required: true },
+  taxableValue: { type: Number, default: 0 },
+  cgstRate: { type: Number, default: 0 },
+  cgstAmount: { type: Number, default: 0 },
+  sgstRate: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstRate: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 }
+}, { _id: false });
+
+const quotationSchema = new mongoose.Schema({
+  quotationNumber: {
+    type: String,
+    required: true // Unique per store, see index below
+  },
+
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+
+  // Customer information
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  customerName: {
+    type: String,
+    required: true
+  },
+  customerPhone: {
+    type: String,
+    default: ''
+  },
+  customerEmail: {
+    type: String,
+    default: ''
+  },
+  customerState: {
+    type: String,
+    default: ''
+  },
+
+  // Quoted items
+  items: [quotationItemSchema],
+
+  // Amounts
+  subtotal: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  mrpTotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  discount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  extraDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  placeOfSupply: {
+    type: String,
+    default: ''
+  },
+  isInterState: {
+    type: Boolean,
+    default: false
+  },
+  taxableAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  totalTax: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxBreakup: [taxBreakupSchema],
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'converted'],
+    default: 'open'
+  },
+  notes: {
+    type: String,
+    default: ''
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Conversion into a sale
+  convertedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  convertedAt: {
+    type: Date,
+    default: null
+  },
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null
+  },
+  invoiceNumber: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+quotationSchema.index({ storeId: 1, quotationNumber: 1 }, { unique: true });
+quotationSchema.index({ storeId: 1, status: 1, createdAt: -1 });
+quotationSchema.index({ customerId: 1, createdAt: -1 });
+
+// An open quotation past its validity date can no longer be converted
+quotationSchema.virtual('isExpired').get(function() {
+  return this.status === 'open' && this.validUntil < new Date();
+});
+
+quotationSchema.plugin(mongoosePaginate);
+
+const Quotation = mongoose.model('Quotation', quotationSchema);
+
+module.exports = Quotation;
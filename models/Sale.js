@@ -1,5 +1,49 @@
 const mongoose = require('mongoose');
 const mongoosePaginate = require('mongoose-paginate-v2');
+const { calculateLineTax, buildTaxBreakup, allocateDiscount, roundCurrency, GSTIN_PATTERN } = require('../utils/gstService');
+const { nextNumber } = require('../utils/numberSeriesService');
+const { isValidQuantity, MAX_QUANTITY_PRECISION } = require('../utils/quantityService');
+
+// A promotion applied to a line or bill (see utils/promotionEngine)
+const appliedPromotionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    default: ''
+  },
+  couponCode: {
+    type: String,
+    default: null
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+// Units of a line taken from one stock batch
+const saleBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockBatch'
+  },
+  batchNumber: String,
+  expiryDate: Date,
+  quantity: Number,
+  returnedQuantity: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
 
 const saleItemSchema = new mongoose.Schema({
   itemId: {
@@ -18,12 +62,32 @@ const saleItemSchema = new mongoose.Schema({
   quantity: {
     type: Number,
     required: true,
-    min: 1
+    min: [0.001, 'Quantity must be greater than zero'],
+    validate: {
+      validator: (value) => isValidQuantity(value),
+      message: `Quantity cannot have more than ${MAX_QUANTITY_PRECISION} decimals`
+    }
+  },
+  unit: {
+    type: String,
+    default: 'pcs' // Unit of measure of the item when it was sold
   },
   unitPrice: {
     type: Number,
     required: true,
     min: 0
+  },
+  listPrice: {
+    type: Number,
+    default: null // Inventory sell price when the cashier charged a different unitPrice
+  },
+  priceOverridden: {
+    type: Boolean,
+    default: false
+  },
+  overrideReason: {
+    type: String,
+    default: ''
   },  totalPrice: {
     type: Number,
     required: true,
@@ -37,6 +101,128 @@ const saleItemSchema = new mongoose.Schema({
   sku: {
     type: String,
     default: ''
+  },
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null // Decides loyalty eligibility
+  },
+  returnedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Batches the units were picked from (first expiry first out), for recalls and returns
+  batches: {
+    type: [saleBatchSchema],
+    default: undefined
+  },
+  // Serial numbers / IMEIs of the units sold on this line, and those since returned
+  serialNumbers: {
+    type: [String],
+    default: undefined
+  },
+  returnedSerialNumbers: {
+    type: [String],
+    default: undefined
+  },
+  // Kit lines: components deducted per kit, so returns and cancellations restock the same items
+  components: {
+    type: [{
+      _id: false,
+      itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InventoryItem'
+      },
+      itemName: String,
+      quantity: Number,
+      // Batches the component's units were picked from, across all kits on the line
+      batches: {
+        type: [saleBatchSchema],
+        default: undefined
+      }
+    }],
+    default: undefined
+  },
+
+  // GST details (copied from the inventory item at the time of sale)
+  hsnCode: {
+    type: String,
+    default: ''
+  },
+  taxRate: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  priceIncludesTax: {
+    type: Boolean,
+    default: true
+  },
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0 // Given by the promotions listed below, before bill-level discounts
+  },
+  promotions: [appliedPromotionSchema],
+  discountAmount: {
+    type: Number,
+    default: 0,
+    min: 0 // Promotion discount plus the share of the bill-level discount allocated to this line
+  },
+  taxableValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const taxBreakupSchema = new mongoose.Schema({
+  taxRate: { type: Number, required: true },
+  taxableValue: { type: Number, default: 0 },
+  cgstRate: { type: Number, default: 0 },
+  cgstAmount: { type: Number, default: 0 },
+  sgstRate: { type: Number, default: 0 },
+  sgstAmount: { type: Number, default: 0 },
+  igstRate: { type: Number, default: 0 },
+  igstAmount: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['cash', 'upi', 'credit', 'card'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reference: {
+    type: String,
+    default: ''
   }
 }, { _id: false });
 
@@ -44,8 +230,7 @@ const saleSchema = new mongoose.Schema({
   invoiceNumber: {
     type: String,
     required: true,
-    unique: true,
-    index: true
+    index: true // Unique per store, see compound index below
   },
   
   // Customer information
@@ -66,6 +251,21 @@ const saleSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Registered (B2B) buyer, needed for the buyer GSTIN on the invoice and for e-invoicing
+  buyer: {
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [GSTIN_PATTERN, 'Please enter a valid GSTIN']
+    },
+    legalName: { type: String, trim: true, default: '' },
+    tradeName: { type: String, trim: true, default: '' },
+    address: { type: String, trim: true, default: '' },
+    city: { type: String, trim: true, default: '' },
+    pincode: { type: String, trim: true, default: '' },
+    state: { type: String, trim: true, default: '' }
+  },
 
   // Sale items
   items: [saleItemSchema],
@@ -73,13 +273,29 @@ const saleSchema = new mongoose.Schema({
   // Payment information
   paymentMode: {
     type: String,
-    enum: ['cash', 'upi', 'credit', 'card'],
+    enum: ['cash', 'upi', 'credit', 'card', 'split'],
     required: true,
-    default: 'cash'
+    default: 'cash' // 'split' when the bill was settled with more than one tender mode
   },  paymentReference: {
     type: String,
     default: '' // Optional - for future use with payment gateways
   },
+  payments: [paymentSchema], // Individual tenders; amounts add up to totalAmount
+  // UPI bills stay 'pending' until the transaction reference is confirmed
+  paymentStatus: {
+    type: String,
+    enum: ['paid', 'pending'],
+    default: 'paid'
+  },
+  paymentConfirmedAt: {
+    type: Date,
+    default: null
+  },
+  paymentConfirmedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   // Amounts
   subtotal: {
     type: Number,
@@ -101,14 +317,92 @@ const saleSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Promotions and coupons applied automatically by calculatePricing
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  appliedPromotions: [appliedPromotionSchema],
+  // Manager approval of price overrides and discounts beyond the cashier's cap
+  approval: {
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    approvedAt: {
+      type: Date,
+      default: null
+    },
+    reasons: [{
+      type: String
+    }],
+    note: {
+      type: String,
+      default: ''
+    }
+  },
+  // Loyalty points
+  loyaltyPointsRedeemed: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  loyaltyDiscount: {
+    type: Number,
+    default: 0,
+    min: 0 // Rupee value of the redeemed points, spread over the lines like a discount
+  },
+  loyaltyPointsEarned: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  loyaltyPointsReversed: {
+    type: Number,
+    default: 0,
+    min: 0 // Earned points taken back by returns and cancellation
+  },
+  // Legacy flat tax rates, kept for bills recorded before per-item GST
   gst: {
     type: Number,
-    default: 9,
+    default: 0,
     min: 0
   },
   cgst: {
     type: Number,
-    default: 9,
+    default: 0,
+    min: 0
+  },
+
+  // GST
+  placeOfSupply: {
+    type: String,
+    default: '' // Customer state; defaults to the store state
+  },
+  isInterState: {
+    type: Boolean,
+    default: false // true => IGST, false => CGST + SGST
+  },
+  taxableAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0,
     min: 0
   },
   totalTax: {
@@ -116,6 +410,31 @@ const saleSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  taxBreakup: [taxBreakupSchema], // Per-rate summary printed on the invoice
+
+  // E-invoice registered with the IRP (Invoice Registration Portal)
+  eInvoice: {
+    status: {
+      type: String,
+      // sandbox: made by the IRP stub, not registered with the portal and never printed
+      enum: ['none', 'generated', 'sandbox', 'failed', 'cancelled'],
+      default: 'none'
+    },
+    irn: { type: String, default: null },
+    ackNo: { type: String, default: null },
+    ackDate: { type: Date, default: null },
+    signedInvoice: { type: String, default: null },
+    signedQrCode: { type: String, default: null },
+    provider: { type: String, default: null }, // IRP client that registered it
+    generatedAt: { type: Date, default: null },
+    generatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    cancelledAt: { type: Date, default: null },
+    error: { type: String, default: '' } // Last portal error
+  },
   totalAmount: {
     type: Number,
     required: true,
@@ -133,6 +452,12 @@ const saleSchema = new mongoose.Schema({
     ref: 'User',
     required: true // Staff member who handled the sale
   },
+  // Cash shift (drawer) of the cashier when the bill was recorded
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashShift',
+    default: null
+  },
 
   // Status and metadata
   status: {
@@ -144,6 +469,61 @@ const saleSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  quotationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Quotation',
+    default: null // Set when the sale was converted from a quotation
+  },
+
+  // Refund information (populated by sales returns)
+  isRefunded: {
+    type: Boolean,
+    default: false
+  },
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  refundDate: {
+    type: Date,
+    default: null
+  },
+  refundReason: {
+    type: String,
+    default: ''
+  },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  // Cancellation information
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    default: ''
+  },
+  // Cash drawer the cancellation's refund was handed out from, and the cash handed back
+  cancelShiftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CashShift',
+    default: null
+  },
+  cancelCashRefund: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
 
   // Timestamps
   saleDate: {
@@ -168,9 +548,16 @@ const saleSchema = new mongoose.Schema({
 saleSchema.index({ storeId: 1, saleDate: -1 });
 saleSchema.index({ customerId: 1, saleDate: -1 });
 saleSchema.index({ handledBy: 1, saleDate: -1 });
+saleSchema.index({ shiftId: 1 }, { partialFilterExpression: { shiftId: { $type: 'objectId' } } });
+saleSchema.index({ cancelShiftId: 1 }, { partialFilterExpression: { cancelShiftId: { $type: 'objectId' } } });
 saleSchema.index({ paymentMode: 1, saleDate: -1 });
+saleSchema.index({ 'payments.mode': 1, saleDate: -1 });
 saleSchema.index({ status: 1 });
-saleSchema.index({ invoiceNumber: 1 }, { unique: true });
+saleSchema.index({ storeId: 1, paymentStatus: 1, saleDate: -1 });
+saleSchema.index({ isRefunded: 1, refundDate: -1 });
+saleSchema.index({ 'appliedPromotions.promotionId': 1, customerId: 1 });
+saleSchema.index({ storeId: 1, invoiceNumber: 1 }, { unique: true });
+saleSchema.index({ 'eInvoice.irn': 1 }, { partialFilterExpression: { 'eInvoice.irn': { $type: 'string' } } });
 
 // Virtual for formatted invoice number
 saleSchema.virtual('formattedInvoiceNumber').get(function() {
@@ -193,29 +580,76 @@ saleSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to generate invoice number
-saleSchema.statics.generateInvoiceNumber = async function() {
-  const today = new Date();
-  const year = today.getFullYear();
-  const month = String(today.getMonth() + 1).padStart(2, '0');
-  const day = String(today.getDate()).padStart(2, '0');
-  
-  const prefix = `${year}${month}${day}`;
-  
-  // Find the highest invoice number for today
-  const lastInvoice = await this.findOne(
-    { invoiceNumber: { $regex: `^${prefix}` } },
-    {},
-    { sort: { invoiceNumber: -1 } }
-  );
-  
-  let sequence = 1;
-  if (lastInvoice) {
-    const lastSequence = parseInt(lastInvoice.invoiceNumber.slice(-4));
-    sequence = lastSequence + 1;
+// Static method to generate invoice number from the store's invoice series
+// Pass the sale's transaction session so an aborted sale does not consume a number
+saleSchema.statics.generateInvoiceNumber = function(storeId, { session = null, date = new Date() } = {}) {
+  return nextNumber(storeId, 'invoice', { session, date });
+};
+
+// Static method to build the tender list for a bill and check it covers the bill total
+saleSchema.statics.normalizePayments = function({ payments, paymentMode = 'cash', paymentReference = '', totalAmount }) {
+  if (!Number.isFinite(Number(totalAmount))) {
+    throw new Error('totalAmount is required to record payments');
   }
-  
-  return `${prefix}${String(sequence).padStart(4, '0')}`;
+  const billTotal = Math.round(Number(totalAmount) * 100) / 100;
+
+  // Single-tender bills keep sending paymentMode only
+  if (!Array.isArray(payments) || payments.length === 0) {
+    return {
+      payments: [{ mode: paymentMode, amount: billTotal, reference: paymentReference }],
+      paymentMode
+    };
+  }
+
+  const normalized = payments.map(payment => ({
+    mode: payment.mode,
+    amount: Math.round(Number(payment.amount) * 100) / 100,
+    reference: payment.reference || ''
+  }));
+
+  const tendered = Math.round(normalized.reduce((total, payment) => total + payment.amount, 0) * 100) / 100;
+  // Compared in paise: 100 - 99.99 is a shade over 0.01 in floating point
+  if (Math.abs(Math.round((tendered - billTotal) * 100)) > 1) {
+    throw new Error(`Payments add up to ${tendered.toFixed(2)} but the bill total is ${billTotal.toFixed(2)}`);
+  }
+
+  const modes = [...new Set(normalized.map(payment => payment.mode))];
+  return {
+    payments: normalized,
+    paymentMode: modes.length === 1 ? modes[0] : 'split'
+  };
+};
+
+// Static method returning aggregation stages that total sales per tender mode.
+// Bills recorded before split tenders existed are counted under their paymentMode.
+saleSchema.statics.paymentBreakdownStages = function() {
+  return [
+    {
+      $project: {
+        tenders: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$payments', []] } }, 0] },
+            '$payments',
+            [{ mode: '$paymentMode', amount: '$totalAmount' }]
+          ]
+        }
+      }
+    },
+    { $unwind: '$tenders' },
+    {
+      $group: {
+        _id: '$tenders.mode',
+        amount: { $sum: '$tenders.amount' },
+        bills: { $sum: 1 }
+      }
+    },
+    { $sort: { amount: -1 } }
+  ];
+};
+
+// Static method to build a filter matching bills that were (partly) paid with a mode
+saleSchema.statics.paymentModeFilter = function(mode) {
+  return { $or: [{ paymentMode: mode }, { 'payments.mode': mode }] };
 };
 
 // Method to calculate amounts
@@ -226,16 +660,37 @@ saleSchema.methods.calculateAmounts = function() {
   // Calculate MRP total
   this.mrpTotal = this.items.reduce((total, item) => total + (item.mrp * item.quantity), 0);
   
-  // Apply discounts (manual discount first, then extra discount)
-  const amountAfterDiscount = this.subtotal - this.discount - this.extraDiscount;
-  
-  // Calculate GST + CGST
-  const gstAmount = (amountAfterDiscount * this.gst) / 100;
-  const cgstAmount = (amountAfterDiscount * this.cgst) / 100;
-  this.totalTax = gstAmount + cgstAmount;
+  // Spread the bill discount over the lines left after promotions, then tax each line at its own rate
+  const afterPromotions = this.items.map(item => Math.max(0, item.totalPrice - (item.promotionDiscount || 0)));
+  const discountShares = allocateDiscount(
+    afterPromotions,
+    (this.discount || 0) + (this.extraDiscount || 0) + (this.loyaltyDiscount || 0)
+  );
+
+  this.items.forEach((item, idx) => {
+    item.discountAmount = roundCurrency((item.promotionDiscount || 0) + discountShares[idx]);
+    const tax = calculateLineTax({
+      amount: Math.max(0, afterPromotions[idx] - discountShares[idx]),
+      taxRate: item.taxRate,
+      priceIncludesTax: item.priceIncludesTax,
+      isInterState: this.isInterState
+    });
+    item.taxableValue = tax.taxableValue;
+    item.cgstAmount = tax.cgstAmount;
+    item.sgstAmount = tax.sgstAmount;
+    item.igstAmount = tax.igstAmount;
+    item.taxAmount = tax.taxAmount;
+  });
+
+  this.taxBreakup = buildTaxBreakup(this.items, this.isInterState);
+  this.taxableAmount = roundCurrency(this.taxBreakup.reduce((sum, row) => sum + row.taxableValue, 0));
+  this.cgstAmount = roundCurrency(this.taxBreakup.reduce((sum, row) => sum + row.cgstAmount, 0));
+  this.sgstAmount = roundCurrency(this.taxBreakup.reduce((sum, row) => sum + row.sgstAmount, 0));
+  this.igstAmount = roundCurrency(this.taxBreakup.reduce((sum, row) => sum + row.igstAmount, 0));
+  this.totalTax = roundCurrency(this.cgstAmount + this.sgstAmount + this.igstAmount);
   
   // Calculate final total
-  this.totalAmount = amountAfterDiscount + this.totalTax;
+  this.totalAmount = roundCurrency(this.taxableAmount + this.totalTax);
   
   return this;
 };
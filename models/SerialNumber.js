@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// What happened to a unit, newest last
+const serialEventSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    enum: ['received', 'sold', 'returned', 'sale_cancelled'],
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null
+  },
+  invoiceNumber: {
+    type: String,
+    default: null
+  },
+  creditNoteNumber: {
+    type: String,
+    default: null
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  customerName: {
+    type: String,
+    default: ''
+  },
+  customerPhone: {
+    type: String,
+    default: ''
+  }
+}, { _id: false });
+
+// One physical unit of a serial-tracked item (serial number or IMEI), registered at stock-in
+const serialNumberSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  serial: {
+    type: String,
+    required: [true, 'Serial number is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Serial number cannot exceed 50 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['in_stock', 'sold'],
+    default: 'in_stock'
+  },
+  // Bill the unit currently belongs to (null while on the shelf)
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    default: null
+  },
+
+  history: [serialEventSchema]
+}, {
+  timestamps: true
+});
+
+serialNumberSchema.index({ itemId: 1, serial: 1 }, { unique: true });
+serialNumberSchema.index({ storeId: 1, serial: 1 });
+serialNumberSchema.index({ itemId: 1, status: 1 });
+
+const SerialNumber = mongoose.model('SerialNumber', serialNumberSchema);
+
+module.exports = SerialNumber;
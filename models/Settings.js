@@ -1,5 +1,71 @@
 const mongoose = require('mongoose');
 
+// Document number series; unset fields fall back to the defaults in utils/numberSeriesService.
+// Prefix and padding are limited so numbers stay within the 16 characters allowed on GST invoices.
+const numberSeriesSchema = new mongoose.Schema({
+  prefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: 4,
+    match: [/^[A-Z0-9]+$/, 'Prefix can only contain letters and numbers']
+  },
+  padding: {
+    type: Number,
+    min: 3,
+    max: 6
+  },
+  resetEachFinancialYear: {
+    type: Boolean
+  }
+}, { _id: false });
+
+// Loyalty earn and redeem rules; unset fields fall back to the defaults in utils/loyaltyService
+const loyaltyRulesSchema = new mongoose.Schema({
+  pointsPerSpend: {
+    type: Number,
+    min: 0 // Points earned for every `spendAmount` rupees spent
+  },
+  spendAmount: {
+    type: Number,
+    min: 1
+  },
+  pointValue: {
+    type: Number,
+    min: 0 // Rupee value of one point when redeemed
+  },
+  minRedeemPoints: {
+    type: Number,
+    min: 0
+  },
+  maxRedeemPercent: {
+    type: Number,
+    min: 0,
+    max: 100 // Largest share of a bill that can be paid with points
+  },
+  expiryDays: {
+    type: Number,
+    min: 0 // 0 => points never expire
+  },
+  excludedCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category' // Items in these categories do not earn points
+  }]
+}, { _id: false });
+
+// Largest manual discount a role may give without a manager's approval (unset => no cap)
+const discountCapSchema = new mongoose.Schema({
+  maxPercent: {
+    type: Number,
+    min: 0,
+    max: 100 // Of the bill subtotal
+  },
+  maxAmount: {
+    type: Number,
+    min: 0
+  }
+}, { _id: false });
+
 const settingsSchema = new mongoose.Schema({
   storeId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -24,10 +90,23 @@ const settingsSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // UPI collection details printed as a QR code on UPI bills
+  upiVpa: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9._-]{2,256}@[a-z][a-z0-9.-]{1,63}$/, 'Please provide a valid UPI ID (e.g. shopname@okaxis)']
+  },
+  upiPayeeName: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
   enableLoyaltyPoints: {
     type: Boolean,
     default: false
   },
+  loyalty: loyaltyRulesSchema,
   enableDailyEmails: {
     type: Boolean,
     default: false
@@ -38,7 +117,12 @@ const settingsSchema = new mongoose.Schema({
   },
   requirePinForBilling: {
     type: Boolean,
-    default: false
+    default: false // Managers must confirm their own overrides with their PIN too
+  },
+  // Owners and admins are never capped
+  discountCaps: {
+    staff: discountCapSchema,
+    manager: discountCapSchema
   },
   requirePinForReports: {
     type: Boolean,
@@ -47,6 +131,12 @@ const settingsSchema = new mongoose.Schema({
   enableBiometricLock: {
     type: Boolean,
     default: false
+  },
+  numberSeries: {
+    invoice: numberSeriesSchema,
+    creditNote: numberSeriesSchema,
+    quotation: numberSeriesSchema,
+    shift: numberSeriesSchema
   }
 }, { timestamps: true });
 
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { isValidQuantity } = require('../utils/quantityService');
+
+// A lot of an item received together, with its own dates; sales draw from the lot that
+// expires first. `quantity` is what is left of the lot on the shelf.
+const stockBatchSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'InventoryItem',
+    required: true
+  },
+  batchNumber: {
+    type: String,
+    required: [true, 'Batch number is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'Batch number cannot exceed 50 characters']
+  },
+  manufactureDate: {
+    type: Date,
+    default: null
+  },
+  expiryDate: {
+    type: Date,
+    default: null // Non-perishable lots never expire and are sold after dated ones
+  },
+
+  receivedQty: {
+    type: Number,
+    required: true,
+    min: [0, 'Received quantity cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [0, 'Batch quantity cannot be negative'],
+    validate: {
+      validator: (value) => isValidQuantity(value),
+      message: 'Batch quantity allows at most 3 decimals'
+    }
+  },
+  // Cost of this lot, for valuing expiring stock; the item's purchase price when not given
+  purchasePrice: {
+    type: Number,
+    min: [0, 'Purchase price cannot be negative'],
+    default: null
+  },
+
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Write-offs and count corrections (damaged, expired, stocktake)
+  adjustments: [{
+    _id: false,
+    quantity: Number, // Change applied: negative removes stock
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    adjustedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    adjustedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  }
+}, {
+  timestamps: true
+});
+
+stockBatchSchema.index({ itemId: 1, batchNumber: 1 }, { unique: true });
+stockBatchSchema.index({ itemId: 1, quantity: 1, expiryDate: 1 });
+stockBatchSchema.index({ storeId: 1, expiryDate: 1 });
+
+stockBatchSchema.pre('validate', function(next) {
+  if (this.manufactureDate && this.expiryDate && this.expiryDate < this.manufactureDate) {
+    this.invalidate('expiryDate', 'Expiry date cannot be before the manufacture date');
+  }
+  next();
+});
+
+const StockBatch = mongoose.model('StockBatch', stockBatchSchema);
+
+module.exports = StockBatch;
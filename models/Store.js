@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GSTIN_PATTERN } = require('../utils/gstService');
 
 const storeSchema = new mongoose.Schema({
   name: {
@@ -67,6 +68,30 @@ const storeSchema = new mongoose.Schema({
       match: [/^https?:\/\/.+/, 'Please enter a valid website URL']
     }
   },
+  // GST registration, printed on invoices and used as seller details for e-invoices
+  taxInfo: {
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [GSTIN_PATTERN, 'Please enter a valid GSTIN']
+    },
+    legalName: {
+      type: String,
+      trim: true,
+      maxLength: [100, 'Legal name cannot exceed 100 characters']
+    },
+    tradeName: {
+      type: String,
+      trim: true,
+      maxLength: [100, 'Trade name cannot exceed 100 characters']
+    },
+    // Switched on once the business crosses the e-invoicing turnover threshold
+    eInvoicingEnabled: {
+      type: Boolean,
+      default: false
+    }
+  },
   description: {
     type: String,
     trim: true,
@@ -229,6 +229,17 @@ const userSchema = new mongoose.Schema({
     }
   },
   
+  // Customer credit ledger (khata); maintained by utils/ledgerService
+  creditBalance: {
+    type: Number,
+    default: 0 // Amount the customer owes the store; negative means store credit
+  },
+  
+  lastTransactionAt: {
+    type: Date,
+    default: null
+  },
+  
   // Security
   loginAttempts: {
     type: Number,
@@ -327,6 +338,7 @@ userSchema.index({ phoneNumber: 1, role: 1 });
 userSchema.index({ firstName: 1, lastName: 1, role: 1 });
 userSchema.index({ 'profile.createdByStore': 1, role: 1 });
 userSchema.index({ createdAt: -1, role: 1 });
+userSchema.index({ role: 1, creditBalance: -1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function() {
@@ -32,10 +32,20 @@ const User = require('./User');
 const Store = require('./Store');
 const Category = require('./Category');
 const InventoryItem = require('./InventoryItem');
+const Product = require('./Product');
+const StockBatch = require('./StockBatch');
+const SerialNumber = require('./SerialNumber');
 const OTP = require('./OTP');
 const OTPRateLimit = require('./OTPRateLimit');
 const Sale = require('./Sale');
+const CreditNote = require('./CreditNote');
+const HeldBill = require('./HeldBill');
+const Quotation = require('./Quotation');
+const CustomerLedgerEntry = require('./CustomerLedgerEntry');
+const LoyaltyTransaction = require('./LoyaltyTransaction');
+const Promotion = require('./Promotion');
 const BusinessPartner = require('./BusinessPartner');
+const CashShift = require('./CashShift');
 
 // Export all models
 module.exports = {
@@ -44,8 +54,18 @@ module.exports = {
   Store,
   Category,
   InventoryItem,
+  Product,
+  StockBatch,
+  SerialNumber,
   OTP,
   OTPRateLimit,
   Sale,
-  BusinessPartner
+  CreditNote,
+  HeldBill,
+  Quotation,
+  CustomerLedgerEntry,
+  LoyaltyTransaction,
+  Promotion,
+  BusinessPartner,
+  CashShift
 };
@@ -4,25 +4,179 @@ const {
   getSalesStats,
   getInvoices,
   getInvoiceForPrint,
+  getInvoice,
   getInvoicePDF,
   getCustomerHistory,
   getAvailableStores,
   sendInvoiceNotifications,
+  createSalesReturn,
+  getInvoiceReturns,
+  getCreditNotePDF,
+  cancelInvoice,
+  confirmPayment,
   exportBills
 } = require('../controllers/billingController');
+const {
+  getEInvoicePayload,
+  generateEInvoice,
+  cancelEInvoice
+} = require('../controllers/eInvoiceController');
+const {
+  holdBill,
+  getHeldBills,
+  getHeldBill,
+  discardHeldBill,
+  loadHeldBillForSale
+} = require('../controllers/heldBillController');
+const {
+  createQuotation,
+  getQuotations,
+  getQuotation,
+  getQuotationPDF,
+  loadQuotationForSale
+} = require('../controllers/quotationController');
+const {
+  openShift,
+  getCurrentShift,
+  recordCashMovement,
+  closeShift,
+  getShiftReport,
+  getShifts
+} = require('../controllers/cashShiftController');
 const { authMiddleware, authorize } = require('../middlewares/auth');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { generalLimiter, strictLimiter } = require('../middlewares/rateLimiter');
+const { handleValidationErrors } = require('../middleware/validation');
+const { idempotency } = require('../middlewares/idempotency');
+const { isValidGstin } = require('../utils/gstService');
+const { CANCEL_REASONS } = require('../utils/irpClient');
+const { isValidQuantity, MAX_QUANTITY_PRECISION } = require('../utils/quantityService');
+const { resolveStoreId } = require('../utils/storeScope');
+
+// Largest quantity on one line. Quotations, held bills and returns share the sale's limit,
+// so anything quoted or parked can always be billed.
+const MAX_LINE_QUANTITY = 1000;
+
+const lineQuantity = () => body('items.*.quantity')
+  .isFloat({ min: 0.001, max: MAX_LINE_QUANTITY })
+  .withMessage(`Quantity must be a positive number up to ${MAX_LINE_QUANTITY}`)
+  .custom((value) => isValidQuantity(value))
+  .withMessage(`Quantity cannot have more than ${MAX_QUANTITY_PRECISION} decimals`)
+  .toFloat();
 
 const router = express.Router();
 
 // Apply rate limiting to all billing routes
 router.use(generalLimiter);
 
-// All billing routes require authentication and staff+ privileges
+// All billing routes require authentication
 router.use(authMiddleware);
+
+// Export bills/invoices, optionally line by line (?level=items); managers export their own store.
+// Registered ahead of the staff check below, as store owners may export but not bill
+router.get('/export',
+  authorize('manager', 'admin', 'owner', 'superadmin'),
+  query('format')
+    .optional()
+    .isIn(['csv', 'xlsx', 'pdf'])
+    .withMessage('Format must be csv, xlsx or pdf'),
+  query('level')
+    .optional()
+    .isIn(['bills', 'items'])
+    .withMessage('Level must be bills or items'),
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+  query('status')
+    .optional()
+    .isIn(['completed', 'partial_refund', 'full_refund', 'cancelled'])
+    .withMessage('Invalid status'),
+  query('paymentStatus')
+    .optional()
+    .isIn(['paid', 'pending'])
+    .withMessage('Payment status must be paid or pending'),
+  query(['storeId', 'handledBy', 'customerId'])
+    .optional()
+    .isMongoId()
+    .withMessage('Store, staff and customer filters must be valid IDs'),
+  handleValidationErrors,
+  exportBills
+);
+
+// All other billing routes require staff+ privileges
 router.use(authorize('staff', 'manager', 'admin', 'superadmin'));
 
+// Invoice, credit note and quotation numbers restart in every store, so a lookup by number
+// needs the store (admins without one pass ?storeId=)
+const requireStoreForNumber = (req, res, next) => {
+  if (!resolveStoreId(req)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Store ID is required to look up a document by its number'
+    });
+  }
+  next();
+};
+router.param('invoiceNumber', requireStoreForNumber);
+router.param('creditNoteNumber', requireStoreForNumber);
+router.param('quotationNumber', requireStoreForNumber);
+
+// Registered buyer details of a B2B bill
+const buyerValidators = [
+  body('buyer')
+    .optional()
+    .isObject()
+    .withMessage('Buyer must be an object'),
+
+  body('buyer.gstin')
+    .optional({ checkFalsy: true })
+    .trim()
+    .toUpperCase()
+    .custom(isValidGstin)
+    .withMessage('Buyer GSTIN is not valid'),
+
+  body('buyer.legalName')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Buyer legal name must be a string with maximum 100 characters'),
+
+  body('buyer.tradeName')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Buyer trade name must be a string with maximum 100 characters'),
+
+  body('buyer.address')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Buyer address must be a string with maximum 200 characters'),
+
+  body('buyer.city')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Buyer city must be a string with maximum 50 characters'),
+
+  body('buyer.pincode')
+    .optional({ checkFalsy: true })
+    .matches(/^\d{6}$/)
+    .withMessage('Buyer pincode must be 6 digits'),
+
+  body('buyer.state')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Buyer state must be a string with maximum 50 characters')
+];
+
 // Validation middleware for sale recording
 const validateSaleRecording = [
   body('items')
@@ -33,15 +187,59 @@ const validateSaleRecording = [
     .isMongoId()
     .withMessage('Each item must have a valid itemId'),
     
-  body('items.*.quantity')
-    .isInt({ min: 1, max: 1000 })
-    .withMessage('Quantity must be a positive integer between 1 and 1000'),
+  lineQuantity(),
+
+  body('items.*.overridePrice')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Override price must be a non-negative number'),
+
+  body('items.*.overrideReason')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Override reason must be a string with maximum 200 characters'),
+
+  body('items.*.serials')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Serials must be an array of serial numbers or IMEIs'),
+
+  body('items.*.serials.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each serial number must be 1-50 characters'),
+
+  body(['heldBillId', 'quotationId'])
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Held bill and quotation IDs must be valid IDs'),
 
   body('paymentMode')
     .optional()
     .isIn(['cash', 'upi', 'credit', 'card'])
     .withMessage('Payment mode must be one of: cash, upi, credit, card'),
 
+  body('payments')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Payments must be an array of 1 to 10 tenders'),
+
+  body('payments.*.mode')
+    .isIn(['cash', 'upi', 'credit', 'card'])
+    .withMessage('Each payment mode must be one of: cash, upi, credit, card'),
+
+  body('payments.*.amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Each payment amount must be a positive number'),
+
+  body('payments.*.reference')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Payment reference must be a string with maximum 100 characters'),
+
   body('customerId')
     .optional()
     .isMongoId()
@@ -57,24 +255,55 @@ const validateSaleRecording = [
     .isFloat({ min: 0 })
     .withMessage('Extra discount must be a non-negative number'),
 
-  body('gst')
+  body('customerState')
     .optional()
-    .isFloat({ min: 0, max: 50 })
-    .withMessage('GST rate must be between 0 and 50 percent'),
-  body('cgst')
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Customer state must be between 2 and 50 characters'),
+
+  ...buyerValidators,
+
+  body('couponCode')
     .optional()
-    .isFloat({ min: 0, max: 50 })
-    .withMessage('CGST rate must be between 0 and 50 percent'),
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Coupon code must be between 1 and 30 characters'),
+
+  body('couponCodes')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Coupon codes must be an array of at most 5 codes'),
+
+  body('couponCodes.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Each coupon code must be between 1 and 30 characters'),
 
-  body('gstRate')
+  body('approval.approverId')
     .optional()
-    .isFloat({ min: 0, max: 50 })
-    .withMessage('GST rate must be between 0 and 50 percent'),
+    .isMongoId()
+    .withMessage('Approver ID must be a valid MongoDB ObjectId'),
 
-  body('cgstRate')
+  body('approval.pin')
     .optional()
-    .isFloat({ min: 0, max: 50 })
-    .withMessage('CGST rate must be between 0 and 50 percent'),
+    .isString()
+    .isLength({ min: 4, max: 8 })
+    .withMessage('Approval PIN must be 4 to 8 characters'),
+
+  body('approval.note')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Approval note must be a string with maximum 200 characters'),
+
+  body('redeemPoints')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Redeem points must be a non-negative whole number'),
+
   body('notes')
     .optional()
     .isString()
@@ -112,11 +341,173 @@ const validateSaleRecording = [
   }
 ];
 
+// Validation middleware for sales returns
+const validateSalesReturn = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Each item must have a valid itemId'),
+
+  lineQuantity(),
+
+  body('items.*.serials')
+    .optional()
+    .isArray({ max: 1000 })
+    .withMessage('Serials must be an array of serial numbers or IMEIs'),
+
+  body('items.*.serials.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Each serial number must be 1-50 characters'),
+
+  body('refundMode')
+    .optional()
+    .isIn(['cash', 'upi', 'card', 'credit'])
+    .withMessage('Refund mode must be one of: cash, upi, card, credit'),
+
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason must be a string with maximum 500 characters'),
+
+  handleValidationErrors
+];
+
+// Validation middleware for parking a bill
+const validateHeldBill = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Each item must have a valid itemId'),
+
+  lineQuantity(),
+
+  body('label')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label must be a string with maximum 100 characters'),
+
+  body('customerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Customer ID must be a valid MongoDB ObjectId'),
+
+  body('discount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount must be a non-negative number'),
+
+  body('extraDiscount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Extra discount must be a non-negative number'),
+
+  body('reserveStock')
+    .optional()
+    .isBoolean()
+    .withMessage('reserveStock must be a boolean'),
+
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be a string with maximum 500 characters'),
+
+  body('storeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Store ID must be a valid MongoDB ObjectId'),
+
+  handleValidationErrors
+];
+
+// Validation middleware for quotations
+const validateQuotation = [
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('Items must be a non-empty array'),
+
+  body('items.*.itemId')
+    .isMongoId()
+    .withMessage('Each item must have a valid itemId'),
+
+  lineQuantity(),
+
+  body('customerId')
+    .optional()
+    .isMongoId()
+    .withMessage('Customer ID must be a valid MongoDB ObjectId'),
+
+  body('customerState')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Customer state must be between 2 and 50 characters'),
+
+  body('discount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Discount must be a non-negative number'),
+
+  body('extraDiscount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Extra discount must be a non-negative number'),
+
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('validUntil must be a valid date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('validUntil must be in the future');
+      }
+      return true;
+    }),
+
+  body('validityDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('validityDays must be between 1 and 365'),
+
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be a string with maximum 500 characters'),
+
+  body('storeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Store ID must be a valid MongoDB ObjectId'),
+
+  handleValidationErrors
+];
+
+const validateHeldBillId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Held bill ID must be a valid MongoDB ObjectId'),
+  handleValidationErrors
+];
+
 // POST route for recording sales
 router.post('/record-sale',
   strictLimiter,
   authMiddleware,
   authorize('staff', 'manager', 'admin', 'superadmin'),
+  idempotency('sale'),
   validateSaleRecording,
   recordSale
 );
@@ -137,6 +528,250 @@ router.get('/invoices/:invoiceNumber/pdf',
   getInvoicePDF
 );
 
+// One invoice as JSON, the A4 PDF or a 58mm/80mm thermal receipt (PDF or ESC/POS)
+router.get('/invoices/:invoiceNumber',
+  query('format')
+    .optional()
+    .isIn(['json', 'pdf', 'escpos'])
+    .withMessage('Format must be json, pdf or escpos'),
+  query('paper')
+    .optional()
+    .isIn(['a4', '58', '80'])
+    .withMessage('Paper must be a4, 58 or 80'),
+  query('paper')
+    .if(query('format').equals('escpos'))
+    .not().equals('a4')
+    .withMessage('ESC/POS receipts print on 58 or 80mm paper'),
+  handleValidationErrors,
+  getInvoice
+);
+
+// Return items of an invoice and issue a credit note
+router.post('/invoices/:invoiceNumber/returns',
+  strictLimiter,
+  validateSalesReturn,
+  createSalesReturn
+);
+
+router.get('/invoices/:invoiceNumber/returns',
+  getInvoiceReturns
+);
+
+router.get('/credit-notes/:creditNoteNumber/pdf',
+  getCreditNotePDF
+);
+
+// Cancel (void) an invoice - reverses stock and records who cancelled it and why
+router.post('/invoices/:invoiceNumber/cancel',
+  authorize('manager', 'admin', 'superadmin'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('A cancellation reason between 3 and 500 characters is required'),
+  handleValidationErrors,
+  cancelInvoice
+);
+
+// Confirm a pending UPI bill once the transaction reference (UTR) is known
+router.post('/invoices/:invoiceNumber/confirm-payment',
+  strictLimiter,
+  body('paymentReference')
+    .trim()
+    .isLength({ min: 4, max: 100 })
+    .withMessage('A payment reference between 4 and 100 characters is required'),
+  handleValidationErrors,
+  confirmPayment
+);
+
+// GST e-invoice: export the IRP JSON, register it (IRN + signed QR) and cancel the IRN
+router.get('/invoices/:invoiceNumber/e-invoice',
+  getEInvoicePayload
+);
+
+router.post('/invoices/:invoiceNumber/e-invoice',
+  strictLimiter,
+  buyerValidators,
+  handleValidationErrors,
+  generateEInvoice
+);
+
+router.post('/invoices/:invoiceNumber/e-invoice/cancel',
+  strictLimiter,
+  authorize('manager', 'admin', 'superadmin'),
+  body('reason')
+    .isIn(Object.keys(CANCEL_REASONS))
+    .withMessage(`Reason must be one of ${Object.keys(CANCEL_REASONS).join(', ')}`),
+  body('remarks')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Remarks must be a string with maximum 100 characters'),
+  handleValidationErrors,
+  cancelEInvoice
+);
+
+// Held (parked) bills
+router.post('/held-bills',
+  validateHeldBill,
+  holdBill
+);
+
+router.get('/held-bills',
+  getHeldBills
+);
+
+router.get('/held-bills/:id',
+  validateHeldBillId,
+  getHeldBill
+);
+
+// Complete a parked cart: the cart is loaded into the body and recorded like any other sale
+router.post('/held-bills/:id/resume',
+  strictLimiter,
+  validateHeldBillId,
+  idempotency('sale'),
+  loadHeldBillForSale,
+  validateSaleRecording,
+  recordSale
+);
+
+router.delete('/held-bills/:id',
+  validateHeldBillId,
+  discardHeldBill
+);
+
+// Quotations (estimates)
+router.post('/quotations',
+  validateQuotation,
+  createQuotation
+);
+
+router.get('/quotations',
+  getQuotations
+);
+
+router.get('/quotations/:quotationNumber',
+  getQuotation
+);
+
+router.get('/quotations/:quotationNumber/pdf',
+  getQuotationPDF
+);
+
+// Convert a quotation into a sale at current prices and stock
+router.post('/quotations/:quotationNumber/convert',
+  strictLimiter,
+  idempotency('sale'),
+  body('acceptPriceChanges')
+    .optional()
+    .isBoolean()
+    .withMessage('acceptPriceChanges must be a boolean'),
+  handleValidationErrors,
+  loadQuotationForSale,
+  validateSaleRecording,
+  recordSale
+);
+
+// Cash register shifts
+const validateShiftId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Shift ID must be a valid MongoDB ObjectId'),
+  handleValidationErrors
+];
+
+router.post('/shifts/open',
+  body('openingFloat')
+    .isFloat({ min: 0, max: 10000000 })
+    .withMessage('Opening float must be a non-negative amount'),
+  body('register')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Register must be a string with maximum 50 characters'),
+  body('storeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Store ID must be a valid MongoDB ObjectId'),
+  handleValidationErrors,
+  openShift
+);
+
+router.get('/shifts/current',
+  getCurrentShift
+);
+
+router.get('/shifts',
+  query('status')
+    .optional()
+    .isIn(['open', 'closed'])
+    .withMessage('Status must be open or closed'),
+  query('openedBy')
+    .optional()
+    .isMongoId()
+    .withMessage('openedBy must be a valid user ID'),
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+  handleValidationErrors,
+  getShifts
+);
+
+// Cash drop/payout (cash_out) or float top-up (cash_in)
+router.post('/shifts/:id/movements',
+  validateShiftId,
+  body('type')
+    .isIn(['cash_in', 'cash_out'])
+    .withMessage('Type must be cash_in or cash_out'),
+  body('amount')
+    .isFloat({ min: 0.01, max: 10000000 })
+    .withMessage('Amount must be greater than zero'),
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason must be a string with maximum 200 characters'),
+  handleValidationErrors,
+  recordCashMovement
+);
+
+// Close with the counted cash by denomination; the response carries the over/short
+router.post('/shifts/:id/close',
+  strictLimiter,
+  validateShiftId,
+  body('denominations')
+    .isArray({ min: 1, max: 30 })
+    .withMessage('Denominations must be a non-empty array of { value, count }'),
+  body('denominations.*.value')
+    .isFloat({ min: 0.01, max: 2000 })
+    .withMessage('Each denomination needs a face value'),
+  body('denominations.*.count')
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('Each denomination count must be a non-negative whole number'),
+  body('notes')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be a string with maximum 500 characters'),
+  handleValidationErrors,
+  closeShift
+);
+
+// X report while the shift is open, Z report once it is closed
+router.get('/shifts/:id/report',
+  validateShiftId,
+  query('format')
+    .optional()
+    .isIn(['pdf', 'json'])
+    .withMessage('Format must be pdf or json'),
+  handleValidationErrors,
+  getShiftReport
+);
+
 // Get customer purchase history
 router.get('/customer/:customerId/history',
   getCustomerHistory
@@ -172,7 +807,4 @@ router.post('/invoices/:invoiceNumber/send',
   sendInvoiceNotifications
 );
 
-// Export bills/invoices (admin/owner only)
-router.get('/export', authorize('admin', 'owner', 'superadmin'), exportBills);
-
 module.exports = router;
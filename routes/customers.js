@@ -8,6 +8,11 @@ const {
   quickCreateCustomer,
   exportCustomers
 } = require('../controllers/customerController');
+const {
+  recordCustomerPayment,
+  getCustomerLedger
+} = require('../controllers/customerLedgerController');
+const { getCustomerLoyalty } = require('../controllers/customerLoyaltyController');
 const { 
   authMiddleware, 
   authorize, 
@@ -21,7 +26,8 @@ const {
 const { 
   validateCustomerCreation, 
   validateQuickCustomerCreation, 
-  validatePhoneCheck 
+  validatePhoneCheck,
+  validateCustomerPayment
 } = require('../middleware/validation');
 const { generalLimiter } = require('../middlewares/rateLimiter');
 const { catchAsync } = require('../middleware/errorHandler');
@@ -35,6 +41,48 @@ router.use(generalLimiter);
 router.use(authMiddleware);
 router.use(authorize('staff', 'manager', 'admin', 'superadmin'));
 
+/**
+ * @swagger
+ * /customers/{id}/payments:
+ *   post:
+ *     summary: Record a payment against the customer's credit balance (khata)
+ *     description: Posts a credit to the customer ledger. Registered before staffViewOnly because cashiers collect these payments at the counter.
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 500
+ *               paymentMode:
+ *                 type: string
+ *                 enum: [cash, upi, card]
+ *               reference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.post('/:id/payments', validateCustomerPayment, catchAsync(recordCustomerPayment));
+
 // Staff can only view (GET) customer details, not edit/delete
 router.use(staffViewOnly);
 
@@ -245,6 +293,67 @@ router.get('/check-phone', validatePhoneCheck, catchAsync(checkCustomerByPhone))
  */
 router.get('/:id', catchAsync(getCustomerById));
 
+/**
+ * @swagger
+ * /customers/{id}/ledger:
+ *   get:
+ *     summary: Customer credit ledger (khata) statement
+ *     description: Ledger entries with running balance, current credit balance and FIFO ageing buckets
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Customer ledger retrieved
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/ledger', catchAsync(getCustomerLedger));
+
+/**
+ * @swagger
+ * /customers/{id}/loyalty:
+ *   get:
+ *     summary: Customer loyalty points
+ *     description: Points balance after expiring due lots, points expiring in the next 30 days and the points transaction history
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [earn, redeem, reversal, restore, expiry]
+ *     responses:
+ *       200:
+ *         description: Customer loyalty retrieved
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ */
+router.get('/:id/loyalty', catchAsync(getCustomerLoyalty));
+
 /**
  * @swagger
  * /customers:
@@ -0,0 +1,31 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { getGstr1, getGstr3b } = require('../controllers/gstReportController');
+const { authMiddleware, authorize } = require('../middlewares/auth');
+const { handleValidationErrors } = require('../middleware/validation');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+router.use(authorize('manager', 'admin', 'superadmin'));
+
+const validateReturnQuery = [
+  query('month')
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Month must be in YYYY-MM format'),
+  query('format')
+    .optional()
+    .isIn(['json', 'xlsx'])
+    .withMessage('Format must be json or xlsx'),
+  query('storeId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid store ID'),
+  handleValidationErrors
+];
+
+// Portal JSON by default (?download=true for the upload file), or ?format=xlsx
+router.get('/gstr1', validateReturnQuery, getGstr1);
+router.get('/gstr3b', validateReturnQuery, getGstr3b);
+
+module.exports = router;
@@ -1,4 +1,5 @@
 const express = require('express');
+const { param, query } = require('express-validator');
 const {
   createItem,
   getItems,
@@ -9,10 +10,39 @@ const {
   updateStock,
   getSelectableItems,
   getItemMetadata,
+  getItemByBarcode,
   exportInventory
 } = require('../controllers/inventoryController');
+const {
+  receiveBatch,
+  getItemBatches,
+  adjustBatch
+} = require('../controllers/stockBatchController');
+const {
+  registerSerials,
+  getItemSerials,
+  lookupSerial
+} = require('../controllers/serialNumberController');
+const { printLabels } = require('../controllers/labelController');
+const {
+  createProduct,
+  getProduct,
+  addVariant,
+  updateProduct
+} = require('../controllers/productController');
 const { authMiddleware, authorize, roleMiddleware } = require('../middlewares/auth');
-const { validateInventoryItem, validateStockUpdate, validateInventoryQuery } = require('../middleware/validation');
+const {
+  validateInventoryItem,
+  validateStockUpdate,
+  validateInventoryQuery,
+  validateProduct,
+  validateProductVariant,
+  validateStockBatch,
+  validateBatchAdjustment,
+  validateSerialRegistration,
+  validateLabelPrint,
+  handleValidationErrors
+} = require('../middleware/validation');
 const { handleImageUpload, optionalImageUpload } = require('../middleware/upload');
 const { fileUploadSecurity } = require('../middleware/security');
 const { 
@@ -33,7 +63,7 @@ router.use(generalLimiter);
  * /inventory/selectable:
  *   get:
  *     summary: Get selectable items for billing
- *     description: Return items eligible for selection in billing (only items with stock > 0)
+ *     description: Return items eligible for selection in billing (only items with stock > 0). Kits are always listed, with stockQty set to the number of complete kits their components make up.
  *     tags: [Inventory]
  *     security:
  *       - bearerAuth: []
@@ -102,6 +132,11 @@ router.use(generalLimiter);
  *                           mrpPrice:
  *                             type: number
  *                           stockQty:
+ *                             type: number
+ *                           unit:
+ *                             type: string
+ *                             enum: [pcs, kg, g, l, m]
+ *                           quantityPrecision:
  *                             type: integer
  *                           imageUrl:
  *                             type: string
@@ -182,8 +217,14 @@ router.get('/items',
  *                       type: number
  *                       example: 150
  *                     stockQty:
- *                       type: integer
+ *                       type: number
  *                       example: 18
+ *                     unit:
+ *                       type: string
+ *                       example: pcs
+ *                     quantityPrecision:
+ *                       type: integer
+ *                       example: 0
  *                     imageUrl:
  *                       type: string
  *                       example: "https://example.com/image.jpg"
@@ -230,6 +271,67 @@ router.get('/items/:id/metadata',
   catchAsync(getItemMetadata)
 );
 
+/**
+ * @swagger
+ * /inventory/barcode/{code}:
+ *   get:
+ *     summary: Look up a scanned barcode for billing
+ *     description: Exact match on the item's barcode or one of its additional barcodes (alias or outer-pack codes) within the caller's store, falling back to the serial number / IMEI of a unit in stock. Returns the item's price, tax, unit and available stock, and a line ready to send to recordSale - a pack code bills its pack quantity, a serial is pre-selected.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "8901262010016"
+ *       - in: query
+ *         name: storeId
+ *         schema:
+ *           type: string
+ *         description: Store to search (admins only; others use their own store)
+ *     responses:
+ *       200:
+ *         description: Item found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     scan:
+ *                       type: object
+ *                       properties:
+ *                         kind:
+ *                           type: string
+ *                           enum: [barcode, alias, pack, serial]
+ *                         quantity:
+ *                           type: number
+ *                     line:
+ *                       type: object
+ *                       description: "{ itemId, quantity, serials? } for the sale's items"
+ *                     item:
+ *                       type: object
+ *       404:
+ *         description: No item in the store has this code
+ */
+router.get('/barcode/:code',
+  authMiddleware,
+  authorize('staff', 'manager', 'admin', 'superadmin'),
+  param('code')
+    .trim()
+    .matches(/^[A-Za-z0-9\-_/]{1,50}$/)
+    .withMessage('Barcode must be 1-50 letters, numbers, dashes, underscores or slashes'),
+  handleValidationErrors,
+  catchAsync(getItemByBarcode)
+);
+
 router.get('/items/:id',
   authMiddleware,
   catchAsync(getItemById)
@@ -342,6 +444,371 @@ router.delete('/items/:id/image',
 );
 
 
+const validateBatchRouteId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID'),
+  handleValidationErrors
+];
+
+/**
+ * @swagger
+ * /inventory/items/{id}/batches:
+ *   post:
+ *     summary: Receive stock into a batch
+ *     description: Records a lot of the item with its batch number, manufacture and expiry dates, and adds the quantity to the item's stock. Receiving more of an existing batch number tops it up. From the first batch on, billing picks the item's stock first-expiry-first-out and skips expired lots.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [batchNumber, quantity]
+ *             properties:
+ *               batchNumber:
+ *                 type: string
+ *                 example: "B2024-117"
+ *               quantity:
+ *                 type: number
+ *               manufactureDate:
+ *                 type: string
+ *                 format: date
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *               purchasePrice:
+ *                 type: number
+ *                 description: Cost of this lot, used to value expiring stock
+ *     responses:
+ *       201:
+ *         description: Stock received
+ *       409:
+ *         description: Batch number already recorded with different dates
+ *   get:
+ *     summary: List an item's batches
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeEmpty
+ *         schema:
+ *           type: boolean
+ *         description: Include batches that are sold out or written off
+ *     responses:
+ *       200:
+ *         description: Batches in picking order with days to expiry
+ */
+router.post('/items/:id/batches',
+  authMiddleware,
+  authorize('staff', 'manager', 'admin', 'superadmin'),
+  validateBatchRouteId,
+  validateStockBatch,
+  receiveBatch
+);
+
+router.get('/items/:id/batches',
+  authMiddleware,
+  validateBatchRouteId,
+  getItemBatches
+);
+
+// Stocktake corrections and write-offs of damaged or expired units
+router.patch('/batches/:id',
+  authMiddleware,
+  authorize('manager', 'admin', 'superadmin'),
+  validateBatchRouteId,
+  validateBatchAdjustment,
+  adjustBatch
+);
+
+/**
+ * @swagger
+ * /inventory/items/{id}/serials:
+ *   post:
+ *     summary: Register serial numbers / IMEIs of received units
+ *     description: Records one unit per serial and adds them to the item's stock, unless alreadyInStock is set for units already counted. From the first registration on, every unit of the item billed must be picked by serial.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [serials]
+ *             properties:
+ *               serials:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["356938035643809", "356938035643817"]
+ *               alreadyInStock:
+ *                 type: boolean
+ *                 description: The units are already counted in the item's stock
+ *     responses:
+ *       201:
+ *         description: Serials registered
+ *       409:
+ *         description: A serial is already registered for the item
+ *   get:
+ *     summary: List an item's serial numbers
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [in_stock, sold]
+ *     responses:
+ *       200:
+ *         description: Serials with the bill each sold unit is on
+ */
+router.post('/items/:id/serials',
+  authMiddleware,
+  authorize('staff', 'manager', 'admin', 'superadmin'),
+  validateBatchRouteId,
+  validateSerialRegistration,
+  registerSerials
+);
+
+router.get('/items/:id/serials',
+  authMiddleware,
+  validateBatchRouteId,
+  query('status')
+    .optional()
+    .isIn(['in_stock', 'sold'])
+    .withMessage('Status must be in_stock or sold'),
+  handleValidationErrors,
+  getItemSerials
+);
+
+/**
+ * @swagger
+ * /inventory/serials/{serial}:
+ *   get:
+ *     summary: Trace a serial number / IMEI
+ *     description: Returns the item, whether the unit is on the shelf or sold, and its full history (received, sold, returned, sale cancelled) with invoice, credit note and customer, for warranty claims.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: serial
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Units with that serial and their history
+ *       404:
+ *         description: Serial number not found
+ */
+router.get('/serials/:serial',
+  authMiddleware,
+  param('serial')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Serial number must be 1-50 characters'),
+  handleValidationErrors,
+  lookupSerial
+);
+
+/**
+ * @swagger
+ * /inventory/labels:
+ *   post:
+ *     summary: Print barcode and shelf labels as a PDF
+ *     description: Renders labels with the item name, MRP, selling price and a barcode - EAN-13 when the item's barcode is one, otherwise its barcode or SKU as Code 128. Items with neither get a label without a barcode. A4 layouts fill sticker sheets; roll layouts put one label on each page for label printers.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Items to label, printed in this order
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     copies:
+ *                       type: integer
+ *               category:
+ *                 type: string
+ *                 description: Label every item of a category instead
+ *               layout:
+ *                 type: string
+ *                 enum: [a4_65, a4_24, roll_50x25, roll_38x25]
+ *                 default: a4_65
+ *               copies:
+ *                 type: integer
+ *                 default: 1
+ *                 description: Labels per item when not given per item
+ *               skip:
+ *                 type: integer
+ *                 description: Positions already used on a partly used A4 sheet
+ *     responses:
+ *       200:
+ *         description: Label PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ */
+router.post('/labels',
+  authMiddleware,
+  authorize('staff', 'manager', 'admin', 'superadmin'),
+  validateLabelPrint,
+  printLabels
+);
+
+const validateProductId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid product ID'),
+  handleValidationErrors
+];
+
+/**
+ * @swagger
+ * /inventory/products:
+ *   post:
+ *     summary: Create a product with variants
+ *     description: Creates a parent product (shared name, brand, GST details and variant attributes such as size and colour) together with its variants. Each variant is an inventory item with its own SKU, barcode, stock and price, and is what billing selects. SKUs are generated from the product code and attribute values when not given.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, description, brand, type, attributes, variants]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Crew Neck T-Shirt"
+ *               description:
+ *                 type: string
+ *               brand:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 example: clothing
+ *               unit:
+ *                 type: string
+ *                 enum: [pcs, kg, g, l, m]
+ *               hsnCode:
+ *                 type: string
+ *               taxRate:
+ *                 type: number
+ *               attributes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: size
+ *                     values:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       example: [S, M, L]
+ *               variants:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [attributes, purchasePrice, sellPrice, mrpPrice]
+ *                   properties:
+ *                     attributes:
+ *                       type: object
+ *                       example: { size: M, colour: Red }
+ *                     sku:
+ *                       type: string
+ *                     barcode:
+ *                       type: string
+ *                     stockQty:
+ *                       type: number
+ *                     purchasePrice:
+ *                       type: number
+ *                     sellPrice:
+ *                       type: number
+ *                     mrpPrice:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Product and variants created
+ *       400:
+ *         description: Unknown or duplicate attribute combination, or invalid prices
+ */
+router.post('/products',
+  authMiddleware,
+  roleMiddleware('owner'),
+  validateProduct,
+  createProduct
+);
+
+router.get('/products/:id',
+  authMiddleware,
+  validateProductId,
+  getProduct
+);
+
+// Shared details (name, brand, GST, attribute values) are copied down to every variant
+router.put('/products/:id',
+  authMiddleware,
+  roleMiddleware('owner'),
+  validateProductId,
+  validateProduct,
+  updateProduct
+);
+
+router.post('/products/:id/variants',
+  authMiddleware,
+  roleMiddleware('owner'),
+  validateProductId,
+  validateProductVariant,
+  addVariant
+);
+
 router.get('/stats',
   authMiddleware,
   authorize('admin', 'manager', 'superadmin'),
@@ -0,0 +1,121 @@
+const express = require('express');
+const { param } = require('express-validator');
+const {
+  createPromotion,
+  getPromotions,
+  getPromotion,
+  updatePromotion,
+  deactivatePromotion
+} = require('../controllers/promotionController');
+const { authMiddleware, authorize } = require('../middlewares/auth');
+const { validatePromotion, handleValidationErrors } = require('../middleware/validation');
+const { generalLimiter } = require('../middlewares/rateLimiter');
+
+const router = express.Router();
+
+router.use(generalLimiter);
+router.use(authMiddleware);
+
+// Cashiers can look promotions up; managers and above maintain them
+const canManage = authorize('manager', 'admin', 'superadmin');
+router.use(authorize('staff', 'manager', 'admin', 'superadmin'));
+
+const validatePromotionId = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid promotion ID'),
+  handleValidationErrors
+];
+
+/**
+ * @swagger
+ * /promotions:
+ *   post:
+ *     summary: Create a promotion or coupon
+ *     description: Percent or flat off (optionally limited to categories, brands or items), buy-X-get-Y, bill-value thresholds and time windows. With a couponCode the promotion only applies when the code is entered at billing.
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, type, value]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [percent_off, flat_off, buy_x_get_y]
+ *               value:
+ *                 type: number
+ *                 description: Percent for percent_off and buy_x_get_y, rupees for flat_off
+ *               buyQuantity:
+ *                 type: integer
+ *               getQuantity:
+ *                 type: integer
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               brands:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               minBillAmount:
+ *                 type: number
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *               couponCode:
+ *                 type: string
+ *               usageLimit:
+ *                 type: integer
+ *               perCustomerLimit:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Promotion created successfully
+ */
+router.post('/', canManage, validatePromotion, createPromotion);
+
+/**
+ * @swagger
+ * /promotions:
+ *   get:
+ *     summary: List promotions of the store
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: couponOnly
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Promotions retrieved
+ */
+router.get('/', getPromotions);
+
+router.get('/:id', validatePromotionId, getPromotion);
+
+router.put('/:id', canManage, validatePromotionId, validatePromotion, updatePromotion);
+
+// Promotions are deactivated rather than deleted so past bills keep their reference
+router.delete('/:id', canManage, validatePromotionId, deactivatePromotion);
+
+module.exports = router;
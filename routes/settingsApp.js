@@ -18,7 +18,7 @@ router.put('/:storeId', authMiddleware, roleMiddleware('owner'), async (req, res
   const settings = await Settings.findOneAndUpdate(
     { storeId },
     update,
-    { new: true, upsert: true, setDefaultsOnInsert: true }
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
   );
   res.json({ success: true, settings });
 });
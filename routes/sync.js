@@ -1,12 +1,16 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { extractSyncContext } = require('../middlewares/sync');
 const InventoryItem = require('../models/InventoryItem');
 const User = require('../models/User');
 const Sale = require('../models/Sale');
+const { hashPayload, beginRequest, completeRequest, releaseRequest } = require('../utils/idempotencyService');
+const { postEntry, getCreditTenderAmount } = require('../utils/ledgerService');
 const Expense = require('../models/Expense');
 const cloudinary = require('../config/cloudinary');
 const fs = require('fs');
+const logger = require('../utils/logger');
 // Add other models as needed
 
 // Utility to get model by entity name
@@ -29,6 +33,105 @@ function detectConflict(serverDoc, clientDoc) {
   return false;
 }
 
+// POST /sync/bills/push — Queue and process new bills (registered ahead of the generic
+// /:entity/push, which would otherwise take bills without numbering or idempotency)
+router.post('/bills/push', extractSyncContext, async (req, res) => {
+  const storeId = req.user?.storeId || req.body?.storeId || req.query.storeId;
+  const handledBy = req.user?._id || req.body?.handledBy;
+  if (!storeId) return res.status(400).json({ success: false, error: 'Missing storeId' });
+  const records = Array.isArray(req.body) ? req.body : [req.body];
+  const results = [];
+  for (const record of records) {
+    // Each record may carry its own idempotencyKey (a single record may use the header instead)
+    const idempotencyKey = record.idempotencyKey || (records.length === 1 ? req.get('Idempotency-Key') : null);
+    delete record.idempotencyKey;
+    let claimedKey = null;
+    try {
+      // Support tempId for offline mapping
+      const tempId = record.tempId;
+      if (idempotencyKey) {
+        const { state, record: keyRecord } = await beginRequest({
+          scope: 'sync-bill',
+          ownerId: storeId,
+          key: String(idempotencyKey),
+          requestHash: hashPayload(record)
+        });
+        if (state === 'replay') {
+          results.push({ ...keyRecord.responseBody, tempId, replayed: true });
+          continue;
+        }
+        if (state !== 'new') {
+          results.push({
+            tempId: tempId || null,
+            status: 'error',
+            error: state === 'mismatch'
+              ? 'idempotencyKey was already used for a different bill'
+              : 'A bill with this idempotencyKey is still being processed'
+          });
+          continue;
+        }
+        claimedKey = keyRecord;
+      }
+      // Split tenders must add up to the bill total
+      if (record.payments || record.totalAmount !== undefined) {
+        Object.assign(record, Sale.normalizePayments({
+          payments: record.payments,
+          paymentMode: record.paymentMode,
+          paymentReference: record.paymentReference,
+          totalAmount: record.totalAmount
+        }));
+      }
+      // Number and save the bill in one transaction so a failed upsert does not burn a number
+      let sale;
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          // Always generate a new invoice number if not present (from the bill's own date)
+          const invoiceNumber = record.invoiceNumber || await Sale.generateInvoiceNumber(storeId, {
+            session,
+            date: record.saleDate ? new Date(record.saleDate) : new Date()
+          });
+          // Upsert by invoiceNumber (unique per store)
+          const upserted = await Sale.findOneAndUpdate(
+            { invoiceNumber, storeId },
+            { ...record, invoiceNumber, storeId, handledBy, deviceId: req.syncContext.deviceId, updatedAt: new Date() },
+            { new: true, upsert: true, setDefaultsOnInsert: true, rawResult: true, session }
+          );
+          sale = upserted.value;
+          // A newly synced credit bill goes on the customer's ledger (re-syncs do not post again)
+          const creditAmount = getCreditTenderAmount(sale);
+          if (!upserted.lastErrorObject?.updatedExisting && creditAmount > 0 && sale.customerId) {
+            await postEntry({
+              customerId: sale.customerId,
+              storeId,
+              type: 'debit',
+              source: 'sale',
+              amount: creditAmount,
+              saleId: sale._id,
+              invoiceNumber: sale.invoiceNumber,
+              recordedBy: handledBy,
+              session
+            });
+          }
+        });
+      } finally {
+        session.endSession();
+      }
+      const result = { _id: sale._id, invoiceNumber: sale.invoiceNumber, tempId, status: 'synced' };
+      // The bill is committed: a key left in 'processing' must not turn the result into an error
+      if (claimedKey) {
+        await completeRequest(claimedKey._id, 200, result)
+          .catch(keyError => logger.error({ err: keyError, key: idempotencyKey }, 'Failed to update idempotency key'));
+      }
+      results.push(result);
+    } catch (err) {
+      if (claimedKey) await releaseRequest(claimedKey._id).catch(() => {});
+      results.push({ tempId: record.tempId || null, status: 'error', error: err.message });
+    }
+  }
+  res.json({ success: true, results });
+});
+
 // GET /sync/:entity/changes?since=<timestamp>
 router.get('/:entity/changes', extractSyncContext, async (req, res) => {
   const { entity } = req.params;
@@ -180,35 +283,6 @@ router.get('/customers/deleted', extractSyncContext, async (req, res) => {
   }
 });
 
-// POST /sync/bills/push — Queue and process new bills
-router.post('/bills/push', extractSyncContext, async (req, res) => {
-  const storeId = req.user?.storeId || req.body?.storeId || req.query.storeId;
-  const handledBy = req.user?._id || req.body?.handledBy;
-  if (!storeId) return res.status(400).json({ success: false, error: 'Missing storeId' });
-  const records = Array.isArray(req.body) ? req.body : [req.body];
-  const results = [];
-  for (const record of records) {
-    try {
-      // Support tempId for offline mapping
-      const tempId = record.tempId;
-      // Always generate a new invoice number if not present
-      if (!record.invoiceNumber) {
-        record.invoiceNumber = await Sale.generateInvoiceNumber();
-      }
-      // Upsert by invoiceNumber (unique)
-      let sale = await Sale.findOneAndUpdate(
-        { invoiceNumber: record.invoiceNumber },
-        { ...record, storeId, handledBy, deviceId: req.syncContext.deviceId, updatedAt: new Date() },
-        { new: true, upsert: true, setDefaultsOnInsert: true }
-      );
-      results.push({ _id: sale._id, invoiceNumber: sale.invoiceNumber, tempId, status: 'synced' });
-    } catch (err) {
-      results.push({ tempId: record.tempId || null, status: 'error', error: err.message });
-    }
-  }
-  res.json({ success: true, results });
-});
-
 // GET /sync/bills/changes?since=... — Cloud-side new bills
 router.get('/bills/changes', extractSyncContext, async (req, res) => {
   const { lastSyncedAt } = req.syncContext;
@@ -49,7 +49,8 @@ app.use(cors({
     return callback(new Error('Not allowed by CORS'));
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
 }));
 
 // Security headers and HTTP parameter pollution protection
@@ -78,6 +79,7 @@ const inventoryReportRoutes = require('./routes/inventoryReports');
 const salesCalendarRoutes = require('./routes/salesCalendar');
 const customerReportRoutes = require('./routes/customerReports');
 const returnsReportRoutes = require('./routes/returnsReport');
+const gstReportRoutes = require('./routes/gstReports');
 const syncRoutes = require('./routes/sync');
 const settingsRoutes = require('./routes/settings');
 const usersRoutes = require('./routes/users');
@@ -88,6 +90,7 @@ const backupRoutes = require('./routes/backup');
 const auditRoutes = require('./routes/audit');
 const pinRoutes = require('./routes/pin');
 const devicesRoutes = require('./routes/devices');
+const promotionRoutes = require('./routes/promotions');
 
 // Basic route
 app.get('/', (req, res) => {
@@ -109,6 +112,7 @@ app.use('/api/v1/reports/inventory', inventoryReportRoutes);
 app.use('/api/v1/reports/sales-calendar', salesCalendarRoutes);
 app.use('/api/v1/reports/customers', customerReportRoutes);
 app.use('/api/v1/reports', returnsReportRoutes);
+app.use('/api/v1/reports/gst', gstReportRoutes);
 app.use('/api/v1/sync', syncRoutes);
 app.use('/api/v1/settings', settingsRoutes);
 app.use('/api/v1/users', usersRoutes);
@@ -119,6 +123,7 @@ app.use('/api/v1/backup', backupRoutes);
 app.use('/api/v1/audit', auditRoutes);
 app.use('/api/v1/pin', pinRoutes);
 app.use('/api/v1/devices', devicesRoutes);
+app.use('/api/v1/promotions', promotionRoutes);
 
 // Error handler middleware (must be last)
 app.use(errorHandler);
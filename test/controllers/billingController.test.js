@@ -0,0 +1,57 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculatePricing } = require('../../controllers/billingController');
+
+// Two packs of tea at an inclusive price, and a notebook priced before GST
+const tea = { itemId: 'tea', category: 'grocery', quantity: 2, unitPrice: 118, mrp: 125, taxRate: 18, priceIncludesTax: true };
+const notebook = { itemId: 'notebook', quantity: 1, unitPrice: 100, mrp: 100, taxRate: 5, priceIncludesTax: false };
+
+describe('calculatePricing', () => {
+  it('takes GST out of inclusive prices and adds it to exclusive ones', () => {
+    const pricing = calculatePricing([tea, notebook]);
+
+    assert.equal(pricing.subtotal, 336);
+    assert.equal(pricing.taxableAmount, 300);
+    assert.equal(pricing.cgstAmount, 20.5);
+    assert.equal(pricing.sgstAmount, 20.5);
+    assert.equal(pricing.finalAmount, 341);
+    assert.equal(pricing.savings, 9);
+  });
+
+  it('charges IGST alone on inter-state bills', () => {
+    const pricing = calculatePricing([tea, notebook], { isInterState: true });
+
+    assert.equal(pricing.igstAmount, 41);
+    assert.equal(pricing.cgstAmount + pricing.sgstAmount, 0);
+    assert.equal(pricing.finalAmount, 341);
+  });
+
+  it('spreads the bill discount across lines by value before tax', () => {
+    const pricing = calculatePricing([tea, notebook], { discount: 36 });
+
+    assert.deepEqual(pricing.items.map(item => item.discountAmount), [25.29, 10.71]);
+    assert.deepEqual(pricing.items.map(item => item.taxableValue), [178.57, 89.29]);
+    assert.equal(pricing.totalDiscount, 36);
+    assert.equal(pricing.finalAmount, 304.46);
+  });
+
+  it('counts redeemed loyalty points as part of the bill discount', () => {
+    const pricing = calculatePricing([tea], { loyaltyDiscount: 36 });
+
+    assert.equal(pricing.totalDiscount, 36);
+    assert.equal(pricing.finalAmount, 200);
+    assert.equal(pricing.taxableAmount + pricing.totalTax, 200);
+  });
+
+  it('applies promotions first and discounts what they leave', () => {
+    const halfPriceTea = { _id: 'half-tea', name: 'Tea at half price', type: 'percent_off', value: 50, items: ['tea'], isActive: true, stackable: true };
+
+    const pricing = calculatePricing([tea, notebook], { discount: 10, promotions: [halfPriceTea] });
+
+    assert.equal(pricing.promotionDiscount, 118);
+    assert.equal(pricing.totalDiscount, 128);
+    assert.deepEqual(pricing.items.map(item => item.promotionDiscount), [118, 0]);
+    assert.deepEqual(pricing.items.map(item => item.discountAmount), [123.41, 4.59]);
+    assert.deepEqual(pricing.appliedPromotions.map(promotion => promotion.name), ['Tea at half price']);
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Sale = require('../../models/Sale');
+
+describe('Sale.normalizePayments', () => {
+  it('records a single-tender bill as one payment of the bill total', () => {
+    const result = Sale.normalizePayments({ paymentMode: 'upi', paymentReference: 'UTR1', totalAmount: 199.999 });
+
+    assert.deepEqual(result, {
+      payments: [{ mode: 'upi', amount: 200, reference: 'UTR1' }],
+      paymentMode: 'upi'
+    });
+  });
+
+  it('marks a bill paid in more than one mode as split', () => {
+    const result = Sale.normalizePayments({
+      payments: [{ mode: 'cash', amount: '100.50' }, { mode: 'card', amount: 49.5, reference: 'AUTH9' }],
+      totalAmount: 150
+    });
+
+    assert.equal(result.paymentMode, 'split');
+    assert.deepEqual(result.payments, [
+      { mode: 'cash', amount: 100.5, reference: '' },
+      { mode: 'card', amount: 49.5, reference: 'AUTH9' }
+    ]);
+  });
+
+  it('keeps the mode of a bill paid in parts of one tender', () => {
+    const result = Sale.normalizePayments({
+      payments: [{ mode: 'cash', amount: 60 }, { mode: 'cash', amount: 40 }],
+      totalAmount: 100
+    });
+
+    assert.equal(result.paymentMode, 'cash');
+  });
+
+  it('accepts a paisa of rounding between the tenders and the total', () => {
+    assert.doesNotThrow(() => Sale.normalizePayments({
+      payments: [{ mode: 'cash', amount: 33.33 }, { mode: 'upi', amount: 66.66 }],
+      totalAmount: 100
+    }));
+  });
+
+  it('rejects tenders that do not cover the bill', () => {
+    assert.throws(
+      () => Sale.normalizePayments({ payments: [{ mode: 'cash', amount: 90 }], totalAmount: 100 }),
+      /Payments add up to 90.00 but the bill total is 100.00/
+    );
+  });
+
+  it('requires the bill total', () => {
+    assert.throws(() => Sale.normalizePayments({ paymentMode: 'cash' }), /totalAmount is required/);
+  });
+});
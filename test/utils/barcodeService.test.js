@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ean13CheckDigit,
+  isValidEan13,
+  encodeEan13,
+  encodeCode128,
+  itemBarcode
+} = require('../../utils/barcodeService');
+
+const CODE128_START_B = '11010010000';
+const CODE128_START_C = '11010011100';
+const CODE128_STOP = '1100011101011';
+
+describe('barcodeService', () => {
+  describe('EAN-13', () => {
+    it('computes the check digit', () => {
+      assert.equal(ean13CheckDigit('590123412345'), 7);
+      assert.equal(ean13CheckDigit('400638133393'), 1);
+    });
+
+    it('validates EAN-13 and UPC-A codes', () => {
+      assert.equal(isValidEan13('5901234123457'), true);
+      assert.equal(isValidEan13('036000291452'), true);
+      assert.equal(isValidEan13('5901234123458'), false);
+      assert.equal(isValidEan13('59012341234'), false);
+      assert.equal(isValidEan13('59012341234AB'), false);
+    });
+
+    it('encodes the guard bars and the parity the first digit calls for', () => {
+      const expected = '101'
+        + '0001011' + '0100111' + '0110011' + '0010011' + '0111101' + '0011101'
+        + '01010'
+        + '1100110' + '1101100' + '1000010' + '1011100' + '1001110' + '1000100'
+        + '101';
+
+      assert.equal(encodeEan13('5901234123457'), expected);
+      assert.equal(expected.length, 95);
+    });
+
+    it('rejects codes with a wrong check digit', () => {
+      assert.throws(() => encodeEan13('5901234123458'), /not a valid EAN-13/);
+    });
+  });
+
+  describe('Code 128', () => {
+    it('packs an even number of digits two to a symbol in set C', () => {
+      assert.equal(
+        encodeCode128('123456'),
+        CODE128_START_C + '10110011100' + '10001011000' + '11100010110' + '10001101110' + CODE128_STOP
+      );
+    });
+
+    it('encodes other text in set B, eleven modules a symbol plus the stop bar', () => {
+      const modules = encodeCode128('SKU-42A');
+
+      assert.ok(modules.startsWith(CODE128_START_B));
+      assert.ok(modules.endsWith(CODE128_STOP));
+      // Start, seven characters and the checksum, then the 13-module stop
+      assert.equal(modules.length, 11 * 9 + 13);
+    });
+
+    it('uses set B for an odd number of digits', () => {
+      assert.ok(encodeCode128('12345').startsWith(CODE128_START_B));
+    });
+
+    it('rejects empty and non-printable text', () => {
+      assert.throws(() => encodeCode128(''), /printable ASCII/);
+      assert.throws(() => encodeCode128('café'), /printable ASCII/);
+    });
+  });
+
+  describe('itemBarcode', () => {
+    it('prints an EAN or UPC barcode as EAN-13', () => {
+      assert.equal(itemBarcode({ barcode: '5901234123457' }).format, 'ean13');
+      assert.equal(itemBarcode({ barcode: '036000291452' }).text, '0036000291452');
+    });
+
+    it('falls back to Code 128 of the barcode, then the SKU', () => {
+      assert.deepEqual(
+        [itemBarcode({ barcode: 'INHOUSE-7' }), itemBarcode({ sku: 'TSHIRT-M' })].map(({ format, text }) => [format, text]),
+        [['code128', 'INHOUSE-7'], ['code128', 'TSHIRT-M']]
+      );
+    });
+
+    it('is null for an item with neither', () => {
+      assert.equal(itemBarcode({}), null);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const StockBatch = require('../../models/StockBatch');
+const { startOfToday, createBatchPicker, batchDeductions, batchRestocks } = require('../../utils/batchService');
+
+// Stand-in for StockBatch.find(...).select(...).lean(), resolving to copies of the batches
+const stubBatches = (batches) => mock.method(StockBatch, 'find', () => {
+  const query = {
+    select: () => query,
+    lean: () => query,
+    session: () => query,
+    then: (resolve, reject) => Promise.resolve(batches.map(batch => ({ ...batch }))).then(resolve, reject)
+  };
+  return query;
+});
+
+const item = { _id: 'paracetamol', stockQty: 10 };
+
+const lots = () => [
+  { _id: 'late', batchNumber: 'L-2', expiryDate: new Date('2099-06-01'), quantity: 3, receivedAt: new Date('2026-01-01') },
+  { _id: 'early', batchNumber: 'L-1', expiryDate: new Date('2098-01-01'), quantity: 4, receivedAt: new Date('2026-02-01') },
+  { _id: 'expired', batchNumber: 'L-0', expiryDate: new Date('2020-01-01'), quantity: 2, receivedAt: new Date('2019-01-01') },
+  { _id: 'undated', batchNumber: 'L-X', expiryDate: null, quantity: 1, receivedAt: new Date('2025-01-01') }
+];
+
+const picked = ({ allocations }) => allocations.map(({ batchId, quantity }) => [batchId, quantity]);
+
+describe('batchService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('createBatchPicker', () => {
+    it('picks the lot expiring first and skips expired lots', async () => {
+      stubBatches(lots());
+      const pick = createBatchPicker();
+
+      assert.deepEqual(picked(await pick(item, 6)), [['early', 4], ['late', 2]]);
+      assert.deepEqual(picked(await pick(item, 2)), [['late', 1], ['undated', 1]]);
+
+      const last = await pick(item, 1);
+      assert.deepEqual(last.allocations, []);
+      assert.equal(last.shortfall, 1);
+    });
+
+    it('loads an item once per bill, so a second line draws on what is left', async () => {
+      const find = stubBatches(lots());
+      const pick = createBatchPicker();
+
+      await pick(item, 4);
+      await pick(item, 1);
+
+      assert.equal(find.mock.callCount(), 1);
+    });
+
+    it('sells stock held before batches were received first', async () => {
+      stubBatches(lots());
+      const pick = createBatchPicker();
+
+      const result = await pick({ ...item, stockQty: 12.5 }, 3);
+
+      assert.deepEqual(picked(result), [['early', 0.5]]);
+      assert.equal(result.shortfall, 0);
+    });
+
+    it('still sells a lot on its expiry date', async () => {
+      stubBatches([{ _id: 'today', batchNumber: 'T', expiryDate: startOfToday(), quantity: 5, receivedAt: new Date() }]);
+      const pick = createBatchPicker();
+
+      assert.deepEqual(picked(await pick({ _id: 'syrup', stockQty: 5 }, 2)), [['today', 2]]);
+    });
+  });
+
+  describe('batchDeductions', () => {
+    it('takes each allocation off its batch', () => {
+      const [operation] = batchDeductions([{ batchId: 'early', quantity: 4 }]);
+
+      assert.deepEqual(operation.updateOne.filter, { _id: 'early' });
+      assert.equal(operation.updateOne.update[0].$set.quantity.$round[0].$add[1], -4);
+    });
+  });
+
+  describe('batchRestocks', () => {
+    it('returns units to the latest lot sold from first and records them', () => {
+      const saleItem = {
+        batches: [
+          { batchId: 'early', quantity: 4, returnedQuantity: 0 },
+          { batchId: 'late', quantity: 2, returnedQuantity: 1 }
+        ]
+      };
+
+      const operations = batchRestocks(saleItem, 3);
+
+      assert.deepEqual(operations.map(operation => [
+        operation.updateOne.filter._id,
+        operation.updateOne.update[0].$set.quantity.$round[0].$add[1]
+      ]), [['late', 1], ['early', 2]]);
+      assert.deepEqual(saleItem.batches.map(batch => batch.returnedQuantity), [2, 2]);
+    });
+
+    it('returns each kit component to the batches it was picked from', () => {
+      const hamper = {
+        components: [
+          { itemId: 'honey', quantity: 2, batches: [{ batchId: 'H-1', quantity: 6, returnedQuantity: 0 }] },
+          { itemId: 'card', quantity: 1 }
+        ]
+      };
+
+      const operations = batchRestocks(hamper, 1.5);
+
+      assert.deepEqual(operations.map(operation => operation.updateOne.filter._id), ['H-1']);
+      assert.equal(hamper.components[0].batches[0].returnedQuantity, 3);
+    });
+
+    it('puts nothing back on batches for a line sold without them', () => {
+      assert.deepEqual(batchRestocks({ batches: [] }, 2), []);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const CashShift = require('../../models/CashShift');
+const Sale = require('../../models/Sale');
+const CreditNote = require('../../models/CreditNote');
+const CustomerLedgerEntry = require('../../models/CustomerLedgerEntry');
+const {
+  countDenominations,
+  getCashTenderAmount,
+  findOpenShift,
+  summarizeShift
+} = require('../../utils/cashShiftService');
+
+describe('cashShiftService', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('countDenominations', () => {
+    it('totals the notes and coins counted', () => {
+      assert.equal(countDenominations([{ value: 500, count: 3 }, { value: '20', count: '4' }, { value: 0.5, count: 3 }]), 1581.5);
+      assert.equal(countDenominations(), 0);
+    });
+  });
+
+  describe('getCashTenderAmount', () => {
+    it('collects only the cash tenders of a split bill', () => {
+      const sale = { totalAmount: 500, payments: [{ mode: 'cash', amount: 120.5 }, { mode: 'upi', amount: 379.5 }] };
+
+      assert.equal(getCashTenderAmount(sale), 120.5);
+    });
+
+    it('falls back to the bill total of a cash bill without tenders', () => {
+      assert.equal(getCashTenderAmount({ paymentMode: 'cash', totalAmount: 80 }), 80);
+      assert.equal(getCashTenderAmount({ paymentMode: 'card', totalAmount: 80 }), 0);
+    });
+  });
+
+  describe('findOpenShift', () => {
+    it('only reads the shift outside a transaction', () => {
+      const findOne = mock.method(CashShift, 'findOne', () => 'query');
+      const findOneAndUpdate = mock.method(CashShift, 'findOneAndUpdate', () => 'update');
+
+      assert.equal(findOpenShift('store', 'cashier'), 'query');
+      assert.deepEqual(findOne.mock.calls[0].arguments, [{ storeId: 'store', openedBy: 'cashier', status: 'open' }]);
+      assert.equal(findOneAndUpdate.mock.callCount(), 0);
+    });
+
+    it('writes the shift inside a transaction so a concurrent close conflicts with it', () => {
+      const session = { id: 'txn' };
+      const findOneAndUpdate = mock.method(CashShift, 'findOneAndUpdate', () => 'update');
+
+      assert.equal(findOpenShift('store', 'cashier', session), 'update');
+      assert.deepEqual(findOneAndUpdate.mock.calls[0].arguments, [
+        { storeId: 'store', openedBy: 'cashier', status: 'open' },
+        { $inc: { linkedEntries: 1 } },
+        { new: true, session }
+      ]);
+    });
+  });
+
+  describe('summarizeShift', () => {
+    it('takes cash handed back on cancelling another shift\'s bill out of this drawer', async () => {
+      const shift = { _id: 'shift-2', openingFloat: 1000, movements: [] };
+      const saleAggregate = mock.method(Sale, 'aggregate', async ([{ $match }]) => ($match.cancelShiftId
+        ? [{ _id: null, amount: 150 }]
+        : [{ _id: 'cash', amount: 400, bills: 2 }]));
+      const countDocuments = mock.method(Sale, 'countDocuments', async () => 2);
+      mock.method(CreditNote, 'aggregate', async () => [{ _id: null, amount: 50 }]);
+      mock.method(CustomerLedgerEntry, 'aggregate', async () => []);
+
+      const { summary, expectedCash } = await summarizeShift(shift);
+
+      assert.deepEqual(saleAggregate.mock.calls[1].arguments[0][0].$match, {
+        cancelShiftId: 'shift-2',
+        shiftId: { $ne: 'shift-2' },
+        status: 'cancelled'
+      });
+      // A bill voided from another drawer still counts where its cash was taken
+      assert.deepEqual(countDocuments.mock.calls[0].arguments[0].$or, [
+        { status: { $ne: 'cancelled' } },
+        { cancelShiftId: { $nin: [null, 'shift-2'] } }
+      ]);
+      assert.equal(summary.cashRefunds, 200);
+      assert.equal(expectedCash, 1200);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  roundCurrency,
+  getStateCode,
+  isValidGstin,
+  isInterStateSupply,
+  calculateLineTax,
+  buildTaxBreakup,
+  allocateDiscount
+} = require('../../utils/gstService');
+
+describe('gstService', () => {
+  describe('roundCurrency', () => {
+    it('rounds half a paisa up', () => {
+      assert.equal(roundCurrency(1.005), 1.01);
+      assert.equal(roundCurrency('2.344'), 2.34);
+    });
+  });
+
+  describe('getStateCode', () => {
+    it('maps state names, old names and codes', () => {
+      assert.equal(getStateCode('Karnataka'), '29');
+      assert.equal(getStateCode('  tamil   nadu '), '33');
+      assert.equal(getStateCode('Orissa'), '21');
+      assert.equal(getStateCode('Jammu & Kashmir'), '01');
+      assert.equal(getStateCode('27'), '27');
+    });
+
+    it('returns null for unknown states', () => {
+      assert.equal(getStateCode('Atlantis'), null);
+      assert.equal(getStateCode(''), null);
+    });
+  });
+
+  describe('isValidGstin', () => {
+    it('checks the format and the check character', () => {
+      assert.equal(isValidGstin('27AAPFU0939F1ZV'), true);
+      assert.equal(isValidGstin(' 27aapfu0939f1zv '), true);
+      assert.equal(isValidGstin('27AAPFU0939F1ZW'), false);
+      assert.equal(isValidGstin('27AAPFU0939F1Z'), false);
+    });
+  });
+
+  describe('isInterStateSupply', () => {
+    it('compares states ignoring case and spacing', () => {
+      assert.equal(isInterStateSupply('Karnataka', 'karnataka '), false);
+      assert.equal(isInterStateSupply('Karnataka', 'Kerala'), true);
+    });
+
+    it('treats an unknown state as intra-state', () => {
+      assert.equal(isInterStateSupply('Karnataka', ''), false);
+      assert.equal(isInterStateSupply(null, 'Kerala'), false);
+    });
+  });
+
+  describe('calculateLineTax', () => {
+    it('takes tax out of an inclusive price and splits it into CGST and SGST', () => {
+      assert.deepEqual(calculateLineTax({ amount: 118, taxRate: 18 }), {
+        taxRate: 18,
+        taxableValue: 100,
+        cgstAmount: 9,
+        sgstAmount: 9,
+        igstAmount: 0,
+        taxAmount: 18,
+        lineTotal: 118
+      });
+    });
+
+    it('adds IGST on top of an exclusive price for inter-state supplies', () => {
+      const line = calculateLineTax({ amount: 100, taxRate: 5, priceIncludesTax: false, isInterState: true });
+
+      assert.equal(line.igstAmount, 5);
+      assert.equal(line.cgstAmount + line.sgstAmount, 0);
+      assert.equal(line.lineTotal, 105);
+    });
+
+    it('gives SGST the odd paisa so the halves add up to the tax', () => {
+      const line = calculateLineTax({ amount: 100, taxRate: 0.25, priceIncludesTax: false });
+
+      assert.equal(line.cgstAmount, 0.13);
+      assert.equal(line.sgstAmount, 0.12);
+      assert.equal(line.taxAmount, 0.25);
+    });
+
+    it('treats a missing rate as exempt', () => {
+      const line = calculateLineTax({ amount: 50 });
+
+      assert.equal(line.taxAmount, 0);
+      assert.equal(line.taxableValue, 50);
+    });
+  });
+
+  describe('buildTaxBreakup', () => {
+    it('groups lines by rate, lowest rate first', () => {
+      const lines = [
+        calculateLineTax({ amount: 118, taxRate: 18 }),
+        calculateLineTax({ amount: 105, taxRate: 5 }),
+        calculateLineTax({ amount: 59, taxRate: 18 })
+      ];
+
+      const breakup = buildTaxBreakup(lines);
+
+      assert.deepEqual(breakup.map(entry => entry.taxRate), [5, 18]);
+      assert.equal(breakup[1].taxableValue, 150);
+      assert.equal(breakup[1].cgstRate, 9);
+      assert.equal(breakup[1].taxAmount, 27);
+    });
+
+    it('reports the full rate as IGST for inter-state bills', () => {
+      const [entry] = buildTaxBreakup([calculateLineTax({ amount: 112, taxRate: 12, isInterState: true })], true);
+
+      assert.equal(entry.igstRate, 12);
+      assert.equal(entry.cgstRate, 0);
+      assert.equal(entry.igstAmount, 12);
+    });
+  });
+
+  describe('allocateDiscount', () => {
+    it('spreads a discount by line value with the last line taking the rounding', () => {
+      assert.deepEqual(allocateDiscount([100, 200, 300], 10), [1.67, 3.33, 5]);
+    });
+
+    it('never discounts more than the lines are worth', () => {
+      assert.deepEqual(allocateDiscount([10, 30], 100), [10, 30]);
+    });
+
+    it('allocates nothing without a discount or a positive total', () => {
+      assert.deepEqual(allocateDiscount([10, 20], 0), [0, 0]);
+      assert.deepEqual(allocateDiscount([0, 0], 5), [0, 0]);
+    });
+  });
+});
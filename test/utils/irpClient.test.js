@@ -0,0 +1,105 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  IrpError,
+  IRP_NOT_CONFIGURED,
+  getFinancialYear,
+  registerIrpClient,
+  getIrpClient
+} = require('../../utils/irpClient');
+
+const ENV_KEYS = ['NODE_ENV', 'IRP_CLIENT', 'IRP_STUB_SECRET'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+const setEnv = (values) => ENV_KEYS.forEach(key => {
+  if (values[key] === undefined) delete process.env[key];
+  else process.env[key] = values[key];
+});
+
+const payload = (docNo) => ({
+  SellerDtls: { Gstin: '29AAGCB7383J1Z4' },
+  BuyerDtls: { Gstin: '27AAPFU0939F1ZV' },
+  DocDtls: { Typ: 'INV', No: docNo, Dt: '18/10/2026' },
+  ItemList: [{ HsnCd: '1006' }],
+  ValDtls: { TotInvVal: 1180 }
+});
+
+const notConfigured = (error) => error instanceof IrpError && error.code === IRP_NOT_CONFIGURED;
+
+describe('irpClient', () => {
+  afterEach(() => setEnv(savedEnv));
+
+  describe('getFinancialYear', () => {
+    it('reads the financial year of a document date', () => {
+      assert.equal(getFinancialYear('18/10/2026'), '2026-27');
+      assert.equal(getFinancialYear('31/03/2027'), '2026-27');
+      assert.equal(getFinancialYear('01/04/2027'), '2027-28');
+    });
+  });
+
+  describe('getIrpClient', () => {
+    it('refuses to default to the stub in production', () => {
+      setEnv({ NODE_ENV: 'production' });
+
+      assert.throws(() => getIrpClient(), notConfigured);
+    });
+
+    it('needs a stub secret when the stub is picked in production', () => {
+      setEnv({ NODE_ENV: 'production', IRP_CLIENT: 'stub' });
+
+      assert.throws(() => getIrpClient(), notConfigured);
+    });
+
+    it('rejects an unknown client', () => {
+      setEnv({ NODE_ENV: 'development', IRP_CLIENT: 'nic-direct' });
+
+      assert.throws(() => getIrpClient(), notConfigured);
+    });
+
+    it('uses a registered portal client named by IRP_CLIENT', () => {
+      registerIrpClient('gsp', () => ({ generateIrn: async () => ({}), cancelIrn: async () => ({}) }));
+      setEnv({ NODE_ENV: 'production', IRP_CLIENT: 'gsp' });
+
+      const client = getIrpClient();
+
+      assert.equal(client.name, 'gsp');
+      assert.ok(!client.sandbox);
+    });
+  });
+
+  describe('stub client', () => {
+    it('is the default outside production and flagged as a sandbox', () => {
+      setEnv({ NODE_ENV: 'development' });
+
+      const client = getIrpClient();
+
+      assert.equal(client.name, 'stub');
+      assert.equal(client.sandbox, true);
+    });
+
+    it('derives the IRN from the document and rejects registering it twice', async () => {
+      setEnv({ NODE_ENV: 'development' });
+      const client = getIrpClient();
+
+      const registration = await client.generateIrn(payload('INV-2627-000001'));
+
+      assert.match(registration.irn, /^[0-9a-f]{64}$/);
+      assert.match(registration.ackDate, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+      assert.equal(registration.signedQrCode.split('.').length, 3);
+      await assert.rejects(client.generateIrn(payload('INV-2627-000001')), { code: '2150' });
+    });
+
+    it('cancels an IRN once and never takes its document number again', async () => {
+      setEnv({ NODE_ENV: 'development' });
+      const client = getIrpClient();
+      const { irn } = await client.generateIrn(payload('INV-2627-000002'));
+
+      const cancellation = await client.cancelIrn({ irn, reasonCode: '2' });
+
+      assert.equal(cancellation.irn, irn);
+      await assert.rejects(client.cancelIrn({ irn }), { code: '9999' });
+      await assert.rejects(client.generateIrn(payload('INV-2627-000002')), { code: '2278' });
+      await assert.rejects(client.cancelIrn({ irn: 'unknown' }), { code: '2154' });
+    });
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getIstParts, startOfIstDay } = require('../../utils/istTime');
+const { getFinancialYearCode } = require('../../utils/numberSeriesService');
+
+describe('istTime', () => {
+  describe('getIstParts', () => {
+    it('reads the IST clock, 5:30 ahead of UTC', () => {
+      assert.deepEqual(getIstParts(new Date('2026-10-18T20:15:00Z')), {
+        year: 2026,
+        month: 9,
+        day: 19,
+        weekday: 1,
+        hours: 1,
+        minutes: 45
+      });
+    });
+  });
+
+  describe('startOfIstDay', () => {
+    it('is IST midnight of the IST date, in UTC the evening before', () => {
+      assert.equal(startOfIstDay(new Date('2026-10-18T20:15:00Z')).toISOString(), '2026-10-18T18:30:00.000Z');
+      assert.equal(startOfIstDay(new Date('2026-10-18T18:29:59Z')).toISOString(), '2026-10-17T18:30:00.000Z');
+    });
+  });
+
+  describe('getFinancialYearCode', () => {
+    it('turns the year at IST midnight on 1 April', () => {
+      assert.equal(getFinancialYearCode(new Date('2026-03-31T18:29:59Z')), '2526');
+      assert.equal(getFinancialYearCode(new Date('2026-03-31T18:30:00Z')), '2627');
+    });
+
+    it('keeps January to March in the year that began the April before', () => {
+      assert.equal(getFinancialYearCode(new Date('2027-01-15T06:00:00Z')), '2627');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveKitComponents, availableKitQty, explodeKit } = require('../../utils/kitService');
+
+const hamper = {
+  kitComponents: [
+    { itemId: 'chocolate', quantity: 2 },
+    { itemId: 'almonds', quantity: 0.25 }
+  ]
+};
+
+const stock = (entries) => new Map(Object.entries(entries));
+
+describe('kitService', () => {
+  describe('availableKitQty', () => {
+    it('is the number of complete sets the scarcest component makes', () => {
+      const components = stock({
+        chocolate: { stockQty: 10 },
+        almonds: { stockQty: 1 }
+      });
+
+      assert.equal(availableKitQty(hamper, components), 4);
+    });
+
+    it('leaves reserved stock out', () => {
+      const components = stock({
+        chocolate: { stockQty: 10, reservedQty: 5 },
+        almonds: { stockQty: 5 }
+      });
+
+      assert.equal(availableKitQty(hamper, components), 2);
+    });
+
+    it('counts decimal stock without floating-point shortfalls', () => {
+      const kit = { kitComponents: [{ itemId: 'sugar', quantity: 0.1 }] };
+
+      assert.equal(availableKitQty(kit, stock({ sugar: { stockQty: 0.3 } })), 3);
+    });
+
+    it('is zero when a component is missing, deleted or oversold', () => {
+      assert.equal(availableKitQty(hamper, stock({ chocolate: { stockQty: 10 } })), 0);
+      assert.equal(availableKitQty(hamper, stock({
+        chocolate: { stockQty: 10 },
+        almonds: { stockQty: 1, isDeleted: true }
+      })), 0);
+      assert.equal(availableKitQty(hamper, stock({
+        chocolate: { stockQty: 1, reservedQty: 3 },
+        almonds: { stockQty: 1 }
+      })), 0);
+    });
+
+    it('is zero for a kit without components', () => {
+      assert.equal(availableKitQty({ kitComponents: [] }, new Map()), 0);
+    });
+  });
+
+  describe('explodeKit', () => {
+    it('multiplies each component by the number of kits', () => {
+      assert.deepEqual(explodeKit(hamper.kitComponents, 3), [
+        { itemId: 'chocolate', quantity: 6 },
+        { itemId: 'almonds', quantity: 0.75 }
+      ]);
+    });
+  });
+
+  describe('resolveKitComponents', () => {
+    it('needs at least one component', async () => {
+      assert.deepEqual(await resolveKitComponents('store', []), { error: 'A kit needs at least one component' });
+    });
+
+    it('rejects repeated components and a kit containing itself', async () => {
+      const repeated = await resolveKitComponents('store', [{ itemId: 'a', quantity: 1 }, { itemId: 'a', quantity: 2 }]);
+      const itself = await resolveKitComponents('store', [{ itemId: 'kit', quantity: 1 }], 'kit');
+
+      assert.match(repeated.error, /distinct items/);
+      assert.match(itself.error, /distinct items/);
+    });
+  });
+});
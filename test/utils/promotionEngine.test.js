@@ -0,0 +1,122 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isPromotionActive, matchesLine, evaluatePromotions } = require('../../utils/promotionEngine');
+
+// 16:30 IST on Monday 19 October 2026
+const MONDAY_TEATIME = new Date('2026-10-19T11:00:00Z');
+
+const butter = { itemId: 'butter', category: 'dairy', brand: 'Amul', quantity: 2, unitPrice: 50, totalPrice: 100 };
+const coffee = { itemId: 'coffee', category: 'beverages', brand: 'Nescafe', quantity: 3, unitPrice: 100, totalPrice: 300 };
+
+const promotion = (fields) => ({ _id: fields.name, isActive: true, stackable: true, priority: 0, ...fields });
+
+describe('promotionEngine', () => {
+  describe('isPromotionActive', () => {
+    it('respects the active flag and the validity period', () => {
+      assert.equal(isPromotionActive({ isActive: false }, MONDAY_TEATIME), false);
+      assert.equal(isPromotionActive({ startsAt: '2026-10-20T00:00:00Z' }, MONDAY_TEATIME), false);
+      assert.equal(isPromotionActive({ endsAt: '2026-10-19T10:00:00Z' }, MONDAY_TEATIME), false);
+      assert.equal(isPromotionActive({ startsAt: '2026-10-01', endsAt: '2026-10-31' }, MONDAY_TEATIME), true);
+    });
+
+    it('reads days and happy hours on the IST clock', () => {
+      const happyHour = { daysOfWeek: [1], dailyStartTime: '16:00', dailyEndTime: '19:00' };
+
+      assert.equal(isPromotionActive(happyHour, MONDAY_TEATIME), true);
+      // 20:15 UTC on Sunday is already 01:45 on Monday in IST
+      assert.equal(isPromotionActive({ daysOfWeek: [1] }, new Date('2026-10-18T20:15:00Z')), true);
+      assert.equal(isPromotionActive({ daysOfWeek: [0] }, new Date('2026-10-18T20:15:00Z')), false);
+    });
+
+    it('runs a window that ends after midnight into the next morning', () => {
+      const lateNight = { dailyStartTime: '22:00', dailyEndTime: '02:00' };
+
+      assert.equal(isPromotionActive(lateNight, new Date('2026-10-18T20:15:00Z')), true);
+      assert.equal(isPromotionActive(lateNight, MONDAY_TEATIME), false);
+    });
+  });
+
+  describe('matchesLine', () => {
+    it('matches every line when the promotion has no filter', () => {
+      assert.equal(matchesLine({}, butter), true);
+    });
+
+    it('matches by category, brand (any case) or item', () => {
+      assert.equal(matchesLine({ categories: ['dairy'] }, butter), true);
+      assert.equal(matchesLine({ brands: ['AMUL'] }, butter), true);
+      assert.equal(matchesLine({ items: ['coffee'] }, coffee), true);
+      assert.equal(matchesLine({ categories: ['dairy'] }, coffee), false);
+    });
+  });
+
+  describe('evaluatePromotions', () => {
+    it('takes a percentage off every eligible line', () => {
+      const result = evaluatePromotions([butter, coffee], [promotion({ name: '10% off', type: 'percent_off', value: 10 })]);
+
+      assert.deepEqual(result.lines.map(line => line.amount), [10, 30]);
+      assert.equal(result.totalDiscount, 40);
+    });
+
+    it('spreads a flat discount across lines by value', () => {
+      const result = evaluatePromotions([butter, coffee], [promotion({ name: 'Rs.50 off', type: 'flat_off', value: 50 })]);
+
+      assert.deepEqual(result.lines.map(line => line.amount), [12.5, 37.5]);
+    });
+
+    it('gives the free units of a buy-x-get-y offer', () => {
+      const result = evaluatePromotions([butter, coffee], [
+        promotion({ name: 'Buy 2 get 1', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1, value: 100 })
+      ]);
+
+      assert.deepEqual(result.lines.map(line => line.amount), [0, 100]);
+    });
+
+    it('caps a promotion at its maximum discount', () => {
+      const result = evaluatePromotions([butter, coffee], [
+        promotion({ name: 'Half price', type: 'percent_off', value: 50, maxDiscount: 60 })
+      ]);
+
+      assert.deepEqual(result.lines.map(line => line.amount), [15, 45]);
+      assert.equal(result.totalDiscount, 60);
+    });
+
+    it('skips promotions below their minimum bill amount or out of hours', () => {
+      const result = evaluatePromotions([butter, coffee], [
+        promotion({ name: 'Big basket', type: 'percent_off', value: 10, minBillAmount: 500 }),
+        promotion({ name: 'Breakfast', type: 'percent_off', value: 10, dailyStartTime: '07:00', dailyEndTime: '10:00' })
+      ], { at: MONDAY_TEATIME });
+
+      assert.equal(result.totalDiscount, 0);
+      assert.deepEqual(result.applied, []);
+    });
+
+    it('keeps stackable promotions off lines a non-stackable one took', () => {
+      const result = evaluatePromotions([butter, coffee], [
+        promotion({ name: 'Store-wide 10%', type: 'percent_off', value: 10 }),
+        promotion({ name: 'Dairy 20%', type: 'percent_off', value: 20, categories: ['dairy'], stackable: false, priority: 10 })
+      ]);
+
+      assert.deepEqual(result.lines.map(line => line.promotions.map(applied => applied.name)), [['Dairy 20%'], ['Store-wide 10%']]);
+      assert.deepEqual(result.lines.map(line => line.amount), [20, 30]);
+    });
+
+    it('stacks promotions on what the earlier ones left of a line', () => {
+      const result = evaluatePromotions([coffee], [
+        promotion({ name: 'Coffee 10%', type: 'percent_off', value: 10, priority: 5 }),
+        promotion({ name: 'Rs.30 off', type: 'flat_off', value: 30 })
+      ]);
+
+      assert.equal(result.lines[0].amount, 60);
+      assert.deepEqual(result.applied.map(applied => applied.amount), [30, 30]);
+    });
+
+    it('leaves a line a stackable promotion touched to no non-stackable one', () => {
+      const result = evaluatePromotions([coffee], [
+        promotion({ name: 'Coffee 10%', type: 'percent_off', value: 10, priority: 5 }),
+        promotion({ name: 'Exclusive 50%', type: 'percent_off', value: 50, stackable: false })
+      ]);
+
+      assert.deepEqual(result.applied.map(applied => applied.name), ['Coffee 10%']);
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getDefaultPrecision,
+  getUqc,
+  roundQuantity,
+  isValidQuantity,
+  addQuantities,
+  quantityIncrement,
+  formatQuantity
+} = require('../../utils/quantityService');
+
+describe('quantityService', () => {
+  describe('units', () => {
+    it('gives the default decimals and GST unit code of a unit', () => {
+      assert.equal(getDefaultPrecision('kg'), 3);
+      assert.equal(getDefaultPrecision('m'), 2);
+      assert.equal(getDefaultPrecision('unknown'), 0);
+      assert.equal(getUqc('l'), 'LTR');
+      assert.equal(getUqc(undefined), 'NOS');
+    });
+  });
+
+  describe('roundQuantity', () => {
+    it('rounds to the allowed decimals', () => {
+      assert.equal(roundQuantity(0.1 + 0.2), 0.3);
+      assert.equal(roundQuantity(2.345, 2), 2.35);
+      assert.equal(roundQuantity('1.5', 0), 2);
+    });
+  });
+
+  describe('isValidQuantity', () => {
+    it('accepts up to the allowed decimals', () => {
+      assert.equal(isValidQuantity(0.75), true);
+      assert.equal(isValidQuantity('1.125'), true);
+      assert.equal(isValidQuantity(2.5, 1), true);
+    });
+
+    it('rejects extra decimals and non-numbers', () => {
+      assert.equal(isValidQuantity(0.0005), false);
+      assert.equal(isValidQuantity(1.5, 0), false);
+      assert.equal(isValidQuantity('abc'), false);
+      assert.equal(isValidQuantity(Infinity), false);
+    });
+  });
+
+  describe('addQuantities', () => {
+    it('adds and subtracts without floating-point remainders', () => {
+      assert.equal(addQuantities(0.1, 0.2), 0.3);
+      assert.equal(addQuantities(0.3, -0.1), 0.2);
+      assert.equal(addQuantities(10, -0.75, -0.75, -8.5), 0);
+    });
+
+    it('is zero for no quantities', () => {
+      assert.equal(addQuantities(), 0);
+    });
+  });
+
+  describe('quantityIncrement', () => {
+    it('builds a rounded $add per field in place of $inc', () => {
+      assert.deepEqual(quantityIncrement({ stockQty: -0.75 }), [{
+        $set: {
+          stockQty: { $round: [{ $add: [{ $ifNull: ['$stockQty', 0] }, -0.75] }, 3] }
+        }
+      }]);
+    });
+  });
+
+  describe('formatQuantity', () => {
+    it('shows the unit except for pieces', () => {
+      assert.equal(formatQuantity(0.75, 'kg'), '0.75 kg');
+      assert.equal(formatQuantity(3), '3');
+      assert.equal(formatQuantity(2.5, 'box'), '2.5 box');
+    });
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PAPER_SIZES, ESC_POS, resolvePaper, buildReceiptLines, renderEscPos } = require('../../utils/receiptRenderer');
+
+const sale = {
+  invoiceNumber: 'INV-2627-000042',
+  saleDate: new Date('2026-10-18T20:15:00Z'),
+  customerName: 'Asha',
+  items: [
+    { itemName: 'Basmati rice premium long grain extra aged', hsnCode: '1006', quantity: 1.5, unit: 'kg', unitPrice: 120, totalPrice: 180 },
+    { itemName: 'Phone', quantity: 1, unitPrice: 9999, totalPrice: 9999, serialNumbers: ['356938035643809'] }
+  ],
+  subtotal: 10179,
+  totalAmount: 10179,
+  payments: [{ mode: 'cash', amount: 179 }, { mode: 'card', amount: 10000 }]
+};
+const store = { name: 'Corner Store', address: '12 MG Road, Bengaluru', phone: '080 1234 5678' };
+
+const includes = (buffer, bytes) => buffer.includes(Buffer.from(bytes));
+
+describe('receiptRenderer', () => {
+  describe('resolvePaper', () => {
+    it('accepts 58 and 80mm paper, with or without the unit', () => {
+      assert.equal(resolvePaper('58'), 58);
+      assert.equal(resolvePaper('80mm'), 80);
+      assert.equal(resolvePaper(), 80);
+      assert.equal(resolvePaper('a4'), null);
+      assert.equal(resolvePaper(112), null);
+    });
+  });
+
+  describe('buildReceiptLines', () => {
+    for (const paper of [58, 80]) {
+      it(`keeps every line within a ${paper}mm printer's width`, () => {
+        const { charsPerLine } = PAPER_SIZES[paper];
+
+        buildReceiptLines(sale, store, { paper }).forEach(line => {
+          assert.ok(line.text.length <= (line.large ? charsPerLine / 2 : charsPerLine), `"${line.text}" is too wide`);
+        });
+      });
+    }
+
+    it('prints the bill time on the IST clock', () => {
+      const texts = buildReceiptLines(sale, store).map(line => line.text);
+
+      assert.ok(texts.includes('Date: 19/10/2026 01:45 am'), texts.find(text => text.startsWith('Date')));
+    });
+
+    it('lists quantities with their unit, serial numbers and each tender', () => {
+      const texts = buildReceiptLines(sale, store, { paper: 80 }).map(line => line.text);
+
+      assert.ok(texts.some(text => text.startsWith('  1.5 kg x 120.00/kg') && text.endsWith('180.00')));
+      assert.ok(texts.includes('  S/N: 356938035643809'));
+      assert.ok(texts.some(text => text.startsWith('Paid by CARD') && text.endsWith('Rs.10000.00')));
+    });
+  });
+
+  describe('renderEscPos', () => {
+    const lines = [
+      { text: 'Total ₹50', align: 'center', bold: true, large: false },
+      { text: 'Café', align: 'left', bold: false, large: false }
+    ];
+
+    it('initialises the printer and feeds and cuts at the end', () => {
+      const bytes = renderEscPos(lines);
+
+      assert.deepEqual([...bytes.subarray(0, 2)], ESC_POS.init);
+      assert.deepEqual([...bytes.subarray(-7)], [...ESC_POS.feedLines(3), ...ESC_POS.partialCut]);
+      assert.equal(includes(bytes, ESC_POS.drawerKick), false);
+    });
+
+    it('kicks the drawer only when asked and can leave the paper uncut', () => {
+      const bytes = renderEscPos(lines, { cut: false, openDrawer: true });
+
+      assert.deepEqual([...bytes.subarray(2, 7)], ESC_POS.drawerKick);
+      assert.equal(includes(bytes, ESC_POS.partialCut), false);
+    });
+
+    it('prints rupees as Rs. and other characters outside the code page as ?', () => {
+      const bytes = renderEscPos(lines);
+
+      assert.ok(bytes.includes(Buffer.from('Total Rs.50\n')));
+      assert.ok(bytes.includes(Buffer.from('Caf?\n')));
+    });
+
+    it('stores a QR payload with its length, low byte first', () => {
+      const payload = 'upi://pay?pa=store@upi&am=10.00';
+      const bytes = renderEscPos([{ text: '', align: 'center', qr: { payload } }]);
+      const length = payload.length + 3;
+
+      assert.ok(includes(bytes, [0x1d, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, 0x50, 0x30, ...Buffer.from(payload)]));
+    });
+  });
+});
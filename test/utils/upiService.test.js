@@ -0,0 +1,34 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getUpiAmount, buildUpiPayload } = require('../../utils/upiService');
+
+describe('upiService', () => {
+  describe('getUpiAmount', () => {
+    it('collects only the UPI tenders of a split bill', () => {
+      const sale = {
+        totalAmount: 500,
+        payments: [{ mode: 'cash', amount: 200 }, { mode: 'upi', amount: 150.1 }, { mode: 'upi', amount: 149.9 }]
+      };
+
+      assert.equal(getUpiAmount(sale), 300);
+    });
+
+    it('falls back to the bill total of a single-tender UPI bill', () => {
+      assert.equal(getUpiAmount({ paymentMode: 'upi', totalAmount: 99 }), 99);
+      assert.equal(getUpiAmount({ paymentMode: 'cash', totalAmount: 99 }), 0);
+    });
+  });
+
+  describe('buildUpiPayload', () => {
+    it('builds a upi://pay link with the invoice as reference', () => {
+      assert.equal(
+        buildUpiPayload({ vpa: 'cornerstore@upi', payeeName: 'Corner Store', amount: 250, invoiceNumber: 'INV-2627-000042' }),
+        'upi://pay?pa=cornerstore%40upi&pn=Corner%20Store&am=250.00&cu=INR&tr=INV-2627-000042&tn=Invoice%20INV-2627-000042'
+      );
+    });
+
+    it('leaves out a missing payee name', () => {
+      assert.ok(!buildUpiPayload({ vpa: 'shop@upi', amount: 1, invoiceNumber: 'INV-1' }).includes('pn='));
+    });
+  });
+});
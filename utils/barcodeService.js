@@ -0,0 +1,127 @@
+/**
+ * Barcode Service
+ * EAN-13 and Code 128 encoders for printing labels without an external service. Encoders
+ * return the barcode as a string of modules ('1' bar, '0' space) that a renderer scales to
+ * whatever width it has; quiet zones are left to the renderer.
+ */
+
+// EAN-13 left-hand odd parity (L) patterns; R is L inverted and G is R reversed
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const EAN_R = EAN_L.map(pattern => pattern.replace(/./g, bit => (bit === '1' ? '0' : '1')));
+const EAN_G = EAN_R.map(pattern => pattern.split('').reverse().join(''));
+// Which of the six left-hand digits use G, by the first (implied) digit
+const EAN_PARITY = ['LLLLLL', 'LLGLGG', 'LLGGLG', 'LLGGGL', 'LGLLGG', 'LGGLLG', 'LGGGLL', 'LGLGLG', 'LGLGGL', 'LGGLGL'];
+
+// Code 128 symbol widths (bar, space, bar, space, bar, space) for values 0-106
+const CODE128_WIDTHS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_START_C = 105;
+const CODE128_STOP = 106;
+
+// Alternate bars and spaces of the given widths
+const widthsToModules = (widths) => widths
+  .split('')
+  .map((width, index) => (index % 2 === 0 ? '1' : '0').repeat(Number(width)))
+  .join('');
+
+/**
+ * EAN-13 check digit for the first 12 digits
+ * @param {String} digits
+ * @returns {Number}
+ */
+const ean13CheckDigit = (digits) => {
+  const sum = digits
+    .slice(0, 12)
+    .split('')
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Whether a code is a valid EAN-13 (or a UPC-A, which is an EAN-13 with a leading zero)
+ * @param {String} code
+ * @returns {Boolean}
+ */
+const isValidEan13 = (code) => {
+  const digits = String(code).length === 12 ? `0${code}` : String(code);
+  return /^\d{13}$/.test(digits) && ean13CheckDigit(digits) === Number(digits[12]);
+};
+
+/**
+ * Encode an EAN-13 (or UPC-A) code
+ * @param {String} code - 13 digits with a valid check digit, or 12-digit UPC-A
+ * @returns {String} modules
+ */
+const encodeEan13 = (code) => {
+  if (!isValidEan13(code)) {
+    throw new Error(`${code} is not a valid EAN-13 code`);
+  }
+  const digits = String(code).length === 12 ? `0${code}` : String(code);
+  const parity = EAN_PARITY[Number(digits[0])];
+
+  const left = digits.slice(1, 7).split('')
+    .map((digit, index) => (parity[index] === 'G' ? EAN_G : EAN_L)[Number(digit)])
+    .join('');
+  const right = digits.slice(7).split('')
+    .map(digit => EAN_R[Number(digit)])
+    .join('');
+  return `101${left}01010${right}101`;
+};
+
+/**
+ * Encode text as Code 128: all-digit text of even length in set C (two digits per symbol),
+ * anything else in set B (printable ASCII)
+ * @param {String} text
+ * @returns {String} modules
+ */
+const encodeCode128 = (text) => {
+  const value = String(text);
+  if (!value || /[^\x20-\x7e]/.test(value)) {
+    throw new Error('Code 128 labels take printable ASCII text');
+  }
+
+  const symbols = /^(\d\d)+$/.test(value)
+    ? [CODE128_START_C, ...value.match(/\d\d/g).map(Number)]
+    : [CODE128_START_B, ...value.split('').map(char => char.charCodeAt(0) - 32)];
+  const checksum = symbols.reduce((total, symbol, index) => total + symbol * Math.max(index, 1), 0) % 103;
+
+  return [...symbols, checksum, CODE128_STOP]
+    .map(symbol => widthsToModules(CODE128_WIDTHS[symbol]))
+    .join('');
+};
+
+/**
+ * Barcode for an item's label: its barcode as EAN-13 when it is one, otherwise its barcode or
+ * SKU as Code 128
+ * @param {Object} item - inventory item (barcode, sku)
+ * @returns {Object|null} { format, text, modules }, or null when the item has neither
+ */
+const itemBarcode = (item) => {
+  if (item.barcode && isValidEan13(item.barcode)) {
+    const text = String(item.barcode).padStart(13, '0');
+    return { format: 'ean13', text, modules: encodeEan13(text) };
+  }
+  const text = item.barcode || item.sku;
+  if (!text) return null;
+  return { format: 'code128', text, modules: encodeCode128(text) };
+};
+
+module.exports = {
+  ean13CheckDigit,
+  isValidEan13,
+  encodeEan13,
+  encodeCode128,
+  itemBarcode
+};
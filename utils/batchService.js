@@ -0,0 +1,128 @@
+/**
+ * Batch Service
+ * First-expiry-first-out picking for items whose stock is received into batches. Stock an
+ * item already had before it was first received into a batch has no known dates; it is
+ * treated as the oldest and sold first. Lots past their expiry date are never picked.
+ */
+const StockBatch = require('../models/StockBatch');
+const { addQuantities, roundQuantity, quantityIncrement } = require('./quantityService');
+const { startOfIstDay } = require('./istTime');
+
+/**
+ * Start of today in IST, the cut-off for expired lots (a lot is sellable on its expiry date)
+ * @returns {Date}
+ */
+const startOfToday = () => startOfIstDay();
+
+// Dated lots by expiry, then lots without an expiry date, oldest receipt first within each
+const compareFefo = (a, b) => {
+  const aExpiry = a.expiryDate ? a.expiryDate.getTime() : Infinity;
+  const bExpiry = b.expiryDate ? b.expiryDate.getTime() : Infinity;
+  return aExpiry - bExpiry || a.receivedAt - b.receivedAt;
+};
+
+/**
+ * Picker for one bill. Batches are loaded once per item and drawn down in memory, so an item
+ * billed on its own and as part of a kit is never picked twice from the same stock.
+ * @param {ClientSession} [session]
+ * @returns {Function} async (item, quantity) => { allocations, shortfall }
+ */
+const createBatchPicker = (session = null) => {
+  const stock = new Map();
+  const cutoff = startOfToday();
+
+  return async (item, quantity) => {
+    const key = item._id.toString();
+    if (!stock.has(key)) {
+      const query = StockBatch.find({ itemId: item._id, quantity: { $gt: 0 } })
+        .select('batchNumber expiryDate quantity receivedAt')
+        .lean();
+      const batches = (await (session ? query.session(session) : query)).sort(compareFefo);
+      const batched = addQuantities(...batches.map(batch => batch.quantity));
+      stock.set(key, {
+        unbatched: Math.max(0, addQuantities(item.stockQty, -batched)),
+        batches
+      });
+    }
+
+    const state = stock.get(key);
+    let remaining = quantity;
+
+    const fromUnbatched = Math.min(state.unbatched, remaining);
+    state.unbatched = addQuantities(state.unbatched, -fromUnbatched);
+    remaining = addQuantities(remaining, -fromUnbatched);
+
+    const allocations = [];
+    for (const batch of state.batches) {
+      if (remaining <= 0) break;
+      if (batch.quantity <= 0 || (batch.expiryDate && batch.expiryDate < cutoff)) continue;
+
+      const taken = Math.min(batch.quantity, remaining);
+      batch.quantity = addQuantities(batch.quantity, -taken);
+      remaining = addQuantities(remaining, -taken);
+      allocations.push({
+        batchId: batch._id,
+        batchNumber: batch.batchNumber,
+        expiryDate: batch.expiryDate,
+        quantity: taken
+      });
+    }
+
+    return { allocations, shortfall: remaining };
+  };
+};
+
+/**
+ * Bulk operations taking picked quantities off their batches
+ * @param {Array} allocations - [{ batchId, quantity }]
+ * @returns {Array}
+ */
+const batchDeductions = (allocations) => allocations.map(({ batchId, quantity }) => ({
+  updateOne: {
+    filter: { _id: batchId },
+    update: quantityIncrement({ quantity: -quantity })
+  }
+}));
+
+/**
+ * Put returned units of a sale line back into the batches they were sold from, latest expiry
+ * first, recording how much of each went back. Anything beyond that was sold from stock
+ * without a batch and only goes back on the item. A kit line does this for each component.
+ * @param {Object} saleItem - sale line with a batches snapshot (updated in place)
+ * @param {Number} quantity - units (kits, for a kit line) coming back
+ * @returns {Array} bulk operations on StockBatch
+ */
+const batchRestocks = (saleItem, quantity) => {
+  if (saleItem.components?.length) {
+    return saleItem.components.flatMap(component => batchRestocks(
+      component,
+      roundQuantity(component.quantity * quantity)
+    ));
+  }
+
+  const operations = [];
+  let remaining = quantity;
+  for (const batch of [...(saleItem.batches || [])].reverse()) {
+    if (remaining <= 0) break;
+    const returnable = addQuantities(batch.quantity, -(batch.returnedQuantity || 0));
+    const restocked = Math.min(returnable, remaining);
+    if (restocked <= 0) continue;
+
+    batch.returnedQuantity = addQuantities(batch.returnedQuantity || 0, restocked);
+    remaining = addQuantities(remaining, -restocked);
+    operations.push({
+      updateOne: {
+        filter: { _id: batch.batchId },
+        update: quantityIncrement({ quantity: restocked })
+      }
+    });
+  }
+  return operations;
+};
+
+module.exports = {
+  startOfToday,
+  createBatchPicker,
+  batchDeductions,
+  batchRestocks
+};
@@ -0,0 +1,131 @@
+/**
+ * Billing Approval Service
+ * Manual discounts are capped per role in Settings.discountCaps and line price overrides are
+ * reserved for managers. Going past either needs a manager's approval, confirmed with the PIN
+ * they set through /pin/set-pin. With Settings.requirePinForBilling on, every override and
+ * manual discount needs a PIN, even when the cashier is allowed to give it.
+ */
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const { AppError } = require('../middleware/errorHandler');
+const { roundCurrency } = require('./gstService');
+
+// Roles that may override prices and approve for others
+const APPROVER_ROLES = ['manager', 'owner', 'admin', 'superadmin'];
+// Roles that are never capped
+const UNCAPPED_ROLES = ['owner', 'admin', 'superadmin'];
+
+/**
+ * Load the billing controls of a store
+ * @param {String} storeId
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} { requirePinForBilling, discountCaps }
+ */
+const getBillingControls = async (storeId, session = null) => {
+  const query = Settings.findOne({ storeId }).select('requirePinForBilling discountCaps').lean();
+  const settings = session ? await query.session(session) : await query;
+  return {
+    requirePinForBilling: settings?.requirePinForBilling === true,
+    discountCaps: settings?.discountCaps || {}
+  };
+};
+
+/**
+ * Why a manual discount is beyond what a role may give, or null when it is within the cap
+ * @param {Object} controls - getBillingControls()
+ * @param {String} role
+ * @param {Object} amounts
+ * @param {Number} amounts.manualDiscount - Typed discounts plus price override reductions
+ * @param {Number} amounts.subtotal - Bill value at list prices
+ * @returns {String|null}
+ */
+const getCapExceeded = (controls, role, { manualDiscount, subtotal }) => {
+  if (UNCAPPED_ROLES.includes(role) || manualDiscount <= 0) return null;
+
+  const cap = controls.discountCaps?.[role];
+  if (!cap) return null;
+
+  if (cap.maxAmount !== undefined && cap.maxAmount !== null && manualDiscount > cap.maxAmount) {
+    return `discount of ₹${manualDiscount.toFixed(2)} exceeds the ${role} limit of ₹${cap.maxAmount.toFixed(2)}`;
+  }
+  const percent = subtotal > 0 ? roundCurrency((manualDiscount / subtotal) * 100) : 0;
+  if (cap.maxPercent !== undefined && cap.maxPercent !== null && percent > cap.maxPercent) {
+    return `discount of ${percent}% exceeds the ${role} limit of ${cap.maxPercent}%`;
+  }
+  return null;
+};
+
+/**
+ * Work out whether a bill needs a PIN-confirmed approval
+ * @param {Object} opts
+ * @param {Object} opts.controls - getBillingControls()
+ * @param {String} opts.role - Role of the user billing
+ * @param {Number} opts.manualDiscount
+ * @param {Number} opts.subtotal
+ * @param {Boolean} opts.hasOverrides - Any line price overridden
+ * @returns {Object} { required, reasons } - reasons name what the biller may not do alone
+ */
+const assessApproval = ({ controls, role, manualDiscount, subtotal, hasOverrides }) => {
+  const reasons = [];
+  if (hasOverrides && !APPROVER_ROLES.includes(role)) {
+    reasons.push('price overrides need a manager');
+  }
+  const capExceeded = getCapExceeded(controls, role, { manualDiscount, subtotal });
+  if (capExceeded) reasons.push(capExceeded);
+
+  const pinPolicy = controls.requirePinForBilling && (hasOverrides || manualDiscount > 0);
+  return { required: reasons.length > 0 || pinPolicy, reasons };
+};
+
+/**
+ * Verify the approver of a bill: an active manager (or above) of the store whose own cap
+ * covers the discount, with a matching PIN
+ * @param {Object} opts
+ * @param {String} opts.approverId
+ * @param {String} opts.pin
+ * @param {String} opts.storeId
+ * @param {Object} opts.controls
+ * @param {Number} opts.manualDiscount
+ * @param {Number} opts.subtotal
+ * @param {Boolean} opts.hasOverrides
+ * @param {ClientSession} [opts.session]
+ * @returns {Promise<Object>} The approving user
+ * @throws {AppError} 403 when the approval is not valid
+ */
+const verifyApprover = async ({ approverId, pin, storeId, controls, manualDiscount, subtotal, hasOverrides, session = null }) => {
+  if (!approverId || !pin) {
+    throw new AppError('Manager approval (approverId and PIN) is required for this bill', 403);
+  }
+
+  const query = User.findOne({ _id: approverId, isActive: true }).select('firstName lastName role storeId pinHash');
+  const approver = session ? await query.session(session) : await query;
+
+  if (!approver || !(APPROVER_ROLES.includes(approver.role) || (!hasOverrides && approver.role === 'staff'))) {
+    throw new AppError('Approver is not allowed to approve this bill', 403);
+  }
+  if (!['admin', 'superadmin'].includes(approver.role) && String(approver.storeId) !== String(storeId)) {
+    throw new AppError('Approver does not belong to this store', 403);
+  }
+  if (getCapExceeded(controls, approver.role, { manualDiscount, subtotal })) {
+    throw new AppError('Discount is beyond what the approver may give', 403);
+  }
+  if (!approver.pinHash) {
+    throw new AppError('Approver has not set a PIN', 403);
+  }
+
+  const match = await bcrypt.compare(String(pin), approver.pinHash);
+  if (!match) {
+    throw new AppError('Invalid approval PIN', 403);
+  }
+
+  return approver;
+};
+
+module.exports = {
+  APPROVER_ROLES,
+  getBillingControls,
+  getCapExceeded,
+  assessApproval,
+  verifyApprover
+};
@@ -0,0 +1,128 @@
+/**
+ * Cash Shift Service
+ * Till accounting for a cashier's drawer. Expected cash is the opening float plus the cash
+ * tenders of the shift's bills and the khata dues collected in cash, minus cash refunds and
+ * drops/payouts. A bill voided in the drawer it was rung up in is left out; one voided
+ * from another drawer stays in its own shift and its cash refund counts against the drawer
+ * that paid it.
+ */
+const CashShift = require('../models/CashShift');
+const Sale = require('../models/Sale');
+const CreditNote = require('../models/CreditNote');
+const CustomerLedgerEntry = require('../models/CustomerLedgerEntry');
+const { roundCurrency } = require('./gstService');
+
+// Notes and coins in circulation, largest first
+const INR_DENOMINATIONS = [2000, 500, 200, 100, 50, 20, 10, 5, 2, 1];
+
+/**
+ * Total of a denomination count
+ * @param {Array} denominations - [{ value, count }]
+ * @returns {Number}
+ */
+const countDenominations = (denominations = []) => roundCurrency(
+  denominations.reduce((total, { value, count }) => total + Number(value) * Number(count), 0)
+);
+
+/**
+ * Cash tendered on a bill (the whole bill when a cash bill has no tender list)
+ * @param {Object} sale
+ * @returns {Number}
+ */
+const getCashTenderAmount = (sale) => {
+  if (sale.payments && sale.payments.length > 0) {
+    return roundCurrency(sale.payments
+      .filter(payment => payment.mode === 'cash')
+      .reduce((sum, payment) => sum + payment.amount, 0));
+  }
+  return sale.paymentMode === 'cash' ? sale.totalAmount : 0;
+};
+
+/**
+ * The cashier's open shift at a store, if any. Inside a transaction the shift is written too
+ * (linkedEntries is bumped), so closing it at the same moment conflicts with the transaction:
+ * the close waits for the document to commit and counts it, or the transaction is rolled back
+ * as transient and, run again, finds the shift closed.
+ * @param {String} storeId
+ * @param {String} userId
+ * @param {ClientSession} [session] - the transaction linking a document to the shift
+ * @returns {Promise<Document|null>}
+ */
+const findOpenShift = (storeId, userId, session = null) => {
+  const filter = { storeId, openedBy: userId, status: 'open' };
+  if (!session) return CashShift.findOne(filter);
+  return CashShift.findOneAndUpdate(filter, { $inc: { linkedEntries: 1 } }, { new: true, session });
+};
+
+/**
+ * Work out the till totals of a shift from its linked bills, refunds and ledger payments
+ * @param {Object} shift - CashShift document or plain object
+ * @returns {Promise<Object>} summary (shaped like CashShift.summary) and expectedCash
+ */
+const summarizeShift = async (shift) => {
+  // Bills of the shift, less those voided in this same drawer (older cancellations name no drawer)
+  const countedBills = {
+    shiftId: shift._id,
+    $or: [{ status: { $ne: 'cancelled' } }, { cancelShiftId: { $nin: [null, shift._id] } }]
+  };
+  const [tenders, bills, cancelledBills, refunds, cancellationRefunds, payments] = await Promise.all([
+    Sale.aggregate([
+      { $match: countedBills },
+      ...Sale.paymentBreakdownStages()
+    ]),
+    Sale.countDocuments(countedBills),
+    Sale.countDocuments({ shiftId: shift._id, status: 'cancelled' }),
+    CreditNote.aggregate([
+      { $match: { shiftId: shift._id, refundMode: 'cash' } },
+      { $group: { _id: null, amount: { $sum: '$totalAmount' } } }
+    ]),
+    // Cash handed back from this drawer for bills of other shifts
+    Sale.aggregate([
+      { $match: { cancelShiftId: shift._id, shiftId: { $ne: shift._id }, status: 'cancelled' } },
+      { $group: { _id: null, amount: { $sum: '$cancelCashRefund' } } }
+    ]),
+    CustomerLedgerEntry.aggregate([
+      { $match: { shiftId: shift._id, source: 'payment', paymentMode: 'cash' } },
+      { $group: { _id: null, amount: { $sum: '$amount' } } }
+    ])
+  ]);
+
+  const sumMovements = (type) => roundCurrency((shift.movements || [])
+    .filter(movement => movement.type === type)
+    .reduce((total, movement) => total + movement.amount, 0));
+
+  const summary = {
+    bills,
+    salesTotal: roundCurrency(tenders.reduce((total, tender) => total + tender.amount, 0)),
+    tenders: tenders.map(tender => ({
+      mode: tender._id,
+      amount: roundCurrency(tender.amount),
+      bills: tender.bills
+    })),
+    cashSales: roundCurrency(tenders.find(tender => tender._id === 'cash')?.amount || 0),
+    cashRefunds: roundCurrency((refunds[0]?.amount || 0) + (cancellationRefunds[0]?.amount || 0)),
+    cashPaymentsReceived: roundCurrency(payments[0]?.amount || 0),
+    cashIn: sumMovements('cash_in'),
+    cashOut: sumMovements('cash_out'),
+    cancelledBills
+  };
+
+  const expectedCash = roundCurrency(
+    shift.openingFloat
+    + summary.cashSales
+    + summary.cashPaymentsReceived
+    - summary.cashRefunds
+    + summary.cashIn
+    - summary.cashOut
+  );
+
+  return { summary, expectedCash };
+};
+
+module.exports = {
+  INR_DENOMINATIONS,
+  countDenominations,
+  getCashTenderAmount,
+  findOpenShift,
+  summarizeShift
+};
@@ -0,0 +1,404 @@
+/**
+ * E-Invoice Service
+ * Maps a sale, its store and the buyer to the IRP e-invoice JSON (schema version 1.1) and
+ * validates it locally before it is sent, so the cashier sees every problem at once instead
+ * of one portal rejection at a time. Amount checks use the portal's ₹1 tolerance.
+ */
+const QRCode = require('qrcode');
+const {
+  GSTIN_PATTERN,
+  roundCurrency,
+  getStateCode,
+  isValidGstin
+} = require('./gstService');
+const { getUqc } = require('./quantityService');
+
+const IRP_SCHEMA_VERSION = '1.1';
+const AMOUNT_TOLERANCE = 1;
+
+const round3 = (value) => Math.round((Number(value) + Number.EPSILON) * 1000) / 1000;
+
+// Rates the IRP accepts in GstRt
+const IRP_GST_RATES = [0, 0.1, 0.25, 1, 1.5, 3, 5, 6, 7.5, 12, 18, 28];
+
+const amount = (extra = {}) => ({ type: 'number', minimum: 0, maximum: 999999999999.99, ...extra });
+
+const partyRules = {
+  Gstin: { type: 'string', required: true, pattern: GSTIN_PATTERN },
+  LglNm: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  TrdNm: { type: 'string', minLength: 1, maxLength: 100 },
+  Addr1: { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  Addr2: { type: 'string', minLength: 3, maxLength: 100 },
+  Loc: { type: 'string', required: true, minLength: 3, maxLength: 50 },
+  Pin: { type: 'integer', required: true, minimum: 100000, maximum: 999999 },
+  Stcd: { type: 'string', required: true, pattern: /^\d{2}$/ },
+  Ph: { type: 'string', pattern: /^\d{6,12}$/ },
+  Em: { type: 'string', minLength: 6, maxLength: 100, pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ }
+};
+
+// The parts of the IRP 1.1 schema this backend fills in
+const IRP_SCHEMA = {
+  type: 'object',
+  required: true,
+  fields: {
+    Version: { type: 'string', required: true, enum: [IRP_SCHEMA_VERSION] },
+    TranDtls: {
+      type: 'object',
+      required: true,
+      fields: {
+        TaxSch: { type: 'string', required: true, enum: ['GST'] },
+        SupTyp: { type: 'string', required: true, enum: ['B2B', 'SEZWP', 'SEZWOP', 'EXPWP', 'EXPWOP', 'DEXP'] },
+        RegRev: { type: 'string', enum: ['Y', 'N'] },
+        IgstOnIntra: { type: 'string', enum: ['Y', 'N'] }
+      }
+    },
+    DocDtls: {
+      type: 'object',
+      required: true,
+      fields: {
+        Typ: { type: 'string', required: true, enum: ['INV', 'CRN', 'DBN'] },
+        No: { type: 'string', required: true, pattern: /^[A-Za-z1-9][A-Za-z0-9/-]{0,15}$/ },
+        Dt: { type: 'string', required: true, pattern: /^\d{2}\/\d{2}\/\d{4}$/ }
+      }
+    },
+    SellerDtls: { type: 'object', required: true, fields: partyRules },
+    BuyerDtls: {
+      type: 'object',
+      required: true,
+      fields: { ...partyRules, Pos: { type: 'string', required: true, pattern: /^\d{2}$/ } }
+    },
+    ItemList: {
+      type: 'array',
+      required: true,
+      minItems: 1,
+      maxItems: 1000,
+      items: {
+        type: 'object',
+        fields: {
+          SlNo: { type: 'string', required: true, minLength: 1, maxLength: 6 },
+          PrdDesc: { type: 'string', minLength: 3, maxLength: 300 },
+          IsServc: { type: 'string', required: true, enum: ['Y', 'N'] },
+          HsnCd: { type: 'string', required: true, pattern: /^\d{4}(\d{2}){0,2}$/ },
+          Qty: { type: 'number', minimum: 0, maximum: 9999999999.999 },
+          Unit: { type: 'string', minLength: 3, maxLength: 8 },
+          UnitPrice: amount({ required: true }),
+          TotAmt: amount({ required: true }),
+          Discount: amount(),
+          AssAmt: amount({ required: true }),
+          GstRt: { type: 'number', required: true, enum: IRP_GST_RATES },
+          IgstAmt: amount(),
+          CgstAmt: amount(),
+          SgstAmt: amount(),
+          CesAmt: amount(),
+          OthChrg: amount(),
+          TotItemVal: amount({ required: true })
+        }
+      }
+    },
+    ValDtls: {
+      type: 'object',
+      required: true,
+      fields: {
+        AssVal: amount({ required: true }),
+        CgstVal: amount(),
+        SgstVal: amount(),
+        IgstVal: amount(),
+        CesVal: amount(),
+        Discount: amount(),
+        OthChrg: amount(),
+        RndOffAmt: { type: 'number', minimum: -99.99, maximum: 99.99 },
+        TotInvVal: amount({ required: true })
+      }
+    }
+  }
+};
+
+/**
+ * Check a value against a schema rule, collecting { path, message } errors
+ */
+const checkRule = (value, rule, path, errors) => {
+  if (value === undefined || value === null || value === '') {
+    if (rule.required) errors.push({ path, message: `${path} is required` });
+    return;
+  }
+
+  const typeOk = {
+    string: typeof value === 'string',
+    number: typeof value === 'number' && Number.isFinite(value),
+    integer: Number.isInteger(value),
+    object: typeof value === 'object' && !Array.isArray(value),
+    array: Array.isArray(value)
+  }[rule.type];
+  if (!typeOk) {
+    errors.push({ path, message: `${path} must be of type ${rule.type}` });
+    return;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ path, message: `${path} must be one of ${rule.enum.join(', ')}` });
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    errors.push({ path, message: `${path} has an invalid format` });
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    errors.push({ path, message: `${path} must be at least ${rule.minLength} characters` });
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    errors.push({ path, message: `${path} must be at most ${rule.maxLength} characters` });
+  }
+  if (rule.minimum !== undefined && value < rule.minimum) {
+    errors.push({ path, message: `${path} must be at least ${rule.minimum}` });
+  }
+  if (rule.maximum !== undefined && value > rule.maximum) {
+    errors.push({ path, message: `${path} must be at most ${rule.maximum}` });
+  }
+  if (rule.minItems !== undefined && value.length < rule.minItems) {
+    errors.push({ path, message: `${path} must have at least ${rule.minItems} entries` });
+  }
+  if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+    errors.push({ path, message: `${path} must have at most ${rule.maxItems} entries` });
+  }
+
+  if (rule.fields) {
+    Object.entries(rule.fields).forEach(([key, fieldRule]) => {
+      checkRule(value[key], fieldRule, path ? `${path}.${key}` : key, errors);
+    });
+  }
+  if (rule.items) {
+    value.forEach((entry, idx) => checkRule(entry, rule.items, `${path}[${idx}]`, errors));
+  }
+};
+
+const differs = (actual, expected) => Math.abs((actual || 0) - expected) > AMOUNT_TOLERANCE;
+
+/**
+ * Cross-field checks the portal applies on top of the schema
+ */
+const checkBusinessRules = (payload, errors) => {
+  const { SellerDtls = {}, BuyerDtls = {}, DocDtls = {}, ItemList = [], ValDtls = {}, TranDtls = {} } = payload;
+
+  if (SellerDtls.Gstin && !isValidGstin(SellerDtls.Gstin)) {
+    errors.push({ path: 'SellerDtls.Gstin', message: 'Seller GSTIN check digit does not match' });
+  }
+  if (BuyerDtls.Gstin && !isValidGstin(BuyerDtls.Gstin)) {
+    errors.push({ path: 'BuyerDtls.Gstin', message: 'Buyer GSTIN check digit does not match' });
+  }
+  if (SellerDtls.Gstin && SellerDtls.Gstin === BuyerDtls.Gstin) {
+    errors.push({ path: 'BuyerDtls.Gstin', message: 'Buyer GSTIN cannot be the seller GSTIN' });
+  }
+  if (SellerDtls.Gstin && SellerDtls.Stcd && SellerDtls.Gstin.slice(0, 2) !== SellerDtls.Stcd) {
+    errors.push({ path: 'SellerDtls.Stcd', message: 'Seller state code does not match the seller GSTIN' });
+  }
+
+  if (DocDtls.Dt) {
+    const [day, month, year] = DocDtls.Dt.split('/').map(Number);
+    if (new Date(year, month - 1, day) > new Date()) {
+      errors.push({ path: 'DocDtls.Dt', message: 'Document date cannot be in the future' });
+    }
+  }
+
+  const isInterState = SellerDtls.Stcd && BuyerDtls.Pos && SellerDtls.Stcd !== BuyerDtls.Pos;
+  const totals = { AssVal: 0, CgstVal: 0, SgstVal: 0, IgstVal: 0, TotItemVal: 0 };
+
+  ItemList.forEach((item, idx) => {
+    const path = `ItemList[${idx}]`;
+    const tax = (item.IgstAmt || 0) + (item.CgstAmt || 0) + (item.SgstAmt || 0);
+
+    if (item.Qty !== undefined && differs(item.TotAmt, item.UnitPrice * item.Qty)) {
+      errors.push({ path: `${path}.TotAmt`, message: `${path}.TotAmt must equal UnitPrice x Qty` });
+    }
+    if (differs(item.AssAmt, (item.TotAmt || 0) - (item.Discount || 0))) {
+      errors.push({ path: `${path}.AssAmt`, message: `${path}.AssAmt must equal TotAmt - Discount` });
+    }
+    if (differs(tax, ((item.AssAmt || 0) * (item.GstRt || 0)) / 100)) {
+      errors.push({ path, message: `${path} tax does not match GstRt on AssAmt` });
+    }
+    if (isInterState && TranDtls.IgstOnIntra !== 'Y' && ((item.CgstAmt || 0) > 0 || (item.SgstAmt || 0) > 0)) {
+      errors.push({ path, message: `${path} is an inter-state supply and must be taxed as IGST` });
+    }
+    if (!isInterState && TranDtls.IgstOnIntra !== 'Y' && (item.IgstAmt || 0) > 0) {
+      errors.push({ path, message: `${path} is an intra-state supply and must be taxed as CGST + SGST` });
+    }
+    if (differs(item.TotItemVal, (item.AssAmt || 0) + tax + (item.CesAmt || 0) + (item.OthChrg || 0))) {
+      errors.push({ path: `${path}.TotItemVal`, message: `${path}.TotItemVal does not add up` });
+    }
+
+    totals.AssVal += item.AssAmt || 0;
+    totals.CgstVal += item.CgstAmt || 0;
+    totals.SgstVal += item.SgstAmt || 0;
+    totals.IgstVal += item.IgstAmt || 0;
+    totals.TotItemVal += item.TotItemVal || 0;
+  });
+
+  ['AssVal', 'CgstVal', 'SgstVal', 'IgstVal'].forEach(field => {
+    if (differs(ValDtls[field], totals[field])) {
+      errors.push({ path: `ValDtls.${field}`, message: `ValDtls.${field} does not match the item totals` });
+    }
+  });
+  const expectedTotal = totals.TotItemVal - (ValDtls.Discount || 0) + (ValDtls.OthChrg || 0) + (ValDtls.RndOffAmt || 0);
+  if (differs(ValDtls.TotInvVal, expectedTotal)) {
+    errors.push({ path: 'ValDtls.TotInvVal', message: 'ValDtls.TotInvVal does not match the item totals' });
+  }
+};
+
+/**
+ * Validate an e-invoice payload against the IRP 1.1 schema and its cross-field rules
+ * @param {Object} payload
+ * @returns {Object} { valid, errors: [{ path, message }] }
+ */
+const validateIrpPayload = (payload) => {
+  const errors = [];
+  checkRule(payload, IRP_SCHEMA, '', errors);
+  if (payload && typeof payload === 'object') {
+    checkBusinessRules(payload, errors);
+  }
+  return { valid: errors.length === 0, errors };
+};
+
+// Drop empty optional fields; the portal rejects empty strings
+const compact = (obj) => Object.fromEntries(
+  Object.entries(obj).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
+const toPin = (pincode) => {
+  const digits = String(pincode || '').replace(/\D/g, '');
+  return digits ? Number(digits) : undefined;
+};
+
+const toPhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+const splitAddress = (address = '') => {
+  const text = String(address).trim();
+  return { Addr1: text.slice(0, 100), Addr2: text.slice(100, 200).trim() };
+};
+
+/**
+ * Invoice date in the portal's dd/mm/yyyy format (IST)
+ * @param {Date} date
+ * @returns {String}
+ */
+const formatDocDate = (date) => new Date(date).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' });
+
+/**
+ * Build the IRP 1.1 e-invoice JSON of a B2B sale
+ * @param {Object} sale - Sale with buyer details (sale.buyer)
+ * @param {Object} store - Store with taxInfo, location and contactInfo
+ * @returns {Object} IRP payload
+ */
+const buildIrpPayload = (sale, store) => {
+  const buyer = sale.buyer || {};
+  const taxInfo = store.taxInfo || {};
+  const location = store.location || {};
+  const sellerStateCode = getStateCode(location.state) || (taxInfo.gstin || '').slice(0, 2);
+  const buyerStateCode = getStateCode(buyer.state) || (buyer.gstin || '').slice(0, 2);
+
+  const items = sale.items.map((item, idx) => {
+    const rate = Number(item.taxRate) || 0;
+    // Gross value before discounts, excluding tax
+    const grossValue = item.priceIncludesTax
+      ? roundCurrency((item.totalPrice * 100) / (100 + rate))
+      : roundCurrency(item.totalPrice);
+    const totAmt = Math.max(grossValue, item.taxableValue);
+
+    return compact({
+      SlNo: String(idx + 1),
+      PrdDesc: item.itemName,
+      IsServc: 'N',
+      HsnCd: item.hsnCode,
+      Qty: round3(item.quantity),
+      Unit: getUqc(item.unit),
+      UnitPrice: item.quantity > 0 ? round3(totAmt / item.quantity) : 0,
+      TotAmt: totAmt,
+      Discount: roundCurrency(totAmt - item.taxableValue),
+      AssAmt: item.taxableValue,
+      GstRt: rate,
+      IgstAmt: item.igstAmount || 0,
+      CgstAmt: item.cgstAmount || 0,
+      SgstAmt: item.sgstAmount || 0,
+      CesAmt: 0,
+      OthChrg: 0,
+      TotItemVal: roundCurrency(item.taxableValue + (item.taxAmount || 0))
+    });
+  });
+
+  const sum = (field) => roundCurrency(items.reduce((total, item) => total + (item[field] || 0), 0));
+  const itemTotal = sum('TotItemVal');
+
+  return {
+    Version: IRP_SCHEMA_VERSION,
+    TranDtls: {
+      TaxSch: 'GST',
+      SupTyp: 'B2B',
+      RegRev: 'N',
+      IgstOnIntra: 'N'
+    },
+    DocDtls: {
+      Typ: 'INV',
+      No: sale.invoiceNumber,
+      Dt: formatDocDate(sale.saleDate || sale.createdAt)
+    },
+    SellerDtls: compact({
+      Gstin: taxInfo.gstin,
+      LglNm: taxInfo.legalName || store.name,
+      TrdNm: taxInfo.tradeName || store.name,
+      ...splitAddress(location.address),
+      Loc: location.city,
+      Pin: toPin(location.pincode),
+      Stcd: sellerStateCode,
+      Ph: toPhone(store.contactInfo?.phone),
+      Em: store.contactInfo?.email
+    }),
+    BuyerDtls: compact({
+      Gstin: buyer.gstin,
+      LglNm: buyer.legalName || sale.customerName,
+      TrdNm: buyer.tradeName,
+      Pos: getStateCode(sale.placeOfSupply) || buyerStateCode,
+      ...splitAddress(buyer.address),
+      Loc: buyer.city,
+      Pin: toPin(buyer.pincode),
+      Stcd: buyerStateCode,
+      Ph: toPhone(sale.customerPhone),
+      Em: sale.customerEmail
+    }),
+    ItemList: items,
+    ValDtls: {
+      AssVal: sum('AssAmt'),
+      CgstVal: sum('CgstAmt'),
+      SgstVal: sum('SgstAmt'),
+      IgstVal: sum('IgstAmt'),
+      CesVal: 0,
+      Discount: 0,
+      OthChrg: 0,
+      RndOffAmt: roundCurrency(sale.totalAmount - itemTotal),
+      TotInvVal: sale.totalAmount
+    }
+  };
+};
+
+/**
+ * Signed QR of a registered e-invoice, for printing
+ * @param {Object} sale
+ * @returns {Promise<Object|null>} { irn, ackNo, ackDate, image } or null when not registered
+ */
+const getEInvoiceQr = async (sale) => {
+  const eInvoice = sale.eInvoice;
+  if (eInvoice?.status !== 'generated' || !eInvoice.signedQrCode) return null;
+
+  const image = await QRCode.toBuffer(eInvoice.signedQrCode, {
+    type: 'png',
+    errorCorrectionLevel: 'L',
+    margin: 1,
+    width: 300
+  });
+  return { irn: eInvoice.irn, ackNo: eInvoice.ackNo, ackDate: eInvoice.ackDate, image };
+};
+
+module.exports = {
+  IRP_SCHEMA_VERSION,
+  buildIrpPayload,
+  validateIrpPayload,
+  getEInvoiceQr
+};
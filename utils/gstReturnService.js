@@ -0,0 +1,512 @@
+/**
+ * GST Return Service
+ * Builds the monthly GSTR-1 (outward supplies) and GSTR-3B (summary) returns of a store in the
+ * GST portal's JSON format from its sales and credit notes, plus XLSX workbooks laid out like
+ * the portal's offline templates for the accountant to review.
+ *
+ * Invoices go to B2B when the buyer has a GSTIN, to B2CL when they are inter-state B2C bills
+ * above B2CL_THRESHOLD, and to B2CS otherwise. Credit notes follow their invoice: CDNR for B2B,
+ * CDNUR for B2CL, and B2CS credit notes are netted into the B2CS rows. Nil-rated lines are
+ * reported in the nil section instead of the rate-wise tables.
+ */
+const { roundCurrency, getStateCode, isValidGstin } = require('./gstService');
+const { getUqc } = require('./quantityService');
+
+// Inter-state B2C invoices above this value are reported invoice-wise (B2CL)
+const B2CL_THRESHOLD = 100000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Date range and portal period code (MMYYYY) of a return month in IST
+ * @param {String} month - YYYY-MM
+ * @returns {Object} { start, end, fp } - end is exclusive
+ */
+const getReturnPeriod = (month) => {
+  const [year, mon] = month.split('-').map(Number);
+  return {
+    start: new Date(Date.UTC(year, mon - 1, 1) - IST_OFFSET_MS),
+    end: new Date(Date.UTC(year, mon, 1) - IST_OFFSET_MS),
+    fp: `${String(mon).padStart(2, '0')}${year}`
+  };
+};
+
+// Portal dates are dd-mm-yyyy
+const formatReturnDate = (date) =>
+  new Date(date).toLocaleDateString('en-GB', { timeZone: 'Asia/Kolkata' }).replace(/\//g, '-');
+
+const emptyTotals = () => ({ txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 });
+
+const addToTotals = (totals, line, sign = 1) => {
+  totals.txval = roundCurrency(totals.txval + sign * (line.txval || 0));
+  totals.iamt = roundCurrency(totals.iamt + sign * (line.iamt || 0));
+  totals.camt = roundCurrency(totals.camt + sign * (line.camt || 0));
+  totals.samt = roundCurrency(totals.samt + sign * (line.samt || 0));
+  totals.csamt = roundCurrency(totals.csamt + sign * (line.csamt || 0));
+  return totals;
+};
+
+// Inter-state rows carry IGST, intra-state rows CGST + SGST
+const taxFields = (totals, isInterState) => (isInterState
+  ? { iamt: totals.iamt, csamt: totals.csamt }
+  : { camt: totals.camt, samt: totals.samt, csamt: totals.csamt });
+
+const toLine = (item) => ({
+  rate: Number(item.taxRate) || 0,
+  hsn: item.hsnCode || '',
+  description: item.itemName || '',
+  qty: item.quantity || 0,
+  uqc: getUqc(item.unit),
+  txval: item.taxableValue || 0,
+  iamt: item.igstAmount || 0,
+  camt: item.cgstAmount || 0,
+  samt: item.sgstAmount || 0,
+  csamt: 0
+});
+
+/**
+ * Rate-wise item rows of an invoice or note, leaving out nil-rated lines
+ */
+const buildItems = (lines, isInterState) => {
+  const byRate = new Map();
+  lines.filter(line => line.rate > 0).forEach(line => {
+    byRate.set(line.rate, addToTotals(byRate.get(line.rate) || emptyTotals(), line));
+  });
+  return [...byRate.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([rate, totals], idx) => ({
+      num: idx + 1,
+      itm_det: { rt: rate, txval: totals.txval, ...taxFields(totals, isInterState) }
+    }));
+};
+
+/**
+ * B2B, B2CL or B2CS
+ */
+const classifySale = (sale) => {
+  if (sale.buyer?.gstin) return 'b2b';
+  if (sale.isInterState && sale.totalAmount > B2CL_THRESHOLD) return 'b2cl';
+  return 'b2cs';
+};
+
+/**
+ * Classify the month's sales and credit notes into return documents and signed lines
+ * @param {Object} opts
+ * @param {Object} opts.store - Store with location and taxInfo
+ * @param {Array} opts.sales - Non-cancelled sales dated in the month
+ * @param {Array} opts.creditNotes - Credit notes issued in the month
+ * @param {Map} opts.creditNoteSales - Original sales of the credit notes by id
+ * @returns {Object} { documents, lines, warnings }
+ */
+const collectReturnData = ({ store, sales, creditNotes, creditNoteSales }) => {
+  const warnings = [];
+  const storeStateCode = getStateCode(store.location?.state) || (store.taxInfo?.gstin || '').slice(0, 2);
+  const documents = { b2b: [], b2cl: [], cdnr: [], cdnur: [] };
+  const lines = [];
+
+  const placeOfSupplyOf = (sale) => {
+    const code = getStateCode(sale.placeOfSupply);
+    if (!code && sale.placeOfSupply) {
+      warnings.push(`${sale.invoiceNumber}: unknown place of supply "${sale.placeOfSupply}", store state used`);
+    }
+    return code || storeStateCode;
+  };
+
+  const checkLines = (number, docLines) => {
+    docLines.filter(line => line.rate > 0 && !line.hsn).forEach(line => {
+      warnings.push(`${number}: HSN code missing for ${line.description}`);
+    });
+  };
+
+  sales.forEach(sale => {
+    const category = classifySale(sale);
+    const pos = placeOfSupplyOf(sale);
+    const saleLines = sale.items.map(toLine);
+    checkLines(sale.invoiceNumber, saleLines);
+
+    if (category === 'b2b' && !isValidGstin(sale.buyer.gstin)) {
+      warnings.push(`${sale.invoiceNumber}: buyer GSTIN ${sale.buyer.gstin} is not valid`);
+    }
+    if (category !== 'b2cs') {
+      documents[category].push({
+        ctin: sale.buyer?.gstin,
+        number: sale.invoiceNumber,
+        date: sale.saleDate,
+        value: sale.totalAmount,
+        pos,
+        isInterState: sale.isInterState,
+        lines: saleLines
+      });
+    }
+
+    saleLines.forEach(line => lines.push({ ...line, category, pos, isInterState: sale.isInterState, sign: 1 }));
+  });
+
+  creditNotes.forEach(note => {
+    const sale = creditNoteSales.get(String(note.saleId));
+    if (!sale) {
+      warnings.push(`${note.creditNoteNumber}: original invoice ${note.invoiceNumber} not found, left out`);
+      return;
+    }
+
+    const category = classifySale(sale);
+    const pos = placeOfSupplyOf(sale);
+    const noteLines = note.items.map(toLine);
+    checkLines(note.creditNoteNumber, noteLines);
+
+    if (category !== 'b2cs') {
+      documents[category === 'b2b' ? 'cdnr' : 'cdnur'].push({
+        ctin: sale.buyer?.gstin,
+        number: note.creditNoteNumber,
+        date: note.issuedAt,
+        value: note.totalAmount,
+        pos,
+        isInterState: note.isInterState,
+        invoiceNumber: note.invoiceNumber,
+        lines: noteLines
+      });
+    }
+
+    noteLines.forEach(line => lines.push({ ...line, category, pos, isInterState: note.isInterState, sign: -1 }));
+  });
+
+  return { documents, lines, warnings };
+};
+
+const buildB2cs = (lines) => {
+  const rows = new Map();
+  lines.filter(line => line.category === 'b2cs' && line.rate > 0).forEach(line => {
+    const key = `${line.isInterState}|${line.pos}|${line.rate}`;
+    const row = rows.get(key) || { isInterState: line.isInterState, pos: line.pos, rate: line.rate, totals: emptyTotals() };
+    addToTotals(row.totals, line, line.sign);
+    rows.set(key, row);
+  });
+
+  // Rows fully offset by credit notes are left out
+  return [...rows.values()].filter(row => row.totals.txval !== 0).map(row => ({
+    sply_ty: row.isInterState ? 'INTER' : 'INTRA',
+    pos: row.pos,
+    typ: 'OE',
+    rt: row.rate,
+    txval: row.totals.txval,
+    ...taxFields(row.totals, row.isInterState)
+  }));
+};
+
+const buildHsn = (lines, b2b) => {
+  const rows = new Map();
+  lines.filter(line => (line.category === 'b2b') === b2b).forEach(line => {
+    const key = `${line.hsn}|${line.uqc}|${line.rate}`;
+    const row = rows.get(key) || { hsn: line.hsn, description: line.description, uqc: line.uqc, rate: line.rate, qty: 0, totals: emptyTotals() };
+    row.qty = Math.round((row.qty + line.sign * line.qty) * 1000) / 1000;
+    addToTotals(row.totals, line, line.sign);
+    rows.set(key, row);
+  });
+
+  return [...rows.values()].filter(row => row.qty !== 0 || row.totals.txval !== 0).map((row, idx) => ({
+    num: idx + 1,
+    hsn_sc: row.hsn,
+    desc: row.description.slice(0, 30),
+    uqc: row.uqc,
+    qty: row.qty,
+    rt: row.rate,
+    txval: row.totals.txval,
+    iamt: row.totals.iamt,
+    camt: row.totals.camt,
+    samt: row.totals.samt,
+    csamt: row.totals.csamt
+  }));
+};
+
+const buildNil = (lines) => {
+  const types = { INTRB2B: 0, INTRAB2B: 0, INTRB2C: 0, INTRAB2C: 0 };
+  lines.filter(line => line.rate === 0).forEach(line => {
+    const type = `${line.isInterState ? 'INTR' : 'INTRA'}${line.category === 'b2b' ? 'B2B' : 'B2C'}`;
+    types[type] = roundCurrency(types[type] + line.sign * line.txval);
+  });
+  return {
+    inv: Object.entries(types)
+      .filter(([, amount]) => amount !== 0)
+      .map(([type, amount]) => ({ sply_ty: type, nil_amt: amount, expt_amt: 0, ngsup_amt: 0 }))
+  };
+};
+
+// [[key, [mapped documents]]] in first-seen order
+const groupDocuments = (docs, key, mapDoc) => {
+  const groups = new Map();
+  docs.forEach(doc => groups.set(doc[key], [...(groups.get(doc[key]) || []), mapDoc(doc)]));
+  return [...groups.entries()];
+};
+
+/**
+ * GSTR-1 in the portal's JSON format
+ * @param {Object} opts - See collectReturnData, plus fp (MMYYYY)
+ * @returns {Object} { gstr1, warnings }
+ */
+const buildGstr1 = ({ fp, ...data }) => {
+  const { documents, lines, warnings } = collectReturnData(data);
+
+  const gstr1 = {
+    gstin: data.store.taxInfo?.gstin || '',
+    fp,
+    b2b: groupDocuments(documents.b2b, 'ctin', doc => ({
+      inum: doc.number,
+      idt: formatReturnDate(doc.date),
+      val: doc.value,
+      pos: doc.pos,
+      rchrg: 'N',
+      inv_typ: 'R',
+      itms: buildItems(doc.lines, doc.isInterState)
+    })).map(([ctin, inv]) => ({ ctin, inv })),
+    b2cl: groupDocuments(documents.b2cl, 'pos', doc => ({
+      inum: doc.number,
+      idt: formatReturnDate(doc.date),
+      val: doc.value,
+      itms: buildItems(doc.lines, true)
+    })).map(([pos, inv]) => ({ pos, inv })),
+    b2cs: buildB2cs(lines),
+    cdnr: groupDocuments(documents.cdnr, 'ctin', doc => ({
+      ntty: 'C',
+      nt_num: doc.number,
+      nt_dt: formatReturnDate(doc.date),
+      val: doc.value,
+      pos: doc.pos,
+      rchrg: 'N',
+      inv_typ: 'R',
+      itms: buildItems(doc.lines, doc.isInterState)
+    })).map(([ctin, nt]) => ({ ctin, nt })),
+    cdnur: documents.cdnur.map(doc => ({
+      typ: 'B2CL',
+      ntty: 'C',
+      nt_num: doc.number,
+      nt_dt: formatReturnDate(doc.date),
+      val: doc.value,
+      pos: doc.pos,
+      itms: buildItems(doc.lines, true)
+    })),
+    hsn: {
+      hsn_b2b: buildHsn(lines, true),
+      hsn_b2c: buildHsn(lines, false)
+    },
+    nil: buildNil(lines)
+  };
+
+  if (!gstr1.gstin) warnings.unshift('Store GSTIN is not set (Store.taxInfo.gstin)');
+  return { gstr1, warnings };
+};
+
+/**
+ * GSTR-3B in the portal's JSON format. Outward supplies are net of credit notes. Purchases
+ * are not recorded here, so input tax credit is left at zero for the accountant to fill in.
+ * @param {Object} opts - See collectReturnData, plus fp (MMYYYY)
+ * @returns {Object} { gstr3b, warnings }
+ */
+const buildGstr3b = ({ fp, ...data }) => {
+  const { lines, warnings } = collectReturnData(data);
+
+  const outward = emptyTotals();
+  let nilRated = 0;
+  const unregistered = new Map();
+  lines.forEach(line => {
+    if (line.rate === 0) {
+      nilRated = roundCurrency(nilRated + line.sign * line.txval);
+      return;
+    }
+    addToTotals(outward, line, line.sign);
+    if (line.category !== 'b2b' && line.isInterState) {
+      const row = unregistered.get(line.pos) || emptyTotals();
+      unregistered.set(line.pos, addToTotals(row, line, line.sign));
+    }
+  });
+
+  const zero = { txval: 0, iamt: 0, camt: 0, samt: 0, csamt: 0 };
+  const zeroItc = { iamt: 0, camt: 0, samt: 0, csamt: 0 };
+
+  const gstr3b = {
+    gstin: data.store.taxInfo?.gstin || '',
+    ret_period: fp,
+    sup_details: {
+      osup_det: outward,
+      osup_zero: { txval: 0, iamt: 0, csamt: 0 },
+      osup_nil_exmp: { txval: nilRated },
+      isup_rev: zero,
+      osup_nongst: { txval: 0 }
+    },
+    inter_sup: {
+      unreg_details: [...unregistered.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([pos, totals]) => ({ pos, txval: totals.txval, iamt: totals.iamt })),
+      comp_details: [],
+      uin_details: []
+    },
+    itc_elg: {
+      itc_avl: ['IMPG', 'IMPS', 'ISRC', 'ISD', 'OTH'].map(ty => ({ ty, ...zeroItc })),
+      itc_rev: ['RUL', 'OTH'].map(ty => ({ ty, ...zeroItc })),
+      itc_net: zeroItc,
+      itc_inelg: ['RUL', 'OTH'].map(ty => ({ ty, ...zeroItc }))
+    }
+  };
+
+  if (!gstr3b.gstin) warnings.unshift('Store GSTIN is not set (Store.taxInfo.gstin)');
+  return { gstr3b, warnings };
+};
+
+const TAX_COLUMNS = [
+  { header: 'Taxable Value', key: 'txval', width: 16 },
+  { header: 'Integrated Tax', key: 'iamt', width: 16 },
+  { header: 'Central Tax', key: 'camt', width: 14 },
+  { header: 'State/UT Tax', key: 'samt', width: 14 },
+  { header: 'Cess Amount', key: 'csamt', width: 14 }
+];
+
+const addSheet = (workbook, name, columns, rows) => {
+  const worksheet = workbook.addWorksheet(name);
+  worksheet.columns = columns;
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.addRows(rows);
+  return worksheet;
+};
+
+// One sheet row per rate of each document
+const itemRows = (docs, mapDoc) => docs.flatMap(doc => doc.itms.map(item => ({
+  ...mapDoc(doc),
+  ...item.itm_det
+})));
+
+/**
+ * Add the GSTR-1 sections to a workbook, one sheet per section
+ * @param {ExcelJS.Workbook} workbook
+ * @param {Object} gstr1 - buildGstr1().gstr1
+ * @param {Array<String>} [warnings]
+ */
+const writeGstr1Workbook = (workbook, gstr1, warnings = []) => {
+  const rate = { header: 'Rate', key: 'rt', width: 8 };
+  const pos = { header: 'Place Of Supply', key: 'pos', width: 16 };
+
+  addSheet(workbook, 'b2b', [
+    { header: 'GSTIN/UIN of Recipient', key: 'ctin', width: 20 },
+    { header: 'Invoice Number', key: 'inum', width: 18 },
+    { header: 'Invoice date', key: 'idt', width: 12 },
+    { header: 'Invoice Value', key: 'val', width: 14 },
+    pos,
+    { header: 'Reverse Charge', key: 'rchrg', width: 10 },
+    rate,
+    ...TAX_COLUMNS
+  ], gstr1.b2b.flatMap(group => itemRows(group.inv, inv => ({ ctin: group.ctin, ...inv }))));
+
+  addSheet(workbook, 'b2cl', [
+    { header: 'Invoice Number', key: 'inum', width: 18 },
+    { header: 'Invoice date', key: 'idt', width: 12 },
+    { header: 'Invoice Value', key: 'val', width: 14 },
+    pos,
+    rate,
+    ...TAX_COLUMNS
+  ], gstr1.b2cl.flatMap(group => itemRows(group.inv, inv => ({ ...inv, pos: group.pos }))));
+
+  addSheet(workbook, 'b2cs', [
+    { header: 'Type', key: 'sply_ty', width: 8 },
+    pos,
+    rate,
+    ...TAX_COLUMNS
+  ], gstr1.b2cs);
+
+  addSheet(workbook, 'cdnr', [
+    { header: 'GSTIN/UIN of Recipient', key: 'ctin', width: 20 },
+    { header: 'Note Number', key: 'nt_num', width: 18 },
+    { header: 'Note Date', key: 'nt_dt', width: 12 },
+    { header: 'Note Type', key: 'ntty', width: 10 },
+    { header: 'Note Value', key: 'val', width: 14 },
+    pos,
+    rate,
+    ...TAX_COLUMNS
+  ], gstr1.cdnr.flatMap(group => itemRows(group.nt, note => ({ ctin: group.ctin, ...note }))));
+
+  addSheet(workbook, 'cdnur', [
+    { header: 'UR Type', key: 'typ', width: 10 },
+    { header: 'Note Number', key: 'nt_num', width: 18 },
+    { header: 'Note Date', key: 'nt_dt', width: 12 },
+    { header: 'Note Type', key: 'ntty', width: 10 },
+    { header: 'Note Value', key: 'val', width: 14 },
+    pos,
+    rate,
+    ...TAX_COLUMNS
+  ], itemRows(gstr1.cdnur, note => note));
+
+  const hsnColumns = [
+    { header: 'HSN', key: 'hsn_sc', width: 10 },
+    { header: 'Description', key: 'desc', width: 30 },
+    { header: 'UQC', key: 'uqc', width: 8 },
+    { header: 'Total Quantity', key: 'qty', width: 14 },
+    rate,
+    ...TAX_COLUMNS
+  ];
+  addSheet(workbook, 'hsn(b2b)', hsnColumns, gstr1.hsn.hsn_b2b);
+  addSheet(workbook, 'hsn(b2c)', hsnColumns, gstr1.hsn.hsn_b2c);
+
+  addSheet(workbook, 'exemp', [
+    { header: 'Description', key: 'sply_ty', width: 14 },
+    { header: 'Nil Rated Supplies', key: 'nil_amt', width: 18 },
+    { header: 'Exempted', key: 'expt_amt', width: 12 },
+    { header: 'Non-GST supplies', key: 'ngsup_amt', width: 16 }
+  ], gstr1.nil.inv);
+
+  if (warnings.length > 0) {
+    addSheet(workbook, 'warnings', [{ header: 'Warning', key: 'warning', width: 100 }],
+      warnings.map(warning => ({ warning })));
+  }
+  return workbook;
+};
+
+/**
+ * Add the GSTR-3B tables to a workbook
+ * @param {ExcelJS.Workbook} workbook
+ * @param {Object} gstr3b - buildGstr3b().gstr3b
+ * @param {Array<String>} [warnings]
+ */
+const writeGstr3bWorkbook = (workbook, gstr3b, warnings = []) => {
+  const { sup_details: supplies, inter_sup: interState, itc_elg: itc } = gstr3b;
+
+  addSheet(workbook, '3.1 Outward supplies', [
+    { header: 'Nature of Supplies', key: 'nature', width: 60 },
+    ...TAX_COLUMNS
+  ], [
+    { nature: '(a) Outward taxable supplies (other than zero rated, nil rated and exempted)', ...supplies.osup_det },
+    { nature: '(b) Outward taxable supplies (zero rated)', ...supplies.osup_zero },
+    { nature: '(c) Other outward supplies (nil rated, exempted)', ...supplies.osup_nil_exmp },
+    { nature: '(d) Inward supplies (liable to reverse charge)', ...supplies.isup_rev },
+    { nature: '(e) Non-GST outward supplies', ...supplies.osup_nongst }
+  ]);
+
+  addSheet(workbook, '3.2 Inter-state supplies', [
+    { header: 'Place of Supply', key: 'pos', width: 16 },
+    { header: 'Supplies made to Unregistered Persons - Taxable Value', key: 'txval', width: 30 },
+    { header: 'Integrated Tax', key: 'iamt', width: 16 }
+  ], interState.unreg_details);
+
+  addSheet(workbook, '4 Eligible ITC', [
+    { header: 'Details', key: 'ty', width: 16 },
+    { header: 'Integrated Tax', key: 'iamt', width: 16 },
+    { header: 'Central Tax', key: 'camt', width: 14 },
+    { header: 'State/UT Tax', key: 'samt', width: 14 },
+    { header: 'Cess', key: 'csamt', width: 10 }
+  ], [
+    ...itc.itc_avl.map(row => ({ ...row, ty: `Available: ${row.ty}` })),
+    ...itc.itc_rev.map(row => ({ ...row, ty: `Reversed: ${row.ty}` })),
+    { ty: 'Net ITC', ...itc.itc_net }
+  ]);
+
+  if (warnings.length > 0) {
+    addSheet(workbook, 'warnings', [{ header: 'Warning', key: 'warning', width: 100 }],
+      warnings.map(warning => ({ warning })));
+  }
+  return workbook;
+};
+
+module.exports = {
+  B2CL_THRESHOLD,
+  getReturnPeriod,
+  classifySale,
+  buildGstr1,
+  buildGstr3b,
+  writeGstr1Workbook,
+  writeGstr3bWorkbook
+};
@@ -0,0 +1,227 @@
+/**
+ * GST Service
+ * Tax calculations for Indian GST: per-line tax (inclusive or exclusive pricing),
+ * CGST/SGST split for intra-state supplies and IGST for inter-state supplies, plus GSTIN
+ * and state code helpers.
+ */
+
+// GST slabs accepted on inventory items
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+/**
+ * Round a currency value to paise
+ * @param {Number} value
+ * @returns {Number}
+ */
+const roundCurrency = (value) => Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+
+const normalizeState = (state) => (state || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+
+// GST state codes, also the first two digits of every GSTIN
+const GST_STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  'punjab': '03',
+  'chandigarh': '04',
+  'uttarakhand': '05',
+  'haryana': '06',
+  'delhi': '07',
+  'rajasthan': '08',
+  'uttar pradesh': '09',
+  'bihar': '10',
+  'sikkim': '11',
+  'arunachal pradesh': '12',
+  'nagaland': '13',
+  'manipur': '14',
+  'mizoram': '15',
+  'tripura': '16',
+  'meghalaya': '17',
+  'assam': '18',
+  'west bengal': '19',
+  'jharkhand': '20',
+  'odisha': '21',
+  'chhattisgarh': '22',
+  'madhya pradesh': '23',
+  'gujarat': '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  'maharashtra': '27',
+  'karnataka': '29',
+  'goa': '30',
+  'lakshadweep': '31',
+  'kerala': '32',
+  'tamil nadu': '33',
+  'puducherry': '34',
+  'andaman and nicobar islands': '35',
+  'telangana': '36',
+  'andhra pradesh': '37',
+  'ladakh': '38',
+  'other territory': '97'
+};
+
+// Older or informal names still found in addresses
+const STATE_ALIASES = {
+  'new delhi': 'delhi',
+  'nct of delhi': 'delhi',
+  'orissa': 'odisha',
+  'uttaranchal': 'uttarakhand',
+  'pondicherry': 'puducherry',
+  'daman and diu': 'dadra and nagar haveli and daman and diu',
+  'dadra and nagar haveli': 'dadra and nagar haveli and daman and diu',
+  'andaman and nicobar': 'andaman and nicobar islands'
+};
+
+// 2-digit state code, 10-character PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * GST state code of a state name (or a code passed through)
+ * @param {String} state
+ * @returns {String|null} Two-digit code, null when the state is unknown
+ */
+const getStateCode = (state) => {
+  const value = (state || '').toString().trim();
+  if (/^\d{2}$/.test(value)) return value;
+  const name = normalizeState(value).replace(/&/g, 'and');
+  return GST_STATE_CODES[STATE_ALIASES[name] || name] || null;
+};
+
+/**
+ * Check the format and check character of a GSTIN
+ * @param {String} gstin
+ * @returns {Boolean}
+ */
+const isValidGstin = (gstin) => {
+  const value = (gstin || '').toString().trim().toUpperCase();
+  if (!GSTIN_PATTERN.test(value)) return false;
+
+  const sum = [...value.slice(0, 14)].reduce((total, char, idx) => {
+    const product = GSTIN_CHARSET.indexOf(char) * (idx % 2 === 0 ? 1 : 2);
+    return total + Math.floor(product / 36) + (product % 36);
+  }, 0);
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36] === value[14];
+};
+
+/**
+ * A supply is inter-state when the place of supply is in a different state than the store.
+ * When either state is unknown the supply is treated as intra-state.
+ * @param {String} storeState - Store.location.state
+ * @param {String} placeOfSupply - Customer state
+ * @returns {Boolean}
+ */
+const isInterStateSupply = (storeState, placeOfSupply) => {
+  if (!storeState || !placeOfSupply) return false;
+  return normalizeState(storeState) !== normalizeState(placeOfSupply);
+};
+
+/**
+ * Calculate GST for a single line
+ * @param {Object} opts
+ * @param {Number} opts.amount - Line amount after discounts
+ * @param {Number} [opts.taxRate] - GST rate in percent (e.g. 18)
+ * @param {Boolean} [opts.priceIncludesTax] - Whether amount already includes GST
+ * @param {Boolean} [opts.isInterState] - IGST instead of CGST + SGST
+ * @returns {Object} taxableValue, tax components and lineTotal
+ */
+const calculateLineTax = ({ amount, taxRate = 0, priceIncludesTax = true, isInterState = false }) => {
+  const rate = Number(taxRate) || 0;
+
+  let taxableValue;
+  let taxAmount;
+  if (priceIncludesTax) {
+    taxableValue = roundCurrency((amount * 100) / (100 + rate));
+    taxAmount = roundCurrency(amount - taxableValue);
+  } else {
+    taxableValue = roundCurrency(amount);
+    taxAmount = roundCurrency((amount * rate) / 100);
+  }
+
+  let cgstAmount = 0;
+  let sgstAmount = 0;
+  let igstAmount = 0;
+  if (isInterState) {
+    igstAmount = taxAmount;
+  } else {
+    cgstAmount = roundCurrency(taxAmount / 2);
+    sgstAmount = roundCurrency(taxAmount - cgstAmount);
+  }
+
+  return {
+    taxRate: rate,
+    taxableValue,
+    cgstAmount,
+    sgstAmount,
+    igstAmount,
+    taxAmount,
+    lineTotal: roundCurrency(taxableValue + taxAmount)
+  };
+};
+
+/**
+ * Group line taxes by rate for the invoice tax breakup
+ * @param {Array} lines - Lines with taxRate, taxableValue and tax components
+ * @param {Boolean} isInterState
+ * @returns {Array} One entry per GST rate, sorted by rate
+ */
+const buildTaxBreakup = (lines, isInterState = false) => {
+  const byRate = new Map();
+
+  lines.forEach(line => {
+    const rate = Number(line.taxRate) || 0;
+    const entry = byRate.get(rate) || {
+      taxRate: rate,
+      taxableValue: 0,
+      cgstRate: isInterState ? 0 : rate / 2,
+      cgstAmount: 0,
+      sgstRate: isInterState ? 0 : rate / 2,
+      sgstAmount: 0,
+      igstRate: isInterState ? rate : 0,
+      igstAmount: 0,
+      taxAmount: 0
+    };
+    entry.taxableValue = roundCurrency(entry.taxableValue + line.taxableValue);
+    entry.cgstAmount = roundCurrency(entry.cgstAmount + line.cgstAmount);
+    entry.sgstAmount = roundCurrency(entry.sgstAmount + line.sgstAmount);
+    entry.igstAmount = roundCurrency(entry.igstAmount + line.igstAmount);
+    entry.taxAmount = roundCurrency(entry.taxAmount + line.taxAmount);
+    byRate.set(rate, entry);
+  });
+
+  return [...byRate.values()].sort((a, b) => a.taxRate - b.taxRate);
+};
+
+/**
+ * Spread a bill-level discount across lines in proportion to their value.
+ * The last line absorbs rounding so the shares always add up to the discount.
+ * @param {Array<Number>} amounts - Line amounts before discount
+ * @param {Number} discount - Total bill discount
+ * @returns {Array<Number>} Discount share per line
+ */
+const allocateDiscount = (amounts, discount) => {
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (!discount || total <= 0) return amounts.map(() => 0);
+
+  const cappedDiscount = Math.min(discount, total);
+  let allocated = 0;
+  return amounts.map((amount, idx) => {
+    if (idx === amounts.length - 1) {
+      return roundCurrency(cappedDiscount - allocated);
+    }
+    const share = roundCurrency((cappedDiscount * amount) / total);
+    allocated += share;
+    return share;
+  });
+};
+
+module.exports = {
+  GST_RATES,
+  GST_STATE_CODES,
+  GSTIN_PATTERN,
+  roundCurrency,
+  getStateCode,
+  isValidGstin,
+  isInterStateSupply,
+  calculateLineTax,
+  buildTaxBreakup,
+  allocateDiscount
+};
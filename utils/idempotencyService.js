@@ -0,0 +1,101 @@
+/**
+ * Idempotency Service
+ * Lets clients safely retry a request by sending the same Idempotency-Key. The first request
+ * claims the key; repeats within the retention window get the stored response back, and a
+ * repeat with a different payload is rejected.
+ */
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const RETENTION_HOURS = parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS) || 24;
+
+// Serialise with sorted keys so the same payload always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Hash a request payload
+ * @param {*} payload
+ * @returns {String} SHA-256 hex digest
+ */
+const hashPayload = (payload) => crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+
+/**
+ * Claim an idempotency key for a request
+ * @param {Object} opts
+ * @param {String} opts.scope - Operation, e.g. 'sale'
+ * @param {String} opts.ownerId - User or store the key belongs to
+ * @param {String} opts.key - Client supplied key
+ * @param {String} opts.requestHash - hashPayload() of the request
+ * @returns {Promise<Object>} { state: 'new' | 'replay' | 'mismatch' | 'in_progress', record }
+ */
+const beginRequest = async ({ scope, ownerId, key, requestHash }) => {
+  const filter = { scope, ownerId: String(ownerId), key };
+
+  try {
+    const record = await IdempotencyKey.create({
+      ...filter,
+      requestHash,
+      expiresAt: new Date(Date.now() + RETENTION_HOURS * 60 * 60 * 1000)
+    });
+    return { state: 'new', record };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await IdempotencyKey.findOne(filter);
+  if (!existing) {
+    // Released between our insert and lookup; let the caller retry the whole request
+    return { state: 'in_progress', record: null };
+  }
+
+  // The TTL monitor runs about once a minute, so an expired key may still be present
+  if (existing.expiresAt < new Date()) {
+    await IdempotencyKey.deleteOne({ _id: existing._id });
+    return beginRequest({ scope, ownerId, key, requestHash });
+  }
+
+  if (existing.requestHash !== requestHash) {
+    return { state: 'mismatch', record: existing };
+  }
+
+  return {
+    state: existing.status === 'completed' ? 'replay' : 'in_progress',
+    record: existing
+  };
+};
+
+/**
+ * Store the response of a finished request so repeats can replay it
+ */
+const completeRequest = (recordId, responseStatus, responseBody) => IdempotencyKey.updateOne(
+  { _id: recordId },
+  {
+    $set: {
+      status: 'completed',
+      responseStatus,
+      // Round-trip through JSON so mongoose documents are stored as plain data
+      responseBody: JSON.parse(JSON.stringify(responseBody ?? null))
+    }
+  }
+);
+
+/**
+ * Give up a claimed key (request failed) so the client can retry with it
+ */
+const releaseRequest = (recordId) => IdempotencyKey.deleteOne({ _id: recordId, status: 'processing' });
+
+module.exports = {
+  RETENTION_HOURS,
+  hashPayload,
+  beginRequest,
+  completeRequest,
+  releaseRequest
+};
@@ -8,6 +8,7 @@ const twilio = require('twilio');
 const path = require('path');
 const fs = require('fs').promises;
 const logger = require('./logger');
+const { formatQuantity } = require('./quantityService');
 
 /**
  * WhatsApp Service using Twilio - DISABLED FOR NOW
@@ -293,7 +294,7 @@ class InvoiceEmailService {
             <h3>📦 Items Purchased</h3>
             ${items.map(item => `
                 <div class="item-row">
-                    <span>${item.itemName} (${item.quantity}x)</span>
+                    <span>${item.itemName} (${item.unit && item.unit !== 'pcs' ? formatQuantity(item.quantity, item.unit) : `${item.quantity}x`})</span>
                     <span>₹${item.totalPrice}</span>
                 </div>
             `).join('')}
@@ -0,0 +1,168 @@
+/**
+ * IRP Client
+ * Talks to the GST Invoice Registration Portal (IRP) to register e-invoices. The client is
+ * chosen with IRP_CLIENT; outside production it defaults to the stub, in production it has to
+ * be set. A GSP/portal integration registers itself with registerIrpClient(name, factory) and
+ * must implement:
+ *   generateIrn(payload) => { irn, ackNo, ackDate, signedInvoice, signedQrCode }
+ *   cancelIrn({ irn, reasonCode, remarks }) => { irn, cancelledAt }
+ * and throw IrpError for portal rejections.
+ */
+const crypto = require('crypto');
+
+class IrpError extends Error {
+  /**
+   * @param {String} message
+   * @param {String} [code] - Portal error code
+   */
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'IrpError';
+    this.code = code;
+  }
+}
+
+// Error code when no usable client is configured
+const IRP_NOT_CONFIGURED = 'NOT_CONFIGURED';
+
+// Cancellation reasons accepted by the IRP
+const CANCEL_REASONS = {
+  duplicate: '1',
+  data_entry_mistake: '2',
+  order_cancelled: '3',
+  other: '4'
+};
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Financial year of a DocDtls.Dt date (dd/mm/yyyy), e.g. 2026-27
+ */
+const getFinancialYear = (docDate) => {
+  const [, month, year] = docDate.split('/').map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+/**
+ * Format a date the way the IRP returns AckDt (yyyy-mm-dd hh:mm:ss, IST)
+ */
+const formatAckDate = (date) => date.toLocaleString('sv-SE', { timeZone: 'Asia/Kolkata' });
+
+/**
+ * Local stand-in for the portal. IRNs are derived the way the IRP derives them (SHA-256 of
+ * seller GSTIN, financial year, document type and number) and the signed invoice and QR are
+ * JWTs signed with a local key, so the rest of the flow can be exercised without credentials.
+ * State is kept in memory, so duplicate registrations are rejected until the process restarts.
+ * Its IRNs are not registered anywhere, so the client is flagged as a sandbox.
+ */
+const createStubClient = () => {
+  if (process.env.NODE_ENV === 'production' && !process.env.IRP_STUB_SECRET) {
+    throw new IrpError('The IRP stub needs IRP_STUB_SECRET in production', IRP_NOT_CONFIGURED);
+  }
+  const secret = process.env.IRP_STUB_SECRET || 'irp-stub-secret';
+  const registered = new Map();
+
+  const sign = (data) => {
+    const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: 'irp-stub' }));
+    const body = base64Url(JSON.stringify({ data: JSON.stringify(data), iss: 'IRP-STUB' }));
+    const signature = crypto.createHmac('sha256', secret).update(`${header}.${body}`).digest('base64url');
+    return `${header}.${body}.${signature}`;
+  };
+
+  return {
+    sandbox: true,
+
+    async generateIrn(payload) {
+      const { SellerDtls, BuyerDtls, DocDtls, ItemList, ValDtls } = payload;
+      const irn = crypto.createHash('sha256')
+        .update(`${SellerDtls.Gstin}${getFinancialYear(DocDtls.Dt)}${DocDtls.Typ}${DocDtls.No}`)
+        .digest('hex');
+
+      const existing = registered.get(irn);
+      if (existing?.cancelledAt) {
+        throw new IrpError('IRN of this document was cancelled; the document number cannot be reused', '2278');
+      }
+      if (existing) {
+        throw new IrpError('Duplicate IRN', '2150');
+      }
+
+      const now = new Date();
+      const ackNo = `${now.getTime()}${crypto.randomInt(100, 1000)}`.slice(-15);
+      const ackDate = formatAckDate(now);
+
+      const signedQrCode = sign({
+        SellerGstin: SellerDtls.Gstin,
+        BuyerGstin: BuyerDtls.Gstin,
+        DocNo: DocDtls.No,
+        DocTyp: DocDtls.Typ,
+        DocDt: DocDtls.Dt,
+        TotInvVal: ValDtls.TotInvVal,
+        ItemCnt: ItemList.length,
+        MainHsnCode: ItemList[0].HsnCd,
+        Irn: irn,
+        IrnDt: ackDate
+      });
+      const signedInvoice = sign({ ...payload, AckNo: ackNo, AckDt: ackDate, Irn: irn });
+
+      registered.set(irn, { ackNo, cancelledAt: null });
+      return { irn, ackNo, ackDate, signedInvoice, signedQrCode };
+    },
+
+    async cancelIrn({ irn }) {
+      const existing = registered.get(irn);
+      if (!existing) {
+        throw new IrpError('Invalid IRN', '2154');
+      }
+      if (existing.cancelledAt) {
+        throw new IrpError('IRN is already cancelled', '9999');
+      }
+      existing.cancelledAt = new Date();
+      return { irn, cancelledAt: existing.cancelledAt };
+    }
+  };
+};
+
+const factories = {
+  stub: createStubClient
+};
+const instances = new Map();
+
+/**
+ * Make a portal client available under a name selectable with IRP_CLIENT
+ * @param {String} name
+ * @param {Function} factory - Returns a client implementing generateIrn and cancelIrn
+ */
+const registerIrpClient = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+/**
+ * The configured IRP client (one instance per process)
+ * @returns {Object}
+ * @throws {IrpError} IRP_NOT_CONFIGURED when IRP_CLIENT is unset in production or names an
+ *   unknown client
+ */
+const getIrpClient = () => {
+  const name = process.env.IRP_CLIENT || (process.env.NODE_ENV === 'production' ? null : 'stub');
+  if (!name) {
+    throw new IrpError('E-invoicing is not set up: IRP_CLIENT must name the portal client', IRP_NOT_CONFIGURED);
+  }
+  if (!factories[name]) {
+    throw new IrpError(`Unknown IRP client "${name}"`, IRP_NOT_CONFIGURED);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, { ...factories[name](), name });
+  }
+  return instances.get(name);
+};
+
+module.exports = {
+  IrpError,
+  IRP_NOT_CONFIGURED,
+  CANCEL_REASONS,
+  getFinancialYear,
+  registerIrpClient,
+  getIrpClient
+};
@@ -0,0 +1,41 @@
+/**
+ * IST Time
+ * Stores keep Indian Standard Time whatever time zone the server runs in (UTC on most hosts),
+ * so business dates - financial years, expiry days, offer hours - are read in IST. IST has
+ * no daylight saving, so a fixed offset is exact.
+ */
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Calendar fields of an instant on an IST clock
+ * @param {Date} [date]
+ * @returns {Object} { year, month (0-11), day (1-31), weekday (0 = Sunday), hours, minutes }
+ */
+const getIstParts = (date = new Date()) => {
+  const shifted = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth(),
+    day: shifted.getUTCDate(),
+    weekday: shifted.getUTCDay(),
+    hours: shifted.getUTCHours(),
+    minutes: shifted.getUTCMinutes()
+  };
+};
+
+/**
+ * The instant IST midnight began the day of a date
+ * @param {Date} [date]
+ * @returns {Date}
+ */
+const startOfIstDay = (date = new Date()) => {
+  const { year, month, day } = getIstParts(date);
+  return new Date(Date.UTC(year, month, day) - IST_OFFSET_MS);
+};
+
+module.exports = {
+  IST_OFFSET_MS,
+  getIstParts,
+  startOfIstDay
+};
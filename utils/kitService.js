@@ -0,0 +1,106 @@
+/**
+ * Kit Service
+ * Gift hampers and combo packs are inventory items whose stock is made of other items.
+ * A kit holds no stock of its own: billing one deducts each component (kit quantity times
+ * the component's quantity per kit), and the number of kits available is however many
+ * complete sets the components' unreserved stock still makes up.
+ */
+const InventoryItem = require('../models/InventoryItem');
+const { addQuantities, roundQuantity, isValidQuantity } = require('./quantityService');
+
+/**
+ * Check the components of a kit before saving it: each must be a stocked item of the same
+ * store (kits cannot be nested) and its per-kit quantity must suit the component's unit
+ * @param {String} storeId
+ * @param {Array} components - [{ itemId, quantity }]
+ * @param {String} [kitId] - the kit being edited, which cannot contain itself
+ * @returns {Promise<Object>} { components } or { error }
+ */
+const resolveKitComponents = async (storeId, components, kitId = null) => {
+  if (!Array.isArray(components) || components.length === 0) {
+    return { error: 'A kit needs at least one component' };
+  }
+
+  const ids = components.map(component => String(component.itemId));
+  if (new Set(ids).size !== ids.length || (kitId && ids.includes(String(kitId)))) {
+    return { error: 'Kit components must be distinct items other than the kit itself' };
+  }
+
+  const items = await InventoryItem.find({ _id: { $in: ids }, storeId, isDeleted: false })
+    .select('name isKit trackSerials unit quantityPrecision')
+    .lean();
+
+  const resolved = [];
+  for (const component of components) {
+    const item = items.find(candidate => candidate._id.toString() === String(component.itemId));
+    if (!item) {
+      return { error: `Component ${component.itemId} was not found in this store` };
+    }
+    if (item.isKit) {
+      return { error: `${item.name} is itself a kit; kits cannot contain other kits` };
+    }
+    if (item.trackSerials) {
+      return { error: `${item.name} is serial-tracked and cannot be sold as part of a kit` };
+    }
+    const quantity = Number(component.quantity);
+    if (!(quantity > 0) || !isValidQuantity(quantity, item.quantityPrecision ?? 0)) {
+      return { error: `Quantity of ${item.name} per kit must be a positive amount in ${item.unit || 'pcs'}` };
+    }
+    resolved.push({ itemId: item._id, quantity });
+  }
+  return { components: resolved };
+};
+
+/**
+ * Kits that can be made from the components' unreserved stock
+ * @param {Object} kit - item with kitComponents
+ * @param {Map} componentsById - component items (stockQty, reservedQty) by id string
+ * @returns {Number}
+ */
+const availableKitQty = (kit, componentsById) => {
+  if (!kit.kitComponents || kit.kitComponents.length === 0) return 0;
+  return Math.min(...kit.kitComponents.map(({ itemId, quantity }) => {
+    const component = componentsById.get(itemId.toString());
+    if (!component || component.isDeleted) return 0;
+    const available = addQuantities(component.stockQty, -(component.reservedQty || 0));
+    // Nudge before flooring so 0.3 / 0.1 counts as 3 sets
+    return Math.max(0, Math.floor(available / quantity + 1e-9));
+  }));
+};
+
+/**
+ * Load the components of the kits among some items
+ * @param {Array} items - inventory items, kits or not
+ * @param {ClientSession} [session]
+ * @returns {Promise<Map>} component items by id string
+ */
+const loadKitComponents = async (items, session = null) => {
+  const ids = items
+    .filter(item => item.isKit)
+    .flatMap(kit => (kit.kitComponents || []).map(component => component.itemId));
+  if (ids.length === 0) return new Map();
+
+  const query = InventoryItem.find({ _id: { $in: ids } })
+    .select('name stockQty reservedQty unit quantityPrecision trackBatches trackSerials isDeleted')
+    .lean();
+  const components = await (session ? query.session(session) : query);
+  return new Map(components.map(component => [component._id.toString(), component]));
+};
+
+/**
+ * Component quantities taken by a number of kits, from a kit item or a sale line's snapshot
+ * @param {Array} components - [{ itemId, quantity }] per kit
+ * @param {Number} kitQuantity
+ * @returns {Array} [{ itemId, quantity }]
+ */
+const explodeKit = (components, kitQuantity) => components.map(({ itemId, quantity }) => ({
+  itemId,
+  quantity: roundQuantity(quantity * kitQuantity)
+}));
+
+module.exports = {
+  resolveKitComponents,
+  availableKitQty,
+  loadKitComponents,
+  explodeKit
+};
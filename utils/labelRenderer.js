@@ -0,0 +1,149 @@
+/**
+ * Label Renderer
+ * Shelf and product labels as PDF: A4 sheets of sticker labels (the common 65-up and 24-up
+ * die-cuts) and single labels for roll printers, one label per page. Each label carries the
+ * item name, MRP, selling price and a barcode drawn from utils/barcodeService.
+ * PDFKit's standard fonts have no rupee glyph, so prices are printed as "Rs.".
+ */
+
+const { itemBarcode } = require('./barcodeService');
+
+const MM = 72 / 25.4; // Points per millimetre
+
+// Label stock; A4 sheets give the label grid, roll labels are a page each
+const LABEL_LAYOUTS = {
+  a4_65: { page: 'A4', columns: 5, rows: 13, width: 38.1, height: 21.2, marginTop: 10.7, marginLeft: 4.7, gapX: 2.5, gapY: 0 },
+  a4_24: { page: 'A4', columns: 3, rows: 8, width: 70, height: 37, marginTop: 0.5, marginLeft: 0, gapX: 0, gapY: 0 },
+  roll_50x25: { width: 50, height: 25 },
+  roll_38x25: { width: 38, height: 25 }
+};
+
+const QUIET_ZONE_MODULES = 10;
+
+const money = (value) => `Rs.${(Number(value) || 0).toFixed(2)}`;
+
+// Largest font size up to `size` at which text fits in width
+const fitFontSize = (doc, text, font, size, width) => {
+  const textWidth = doc.font(font).fontSize(size).widthOfString(text);
+  return textWidth > width ? size * (width / textWidth) : size;
+};
+
+/**
+ * Labels that fit on one page of a layout
+ * @param {String} layout
+ * @returns {Number}
+ */
+const labelsPerPage = (layout) => {
+  const { columns = 1, rows = 1 } = LABEL_LAYOUTS[layout];
+  return columns * rows;
+};
+
+/**
+ * Draw a barcode's modules into a box, with the human-readable code underneath
+ * @param {PDFDocument} doc
+ * @param {Object} barcode - itemBarcode()
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Number} width
+ * @param {Number} height - bars and text together
+ */
+const drawBarcode = (doc, barcode, x, y, width, height) => {
+  const textSize = Math.min(7, height * 0.25);
+  const barHeight = height - textSize - 1;
+  const moduleWidth = width / (barcode.modules.length + QUIET_ZONE_MODULES * 2);
+  let left = x + QUIET_ZONE_MODULES * moduleWidth;
+
+  // One rectangle per run of bars
+  barcode.modules.match(/1+|0+/g).forEach(run => {
+    if (run[0] === '1') doc.rect(left, y, run.length * moduleWidth, barHeight);
+    left += run.length * moduleWidth;
+  });
+  doc.fillColor('#000').fill();
+
+  doc.font('Helvetica').fontSize(textSize)
+    .text(barcode.text, x, y + barHeight + 1, { width, align: 'center', lineBreak: false });
+};
+
+/**
+ * Draw one label
+ * @param {PDFDocument} doc
+ * @param {Object} item - inventory item (name, mrpPrice, sellPrice, unit, barcode, sku)
+ * @param {Number} x - top-left corner, in points
+ * @param {Number} y
+ * @param {Number} width - label size, in points
+ * @param {Number} height
+ */
+const drawLabel = (doc, item, x, y, width, height) => {
+  const padding = Math.min(4, height * 0.06);
+  const innerWidth = width - padding * 2;
+  const nameSize = Math.max(5, Math.min(9, height * 0.13));
+  const priceSize = nameSize * 1.3;
+  const perUnit = item.unit && item.unit !== 'pcs' ? `/${item.unit}` : '';
+  let top = y + padding;
+
+  doc.font('Helvetica-Bold').fontSize(nameSize).fillColor('#000')
+    .text(item.name, x + padding, top, { width: innerWidth, height: nameSize * 2.3, ellipsis: true });
+  top += nameSize * 2.4;
+
+  // MRP on the left, selling price (what the customer pays) prominent on the right
+  const mrp = `MRP ${money(item.mrpPrice)}${perUnit}`;
+  const price = `${money(item.sellPrice)}${perUnit}`;
+  const mrpSize = fitFontSize(doc, mrp, 'Helvetica', nameSize * 0.9, innerWidth * 0.45);
+  const sellSize = fitFontSize(doc, price, 'Helvetica-Bold', priceSize, innerWidth * 0.55);
+  doc.font('Helvetica').fontSize(mrpSize)
+    .text(mrp, x + padding, top + (priceSize - mrpSize), { width: innerWidth * 0.45, lineBreak: false });
+  doc.font('Helvetica-Bold').fontSize(sellSize)
+    .text(price, x + padding + innerWidth * 0.45, top + (priceSize - sellSize), { width: innerWidth * 0.55, align: 'right', lineBreak: false });
+  top += priceSize * 1.2;
+
+  const barcode = itemBarcode(item);
+  const barcodeHeight = y + height - padding - top;
+  if (barcode && barcodeHeight > 8) {
+    drawBarcode(doc, barcode, x + padding, top, innerWidth, barcodeHeight);
+  }
+};
+
+/**
+ * Render labels onto a PDFKit document created with autoFirstPage: false
+ * @param {PDFDocument} doc
+ * @param {Array} labels - one entry per label to print (repeat an item for copies)
+ * @param {String} layout - key of LABEL_LAYOUTS
+ * @param {Object} [options]
+ * @param {Number} [options.skip=0] - positions already used on the first A4 sheet
+ */
+const renderLabels = (doc, labels, layout, { skip = 0 } = {}) => {
+  const stock = LABEL_LAYOUTS[layout];
+  const width = stock.width * MM;
+  const height = stock.height * MM;
+
+  if (!stock.page) {
+    labels.forEach(item => {
+      doc.addPage({ size: [width, height], margin: 0 });
+      drawLabel(doc, item, 0, 0, width, height);
+    });
+    return;
+  }
+
+  const perPage = labelsPerPage(layout);
+  labels.forEach((item, index) => {
+    const position = (index + skip) % perPage;
+    if (index === 0 || position === 0) doc.addPage({ size: stock.page, margin: 0 });
+
+    const column = position % stock.columns;
+    const row = Math.floor(position / stock.columns);
+    drawLabel(
+      doc,
+      item,
+      (stock.marginLeft + column * (stock.width + stock.gapX)) * MM,
+      (stock.marginTop + row * (stock.height + stock.gapY)) * MM,
+      width,
+      height
+    );
+  });
+};
+
+module.exports = {
+  LABEL_LAYOUTS,
+  labelsPerPage,
+  renderLabels
+};
@@ -0,0 +1,125 @@
+/**
+ * Ledger Service
+ * Customer credit ledger (khata). Every posting writes a ledger entry and moves the running
+ * balance on the customer (User.creditBalance) in the same step, so the two never drift.
+ * Pass the caller's transaction session to post atomically with a sale, return or cancellation.
+ */
+const User = require('../models/User');
+const CustomerLedgerEntry = require('../models/CustomerLedgerEntry');
+const { roundCurrency } = require('./gstService');
+
+// Ageing buckets in days since the debit was posted
+const AGEING_BUCKETS = [
+  { key: 'current', label: '0-30 days', maxDays: 30 },
+  { key: 'days31to60', label: '31-60 days', maxDays: 60 },
+  { key: 'days61to90', label: '61-90 days', maxDays: 90 },
+  { key: 'over90', label: '90+ days', maxDays: Infinity }
+];
+
+/**
+ * Post a ledger entry and update the customer's balance
+ * @param {Object} opts
+ * @param {String} opts.customerId
+ * @param {String} opts.storeId
+ * @param {String} opts.type - 'debit' (customer owes more) or 'credit' (customer owes less)
+ * @param {String} opts.source - sale | payment | return | cancellation | adjustment
+ * @param {Number} opts.amount - Positive amount
+ * @param {String} opts.recordedBy - User posting the entry
+ * @param {ClientSession} [opts.session]
+ * @returns {Promise<Object>} The saved ledger entry
+ */
+const postEntry = async ({
+  customerId,
+  storeId,
+  type,
+  source,
+  amount,
+  recordedBy,
+  session = null,
+  ...references
+}) => {
+  const value = roundCurrency(amount);
+  if (!(value > 0)) {
+    throw new Error('Ledger amount must be greater than zero');
+  }
+
+  const customer = await User.findOneAndUpdate(
+    { _id: customerId },
+    {
+      $inc: { creditBalance: type === 'debit' ? value : -value },
+      $set: { lastTransactionAt: new Date() }
+    },
+    { new: true, ...(session && { session }) }
+  ).select('creditBalance');
+
+  if (!customer) {
+    throw new Error('Customer not found for ledger entry');
+  }
+
+  const [entry] = await CustomerLedgerEntry.create([{
+    customerId,
+    storeId,
+    type,
+    source,
+    amount: value,
+    balanceAfter: roundCurrency(customer.creditBalance),
+    recordedBy,
+    ...references
+  }], session ? { session } : {});
+
+  return entry;
+};
+
+/**
+ * Age an outstanding balance first-in-first-out: credits settle the oldest debits first and
+ * whatever is left of each debit is bucketed by how long it has been open.
+ * @param {Array} entries - Ledger entries of one customer (any order)
+ * @param {Date} [asOf]
+ * @returns {Object} Amount per bucket key plus total
+ */
+const computeAgeing = (entries, asOf = new Date()) => {
+  const sorted = [...entries].sort((a, b) => new Date(a.entryDate) - new Date(b.entryDate));
+  let unappliedCredit = sorted
+    .filter(entry => entry.type === 'credit')
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  const ageing = Object.fromEntries(AGEING_BUCKETS.map(bucket => [bucket.key, 0]));
+
+  sorted
+    .filter(entry => entry.type === 'debit')
+    .forEach(debit => {
+      const settled = Math.min(unappliedCredit, debit.amount);
+      unappliedCredit -= settled;
+      const open = debit.amount - settled;
+      if (open <= 0) return;
+
+      const ageDays = Math.floor((asOf - new Date(debit.entryDate)) / (24 * 60 * 60 * 1000));
+      const bucket = AGEING_BUCKETS.find(b => ageDays <= b.maxDays);
+      ageing[bucket.key] += open;
+    });
+
+  Object.keys(ageing).forEach(key => { ageing[key] = roundCurrency(ageing[key]); });
+  ageing.total = roundCurrency(AGEING_BUCKETS.reduce((sum, bucket) => sum + ageing[bucket.key], 0));
+  return ageing;
+};
+
+/**
+ * Amount of a bill that was put on the customer's account
+ * @param {Object} sale
+ * @returns {Number}
+ */
+const getCreditTenderAmount = (sale) => {
+  if (sale.payments && sale.payments.length > 0) {
+    return roundCurrency(sale.payments
+      .filter(payment => payment.mode === 'credit')
+      .reduce((sum, payment) => sum + payment.amount, 0));
+  }
+  return sale.paymentMode === 'credit' ? sale.totalAmount : 0;
+};
+
+module.exports = {
+  AGEING_BUCKETS,
+  postEntry,
+  computeAgeing,
+  getCreditTenderAmount
+};
@@ -0,0 +1,253 @@
+/**
+ * Loyalty Service
+ * Earning, redeeming, reversing and expiring customer loyalty points. The balance lives on
+ * User.profile.loyaltyPoints and every movement is recorded as a LoyaltyTransaction. Points are
+ * added in lots with their own expiry date; points taken away consume the lots that expire first.
+ * Pass the caller's transaction session to post atomically with a sale, return or cancellation.
+ */
+const User = require('../models/User');
+const Settings = require('../models/Settings');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+const { roundCurrency } = require('./gstService');
+
+const DEFAULT_LOYALTY_RULES = {
+  pointsPerSpend: 1,
+  spendAmount: 100,
+  pointValue: 1,
+  minRedeemPoints: 0,
+  maxRedeemPercent: 100,
+  expiryDays: 365,
+  excludedCategories: []
+};
+
+// Transaction types that add points to the balance (and open a lot)
+const INBOUND_TYPES = ['earn', 'restore'];
+
+const withSession = (query, session) => (session ? query.session(session) : query);
+
+/**
+ * Resolve the effective loyalty rules of a store
+ * @param {String} storeId
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} enabled flag plus the merged rules
+ */
+const getLoyaltyRules = async (storeId, session = null) => {
+  const settings = await withSession(
+    Settings.findOne({ storeId }).select('enableLoyaltyPoints loyalty').lean(),
+    session
+  );
+  const configured = settings?.loyalty || {};
+
+  return {
+    enabled: settings?.enableLoyaltyPoints === true,
+    ...DEFAULT_LOYALTY_RULES,
+    ...Object.fromEntries(Object.entries(configured).filter(([, value]) => value !== undefined && value !== null))
+  };
+};
+
+/**
+ * Points earned on priced sale lines. Lines are valued after discounts and including tax,
+ * i.e. what the customer actually paid; excluded categories earn nothing.
+ * @param {Array} items - Lines from calculatePricing (with category, taxableValue, taxAmount)
+ * @param {Object} rules - getLoyaltyRules()
+ * @returns {Object} { eligibleAmount, points }
+ */
+const calculateEarnedPoints = (items, rules) => {
+  const excluded = new Set((rules.excludedCategories || []).map(String));
+  const eligibleAmount = roundCurrency(items
+    .filter(item => !(item.category && excluded.has(String(item.category))))
+    .reduce((sum, item) => sum + (item.taxableValue || 0) + (item.taxAmount || 0), 0));
+
+  const points = rules.spendAmount > 0
+    ? Math.floor((eligibleAmount / rules.spendAmount) * rules.pointsPerSpend)
+    : 0;
+
+  return { eligibleAmount, points: Math.max(0, points) };
+};
+
+/**
+ * Check a redemption against the store rules and work out its rupee value
+ * @param {Number} points - Points the customer wants to redeem
+ * @param {Number} billAmount - Bill total before the loyalty discount
+ * @param {Object} rules - getLoyaltyRules()
+ * @returns {Object} { discount, maxPoints }
+ * @throws {Error} When the redemption breaks a rule
+ */
+const calculateRedemption = (points, billAmount, rules) => {
+  if (points < rules.minRedeemPoints) {
+    throw new Error(`At least ${rules.minRedeemPoints} points must be redeemed at a time`);
+  }
+
+  const maxDiscount = roundCurrency(billAmount * rules.maxRedeemPercent / 100);
+  const maxPoints = rules.pointValue > 0 ? Math.floor(maxDiscount / rules.pointValue) : 0;
+  if (points > maxPoints) {
+    throw new Error(`At most ${maxPoints} points can be redeemed on this bill`);
+  }
+
+  return { discount: roundCurrency(points * rules.pointValue), maxPoints };
+};
+
+/**
+ * Take points off the open lots of a customer, soonest expiry first
+ * @param {String} customerId
+ * @param {Number} points
+ * @param {Object} [opts]
+ * @param {String} [opts.saleId] - Consume the lot earned on this sale before any other
+ * @param {ClientSession} [opts.session]
+ */
+const consumeLots = async (customerId, points, { saleId = null, session = null } = {}) => {
+  const lots = await withSession(
+    LoyaltyTransaction.find({ customerId, remainingPoints: { $gt: 0 } }).sort({ expiresAt: 1, createdAt: 1 }),
+    session
+  );
+
+  // Lots without an expiry date sort first in MongoDB; they should be used last
+  const isSaleLot = (lot) => Boolean(saleId) && lot.type === 'earn' && String(lot.saleId) === String(saleId);
+  const others = lots.filter(lot => !isSaleLot(lot));
+  const ordered = [
+    ...lots.filter(isSaleLot),
+    ...others.filter(lot => lot.expiresAt),
+    ...others.filter(lot => !lot.expiresAt)
+  ];
+
+  let outstanding = points;
+  for (const lot of ordered) {
+    if (outstanding <= 0) break;
+    const taken = Math.min(outstanding, lot.remainingPoints);
+    lot.remainingPoints -= taken;
+    outstanding -= taken;
+    await lot.save(session ? { session } : {});
+  }
+};
+
+/**
+ * Post a loyalty transaction and move the customer's points balance
+ * @param {Object} opts
+ * @param {String} opts.customerId
+ * @param {String} opts.storeId
+ * @param {String} opts.type - earn | redeem | reversal | restore | expiry
+ * @param {Number} opts.points - Positive whole number of points
+ * @param {Object} [opts.rules] - getLoyaltyRules(); decides the expiry of added points
+ * @param {String} [opts.recordedBy]
+ * @param {ClientSession} [opts.session]
+ * @returns {Promise<Object|null>} The saved transaction, or null when nothing was posted
+ */
+const postTransaction = async ({
+  customerId,
+  storeId = null,
+  type,
+  points,
+  rules = DEFAULT_LOYALTY_RULES,
+  recordedBy = null,
+  session = null,
+  ...references
+}) => {
+  const value = Math.floor(points);
+  if (!(value > 0)) return null;
+
+  const inbound = INBOUND_TYPES.includes(type);
+  const filter = inbound
+    ? { _id: customerId }
+    : { _id: customerId, 'profile.loyaltyPoints': { $gte: value } };
+
+  const customer = await User.findOneAndUpdate(
+    filter,
+    { $inc: { 'profile.loyaltyPoints': inbound ? value : -value } },
+    { new: true, ...(session && { session }) }
+  ).select('profile.loyaltyPoints');
+
+  if (!customer) {
+    throw new Error(inbound ? 'Customer not found for loyalty points' : 'Insufficient loyalty points');
+  }
+
+  if (!inbound) {
+    await consumeLots(customerId, value, { saleId: references.saleId, session });
+  }
+
+  const [transaction] = await LoyaltyTransaction.create([{
+    customerId,
+    storeId,
+    type,
+    points: value,
+    balanceAfter: customer.profile.loyaltyPoints,
+    remainingPoints: inbound ? value : 0,
+    expiresAt: inbound && rules.expiryDays > 0
+      ? new Date(Date.now() + rules.expiryDays * 24 * 60 * 60 * 1000)
+      : null,
+    recordedBy,
+    ...references
+  }], session ? { session } : {});
+
+  return transaction;
+};
+
+/**
+ * Take back points earned on a sale (return or cancellation). Points the customer has already
+ * spent cannot be recovered, so the reversal is capped at the current balance.
+ * @returns {Promise<Number>} Points actually reversed
+ */
+const reverseEarnedPoints = async ({ customerId, points, session = null, ...rest }) => {
+  const customer = await withSession(
+    User.findById(customerId).select('profile.loyaltyPoints'),
+    session
+  );
+  const reversible = Math.min(Math.floor(points), customer?.profile?.loyaltyPoints || 0);
+  if (reversible <= 0) return 0;
+
+  await postTransaction({ customerId, type: 'reversal', points: reversible, session, ...rest });
+  return reversible;
+};
+
+/**
+ * Expire the lots of a customer that are past their expiry date
+ * @param {String} customerId
+ * @param {Object} [opts]
+ * @param {ClientSession} [opts.session]
+ * @returns {Promise<Number>} Points expired
+ */
+const expirePoints = async (customerId, { session = null } = {}) => {
+  const dueLots = await withSession(
+    LoyaltyTransaction.find({
+      customerId,
+      remainingPoints: { $gt: 0 },
+      expiresAt: { $ne: null, $lte: new Date() }
+    }).select('remainingPoints'),
+    session
+  );
+
+  const points = dueLots.reduce((sum, lot) => sum + lot.remainingPoints, 0);
+  if (points <= 0) return 0;
+
+  // Zero the due lots first so the expiry does not consume other lots
+  await LoyaltyTransaction.updateMany(
+    { _id: { $in: dueLots.map(lot => lot._id) } },
+    { $set: { remainingPoints: 0 } },
+    session ? { session } : {}
+  );
+
+  const customer = await User.findOneAndUpdate(
+    { _id: customerId },
+    [{ $set: { 'profile.loyaltyPoints': { $max: [0, { $subtract: ['$profile.loyaltyPoints', points] }] } } }],
+    { new: true, ...(session && { session }) }
+  ).select('profile.loyaltyPoints');
+
+  await LoyaltyTransaction.create([{
+    customerId,
+    type: 'expiry',
+    points,
+    balanceAfter: customer?.profile?.loyaltyPoints || 0,
+    notes: `${dueLots.length} lot(s) expired`
+  }], session ? { session } : {});
+
+  return points;
+};
+
+module.exports = {
+  DEFAULT_LOYALTY_RULES,
+  getLoyaltyRules,
+  calculateEarnedPoints,
+  calculateRedemption,
+  postTransaction,
+  reverseEarnedPoints,
+  expirePoints
+};
@@ -0,0 +1,91 @@
+/**
+ * Number Series Service
+ * Per-store document numbering backed by atomic counters. Each series can be configured in
+ * Settings.numberSeries with its own prefix, zero padding and April–March financial-year reset.
+ * When called inside a transaction the increment rolls back with it, so numbers stay gap-free.
+ */
+const Counter = require('../models/Counter');
+const Settings = require('../models/Settings');
+const { getIstParts } = require('./istTime');
+
+const DEFAULT_SERIES = {
+  invoice: { prefix: 'INV', padding: 6, resetEachFinancialYear: true },
+  creditNote: { prefix: 'CN', padding: 6, resetEachFinancialYear: true },
+  quotation: { prefix: 'QT', padding: 6, resetEachFinancialYear: true },
+  shift: { prefix: 'SH', padding: 6, resetEachFinancialYear: true }
+};
+
+/**
+ * Financial year code for a date, e.g. 2025-04-01 .. 2026-03-31 => '2526'. The year turns
+ * at midnight on 1 April in IST, whatever the server's time zone.
+ * @param {Date} date
+ * @returns {String}
+ */
+const getFinancialYearCode = (date = new Date()) => {
+  const { year, month } = getIstParts(date);
+  const startYear = month >= 3 ? year : year - 1;
+  const endYear = startYear + 1;
+  return `${String(startYear).slice(-2)}${String(endYear).slice(-2)}`;
+};
+
+/**
+ * Resolve the effective configuration of a series for a store
+ * @param {String} storeId
+ * @param {String} series - invoice | creditNote | quotation | shift
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} prefix, padding, resetEachFinancialYear
+ */
+const getSeriesConfig = async (storeId, series, session = null) => {
+  const query = Settings.findOne({ storeId }).select('numberSeries').lean();
+  const settings = session ? await query.session(session) : await query;
+  const configured = settings?.numberSeries?.[series] || {};
+
+  return {
+    ...DEFAULT_SERIES[series],
+    ...Object.fromEntries(Object.entries(configured).filter(([, value]) => value !== undefined && value !== null))
+  };
+};
+
+/**
+ * Format a document number, e.g. INV-2526-000042 (or INV-000042 without yearly reset)
+ */
+const formatNumber = ({ prefix, padding }, period, seq) => {
+  const parts = [prefix, period === 'all' ? null : period, String(seq).padStart(padding, '0')];
+  return parts.filter(Boolean).join('-');
+};
+
+/**
+ * Take the next number of a series
+ * @param {String} storeId
+ * @param {String} series - invoice | creditNote | quotation | shift
+ * @param {Object} [opts]
+ * @param {ClientSession} [opts.session] - Pass the caller's transaction session
+ * @param {Date} [opts.date] - Document date, decides the financial year
+ * @returns {Promise<String>}
+ */
+const nextNumber = async (storeId, series, { session = null, date = new Date() } = {}) => {
+  if (!DEFAULT_SERIES[series]) {
+    throw new Error(`Unknown number series: ${series}`);
+  }
+  if (!storeId) {
+    throw new Error('Store ID is required to generate a document number');
+  }
+
+  const config = await getSeriesConfig(storeId, series, session);
+  const period = config.resetEachFinancialYear ? getFinancialYearCode(date) : 'all';
+
+  const counter = await Counter.findOneAndUpdate(
+    { storeId, series, period },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, ...(session && { session }) }
+  );
+
+  return formatNumber(config, period, counter.seq);
+};
+
+module.exports = {
+  DEFAULT_SERIES,
+  getFinancialYearCode,
+  getSeriesConfig,
+  nextNumber
+};
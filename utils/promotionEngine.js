@@ -0,0 +1,254 @@
+/**
+ * Promotion Engine
+ * Evaluates store promotions against the lines of a bill. Promotions run in priority order and
+ * each one discounts what is left of a line after the promotions before it. A non-stackable
+ * promotion only takes lines no other promotion touched, and once it applies, no stackable
+ * promotion is added on top.
+ * Days and hours are read on the IST clock, whatever time zone the server runs in.
+ */
+const Promotion = require('../models/Promotion');
+const Sale = require('../models/Sale');
+const { roundCurrency, allocateDiscount } = require('./gstService');
+const { getIstParts } = require('./istTime');
+
+const withSession = (query, session) => (session ? query.session(session) : query);
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Whether a promotion can apply at a moment in time
+ * @param {Object} promotion
+ * @param {Date} [at]
+ * @returns {Boolean}
+ */
+const isPromotionActive = (promotion, at = new Date()) => {
+  if (promotion.isActive === false) return false;
+  if (promotion.startsAt && new Date(promotion.startsAt) > at) return false;
+  if (promotion.endsAt && new Date(promotion.endsAt) < at) return false;
+  const { weekday, hours, minutes } = getIstParts(at);
+  if (promotion.daysOfWeek?.length > 0 && !promotion.daysOfWeek.includes(weekday)) return false;
+
+  if (promotion.dailyStartTime && promotion.dailyEndTime) {
+    const now = hours * 60 + minutes;
+    const start = toMinutes(promotion.dailyStartTime);
+    const end = toMinutes(promotion.dailyEndTime);
+    // A window like 22:00-02:00 runs past midnight
+    const inWindow = start <= end ? now >= start && now < end : now >= start || now < end;
+    if (!inWindow) return false;
+  }
+
+  return true;
+};
+
+/**
+ * Whether a bill line qualifies for a promotion (no category, brand or item filter => all lines)
+ */
+const matchesLine = (promotion, line) => {
+  const categories = (promotion.categories || []).map(String);
+  const brands = (promotion.brands || []).map(brand => brand.toLowerCase());
+  const items = (promotion.items || []).map(String);
+  if (categories.length === 0 && brands.length === 0 && items.length === 0) return true;
+
+  return (line.category && categories.includes(String(line.category)))
+    || (line.brand && brands.includes(line.brand.toLowerCase()))
+    || items.includes(String(line.itemId));
+};
+
+/**
+ * Discount a promotion gives on each eligible line, before the maxDiscount cap
+ */
+const rawLineDiscounts = (promotion, lines, remaining) => {
+  switch (promotion.type) {
+  case 'percent_off':
+    return lines.map(({ idx }) => remaining[idx] * Math.min(promotion.value, 100) / 100);
+  case 'flat_off':
+    return allocateDiscount(lines.map(({ idx }) => remaining[idx]), promotion.value);
+  case 'buy_x_get_y': {
+    const groupSize = promotion.buyQuantity + promotion.getQuantity;
+    return lines.map(({ line, idx }) => {
+      const discountedUnits = Math.floor(line.quantity / groupSize) * promotion.getQuantity;
+      return Math.min(remaining[idx], discountedUnits * line.unitPrice * Math.min(promotion.value, 100) / 100);
+    });
+  }
+  default:
+    return lines.map(() => 0);
+  }
+};
+
+/**
+ * Apply promotions to bill lines
+ * @param {Array} lines - { itemId, category, brand, quantity, unitPrice, totalPrice }
+ * @param {Array} promotions - Candidate promotions (see loadPromotions)
+ * @param {Object} [opts]
+ * @param {Date} [opts.at]
+ * @returns {Object} { lines: [{ amount, promotions: [...] }], applied: [...], totalDiscount }
+ */
+const evaluatePromotions = (lines, promotions = [], { at = new Date() } = {}) => {
+  const remaining = lines.map(line => line.totalPrice);
+  const result = lines.map(() => ({ amount: 0, promotions: [] }));
+  const exclusive = lines.map(() => false);
+  const billSubtotal = roundCurrency(remaining.reduce((sum, amount) => sum + amount, 0));
+  const applied = [];
+
+  const ordered = [...promotions].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+  ordered.forEach(promotion => {
+    if (!isPromotionActive(promotion, at)) return;
+    if (billSubtotal < (promotion.minBillAmount || 0)) return;
+
+    const eligible = lines
+      .map((line, idx) => ({ line, idx }))
+      .filter(({ line, idx }) => remaining[idx] > 0
+        && matchesLine(promotion, line)
+        && (promotion.stackable ? !exclusive[idx] : result[idx].promotions.length === 0));
+    if (eligible.length === 0) return;
+
+    let amounts = rawLineDiscounts(promotion, eligible, remaining).map(roundCurrency);
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (promotion.maxDiscount && total > promotion.maxDiscount) {
+      amounts = allocateDiscount(amounts, promotion.maxDiscount);
+    }
+
+    const promotionTotal = roundCurrency(amounts.reduce((sum, amount) => sum + amount, 0));
+    if (promotionTotal <= 0) return;
+
+    const summary = {
+      promotionId: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      couponCode: promotion.couponCode || null
+    };
+
+    eligible.forEach(({ idx }, position) => {
+      const amount = Math.min(amounts[position], remaining[idx]);
+      if (amount <= 0) return;
+      remaining[idx] = roundCurrency(remaining[idx] - amount);
+      result[idx].amount = roundCurrency(result[idx].amount + amount);
+      result[idx].promotions.push({ ...summary, amount });
+      if (!promotion.stackable) exclusive[idx] = true;
+    });
+
+    applied.push({ ...summary, amount: promotionTotal });
+  });
+
+  return {
+    lines: result,
+    applied,
+    totalDiscount: roundCurrency(applied.reduce((sum, promotion) => sum + promotion.amount, 0))
+  };
+};
+
+/**
+ * Load the promotions a bill is eligible for: automatic ones plus those unlocked by the
+ * coupon codes entered. An invalid coupon is an error; automatic promotions that are used up
+ * (overall or for this customer) are left out quietly.
+ * @param {String} storeId
+ * @param {Object} [opts]
+ * @param {Array<String>} [opts.couponCodes]
+ * @param {String} [opts.customerId]
+ * @param {Date} [opts.at]
+ * @param {ClientSession} [opts.session]
+ * @returns {Promise<Array>}
+ * @throws {Error} When a coupon code cannot be used
+ */
+const loadPromotions = async (storeId, { couponCodes = [], customerId = null, at = new Date(), session = null } = {}) => {
+  const codes = [...new Set(couponCodes.map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+
+  const promotions = await withSession(
+    Promotion.find({
+      storeId,
+      isActive: true,
+      $or: [{ couponCode: null }, { couponCode: { $in: codes } }]
+    }).lean(),
+    session
+  );
+
+  const usedByCustomer = async (promotion) => {
+    if (!customerId) return 0;
+    return withSession(
+      Sale.countDocuments({
+        customerId,
+        'appliedPromotions.promotionId': promotion._id,
+        status: { $ne: 'cancelled' }
+      }),
+      session
+    );
+  };
+
+  const usable = [];
+  for (const promotion of promotions) {
+    const problem = await (async () => {
+      if (!isPromotionActive(promotion, at)) return 'is not valid at this time';
+      if (promotion.usageLimit && promotion.usageCount >= promotion.usageLimit) return 'has reached its usage limit';
+      if (promotion.perCustomerLimit) {
+        if (!customerId) return 'requires a registered customer';
+        if (await usedByCustomer(promotion) >= promotion.perCustomerLimit) return 'was already used by this customer';
+      }
+      return null;
+    })();
+
+    if (!problem) {
+      usable.push(promotion);
+    } else if (promotion.couponCode) {
+      throw new Error(`Coupon ${promotion.couponCode} ${problem}`);
+    }
+  }
+
+  const unknown = codes.filter(code => !promotions.some(promotion => promotion.couponCode === code));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid coupon code: ${unknown.join(', ')}`);
+  }
+
+  return usable;
+};
+
+/**
+ * Count a bill against the usage limits of the promotions applied to it
+ * @param {Array} applied - evaluatePromotions().applied
+ * @param {Object} [opts]
+ * @param {ClientSession} [opts.session]
+ * @returns {Promise<Array<String>>} Names of promotions that ran out in the meantime
+ */
+const recordUsage = async (applied, { session = null } = {}) => {
+  const exhausted = [];
+  for (const promotion of applied) {
+    const result = await Promotion.updateOne(
+      {
+        _id: promotion.promotionId,
+        $or: [{ usageLimit: null }, { $expr: { $lt: ['$usageCount', '$usageLimit'] } }]
+      },
+      { $inc: { usageCount: 1 } },
+      session ? { session } : {}
+    );
+    if (result.modifiedCount === 0) exhausted.push(promotion.name);
+  }
+  return exhausted;
+};
+
+/**
+ * Give back the usage of promotions on a cancelled bill
+ * @param {Array} applied - Sale.appliedPromotions
+ * @param {Object} [opts]
+ * @param {ClientSession} [opts.session]
+ */
+const releaseUsage = async (applied, { session = null } = {}) => {
+  for (const promotion of applied) {
+    await Promotion.updateOne(
+      { _id: promotion.promotionId, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } },
+      session ? { session } : {}
+    );
+  }
+};
+
+module.exports = {
+  isPromotionActive,
+  matchesLine,
+  evaluatePromotions,
+  loadPromotions,
+  recordUsage,
+  releaseUsage
+};
@@ -0,0 +1,105 @@
+/**
+ * Quantity Service
+ * Units of measure and decimal quantities for loose and weighed items (0.75 kg of sugar,
+ * 2.5 m of cloth). Each item allows up to MAX_QUANTITY_PRECISION decimals; arithmetic goes
+ * through integer thousandths so repeated sales and returns never leave floating-point
+ * remainders in stock.
+ */
+
+// Supported units with the decimals allowed by default and their GST unit quantity code (UQC)
+const UNITS = {
+  pcs: { label: 'pcs', precision: 0, uqc: 'NOS' },
+  kg: { label: 'kg', precision: 3, uqc: 'KGS' },
+  g: { label: 'g', precision: 0, uqc: 'GMS' },
+  l: { label: 'l', precision: 3, uqc: 'LTR' },
+  m: { label: 'm', precision: 2, uqc: 'MTR' }
+};
+
+const UNITS_OF_MEASURE = Object.keys(UNITS);
+
+const MAX_QUANTITY_PRECISION = 3;
+const SCALE = 10 ** MAX_QUANTITY_PRECISION;
+
+/**
+ * Default decimals for a unit
+ * @param {String} unit
+ * @returns {Number}
+ */
+const getDefaultPrecision = (unit) => UNITS[unit]?.precision ?? 0;
+
+/**
+ * GST unit quantity code of a unit, for e-invoices and the GSTR-1 HSN summary
+ * @param {String} unit
+ * @returns {String}
+ */
+const getUqc = (unit) => UNITS[unit]?.uqc || 'NOS';
+
+/**
+ * Round a quantity to a number of decimals
+ * @param {Number} value
+ * @param {Number} [precision]
+ * @returns {Number}
+ */
+const roundQuantity = (value, precision = MAX_QUANTITY_PRECISION) => {
+  const factor = 10 ** precision;
+  return Math.round(Number(value) * factor) / factor;
+};
+
+/**
+ * Check a quantity has no more decimals than allowed
+ * @param {Number} value
+ * @param {Number} [precision]
+ * @returns {Boolean}
+ */
+const isValidQuantity = (value, precision = MAX_QUANTITY_PRECISION) => {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return false;
+  const scaled = number * 10 ** precision;
+  return Math.abs(scaled - Math.round(scaled)) < 1e-6;
+};
+
+/**
+ * Exact sum of quantities (negative values subtract)
+ * @param {...Number} values
+ * @returns {Number}
+ */
+const addQuantities = (...values) => values.reduce(
+  (total, value) => total + Math.round(Number(value) * SCALE), 0
+) / SCALE;
+
+/**
+ * Update pipeline that adds to quantity fields and rounds the result, for use in place of
+ * $inc so MongoDB's double arithmetic does not drift (e.g. 0.3 - 0.1). Needs MongoDB 4.2+.
+ * @param {Object} deltas - e.g. { stockQty: -0.75, reservedQty: -0.75 }
+ * @returns {Array}
+ */
+const quantityIncrement = (deltas) => [{
+  $set: Object.fromEntries(Object.entries(deltas).map(([field, delta]) => [
+    field,
+    { $round: [{ $add: [{ $ifNull: [`$${field}`, 0] }, roundQuantity(delta)] }, MAX_QUANTITY_PRECISION] }
+  ]))
+}];
+
+/**
+ * Quantity for display, e.g. "0.75 kg"; pieces are shown as a plain number
+ * @param {Number} quantity
+ * @param {String} [unit]
+ * @returns {String}
+ */
+const formatQuantity = (quantity, unit = 'pcs') => {
+  const value = String(roundQuantity(quantity));
+  return !unit || unit === 'pcs' ? value : `${value} ${UNITS[unit]?.label || unit}`;
+};
+
+module.exports = {
+  UNITS,
+  UNITS_OF_MEASURE,
+  MAX_QUANTITY_PRECISION,
+  getDefaultPrecision,
+  getUqc,
+  roundQuantity,
+  isValidQuantity,
+  addQuantities,
+  quantityIncrement,
+  formatQuantity
+};
@@ -0,0 +1,277 @@
+/**
+ * Receipt Renderer
+ * Thermal receipts for 58mm and 80mm counter printers. A sale is laid out once as fixed-width
+ * text lines (buildReceiptLines) and then rendered either as a narrow PDF or as a raw ESC/POS
+ * byte stream, so both outputs always print the same content.
+ * Thermal printers have no rupee glyph in their code pages, so amounts are printed as "Rs.".
+ */
+
+const { formatQuantity } = require('./quantityService');
+
+// Characters per line in the printer's default font (Font A)
+const PAPER_SIZES = {
+  58: { widthPt: 164.41, charsPerLine: 32 },
+  80: { widthPt: 226.77, charsPerLine: 48 }
+};
+
+const PDF_MARGIN = 6;
+const QR_SIZE_PT = 110;
+
+// ESC/POS commands
+const ESC_POS = {
+  init: [0x1b, 0x40],
+  alignLeft: [0x1b, 0x61, 0x00],
+  alignCenter: [0x1b, 0x61, 0x01],
+  alignRight: [0x1b, 0x61, 0x02],
+  boldOn: [0x1b, 0x45, 0x01],
+  boldOff: [0x1b, 0x45, 0x00],
+  doubleSize: [0x1d, 0x21, 0x11],
+  normalSize: [0x1d, 0x21, 0x00],
+  feedLines: (n) => [0x1b, 0x64, n],
+  partialCut: [0x1d, 0x56, 0x42, 0x00], // Feed to the cutter, then partial cut
+  drawerKick: [0x1b, 0x70, 0x00, 0x19, 0xfa], // Pulse pin 2 for 50ms on / 500ms off
+  // Native QR code (GS ( k): model 2, module size 6, error correction M, store data, print
+  qrCode: (data) => {
+    const bytes = Buffer.from(data, 'ascii');
+    const length = bytes.length + 3;
+    return [
+      0x1d, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00,
+      0x1d, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, 0x06,
+      0x1d, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31,
+      0x1d, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, 0x50, 0x30, ...bytes,
+      0x1d, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30
+    ];
+  }
+};
+
+const money = (value) => `Rs.${(Number(value) || 0).toFixed(2)}`;
+
+/**
+ * Resolve a paper width from a query value such as '58', '80' or '80mm'
+ * @param {String|Number} paper
+ * @returns {Number|null} 58, 80 or null when unsupported
+ */
+const resolvePaper = (paper = 80) => {
+  const width = parseInt(String(paper), 10);
+  return PAPER_SIZES[width] ? width : null;
+};
+
+/**
+ * Break text into chunks that fit a line
+ */
+const wrapText = (text, width) => {
+  const words = String(text || '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let current = '';
+  words.forEach(word => {
+    // Words longer than a line are split hard
+    while (word.length > width) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    if (!current) {
+      current = word;
+    } else if (current.length + 1 + word.length <= width) {
+      current += ` ${word}`;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+  if (current) lines.push(current);
+  return lines.length > 0 ? lines : [''];
+};
+
+/**
+ * A line with text on the left and an amount on the right
+ */
+const row = (left, right, width) => {
+  const rightText = String(right);
+  const space = width - rightText.length - 1;
+  const leftText = String(left).length > space ? String(left).slice(0, space) : String(left);
+  return `${leftText}${' '.repeat(width - leftText.length - rightText.length)}${rightText}`;
+};
+
+/**
+ * Lay out a sale as receipt lines
+ * @param {Object} sale - Sale document (items.itemId and handledBy may be populated)
+ * @param {Object} store - getStoreDetailsForPDF()
+ * @param {Object} [options]
+ * @param {Number} [options.paper] - 58 or 80
+ * @param {String} [options.title]
+ * @param {String} [options.footer]
+ * @param {Object} [options.upiQr] - getSaleUpiQr() result for bills awaiting UPI payment
+ * @returns {Array<Object>} { text, align, bold, large, qr }
+ */
+const buildReceiptLines = (sale, store, options = {}) => {
+  const { charsPerLine: width } = PAPER_SIZES[resolvePaper(options.paper) || 80];
+  const lines = [];
+  const push = (text, style = {}) => lines.push({ text, align: 'left', bold: false, large: false, ...style });
+  const divider = () => push('-'.repeat(width));
+
+  // Header
+  wrapText(store?.name || 'Store', Math.floor(width / 2)).forEach(text => push(text, { align: 'center', bold: true, large: true }));
+  if (store?.address) wrapText(store.address, width).forEach(text => push(text, { align: 'center' }));
+  if (store?.phone) push(`Ph: ${store.phone}`, { align: 'center' });
+  divider();
+  push(options.title || 'TAX INVOICE', { align: 'center', bold: true });
+  push(`Bill No: ${sale.invoiceNumber}`);
+  const billDate = new Date(sale.saleDate || sale.createdAt || Date.now());
+  push(`Date: ${billDate.toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })} ${billDate.toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' })}`);
+  if (sale.handledBy?.firstName) push(`Cashier: ${sale.handledBy.firstName} ${sale.handledBy.lastName || ''}`.trim());
+  if (sale.customerName) push(`Customer: ${sale.customerName}`);
+  if (sale.customerPhone) push(`Phone: ${sale.customerPhone}`);
+  divider();
+
+  // Items: name on its own line(s), then quantity x rate and the amount
+  push(row('Item / Qty x Rate', 'Amount', width), { bold: true });
+  divider();
+  (sale.items || []).forEach(item => {
+    const name = item.hsnCode ? `${item.itemName} (HSN ${item.hsnCode})` : item.itemName;
+    wrapText(name, width).forEach(text => push(text));
+    const rate = item.unit && item.unit !== 'pcs' ? `${(item.unitPrice || 0).toFixed(2)}/${item.unit}` : (item.unitPrice || 0).toFixed(2);
+    push(row(`  ${formatQuantity(item.quantity, item.unit)} x ${rate}`, (item.totalPrice || 0).toFixed(2), width));
+    if (item.serialNumbers?.length) {
+      wrapText(`S/N: ${item.serialNumbers.join(', ')}`, width - 2).forEach(text => push(`  ${text}`));
+    }
+  });
+  divider();
+
+  // Totals
+  push(row('Subtotal', money(sale.subtotal), width));
+  if (sale.promotionDiscount > 0) push(row('Offers', `-${money(sale.promotionDiscount)}`, width));
+  const manualDiscount = (sale.discount || 0) + (sale.extraDiscount || 0);
+  if (manualDiscount > 0) push(row('Discount', `-${money(manualDiscount)}`, width));
+  if (sale.loyaltyDiscount > 0) push(row(`Loyalty (${sale.loyaltyPointsRedeemed} pts)`, `-${money(sale.loyaltyDiscount)}`, width));
+
+  const taxRows = (sale.taxBreakup || []).filter(taxRow => taxRow.taxAmount > 0);
+  if (taxRows.length > 0) {
+    push(row('Taxable value', money(sale.taxableAmount), width));
+    taxRows.forEach(taxRow => {
+      if (taxRow.igstAmount > 0) {
+        push(row(`IGST ${taxRow.igstRate}%`, money(taxRow.igstAmount), width));
+      } else {
+        push(row(`CGST ${taxRow.cgstRate}%`, money(taxRow.cgstAmount), width));
+        push(row(`SGST ${taxRow.sgstRate}%`, money(taxRow.sgstAmount), width));
+      }
+    });
+  }
+  divider();
+  push(row('TOTAL', money(sale.totalAmount), Math.floor(width / 2)), { bold: true, large: true });
+  divider();
+
+  // Tenders
+  const payments = sale.payments?.length > 0
+    ? sale.payments
+    : [{ mode: sale.paymentMode, amount: sale.totalAmount }];
+  payments.forEach(payment => {
+    const label = payment.mode === 'upi' && sale.paymentStatus === 'pending'
+      ? 'UPI payment due'
+      : `Paid by ${String(payment.mode).toUpperCase()}`;
+    push(row(label, money(payment.amount), width));
+  });
+
+  const savings = (sale.mrpTotal || 0) - (sale.totalAmount || 0);
+  if (savings > 0) push(`You saved ${money(savings)}`, { align: 'center', bold: true });
+  if (sale.loyaltyPointsEarned > 0) push(`Points earned: ${sale.loyaltyPointsEarned}`, { align: 'center' });
+  if (sale.status === 'cancelled') push('*** CANCELLED ***', { align: 'center', bold: true });
+
+  if (options.upiQr) {
+    divider();
+    push(`Scan to pay ${money(options.upiQr.amount)} via UPI`, { align: 'center', bold: true });
+    push('', { align: 'center', qr: { payload: options.upiQr.payload, image: options.upiQr.image } });
+  }
+
+  divider();
+  wrapText(options.footer || 'Thank you! Visit again', width).forEach(text => push(text, { align: 'center' }));
+  return lines;
+};
+
+/**
+ * Page size of a receipt PDF for a set of lines
+ * @param {Array} lines - buildReceiptLines()
+ * @param {Number} paper - 58 or 80
+ * @returns {Array<Number>} [width, height] in points
+ */
+const getReceiptPageSize = (lines, paper) => {
+  const { widthPt, charsPerLine } = PAPER_SIZES[resolvePaper(paper) || 80];
+  const fontSize = (widthPt - PDF_MARGIN * 2) / (charsPerLine * 0.6); // Courier is 0.6em wide
+  const height = lines.reduce(
+    (total, line) => total + (line.qr ? QR_SIZE_PT + 4 : fontSize * (line.large ? 2 : 1) * 1.25),
+    0
+  );
+  return [widthPt, Math.ceil(height + PDF_MARGIN * 2)];
+};
+
+/**
+ * Draw receipt lines onto a PDFKit document created with getReceiptPageSize()
+ * @param {PDFDocument} doc
+ * @param {Array} lines - buildReceiptLines()
+ * @param {Number} paper - 58 or 80
+ */
+const generateReceiptPDFContent = (doc, lines, paper) => {
+  const { widthPt, charsPerLine } = PAPER_SIZES[resolvePaper(paper) || 80];
+  const contentWidth = widthPt - PDF_MARGIN * 2;
+  const fontSize = contentWidth / (charsPerLine * 0.6);
+  let y = PDF_MARGIN;
+
+  lines.forEach(line => {
+    if (line.qr) {
+      const qrSize = Math.min(QR_SIZE_PT, contentWidth);
+      doc.image(line.qr.image, PDF_MARGIN + (contentWidth - qrSize) / 2, y, { fit: [qrSize, qrSize] });
+      y += QR_SIZE_PT + 4;
+      return;
+    }
+    const size = fontSize * (line.large ? 2 : 1);
+    doc.font(line.bold ? 'Courier-Bold' : 'Courier').fontSize(size).fillColor('#000')
+      .text(line.text, PDF_MARGIN, y, { width: contentWidth, align: line.align, lineBreak: false });
+    y += size * 1.25;
+  });
+};
+
+/**
+ * Render receipt lines as an ESC/POS byte stream
+ * @param {Array} lines - buildReceiptLines()
+ * @param {Object} [options]
+ * @param {Boolean} [options.cut=true] - Feed and cut the paper at the end
+ * @param {Boolean} [options.openDrawer=false] - Kick the cash drawer first
+ * @returns {Buffer}
+ */
+const renderEscPos = (lines, { cut = true, openDrawer = false } = {}) => {
+  const bytes = [...ESC_POS.init];
+  if (openDrawer) bytes.push(...ESC_POS.drawerKick);
+
+  const alignment = { left: ESC_POS.alignLeft, center: ESC_POS.alignCenter, right: ESC_POS.alignRight };
+  lines.forEach(line => {
+    bytes.push(...alignment[line.align || 'left']);
+    bytes.push(...(line.bold ? ESC_POS.boldOn : ESC_POS.boldOff));
+    bytes.push(...(line.large ? ESC_POS.doubleSize : ESC_POS.normalSize));
+    if (line.qr) {
+      bytes.push(...ESC_POS.qrCode(line.qr.payload), 0x0a);
+      return;
+    }
+    // Printers use a single-byte code page; anything outside it prints as '?'
+    const text = String(line.text).replace(/₹/g, 'Rs.').replace(/[^\x20-\x7e]/g, '?');
+    bytes.push(...Buffer.from(`${text}\n`, 'ascii'));
+  });
+
+  bytes.push(...ESC_POS.boldOff, ...ESC_POS.normalSize, ...ESC_POS.alignLeft);
+  if (cut) {
+    bytes.push(...ESC_POS.feedLines(3), ...ESC_POS.partialCut);
+  }
+  return Buffer.from(bytes);
+};
+
+module.exports = {
+  PAPER_SIZES,
+  ESC_POS,
+  resolvePaper,
+  buildReceiptLines,
+  getReceiptPageSize,
+  generateReceiptPDFContent,
+  renderEscPos
+};
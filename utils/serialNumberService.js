@@ -0,0 +1,92 @@
+/**
+ * Serial Number Service
+ * Unit-level tracking for serial-tracked items (phones by IMEI, appliances by serial). Every
+ * unit is registered at stock-in, the exact units are picked at billing, and each movement
+ * (received, sold, returned, sale cancelled) is appended to the unit's history so a warranty
+ * claim can be traced back to the bill and customer.
+ */
+const SerialNumber = require('../models/SerialNumber');
+
+/**
+ * Serials as stored: trimmed, upper case, blanks dropped
+ * @param {Array} serials
+ * @returns {Array}
+ */
+const normalizeSerials = (serials = []) => serials
+  .map(serial => String(serial).trim().toUpperCase())
+  .filter(serial => serial.length > 0);
+
+/**
+ * Check the serials picked for a billed line: one per unit, no repeats, and all registered
+ * for the item and still on the shelf
+ * @param {Object} item - inventory item (name, _id)
+ * @param {Array} requested - serials entered by the cashier
+ * @param {Number} quantity - units billed
+ * @param {ClientSession} [session]
+ * @returns {Promise<Object>} { serials } or { error }
+ */
+const checkSerialsForSale = async (item, requested, quantity, session = null) => {
+  const serials = normalizeSerials(requested);
+  if (serials.length !== quantity) {
+    return { error: `Pick ${quantity} serial number(s) for ${item.name}; ${serials.length} given` };
+  }
+  if (new Set(serials).size !== serials.length) {
+    return { error: `Serial numbers for ${item.name} must not repeat` };
+  }
+
+  const query = SerialNumber.find({ itemId: item._id, serial: { $in: serials }, status: 'in_stock' })
+    .select('serial')
+    .lean();
+  const available = (await (session ? query.session(session) : query)).map(unit => unit.serial);
+  const missing = serials.filter(serial => !available.includes(serial));
+  if (missing.length > 0) {
+    return { error: `Not in stock for ${item.name}: ${missing.join(', ')}` };
+  }
+  return { serials };
+};
+
+/**
+ * Move units onto a bill ('sold') or back to the shelf ('returned', 'sale_cancelled') and
+ * add the event to their history
+ * @param {Object} params
+ * @param {String} params.itemId
+ * @param {Array} params.serials
+ * @param {String} params.event - sold, returned or sale_cancelled
+ * @param {Object} params.sale - the bill (invoice number and customer are copied to the history)
+ * @param {String} params.userId
+ * @param {String} [params.creditNoteNumber]
+ * @param {ClientSession} [params.session]
+ * @returns {Promise<Number>} units moved; fewer than serials.length means some were not where expected
+ */
+const recordSerialEvent = async ({ itemId, serials, event, sale, userId, creditNoteNumber = null, session = null }) => {
+  const selling = event === 'sold';
+  const result = await SerialNumber.updateMany(
+    selling
+      ? { itemId, serial: { $in: serials }, status: 'in_stock' }
+      : { itemId, serial: { $in: serials }, status: 'sold', saleId: sale._id },
+    {
+      $set: { status: selling ? 'sold' : 'in_stock', saleId: selling ? sale._id : null },
+      $push: {
+        history: {
+          event,
+          at: new Date(),
+          by: userId,
+          saleId: sale._id,
+          invoiceNumber: sale.invoiceNumber,
+          creditNoteNumber,
+          customerId: sale.customerId || null,
+          customerName: sale.customerName || '',
+          customerPhone: sale.customerPhone || ''
+        }
+      }
+    },
+    { session }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = {
+  normalizeSerials,
+  checkSerialsForSale,
+  recordSerialEvent
+};
@@ -0,0 +1,31 @@
+/**
+ * Store scoping helpers
+ * Documents such as invoices, credit notes, quotations and held bills are numbered and
+ * listed per store. Admins may pick the store explicitly (body or query storeId),
+ * everyone else works on the store they are assigned to.
+ */
+
+/**
+ * @param {Object} req - Express request with req.user
+ * @returns {String|undefined} Store ID to scope the request to
+ */
+const resolveStoreId = (req) => {
+  const requestedStoreId = req.body?.storeId || req.query?.storeId;
+  if (['admin', 'superadmin'].includes(req.user?.role)) {
+    return requestedStoreId || req.user.storeId;
+  }
+  return req.user?.storeId || requestedStoreId;
+};
+
+/**
+ * Add the caller's store to a lookup filter when one is known
+ * @param {Object} req
+ * @param {Object} filter
+ * @returns {Object}
+ */
+const storeScopedFilter = (req, filter) => {
+  const storeId = resolveStoreId(req);
+  return storeId ? { ...filter, storeId } : filter;
+};
+
+module.exports = { resolveStoreId, storeScopedFilter };
@@ -0,0 +1,90 @@
+/**
+ * UPI Service
+ * Builds UPI collect QR codes for bills. The QR carries a standard upi://pay deep link with the
+ * store's VPA (Settings.upiVpa), the amount due and the invoice number as transaction reference,
+ * so any UPI app can pay it and the payment can be matched back to the invoice.
+ */
+const QRCode = require('qrcode');
+const Settings = require('../models/Settings');
+
+/**
+ * Load the UPI details of a store
+ * @param {String} storeId
+ * @returns {Promise<Object|null>} { vpa, payeeName } or null when no VPA is configured
+ */
+const getUpiSettings = async (storeId) => {
+  const settings = await Settings.findOne({ storeId }).select('upiVpa upiPayeeName storeName').lean();
+  if (!settings?.upiVpa) return null;
+  return {
+    vpa: settings.upiVpa,
+    payeeName: settings.upiPayeeName || settings.storeName || ''
+  };
+};
+
+/**
+ * Amount of a bill to be collected over UPI
+ * @param {Object} sale
+ * @returns {Number}
+ */
+const getUpiAmount = (sale) => {
+  if (sale.payments?.length > 0) {
+    return Math.round(sale.payments
+      .filter(payment => payment.mode === 'upi')
+      .reduce((sum, payment) => sum + payment.amount, 0) * 100) / 100;
+  }
+  return sale.paymentMode === 'upi' ? sale.totalAmount : 0;
+};
+
+/**
+ * Build a upi://pay link
+ * @param {Object} opts
+ * @param {String} opts.vpa - Payee VPA
+ * @param {String} [opts.payeeName]
+ * @param {Number} opts.amount
+ * @param {String} opts.invoiceNumber - Sent as transaction reference (tr) and in the note (tn)
+ * @returns {String}
+ */
+const buildUpiPayload = ({ vpa, payeeName = '', amount, invoiceNumber }) => {
+  const params = [
+    ['pa', vpa],
+    ['pn', payeeName],
+    ['am', Number(amount).toFixed(2)],
+    ['cu', 'INR'],
+    ['tr', invoiceNumber],
+    ['tn', `Invoice ${invoiceNumber}`]
+  ].filter(([, value]) => value);
+
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+};
+
+/**
+ * UPI QR for a sale that still has a UPI amount to collect
+ * @param {Object} sale
+ * @param {Object} [opts]
+ * @param {String} [opts.format] - 'png' (Buffer) or 'dataUrl'
+ * @returns {Promise<Object|null>} { payload, amount, image } or null when not applicable
+ */
+const getSaleUpiQr = async (sale, { format = 'png' } = {}) => {
+  if (sale.paymentStatus !== 'pending' || sale.status === 'cancelled') return null;
+
+  const amount = getUpiAmount(sale);
+  if (!(amount > 0)) return null;
+
+  const upi = await getUpiSettings(sale.storeId);
+  if (!upi) return null;
+
+  const payload = buildUpiPayload({ ...upi, amount, invoiceNumber: sale.invoiceNumber });
+  const qrOptions = { errorCorrectionLevel: 'M', margin: 1, width: 240 };
+  const image = format === 'dataUrl'
+    ? await QRCode.toDataURL(payload, qrOptions)
+    : await QRCode.toBuffer(payload, { ...qrOptions, type: 'png' });
+
+  return { payload, amount, image };
+};
+
+module.exports = {
+  getUpiSettings,
+  getUpiAmount,
+  buildUpiPayload,
+  getSaleUpiQr
+};